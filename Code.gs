@@ -6,11 +6,16 @@
 // Configuration constants
 const CONFIG = {
   SPREADSHEET_ID: PropertiesService.getScriptProperties().getProperty('SPREADSHEET_ID') || '',
+  // Shared secret the web app sends with sync requests
+  API_TOKEN: PropertiesService.getScriptProperties().getProperty('API_TOKEN') || '',
   SHEET_NAMES: {
     SALES_DATA: 'Sales_Data',
     RECONCILIATION: 'Reconciliation',
     DASHBOARD: 'Dashboard',
-    SETTINGS: 'Settings'
+    SETTINGS: 'Settings',
+    AUDIT_LOG: 'Audit_Log',
+    PERIOD_CLOSES: 'Period_Closes',
+    REGISTERS: 'Registers'
   },
   EMAIL_SETTINGS: {
     MANAGER_EMAIL: PropertiesService.getScriptProperties().getProperty('MANAGER_EMAIL') || '',
@@ -20,8 +25,306 @@ const CONFIG = {
   RECONCILIATION_RULES: {
     CASH_DISCREPANCY_THRESHOLD: 5.00,
     LARGE_DISCREPANCY_THRESHOLD: 50.00,
-    MAX_RETURNS_PERCENTAGE: 10.0
-  }
+    MAX_RETURNS_PERCENTAGE: 10.0,
+    MIN_OPENING_CASH: 100.00,
+    DEPOSIT_TRANSIT_DAYS: 3,
+    TAX_TOLERANCE: 0.50
+  },
+  // Settings sheet rows, by the web app's setting names
+  SETTING_NAMES: {
+    storeName: 'Store Name',
+    managerEmail: 'Manager Email',
+    adminEmail: 'Admin Email',
+    cashDiscrepancyThreshold: 'Cash Discrepancy Threshold',
+    largeDiscrepancyThreshold: 'Large Discrepancy Threshold',
+    maxReturnsPercentage: 'Max Returns Percentage',
+    minOpeningCash: 'Minimum Opening Cash',
+    depositTransitDays: 'Deposit Transit Days',
+    dailyReportTime: 'Daily Report Time',
+    autoNotifications: 'Auto Email Notifications',
+    currency: 'Currency',
+    currencySymbol: 'Currency Symbol',
+    symbolPosition: 'Symbol Position',
+    decimalPlaces: 'Decimal Places',
+    cashRounding: 'Cash Rounding',
+    foreignCurrencies: 'Foreign Currencies',
+    taxRates: 'Tax Rates',
+    taxTolerance: 'Tax Tolerance',
+    tenderTypes: 'Tender Types',
+    managerLocale: 'Manager Language',
+    adminLocale: 'Admin Language'
+  },
+  // Symbol, placement, decimal places and cash rounding usually used for a currency
+  // (matches CurrencyFormatter.CURRENCIES in the web app)
+  CURRENCIES: {
+    USD: { currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 },
+    CAD: { currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.05 },
+    EUR: { currencySymbol: '€', symbolPosition: 'after', decimalPlaces: 2, cashRounding: 0 },
+    GBP: { currencySymbol: '£', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 },
+    AUD: { currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.05 },
+    NZD: { currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.10 },
+    CHF: { currencySymbol: 'CHF', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.05 },
+    MXN: { currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 },
+    SEK: { currencySymbol: 'kr', symbolPosition: 'after', decimalPlaces: 2, cashRounding: 1 },
+    JPY: { currencySymbol: '¥', symbolPosition: 'before', decimalPlaces: 0, cashRounding: 0 }
+  },
+  // Languages emails can be sent in (matches Translator.LOCALES in the web app)
+  LOCALES: {
+    en: { name: 'English', dateFormat: 'yyyy-MM-dd', timeFormat: 'h:mm a', decimal: '.', group: ',', percent: '{value}%' },
+    es: { name: 'Español', dateFormat: 'dd/MM/yyyy', timeFormat: 'HH:mm', decimal: ',', group: '.', percent: '{value} %' }
+  },
+  // Email text by language; missing keys fall back to English
+  TRANSLATIONS: {
+    en: {
+      'email.reconciliationReport': 'Daily Reconciliation Report',
+      'email.reconciliationIntro': 'Sales & Cash Reconciliation Summary for {date}',
+      'email.discrepancyAlert': 'Cash Discrepancy Alert',
+      'email.weeklySummary': 'Weekly Reconciliation Summary',
+      'email.period': '{from} to {to}',
+      'email.totalSales': 'Total Sales',
+      'email.transactions': 'Transactions',
+      'email.entries': 'Entries',
+      'email.discrepancies': 'Discrepancies',
+      'email.accuracy': 'Accuracy',
+      'email.status': 'Status',
+      'email.discrepanciesAttention': 'Discrepancies Requiring Attention:',
+      'email.registerOnDate': '{register} on {date}',
+      'email.byCashier': '(cashier {cashier})',
+      'email.noDiscrepanciesToday': '✅ No discrepancies detected today!',
+      'email.generatedAt': 'Generated automatically at {timestamp}',
+      'email.totalDiscrepancy': 'Total Discrepancy: {amount}',
+      'email.immediateAttention': 'Immediate Attention Required:',
+      'email.discrepanciesExceed': '{count} discrepancies detected that exceed the threshold.',
+      'email.discrepancyDetails': 'Discrepancy Details:',
+      'email.actionRequired': 'Action Required:',
+      'email.investigateImmediately': 'Please investigate these discrepancies immediately and take corrective action.',
+      'email.alertGeneratedAt': 'Alert generated at {timestamp}',
+      'email.cashierScorecards': 'Cashier Scorecards',
+      'email.cashier': 'Cashier',
+      'email.netOverShort': 'Net Over/Short',
+      'email.worstIncidents': 'Worst Incidents',
+      'email.trend': 'Trend',
+      'status.balanced': 'Balanced',
+      'status.warning': 'Warning',
+      'status.discrepancy': 'Discrepancy',
+      'status.critical': 'Critical'
+    },
+    es: {
+      'email.reconciliationReport': 'Informe Diario de Conciliación',
+      'email.reconciliationIntro': 'Resumen de Conciliación de Ventas y Efectivo del {date}',
+      'email.discrepancyAlert': 'Alerta de Discrepancia de Efectivo',
+      'email.weeklySummary': 'Resumen Semanal de Conciliación',
+      'email.period': '{from} al {to}',
+      'email.totalSales': 'Ventas Totales',
+      'email.transactions': 'Transacciones',
+      'email.entries': 'Registros',
+      'email.discrepancies': 'Discrepancias',
+      'email.accuracy': 'Precisión',
+      'email.status': 'Estado',
+      'email.discrepanciesAttention': 'Discrepancias que requieren atención:',
+      'email.registerOnDate': '{register} el {date}',
+      'email.byCashier': '(cajero {cashier})',
+      'email.noDiscrepanciesToday': '✅ ¡No se detectaron discrepancias hoy!',
+      'email.generatedAt': 'Generado automáticamente el {timestamp}',
+      'email.totalDiscrepancy': 'Discrepancia Total: {amount}',
+      'email.immediateAttention': 'Se Requiere Atención Inmediata:',
+      'email.discrepanciesExceed': 'Se detectaron {count} discrepancias que superan el umbral.',
+      'email.discrepancyDetails': 'Detalle de Discrepancias:',
+      'email.actionRequired': 'Acción Requerida:',
+      'email.investigateImmediately': 'Investigue estas discrepancias de inmediato y tome medidas correctivas.',
+      'email.alertGeneratedAt': 'Alerta generada el {timestamp}',
+      'email.cashierScorecards': 'Evaluación de Cajeros',
+      'email.cashier': 'Cajero',
+      'email.netOverShort': 'Sobrante/Faltante Neto',
+      'email.worstIncidents': 'Peores Incidentes',
+      'email.trend': 'Tendencia',
+      'status.balanced': 'Cuadrado',
+      'status.warning': 'Advertencia',
+      'status.discrepancy': 'Discrepancia',
+      'status.critical': 'Crítico'
+    }
+  },
+  // Drawer count denominations by currency, in Sales_Data column order (matches CashCounter.DENOMINATIONS in the web app)
+  DENOMINATIONS: {
+    USD: [
+      { key: 'bill_100', label: '$100', value: 100.00 },
+      { key: 'bill_50', label: '$50', value: 50.00 },
+      { key: 'bill_20', label: '$20', value: 20.00 },
+      { key: 'bill_10', label: '$10', value: 10.00 },
+      { key: 'bill_5', label: '$5', value: 5.00 },
+      { key: 'bill_1', label: '$1', value: 1.00 },
+      { key: 'coin_25', label: '25¢', value: 0.25 },
+      { key: 'coin_10', label: '10¢', value: 0.10 },
+      { key: 'coin_5', label: '5¢', value: 0.05 },
+      { key: 'coin_1', label: '1¢', value: 0.01 },
+      { key: 'roll_25', label: 'Quarter Roll', value: 10.00 },
+      { key: 'roll_10', label: 'Dime Roll', value: 5.00 },
+      { key: 'roll_5', label: 'Nickel Roll', value: 2.00 },
+      { key: 'roll_1', label: 'Penny Roll', value: 0.50 }
+    ],
+    CAD: [
+      { key: 'bill_100', label: '$100', value: 100.00 },
+      { key: 'bill_50', label: '$50', value: 50.00 },
+      { key: 'bill_20', label: '$20', value: 20.00 },
+      { key: 'bill_10', label: '$10', value: 10.00 },
+      { key: 'bill_5', label: '$5', value: 5.00 },
+      { key: 'coin_200', label: '$2', value: 2.00 },
+      { key: 'coin_100', label: '$1', value: 1.00 },
+      { key: 'coin_25', label: '25¢', value: 0.25 },
+      { key: 'coin_10', label: '10¢', value: 0.10 },
+      { key: 'coin_5', label: '5¢', value: 0.05 },
+      { key: 'roll_200', label: 'Toonie Roll', value: 50.00 },
+      { key: 'roll_100', label: 'Loonie Roll', value: 25.00 },
+      { key: 'roll_25', label: 'Quarter Roll', value: 10.00 },
+      { key: 'roll_10', label: 'Dime Roll', value: 5.00 },
+      { key: 'roll_5', label: 'Nickel Roll', value: 2.00 }
+    ],
+    EUR: [
+      { key: 'bill_200', label: '200 €', value: 200.00 },
+      { key: 'bill_100', label: '100 €', value: 100.00 },
+      { key: 'bill_50', label: '50 €', value: 50.00 },
+      { key: 'bill_20', label: '20 €', value: 20.00 },
+      { key: 'bill_10', label: '10 €', value: 10.00 },
+      { key: 'bill_5', label: '5 €', value: 5.00 },
+      { key: 'coin_200', label: '2 €', value: 2.00 },
+      { key: 'coin_100', label: '1 €', value: 1.00 },
+      { key: 'coin_50', label: '50 c', value: 0.50 },
+      { key: 'coin_20', label: '20 c', value: 0.20 },
+      { key: 'coin_10', label: '10 c', value: 0.10 },
+      { key: 'coin_5', label: '5 c', value: 0.05 },
+      { key: 'coin_2', label: '2 c', value: 0.02 },
+      { key: 'coin_1', label: '1 c', value: 0.01 }
+    ],
+    GBP: [
+      { key: 'bill_50', label: '£50', value: 50.00 },
+      { key: 'bill_20', label: '£20', value: 20.00 },
+      { key: 'bill_10', label: '£10', value: 10.00 },
+      { key: 'bill_5', label: '£5', value: 5.00 },
+      { key: 'coin_200', label: '£2', value: 2.00 },
+      { key: 'coin_100', label: '£1', value: 1.00 },
+      { key: 'coin_50', label: '50p', value: 0.50 },
+      { key: 'coin_20', label: '20p', value: 0.20 },
+      { key: 'coin_10', label: '10p', value: 0.10 },
+      { key: 'coin_5', label: '5p', value: 0.05 },
+      { key: 'coin_2', label: '2p', value: 0.02 },
+      { key: 'coin_1', label: '1p', value: 0.01 }
+    ],
+    AUD: [
+      { key: 'bill_100', label: '$100', value: 100.00 },
+      { key: 'bill_50', label: '$50', value: 50.00 },
+      { key: 'bill_20', label: '$20', value: 20.00 },
+      { key: 'bill_10', label: '$10', value: 10.00 },
+      { key: 'bill_5', label: '$5', value: 5.00 },
+      { key: 'coin_200', label: '$2', value: 2.00 },
+      { key: 'coin_100', label: '$1', value: 1.00 },
+      { key: 'coin_50', label: '50c', value: 0.50 },
+      { key: 'coin_20', label: '20c', value: 0.20 },
+      { key: 'coin_10', label: '10c', value: 0.10 },
+      { key: 'coin_5', label: '5c', value: 0.05 }
+    ],
+    NZD: [
+      { key: 'bill_100', label: '$100', value: 100.00 },
+      { key: 'bill_50', label: '$50', value: 50.00 },
+      { key: 'bill_20', label: '$20', value: 20.00 },
+      { key: 'bill_10', label: '$10', value: 10.00 },
+      { key: 'bill_5', label: '$5', value: 5.00 },
+      { key: 'coin_200', label: '$2', value: 2.00 },
+      { key: 'coin_100', label: '$1', value: 1.00 },
+      { key: 'coin_50', label: '50c', value: 0.50 },
+      { key: 'coin_20', label: '20c', value: 0.20 },
+      { key: 'coin_10', label: '10c', value: 0.10 }
+    ],
+    CHF: [
+      { key: 'bill_200', label: 'CHF 200', value: 200.00 },
+      { key: 'bill_100', label: 'CHF 100', value: 100.00 },
+      { key: 'bill_50', label: 'CHF 50', value: 50.00 },
+      { key: 'bill_20', label: 'CHF 20', value: 20.00 },
+      { key: 'bill_10', label: 'CHF 10', value: 10.00 },
+      { key: 'coin_500', label: 'CHF 5', value: 5.00 },
+      { key: 'coin_200', label: 'CHF 2', value: 2.00 },
+      { key: 'coin_100', label: 'CHF 1', value: 1.00 },
+      { key: 'coin_50', label: '50 Rp.', value: 0.50 },
+      { key: 'coin_20', label: '20 Rp.', value: 0.20 },
+      { key: 'coin_10', label: '10 Rp.', value: 0.10 },
+      { key: 'coin_5', label: '5 Rp.', value: 0.05 }
+    ],
+    MXN: [
+      { key: 'bill_1000', label: '$1000', value: 1000.00 },
+      { key: 'bill_500', label: '$500', value: 500.00 },
+      { key: 'bill_200', label: '$200', value: 200.00 },
+      { key: 'bill_100', label: '$100', value: 100.00 },
+      { key: 'bill_50', label: '$50', value: 50.00 },
+      { key: 'bill_20', label: '$20', value: 20.00 },
+      { key: 'coin_1000', label: '$10', value: 10.00 },
+      { key: 'coin_500', label: '$5', value: 5.00 },
+      { key: 'coin_200', label: '$2', value: 2.00 },
+      { key: 'coin_100', label: '$1', value: 1.00 },
+      { key: 'coin_50', label: '50¢', value: 0.50 }
+    ],
+    SEK: [
+      { key: 'bill_1000', label: '1000 kr', value: 1000.00 },
+      { key: 'bill_500', label: '500 kr', value: 500.00 },
+      { key: 'bill_200', label: '200 kr', value: 200.00 },
+      { key: 'bill_100', label: '100 kr', value: 100.00 },
+      { key: 'bill_50', label: '50 kr', value: 50.00 },
+      { key: 'bill_20', label: '20 kr', value: 20.00 },
+      { key: 'coin_1000', label: '10 kr', value: 10.00 },
+      { key: 'coin_500', label: '5 kr', value: 5.00 },
+      { key: 'coin_200', label: '2 kr', value: 2.00 },
+      { key: 'coin_100', label: '1 kr', value: 1.00 }
+    ],
+    JPY: [
+      { key: 'bill_10000', label: '¥10000', value: 10000 },
+      { key: 'bill_5000', label: '¥5000', value: 5000 },
+      { key: 'bill_1000', label: '¥1000', value: 1000 },
+      { key: 'coin_500', label: '¥500', value: 500 },
+      { key: 'coin_100', label: '¥100', value: 100 },
+      { key: 'coin_50', label: '¥50', value: 50 },
+      { key: 'coin_10', label: '¥10', value: 10 },
+      { key: 'coin_5', label: '¥5', value: 5 },
+      { key: 'coin_1', label: '¥1', value: 1 }
+    ]
+  },
+  // Reasons a refund can be recorded with (matches RefundCalculator.REASON_CODES in the web app)
+  REFUND_REASON_CODES: ['damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'price_adjustment', 'other'],
+  // What cash is paid out of and into the drawer for (matches PettyCashCalculator in the web app)
+  PETTY_CASH_CATEGORIES: {
+    out: ['delivery', 'cod_vendor', 'supplies', 'repairs', 'meals', 'other'],
+    in: ['float_top_up', 'account_payment', 'vendor_refund', 'other']
+  },
+  // Reason codes accepted in the audit trail (matches AuditLog.REASON_CODES in the web app)
+  AUDIT_REASON_CODES: [
+    'initial_entry', 'count_correction', 'data_entry_error', 'late_cash_drop',
+    'wrong_register', 'duplicate_entry', 'manager_adjustment', 'sheet_edit', 'bulk_import', 'other'
+  ],
+  // Entry fields compared when logging an edit (matches AuditLog.TRACKED_FIELDS in the web app).
+  // Fields holding lists are written in the change list the way the sheet writes them.
+  AUDIT_FIELDS: [
+    { key: 'storeId', label: 'Store' },
+    { key: 'date', label: 'Date' },
+    { key: 'registerNumber', label: 'Register' },
+    { key: 'shiftNumber', label: 'Shift' },
+    { key: 'cashierId', label: 'Cashier' },
+    { key: 'openingCash', label: 'Opening Cash' },
+    { key: 'cashSales', label: 'Cash Sales' },
+    { key: 'cardSales', label: 'Card Sales' },
+    { key: 'returnsRefunds', label: 'Returns & Refunds' },
+    { key: 'cashDrops', label: 'Cash Drops' },
+    { key: 'closingCash', label: 'Closing Cash' },
+    { key: 'openingCount', label: 'Opening Count' },
+    { key: 'closingCount', label: 'Closing Count' },
+    { key: 'foreignCash', label: 'Foreign Cash', format: formatForeignCash },
+    { key: 'taxLines', label: 'Tax', format: formatTaxLines },
+    { key: 'exemptSales', label: 'Exempt Sales' },
+    { key: 'tenders', label: 'Other Tenders', format: formatTenders },
+    { key: 'otherTenderSales', label: 'Other Tender Sales' },
+    { key: 'refunds', label: 'Refunds', format: formatTenders },
+    { key: 'refundCount', label: 'Refund Count' },
+    { key: 'refundReasons', label: 'Refund Reasons', format: formatRefundReasons },
+    { key: 'pettyCash', label: 'Petty Cash', format: formatPettyCash },
+    { key: 'paidOuts', label: 'Paid Outs' },
+    { key: 'paidIns', label: 'Paid Ins' }
+  ]
 };
 
 /**
@@ -78,6 +381,15 @@ function createRequiredSheets(spreadsheet) {
       case CONFIG.SHEET_NAMES.SETTINGS:
         setupSettingsSheet(sheet);
         break;
+      case CONFIG.SHEET_NAMES.AUDIT_LOG:
+        setupAuditLogSheet(sheet);
+        break;
+      case CONFIG.SHEET_NAMES.PERIOD_CLOSES:
+        setupPeriodClosesSheet(sheet);
+        break;
+      case CONFIG.SHEET_NAMES.REGISTERS:
+        setupRegistersSheet(sheet);
+        break;
     }
   });
 }
@@ -86,11 +398,9 @@ function createRequiredSheets(spreadsheet) {
  * Setup Sales Data sheet structure
  */
 function setupSalesDataSheet(sheet) {
-  const headers = [
-    'Entry ID', 'Date', 'Register Number', 'Opening Cash', 'Cash Sales', 
-    'Card Sales', 'Returns & Refunds', 'Cash Drops', 'Closing Cash',
-    'Expected Cash', 'Cash Difference', 'Total Sales', 'Status', 'Timestamp'
-  ];
+  const settings = getAppSettings();
+  const headers = getSalesDataHeaders(settings);
+  const countColumns = getDenominations(settings).length * 2;
   
   // Set headers
   const headerRange = sheet.getRange(1, 1, 1, headers.length);
@@ -106,6 +416,23 @@ function setupSalesDataSheet(sheet) {
   sheet.setColumnWidths(4, 9, 100); // Cash columns
   sheet.setColumnWidth(13, 100); // Status
   sheet.setColumnWidth(14, 150); // Timestamp
+  if (countColumns > 0) {
+    sheet.setColumnWidths(15, countColumns, 80); // Denomination counts
+  }
+  sheet.setColumnWidth(15 + countColumns, 100); // Store ID
+  sheet.setColumnWidth(16 + countColumns, 60); // Shift
+  sheet.setColumnWidth(17 + countColumns, 100); // Cashier ID
+  sheet.setColumnWidth(18 + countColumns, 180); // Foreign Cash
+  sheet.setColumnWidth(19 + countColumns, 100); // Foreign Cash Value
+  sheet.setColumnWidths(20 + countColumns, 3, 100); // Tax amounts
+  sheet.setColumnWidth(23 + countColumns, 240); // Tax Detail
+  sheet.setColumnWidth(24 + countColumns, 100); // Other Tenders
+  sheet.setColumnWidth(25 + countColumns, 240); // Tender Detail
+  sheet.setColumnWidth(26 + countColumns, 240); // Refund Detail
+  sheet.setColumnWidth(27 + countColumns, 80); // Refund Count
+  sheet.setColumnWidth(28 + countColumns, 200); // Refund Reasons
+  sheet.setColumnWidths(29 + countColumns, 2, 100); // Paid Outs, Paid Ins
+  sheet.setColumnWidth(31 + countColumns, 300); // Petty Cash Detail
   
   // Freeze header row
   sheet.setFrozenRows(1);
@@ -118,6 +445,76 @@ function setupSalesDataSheet(sheet) {
   statusRange.setDataValidation(statusValidation);
 }
 
+/**
+ * Get the Sales_Data headers, in the order buildSalesRow gives the values
+ */
+function getSalesDataHeaders(settings = getAppSettings()) {
+  return [
+    'Entry ID', 'Date', 'Register Number', 'Opening Cash', 'Cash Sales', 
+    'Card Sales', 'Returns & Refunds', 'Cash Drops', 'Closing Cash',
+    'Expected Cash', 'Cash Difference', 'Total Sales', 'Status', 'Timestamp',
+    ...getDenominationHeaders(getDenominations(settings)),
+    'Store ID', 'Shift', 'Cashier ID', 'Foreign Cash', 'Foreign Cash Value',
+    'Taxable Sales', 'Exempt Sales', 'Tax Collected', 'Tax Detail', 'Other Tenders', 'Tender Detail',
+    'Refund Detail', 'Refund Count', 'Refund Reasons', 'Paid Outs', 'Paid Ins', 'Petty Cash Detail'
+  ];
+}
+
+/**
+ * Put a row from buildSalesRow in the sheet's column order. Count columns for a currency the sheet
+ * was not set up with, e.g. after the currency was changed, are added at the end.
+ */
+function alignSalesRow(sheet, rowData, settings = getAppSettings()) {
+  const headers = getSalesDataHeaders(settings);
+  const sheetHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const missing = headers.filter(header => !sheetHeaders.includes(header));
+  
+  if (missing.length > 0) {
+    const headerRange = sheet.getRange(1, sheetHeaders.length + 1, 1, missing.length);
+    headerRange.setValues([missing]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#4285f4');
+    headerRange.setFontColor('white');
+    sheetHeaders.push(...missing);
+  }
+  
+  return sheetHeaders.map(header => headers.includes(header) ? rowData[headers.indexOf(header)] : '');
+}
+
+/**
+ * Get the drawer count denominations of the store's currency
+ */
+function getDenominations(settings = getAppSettings()) {
+  return CONFIG.DENOMINATIONS[settings.currency] || [];
+}
+
+/**
+ * Get Sales_Data headers for the opening and closing denomination counts
+ */
+function getDenominationHeaders(denominations) {
+  return [
+    ...denominations.map(d => `Open ${d.label}`),
+    ...denominations.map(d => `Close ${d.label}`)
+  ];
+}
+
+/**
+ * Get row values for a denomination count, one cell per denomination
+ */
+function getDenominationRowValues(counts, denominations) {
+  return denominations.map(d => (counts && parseInt(counts[d.key], 10)) || 0);
+}
+
+/**
+ * Calculate the cash total of a denomination count
+ */
+function calculateCountTotal(counts, denominations) {
+  const totalCents = denominations.reduce((sum, d) => {
+    return sum + ((parseInt(counts[d.key], 10) || 0) * Math.round(d.value * 100));
+  }, 0);
+  return totalCents / 100;
+}
+
 /**
  * Setup Reconciliation sheet structure
  */
@@ -181,8 +578,21 @@ function setupSettingsSheet(sheet) {
     ['Cash Discrepancy Threshold', CONFIG.RECONCILIATION_RULES.CASH_DISCREPANCY_THRESHOLD, 'Threshold for flagging discrepancies'],
     ['Large Discrepancy Threshold', CONFIG.RECONCILIATION_RULES.LARGE_DISCREPANCY_THRESHOLD, 'Threshold for critical alerts'],
     ['Max Returns Percentage', CONFIG.RECONCILIATION_RULES.MAX_RETURNS_PERCENTAGE, 'Maximum allowed returns percentage'],
+    ['Minimum Opening Cash', CONFIG.RECONCILIATION_RULES.MIN_OPENING_CASH, 'Opening cash below this is flagged'],
+    ['Deposit Transit Days', CONFIG.RECONCILIATION_RULES.DEPOSIT_TRANSIT_DAYS, 'Deposits not on the bank statement after this many days are missing'],
     ['Daily Report Time', CONFIG.EMAIL_SETTINGS.DAILY_REPORT_TIME, 'Time to send daily reports'],
-    ['Auto Email Notifications', 'TRUE', 'Enable automatic email notifications']
+    ['Auto Email Notifications', 'TRUE', 'Enable automatic email notifications'],
+    ['Currency', 'USD', 'Currency code amounts are shown in'],
+    ['Currency Symbol', '$', 'Symbol shown with amounts'],
+    ['Symbol Position', 'before', 'Symbol before or after the amount'],
+    ['Decimal Places', 2, 'Decimal places amounts are shown and rounded to'],
+    ['Cash Rounding', 0, 'Smallest cash amount, e.g. 0.05; 0 for none'],
+    ['Foreign Currencies', '', 'Currency codes accepted as cash, e.g. USD, EUR'],
+    ['Tax Rates', '', 'Sales tax rates, e.g. State 6.25%, City 1%'],
+    ['Tax Tolerance', CONFIG.RECONCILIATION_RULES.TAX_TOLERANCE, 'Tax collected may differ from the rate by this much per entry'],
+    ['Tender Types', '', 'Tenders taken besides cash and card, e.g. Gift Card, Check (in drawer), EBT'],
+    ['Manager Language', 'en', 'Language of emails to the manager, e.g. en or es'],
+    ['Admin Language', 'en', 'Language of emails to the admin, e.g. en or es']
   ];
   
   sheet.getRange(1, 1, settings.length, 3).setValues(settings);
@@ -190,6 +600,68 @@ function setupSettingsSheet(sheet) {
   sheet.setFrozenRows(1);
 }
 
+/**
+ * Setup Audit Log sheet structure and lock it against manual edits
+ */
+function setupAuditLogSheet(sheet) {
+  const headers = [
+    'Record ID', 'Timestamp', 'Entry ID', 'Store ID', 'Action', 'Reason Code',
+    'Note', 'User', 'Source', 'Changes', 'Before', 'After'
+  ];
+  
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#607d8b').setFontColor('white');
+  sheet.setFrozenRows(1);
+  
+  // Only the script (running as the owner) may append rows
+  const protection = sheet.protect().setDescription('Audit log is append-only');
+  protection.removeEditors(protection.getEditors());
+  if (protection.canDomainEdit()) {
+    protection.setDomainEdit(false);
+  }
+}
+
+/**
+ * Setup Period Closes sheet structure and lock it against manual edits
+ */
+function setupPeriodClosesSheet(sheet) {
+  const headers = [
+    'Close ID', 'Type', 'Store ID', 'Start Date', 'End Date', 'Registers',
+    'Closed By', 'Closed At', 'Unlocks'
+  ];
+  
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#795548').setFontColor('white');
+  sheet.getRange('D2:E1000').setNumberFormat('@');
+  sheet.setFrozenRows(1);
+  
+  const protection = sheet.protect().setDescription('Period closes are managed by the script');
+  protection.removeEditors(protection.getEditors());
+  if (protection.canDomainEdit()) {
+    protection.setDomainEdit(false);
+  }
+}
+
+/**
+ * Setup Registers sheet, starting with the three original registers
+ */
+function setupRegistersSheet(sheet) {
+  const headers = ['Register ID', 'Name', 'Store ID', 'Location', 'Default Float', 'Active From', 'Active To'];
+  
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#009688').setFontColor('white');
+  sheet.getRange('F2:G1000').setNumberFormat('@');
+  sheet.setFrozenRows(1);
+  
+  if (sheet.getLastRow() < 2) {
+    sheet.getRange(2, 1, 3, headers.length).setValues([
+      ['REG001', 'Register 1', '', '', 0, '', ''],
+      ['REG002', 'Register 2', '', '', 0, '', ''],
+      ['REG003', 'Register 3', '', '', 0, '', '']
+    ]);
+  }
+}
+
 /**
  * Setup data validation rules
  */
@@ -203,10 +675,11 @@ function setupDataValidation(spreadsheet) {
     .build();
   dateRange.setDataValidation(dateValidation);
   
-  // Register number validation
+  // Register number validation, against every register on the roster (retired ones keep their past rows valid)
+  const registersSheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.REGISTERS);
   const registerRange = salesSheet.getRange('C2:C1000');
   const registerValidation = SpreadsheetApp.newDataValidation()
-    .requireValueInList(['REG001', 'REG002', 'REG003'])
+    .requireValueInRange(registersSheet.getRange('A2:A'), true)
     .build();
   registerRange.setDataValidation(registerValidation);
   
@@ -277,6 +750,13 @@ function setupTriggers() {
     .atHour(18)
     .create();
   
+  // Weekly summary trigger (Monday morning, covering the previous week)
+  ScriptApp.newTrigger('runWeeklySummary')
+    .timeBased()
+    .onWeekDay(ScriptApp.WeekDay.MONDAY)
+    .atHour(7)
+    .create();
+  
   // Form submission trigger (if using Google Forms)
   ScriptApp.newTrigger('onSalesDataSubmission')
     .onFormSubmit()
@@ -298,45 +778,25 @@ function addSalesEntry(salesData) {
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
     const salesSheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
     
-    // Generate entry ID
-    const entryId = 'ENT_' + Date.now();
-    
-    // Calculate derived values
-    const expectedCash = salesData.openingCash + salesData.cashSales - salesData.returnsRefunds - salesData.cashDrops;
-    const cashDifference = salesData.closingCash - expectedCash;
-    const totalSales = salesData.cashSales + salesData.cardSales;
-    const status = Math.abs(cashDifference) <= CONFIG.RECONCILIATION_RULES.CASH_DISCREPANCY_THRESHOLD ? 'balanced' : 'discrepancy';
-    
-    // Prepare row data
-    const rowData = [
-      entryId,
-      salesData.date,
-      salesData.registerNumber,
-      salesData.openingCash,
-      salesData.cashSales,
-      salesData.cardSales,
-      salesData.returnsRefunds,
-      salesData.cashDrops,
-      salesData.closingCash,
-      expectedCash,
-      cashDifference,
-      totalSales,
-      status,
-      new Date()
-    ];
+    // Keep the browser's entry ID so synced entries stay linked to their row
+    const entryId = salesData.id || 'ENT_' + Date.now();
+    const rowData = buildSalesRow(entryId, salesData);
+    const cashDifference = rowData[10];
     
     // Add to sheet
-    salesSheet.appendRow(rowData);
+    salesSheet.appendRow(alignSalesRow(salesSheet, rowData));
     
     // Update reconciliation if needed
     updateReconciliation();
     
     // Check for discrepancies and send alerts
-    if (Math.abs(cashDifference) > CONFIG.RECONCILIATION_RULES.LARGE_DISCREPANCY_THRESHOLD) {
+    if (Math.abs(cashDifference) > getAppSettings().largeDiscrepancyThreshold) {
       sendDiscrepancyAlert([{
         entryId: entryId,
+        storeId: salesData.storeId || '',
         date: salesData.date,
         registerNumber: salesData.registerNumber,
+        cashierId: salesData.cashierId || '',
         cashDifference: cashDifference
       }]);
     }
@@ -349,6 +809,303 @@ function addSalesEntry(salesData) {
   }
 }
 
+/**
+ * Build a Sales_Data row, deriving expected cash, difference and status
+ */
+function buildSalesRow(entryId, salesData) {
+  const settings = getAppSettings();
+  const denominations = getDenominations(settings);
+  
+  // Denomination counts, when provided, determine the drawer totals
+  if (salesData.openingCount) {
+    salesData.openingCash = calculateCountTotal(salesData.openingCount, denominations);
+  }
+  if (salesData.closingCount) {
+    salesData.closingCash = calculateCountTotal(salesData.closingCount, denominations);
+  }
+  
+  // Calculate derived values, with foreign cash counted at its recorded rate
+  const foreignCash = salesData.foreignCash || [];
+  const foreignCashValue = roundAmount(foreignCash.reduce((sum, tender) => sum + tender.baseAmount, 0), settings);
+  // Tenders kept in the drawer, such as checks, are counted in the closing cash
+  const tenders = salesData.tenders || [];
+  const otherTenderSales = roundAmount(tenders.reduce((sum, tender) => sum + tender.amount, 0), settings);
+  const drawerTenderSales = roundAmount(tenders.filter(tender => tender.drawer).reduce((sum, tender) => sum + tender.amount, 0), settings);
+  // Only refunds paid from the drawer take cash out of it; entries without a split paid every refund in cash
+  const refunds = salesData.refunds || null;
+  const returnsRefunds = refunds ? roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0), settings) : salesData.returnsRefunds;
+  const drawerRefunds = refunds ?
+    roundAmount(refunds.filter(refund => refund.drawer).reduce((sum, refund) => sum + refund.amount, 0), settings) : returnsRefunds;
+  // Paid-ins add cash to the drawer and paid-outs take it out
+  const pettyCash = salesData.pettyCash || [];
+  const paidOuts = sumPettyCash(pettyCash, 'out', settings);
+  const paidIns = sumPettyCash(pettyCash, 'in', settings);
+  const expectedCash = roundCash(salesData.openingCash + salesData.cashSales + drawerTenderSales + paidIns -
+    drawerRefunds - paidOuts - salesData.cashDrops, settings);
+  const cashDifference = roundAmount(salesData.closingCash + foreignCashValue - expectedCash, settings);
+  const totalSales = roundAmount(salesData.cashSales + salesData.cardSales + otherTenderSales, settings);
+  const status = Math.abs(cashDifference) <= settings.cashDiscrepancyThreshold ? 'balanced' : 'discrepancy';
+  const taxLines = salesData.taxLines || [];
+  
+  return [
+    entryId,
+    salesData.date,
+    salesData.registerNumber,
+    salesData.openingCash,
+    salesData.cashSales,
+    salesData.cardSales,
+    returnsRefunds,
+    salesData.cashDrops,
+    salesData.closingCash,
+    expectedCash,
+    cashDifference,
+    totalSales,
+    status,
+    new Date(),
+    ...getDenominationRowValues(salesData.openingCount, denominations),
+    ...getDenominationRowValues(salesData.closingCount, denominations),
+    salesData.storeId || '',
+    salesData.shiftNumber || 1,
+    salesData.cashierId || '',
+    formatForeignCash(foreignCash),
+    foreignCashValue,
+    roundAmount(taxLines.reduce((sum, line) => sum + line.taxableSales, 0), settings),
+    salesData.exemptSales || 0,
+    roundAmount(taxLines.reduce((sum, line) => sum + line.taxCollected, 0), settings),
+    formatTaxLines(taxLines),
+    otherTenderSales,
+    formatTenders(tenders),
+    formatTenders(refunds),
+    salesData.refundCount || 0,
+    formatRefundReasons(salesData.refundReasons),
+    paidOuts,
+    paidIns,
+    formatPettyCash(pettyCash)
+  ];
+}
+
+/**
+ * Write foreign cash tenders as text, e.g. "EUR 50.00 @ 1.0800; GBP 20.00 @ 1.2500"
+ */
+function formatForeignCash(foreignCash) {
+  return (foreignCash || [])
+    .map(tender => `${tender.currency} ${tender.amount.toFixed(2)} @ ${tender.rate.toFixed(4)}`)
+    .join('; ');
+}
+
+/**
+ * Write tax lines as text, e.g. "State @ 6.25%: 100.00 / 6.25; City @ 1%: 100.00 / 1.00"
+ * (taxable sales / tax collected at each rate)
+ */
+function formatTaxLines(taxLines) {
+  return (taxLines || [])
+    .map(line => `${line.name} @ ${line.rate}%: ${line.taxableSales.toFixed(2)} / ${line.taxCollected.toFixed(2)}`)
+    .join('; ');
+}
+
+/**
+ * Read tax lines written by formatTaxLines
+ */
+function parseTaxLines(text) {
+  return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(.+?)\s*@\s*([\d.]+)%:\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+    if (!match) return null;
+    return { name: match[1], rate: Number(match[2]), taxableSales: Number(match[3]), taxCollected: Number(match[4]) };
+  }).filter(Boolean);
+}
+
+/**
+ * Write tenders other than cash and card as text, e.g. "Gift Card: 25.00; Check (in drawer): 40.00".
+ * Refunds by tender are written the same way, e.g. "Cash (in drawer): 10.00; Card: 25.00".
+ */
+function formatTenders(tenders) {
+  return (tenders || [])
+    .map(tender => `${tender.name}${tender.drawer ? ' (in drawer)' : ''}: ${tender.amount.toFixed(2)}`)
+    .join('; ');
+}
+
+/**
+ * Read tenders written by formatTenders
+ */
+function parseTenders(text) {
+  return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(.+?)(\s*\(in drawer\))?:\s*([\d.]+)$/i);
+    if (!match) return null;
+    return { name: match[1].trim(), drawer: Boolean(match[2]), amount: Number(match[3]) };
+  }).filter(Boolean);
+}
+
+/**
+ * Write refund counts by reason as text, e.g. "damaged 2; changed_mind 1"
+ */
+function formatRefundReasons(reasons) {
+  return Object.keys(reasons || {}).map(code => `${code} ${reasons[code]}`).join('; ');
+}
+
+/**
+ * Read refund counts written by formatRefundReasons
+ */
+function parseRefundReasons(text) {
+  const reasons = {};
+  String(text || '').split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^(\S+)\s+(\d+)$/);
+    if (match) reasons[match[1]] = Number(match[2]);
+  });
+  return reasons;
+}
+
+/**
+ * Write paid-outs and paid-ins as text, e.g. "out | delivery | 25.00 | R123 | JSMITH; in | float_top_up | 50.00 |  | MGR1"
+ * (direction | category | amount | receipt | approved by)
+ */
+function formatPettyCash(pettyCash) {
+  const clean = text => String(text || '').replace(/[|;]/g, ' ').trim();
+  return (pettyCash || [])
+    .map(item => [item.direction, item.category, item.amount.toFixed(2), clean(item.receipt), clean(item.approvedBy)].join(' | '))
+    .join('; ');
+}
+
+/**
+ * Read paid-outs and paid-ins written by formatPettyCash
+ */
+function parsePettyCash(text) {
+  return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const fields = part.split('|').map(field => field.trim());
+    if (fields.length !== 5 || !['out', 'in'].includes(fields[0]) || !isFinite(Number(fields[2]))) return null;
+    return { direction: fields[0], category: fields[1], amount: Number(fields[2]), receipt: fields[3], approvedBy: fields[4] };
+  }).filter(Boolean);
+}
+
+/**
+ * Total the paid-outs or paid-ins of an entry
+ */
+function sumPettyCash(pettyCash, direction, settings) {
+  return roundAmount(pettyCash.filter(item => item.direction === direction).reduce((sum, item) => sum + item.amount, 0), settings);
+}
+
+/**
+ * Read tender types from a list or from a Settings cell such as "Gift Card, Check (in drawer), EBT"
+ */
+function parseTenderTypes(value) {
+  if (Array.isArray(value)) {
+    return value.map(type => ({ name: String(type.name || '').trim(), drawer: Boolean(type.drawer) }));
+  }
+  return String(value || '').split(/[,;]/).map(part => part.trim()).filter(Boolean).map(part => ({
+    name: part.replace(/\s*\(\s*in drawer\s*\)$/i, '').trim(),
+    drawer: /\(\s*in drawer\s*\)$/i.test(part)
+  }));
+}
+
+/**
+ * Write tender types for the Settings sheet, e.g. "Gift Card, Check (in drawer), EBT"
+ */
+function formatTenderTypes(types) {
+  return (types || []).map(type => type.drawer ? `${type.name} (in drawer)` : type.name).join(', ');
+}
+
+/**
+ * Total sales by tender: cash, card, the configured tender types, then any tender only found on older entries
+ */
+function summarizeTenders(entries, settings) {
+  const totals = {};
+  const add = (name, drawer, amount) => {
+    const key = name.toLowerCase();
+    totals[key] = totals[key] || { name: name, drawer: drawer, amount: 0 };
+    totals[key].amount += amount || 0;
+  };
+  
+  add('Cash', true, 0);
+  add('Card', false, 0);
+  settings.tenderTypes.forEach(type => add(type.name, type.drawer, 0));
+  entries.forEach(entry => {
+    add('Cash', true, entry.cashSales);
+    add('Card', false, entry.cardSales);
+    entry.tenders.forEach(tender => add(tender.name, tender.drawer, tender.amount));
+  });
+  
+  return Object.keys(totals).map(key => ({ ...totals[key], amount: roundAmount(totals[key].amount, settings) }));
+}
+
+/**
+ * Read tax rates from a list or from a Settings cell such as "State 6.25%, City 1%"
+ */
+function parseTaxRates(value) {
+  if (Array.isArray(value)) {
+    return value.map(rate => ({ name: String(rate.name || '').trim(), rate: Number(rate.rate) }));
+  }
+  return String(value || '').split(/[,;]/).map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(.*?)\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+    return match ? { name: match[1].trim(), rate: Number(match[2]) } : { name: part, rate: NaN };
+  });
+}
+
+/**
+ * Write tax rates for the Settings sheet, e.g. "State 6.25%, City 1%"
+ */
+function formatTaxRates(rates) {
+  return (rates || []).map(rate => `${rate.name} ${rate.rate}%`).join(', ');
+}
+
+/**
+ * Total taxable sales, exempt sales and tax collected overall, by rate and by register
+ */
+function summarizeSalesTax(entries, settings) {
+  const empty = () => ({ entries: 0, taxableSales: 0, exemptSales: 0, taxCollected: 0, expectedTax: 0 });
+  const totals = empty();
+  const byRate = {};
+  const byRegister = {};
+  
+  entries.forEach(entry => {
+    const registerKey = `${entry.storeId}|${entry.registerNumber}`;
+    byRegister[registerKey] = byRegister[registerKey] || { storeId: entry.storeId, registerNumber: entry.registerNumber, ...empty() };
+    const expectedTax = entry.taxLines.reduce((sum, line) => sum + roundAmount(line.taxableSales * line.rate / 100, settings), 0);
+    
+    [totals, byRegister[registerKey]].forEach(summary => {
+      summary.entries++;
+      summary.taxableSales += entry.taxableSales;
+      summary.exemptSales += entry.exemptSales;
+      summary.taxCollected += entry.taxCollected;
+      summary.expectedTax += expectedTax;
+    });
+    
+    entry.taxLines.forEach(line => {
+      const rateKey = `${line.name}|${line.rate}`;
+      byRate[rateKey] = byRate[rateKey] || { name: line.name, rate: line.rate, ...empty() };
+      byRate[rateKey].entries++;
+      byRate[rateKey].taxableSales += line.taxableSales;
+      byRate[rateKey].taxCollected += line.taxCollected;
+      byRate[rateKey].expectedTax += roundAmount(line.taxableSales * line.rate / 100, settings);
+    });
+  });
+  
+  const finish = summary => {
+    ['taxableSales', 'exemptSales', 'taxCollected', 'expectedTax'].forEach(key => {
+      summary[key] = roundAmount(summary[key], settings);
+    });
+    summary.difference = roundAmount(summary.taxCollected - summary.expectedTax, settings);
+    return summary;
+  };
+  
+  return {
+    totals: finish(totals),
+    byRate: Object.values(byRate).map(finish),
+    byRegister: Object.values(byRegister).map(finish)
+  };
+}
+
+/**
+ * Read foreign cash tenders written by formatForeignCash
+ */
+function parseForeignCash(text, settings) {
+  return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^([A-Z]{3})\s+([\d.]+)\s*@\s*([\d.]+)$/);
+    if (!match) return null;
+    const amount = Number(match[2]);
+    const rate = Number(match[3]);
+    return { currency: match[1], amount: amount, rate: rate, baseAmount: roundAmount(amount * rate, settings) };
+  }).filter(Boolean);
+}
+
 /**
  * Run daily reconciliation
  */
@@ -408,6 +1165,111 @@ function getSalesDataForDate(date) {
   });
 }
 
+/**
+ * Get sales data between two dates (inclusive)
+ */
+function getSalesDataForRange(dateFrom, dateTo) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const salesSheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  
+  const data = salesSheet.getDataRange().getValues();
+  const headers = data[0];
+  const dateColumnIndex = headers.indexOf('Date');
+  
+  return data.slice(1)
+    .filter(row => {
+      const rowDate = Utilities.formatDate(new Date(row[dateColumnIndex]), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      return rowDate >= dateFrom && rowDate <= dateTo;
+    })
+    .map(row => {
+      const obj = {};
+      headers.forEach((header, index) => {
+        obj[header] = row[index];
+      });
+      return obj;
+    });
+}
+
+/**
+ * Build per-cashier variance scorecards from sheet rows
+ */
+function buildCashierScorecards(salesData) {
+  const scorecards = {};
+  const threshold = getAppSettings().cashDiscrepancyThreshold;
+  
+  salesData.forEach(entry => {
+    const cashierId = entry['Cashier ID'] || 'unassigned';
+    if (!scorecards[cashierId]) {
+      scorecards[cashierId] = { cashierId: cashierId, totalEntries: 0, discrepancyCount: 0, netOverShort: 0, incidents: [], weeks: {} };
+    }
+    
+    const card = scorecards[cashierId];
+    const cashDifference = entry['Cash Difference'] || 0;
+    const date = Utilities.formatDate(new Date(entry['Date']), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const week = Utilities.formatDate(new Date(entry['Date']), Session.getScriptTimeZone(), "YYYY-'W'ww");
+    
+    card.totalEntries++;
+    card.netOverShort += cashDifference;
+    card.weeks[week] = (card.weeks[week] || 0) + cashDifference;
+    
+    if (Math.abs(cashDifference) > threshold) {
+      card.discrepancyCount++;
+      card.incidents.push({ date: date, registerNumber: entry['Register Number'], cashDifference: cashDifference });
+    }
+  });
+  
+  return Object.values(scorecards).map(card => ({
+    cashierId: card.cashierId,
+    totalEntries: card.totalEntries,
+    discrepancyCount: card.discrepancyCount,
+    netOverShort: card.netOverShort,
+    worstIncidents: card.incidents
+      .sort((a, b) => Math.abs(b.cashDifference) - Math.abs(a.cashDifference))
+      .slice(0, 3),
+    trend: Object.keys(card.weeks).sort().map(week => ({ week: week, netOverShort: card.weeks[week] }))
+  })).sort((a, b) => b.discrepancyCount - a.discrepancyCount);
+}
+
+/**
+ * Send weekly summary with cashier scorecards
+ */
+function runWeeklySummary() {
+  try {
+    const settings = getAppSettings();
+    
+    if (!settings.managerEmail) {
+      Logger.log('Manager email not configured');
+      return;
+    }
+    
+    const timeZone = Session.getScriptTimeZone();
+    const end = new Date();
+    end.setDate(end.getDate() - 1);
+    const start = new Date(end);
+    start.setDate(start.getDate() - 6);
+    const dateFrom = Utilities.formatDate(start, timeZone, 'yyyy-MM-dd');
+    const dateTo = Utilities.formatDate(end, timeZone, 'yyyy-MM-dd');
+    
+    const salesData = getSalesDataForRange(dateFrom, dateTo);
+    const results = calculateReconciliation(salesData);
+    const scorecards = buildCashierScorecards(salesData);
+    
+    sendLocalizedEmail(settings, true, locale => ({
+      subject: `${translate(locale, 'email.weeklySummary')} - ${translate(locale, 'email.period', {
+        from: formatLocaleDate(start, locale),
+        to: formatLocaleDate(end, locale)
+      })}`,
+      htmlBody: generateWeeklySummaryHtml(results, scorecards, dateFrom, dateTo, locale)
+    }));
+    
+    Logger.log(`Weekly summary sent to ${settings.managerEmail}`);
+    return { success: true, scorecards: scorecards };
+  } catch (error) {
+    Logger.log('Error sending weekly summary: ' + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
 /**
  * Calculate reconciliation results
  */
@@ -418,23 +1280,32 @@ function calculateReconciliation(salesData) {
     totalSales: 0,
     cashSales: 0,
     cardSales: 0,
+    otherTenderSales: 0,
+    taxableSales: 0,
+    exemptSales: 0,
+    taxCollected: 0,
     totalDiscrepancies: 0,
     largeDiscrepancies: 0,
     totalCashDifference: 0,
     discrepancies: []
   };
+  const settings = getAppSettings();
   
   salesData.forEach(entry => {
     results.totalSales += entry['Total Sales'] || 0;
     results.cashSales += entry['Cash Sales'] || 0;
     results.cardSales += entry['Card Sales'] || 0;
+    results.otherTenderSales += entry['Other Tenders'] || 0;
+    results.taxableSales += entry['Taxable Sales'] || 0;
+    results.exemptSales += entry['Exempt Sales'] || 0;
+    results.taxCollected += entry['Tax Collected'] || 0;
     results.totalCashDifference += entry['Cash Difference'] || 0;
     
     const cashDiff = Math.abs(entry['Cash Difference'] || 0);
-    if (cashDiff > CONFIG.RECONCILIATION_RULES.CASH_DISCREPANCY_THRESHOLD) {
+    if (cashDiff > settings.cashDiscrepancyThreshold) {
       results.totalDiscrepancies++;
       
-      if (cashDiff > CONFIG.RECONCILIATION_RULES.LARGE_DISCREPANCY_THRESHOLD) {
+      if (cashDiff > settings.largeDiscrepancyThreshold) {
         results.largeDiscrepancies++;
       }
       
@@ -510,21 +1381,18 @@ function sendDailyReport(reconciliationResults) {
       return;
     }
     
-    const managerEmail = settings['Manager Email'];
-    if (!managerEmail) {
+    const appSettings = getAppSettings();
+    if (!appSettings.managerEmail) {
       Logger.log('Manager email not configured');
       return;
     }
     
-    const subject = `Daily Reconciliation Report - ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}`;
-    const htmlBody = generateDailyReportHtml(reconciliationResults);
+    sendLocalizedEmail(appSettings, true, locale => ({
+      subject: `${translate(locale, 'email.reconciliationReport')} - ${formatLocaleDate(new Date(), locale)}`,
+      htmlBody: generateDailyReportHtml(reconciliationResults, locale)
+    }));
     
-    GmailApp.sendEmail(managerEmail, subject, '', {
-      htmlBody: htmlBody,
-      cc: settings['Admin Email'] || ''
-    });
-    
-    Logger.log(`Daily report sent to ${managerEmail}`);
+    Logger.log(`Daily report sent to ${appSettings.managerEmail}`);
   } catch (error) {
     Logger.log('Error sending daily report: ' + error.toString());
   }
@@ -535,30 +1403,100 @@ function sendDailyReport(reconciliationResults) {
  */
 function sendDiscrepancyAlert(discrepancies) {
   try {
-    const settingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SETTINGS);
-    const settings = getSettings(settingsSheet);
-    
-    const managerEmail = settings['Manager Email'];
-    if (!managerEmail) {
+    const settings = getAppSettings();
+    if (!settings.managerEmail) {
       Logger.log('Manager email not configured');
       return;
     }
     
     const totalAmount = discrepancies.reduce((sum, d) => sum + Math.abs(d.cashDifference), 0);
-    const subject = `🚨 Cash Discrepancy Alert - $${totalAmount.toFixed(2)}`;
-    const htmlBody = generateDiscrepancyAlertHtml(discrepancies, totalAmount);
     
-    GmailApp.sendEmail(managerEmail, subject, '', {
-      htmlBody: htmlBody,
-      cc: settings['Admin Email'] || ''
-    });
+    sendLocalizedEmail(settings, true, locale => ({
+      subject: `🚨 ${translate(locale, 'email.discrepancyAlert')} - ${formatCurrency(totalAmount, settings, locale)}`,
+      htmlBody: generateDiscrepancyAlertHtml(discrepancies, totalAmount, locale)
+    }));
     
-    Logger.log(`Discrepancy alert sent to ${managerEmail}`);
+    Logger.log(`Discrepancy alert sent to ${settings.managerEmail}`);
   } catch (error) {
     Logger.log('Error sending discrepancy alert: ' + error.toString());
   }
 }
 
+/**
+ * Send one email per recipient language, built by buildEmail(locale) in that language.
+ * The admin is copied on the manager's email when they share a language.
+ */
+function sendLocalizedEmail(settings, includeAdmin, buildEmail) {
+  const recipients = [{ email: settings.managerEmail, locale: settings.managerLocale, cc: false }];
+  if (includeAdmin && settings.adminEmail) {
+    recipients.push({ email: settings.adminEmail, locale: settings.adminLocale, cc: true });
+  }
+  
+  const groups = {};
+  recipients.forEach(recipient => {
+    const locale = CONFIG.LOCALES[recipient.locale] ? recipient.locale : 'en';
+    groups[locale] = groups[locale] || { to: [], cc: [] };
+    groups[locale][recipient.cc ? 'cc' : 'to'].push(recipient.email);
+  });
+  
+  Object.keys(groups).forEach(locale => {
+    const group = groups[locale];
+    const email = buildEmail(locale);
+    GmailApp.sendEmail((group.to.length > 0 ? group.to : group.cc).join(','), email.subject, '', {
+      htmlBody: email.htmlBody,
+      cc: group.to.length > 0 ? group.cc.join(',') : ''
+    });
+  });
+}
+
+/**
+ * Look up email text in a language, falling back to English and then the key.
+ * {name} placeholders are filled from params.
+ */
+function translate(locale, key, params) {
+  const catalog = CONFIG.TRANSLATIONS[locale] || CONFIG.TRANSLATIONS.en;
+  const text = catalog[key] !== undefined ? catalog[key] : CONFIG.TRANSLATIONS.en[key] !== undefined ? CONFIG.TRANSLATIONS.en[key] : key;
+  return params ? text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match) : text;
+}
+
+/**
+ * Format a date in a language's date order, e.g. "2024-03-15" or "15/03/2024"
+ */
+function formatLocaleDate(value, locale) {
+  // Plain YYYY-MM-DD dates are calendar days, not UTC midnight
+  const date = value instanceof Date ? value :
+    /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(`${value}T00:00:00`) : new Date(value);
+  const format = (CONFIG.LOCALES[locale] || CONFIG.LOCALES.en).dateFormat;
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), format);
+}
+
+/**
+ * Format a date and time in a language's conventions
+ */
+function formatLocaleDateTime(value, locale) {
+  const localeConfig = CONFIG.LOCALES[locale] || CONFIG.LOCALES.en;
+  return Utilities.formatDate(value, Session.getScriptTimeZone(), `${localeConfig.dateFormat} ${localeConfig.timeFormat}`);
+}
+
+/**
+ * Format a number with a language's digit grouping and decimal separator, e.g. "1,234.5" or "1.234,5"
+ */
+function formatLocaleNumber(value, decimalPlaces, locale) {
+  const localeConfig = CONFIG.LOCALES[locale] || CONFIG.LOCALES.en;
+  const parts = Math.abs(Number(value) || 0).toFixed(decimalPlaces).split('.');
+  parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, localeConfig.group);
+  return parts.join(localeConfig.decimal);
+}
+
+/**
+ * Format a percentage out of 100 in a language's conventions, e.g. "97.5%" or "97,5 %"
+ */
+function formatLocalePercent(value, locale) {
+  const localeConfig = CONFIG.LOCALES[locale] || CONFIG.LOCALES.en;
+  const number = formatLocaleNumber(value, 1, locale);
+  return localeConfig.percent.replace('{value}', `${Number(value) < 0 ? '-' : ''}${number}`);
+}
+
 /**
  * Get settings from settings sheet
  */
@@ -574,12 +1512,208 @@ function getSettings(settingsSheet) {
 }
 
 /**
- * Generate daily report HTML
+ * Read the Settings sheet as the web app's settings, using defaults for missing rows
  */
-function generateDailyReportHtml(results) {
+function getAppSettings() {
+  const settingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SETTINGS);
+  const sheetSettings = settingsSheet ? getSettings(settingsSheet) : {};
+  const value = key => sheetSettings[CONFIG.SETTING_NAMES[key]];
+  const number = (key, fallback) => value(key) === '' || value(key) === undefined || isNaN(Number(value(key))) ?
+    fallback : Number(value(key));
+  
+  // Sheets turns typed times into dates
+  let reportTime = value('dailyReportTime');
+  if (reportTime instanceof Date) {
+    reportTime = Utilities.formatDate(reportTime, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'HH:mm');
+  }
+  
+  // Currency rows left blank follow the currency's usual conventions
+  const currency = String(value('currency') || 'USD').toUpperCase();
+  const currencyDefaults = CONFIG.CURRENCIES[currency] ||
+    { currencySymbol: currency, symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 };
+  
+  return {
+    storeName: String(value('storeName') || 'Main Store'),
+    currency: currency,
+    currencySymbol: String(value('currencySymbol') || currencyDefaults.currencySymbol),
+    symbolPosition: String(value('symbolPosition') || currencyDefaults.symbolPosition).toLowerCase(),
+    decimalPlaces: number('decimalPlaces', currencyDefaults.decimalPlaces),
+    cashRounding: number('cashRounding', currencyDefaults.cashRounding),
+    foreignCurrencies: parseCurrencyList(value('foreignCurrencies')),
+    taxRates: parseTaxRates(value('taxRates')),
+    taxTolerance: number('taxTolerance', CONFIG.RECONCILIATION_RULES.TAX_TOLERANCE),
+    tenderTypes: parseTenderTypes(value('tenderTypes')),
+    cashDiscrepancyThreshold: number('cashDiscrepancyThreshold', CONFIG.RECONCILIATION_RULES.CASH_DISCREPANCY_THRESHOLD),
+    largeDiscrepancyThreshold: number('largeDiscrepancyThreshold', CONFIG.RECONCILIATION_RULES.LARGE_DISCREPANCY_THRESHOLD),
+    maxReturnsPercentage: number('maxReturnsPercentage', CONFIG.RECONCILIATION_RULES.MAX_RETURNS_PERCENTAGE),
+    minOpeningCash: number('minOpeningCash', CONFIG.RECONCILIATION_RULES.MIN_OPENING_CASH),
+    depositTransitDays: number('depositTransitDays', CONFIG.RECONCILIATION_RULES.DEPOSIT_TRANSIT_DAYS),
+    managerEmail: String(value('managerEmail') || ''),
+    adminEmail: String(value('adminEmail') || ''),
+    managerLocale: String(value('managerLocale') || 'en').toLowerCase(),
+    adminLocale: String(value('adminLocale') || 'en').toLowerCase(),
+    dailyReportTime: String(reportTime || CONFIG.EMAIL_SETTINGS.DAILY_REPORT_TIME),
+    autoNotifications: value('autoNotifications') === undefined || String(value('autoNotifications')).toLowerCase() === 'true'
+  };
+}
+
+/**
+ * Validate settings from the web app and write them to the Settings sheet
+ */
+function saveAppSettings(input) {
+  const settings = { ...getAppSettings(), ...input };
+  const errors = [];
+  const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  
+  ['cashDiscrepancyThreshold', 'largeDiscrepancyThreshold', 'maxReturnsPercentage', 'minOpeningCash'].forEach(key => {
+    settings[key] = Number(settings[key]);
+    if (!isFinite(settings[key]) || settings[key] < 0) {
+      errors.push({ field: key, message: `${CONFIG.SETTING_NAMES[key]} must be zero or more` });
+    }
+  });
+  if (settings.largeDiscrepancyThreshold <= settings.cashDiscrepancyThreshold) {
+    errors.push({ field: 'largeDiscrepancyThreshold', message: 'Large Discrepancy Threshold must be above the Cash Discrepancy Threshold' });
+  }
+  settings.depositTransitDays = Number(settings.depositTransitDays);
+  if (!Number.isInteger(settings.depositTransitDays) || settings.depositTransitDays < 0 || settings.depositTransitDays > 30) {
+    errors.push({ field: 'depositTransitDays', message: 'Deposit Transit Days must be a whole number from 0 to 30' });
+  }
+  if (settings.maxReturnsPercentage > 100) {
+    errors.push({ field: 'maxReturnsPercentage', message: 'Max Returns Percentage cannot be over 100' });
+  }
+  if (!String(settings.storeName).trim()) {
+    errors.push({ field: 'storeName', message: 'Store Name is required' });
+  }
+  if (!/^[A-Z]{3}$/.test(settings.currency)) {
+    errors.push({ field: 'currency', message: 'Currency must be a three-letter code' });
+  }
+  if (!String(settings.currencySymbol || '').trim()) {
+    errors.push({ field: 'currencySymbol', message: 'Currency Symbol is required' });
+  }
+  if (!['before', 'after'].includes(settings.symbolPosition)) {
+    errors.push({ field: 'symbolPosition', message: 'Symbol Position must be before or after' });
+  }
+  settings.decimalPlaces = Number(settings.decimalPlaces);
+  if (!Number.isInteger(settings.decimalPlaces) || settings.decimalPlaces < 0 || settings.decimalPlaces > 3) {
+    errors.push({ field: 'decimalPlaces', message: 'Decimal Places must be a whole number from 0 to 3' });
+  }
+  settings.cashRounding = Number(settings.cashRounding);
+  if (!isFinite(settings.cashRounding) || settings.cashRounding < 0) {
+    errors.push({ field: 'cashRounding', message: 'Cash Rounding must be zero or more' });
+  }
+  settings.foreignCurrencies = parseCurrencyList(settings.foreignCurrencies);
+  if (settings.foreignCurrencies.some(code => !/^[A-Z]{3}$/.test(code) || code === settings.currency)) {
+    errors.push({ field: 'foreignCurrencies', message: 'Foreign Currencies must be three-letter codes other than the Currency' });
+  }
+  // Names may not contain the separators formatTaxLines and formatTenders write entries with
+  settings.taxRates = parseTaxRates(settings.taxRates);
+  if (settings.taxRates.some((rate, index) => !rate.name || /[:;]/.test(rate.name) ||
+      !isFinite(rate.rate) || rate.rate < 0 || rate.rate > 100 ||
+      settings.taxRates.findIndex(other => other.name.toLowerCase() === rate.name.toLowerCase()) !== index)) {
+    errors.push({ field: 'taxRates', message: 'Tax Rates need a name without ":" or ";" and a percentage from 0 to 100, each name used once' });
+  }
+  settings.taxTolerance = Number(settings.taxTolerance);
+  if (!isFinite(settings.taxTolerance) || settings.taxTolerance < 0) {
+    errors.push({ field: 'taxTolerance', message: 'Tax Tolerance must be zero or more' });
+  }
+  settings.tenderTypes = parseTenderTypes(settings.tenderTypes);
+  if (settings.tenderTypes.some((type, index) => !type.name || /[:;]/.test(type.name) ||
+      ['cash', 'card'].includes(type.name.toLowerCase()) ||
+      settings.tenderTypes.findIndex(other => other.name.toLowerCase() === type.name.toLowerCase()) !== index)) {
+    errors.push({ field: 'tenderTypes', message: 'Tender Types need a name without ":" or ";" other than Cash or Card, each name used once' });
+  }
+  ['managerEmail', 'adminEmail'].forEach(key => {
+    if (settings[key] && !emailPattern.test(settings[key])) {
+      errors.push({ field: key, message: `${CONFIG.SETTING_NAMES[key]} is not a valid address` });
+    }
+  });
+  ['managerLocale', 'adminLocale'].forEach(key => {
+    settings[key] = String(settings[key] || '').toLowerCase();
+    if (!CONFIG.LOCALES[settings[key]]) {
+      errors.push({ field: key, message: `${CONFIG.SETTING_NAMES[key]} must be one of ${Object.keys(CONFIG.LOCALES).join(', ')}` });
+    }
+  });
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.dailyReportTime)) {
+    errors.push({ field: 'dailyReportTime', message: 'Daily Report Time must be HH:mm' });
+  }
+  
+  if (errors.length > 0) {
+    throw createApiError('VALIDATION_FAILED', 'Settings are invalid', { errors: errors });
+  }
+  
+  const settingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SETTINGS);
+  const names = settingsSheet.getRange(1, 1, settingsSheet.getLastRow(), 1).getValues().map(row => row[0]);
+  
+  Object.keys(CONFIG.SETTING_NAMES).forEach(key => {
+    const name = CONFIG.SETTING_NAMES[key];
+    const value = key === 'taxRates' ? formatTaxRates(settings[key]) :
+      key === 'tenderTypes' ? formatTenderTypes(settings[key]) :
+      Array.isArray(settings[key]) ? settings[key].join(', ') :
+      typeof settings[key] === 'string' ? settings[key].trim() : settings[key];
+    const rowIndex = names.indexOf(name) + 1;
+    
+    // Sheets set up before a setting existed gain its row
+    if (rowIndex === 0) {
+      settingsSheet.appendRow([name, '', '']);
+      names.push(name);
+    }
+    settingsSheet.getRange(rowIndex || names.length, 2).setValue(value);
+  });
+  
+  Logger.log('Settings saved from the web app');
+  return getAppSettings();
+}
+
+/**
+ * Read a list of currency codes from an array or a comma-separated Settings cell
+ */
+function parseCurrencyList(value) {
+  const codes = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  return codes.map(code => String(code).trim().toUpperCase()).filter((code, index, all) => code && all.indexOf(code) === index);
+}
+
+/**
+ * Format an amount with the store currency's symbol and decimal places, e.g. "$1,234.50" or "1,234.50 €".
+ * Digit grouping and the decimal separator follow the email language, English by default.
+ */
+function formatCurrency(amount, settings, locale) {
+  const value = Number(amount) || 0;
+  const number = formatLocaleNumber(value, settings.decimalPlaces, locale || 'en');
+  const sign = value < 0 && Number(number.replace(/[^\d]/g, '')) !== 0 ? '-' : '';
+  
+  // Letter symbols such as CHF are kept apart from the number
+  const symbol = settings.currencySymbol;
+  return settings.symbolPosition === 'after' ?
+    `${sign}${number} ${symbol}` :
+    `${sign}${symbol}${/[A-Za-z]$/.test(symbol) ? ' ' : ''}${number}`;
+}
+
+/**
+ * Round an amount to the store currency's decimal places
+ */
+function roundAmount(amount, settings) {
+  const factor = Math.pow(10, settings.decimalPlaces);
+  return Math.round(Number(((Number(amount) || 0) * factor).toPrecision(12))) / factor;
+}
+
+/**
+ * Round an amount to the smallest unit handled in cash, e.g. 0.05 where pennies are not used
+ */
+function roundCash(amount, settings) {
+  const increment = settings.cashRounding > 0 ? settings.cashRounding : Math.pow(10, -settings.decimalPlaces);
+  return roundAmount(Math.round(Number(((Number(amount) || 0) / increment).toPrecision(12))) * increment, settings);
+}
+
+/**
+ * Generate daily report HTML in an email language
+ */
+function generateDailyReportHtml(results, locale = 'en') {
+  const currency = getAppSettings();
+  const t = (key, params) => translate(locale, key, params);
+  
   return `
     <!DOCTYPE html>
-    <html>
+    <html lang="${locale}">
     <head>
       <style>
         body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
@@ -594,41 +1728,41 @@ function generateDailyReportHtml(results) {
     <body>
       <div class="container">
         <div class="header">
-          <h1>📊 Daily Reconciliation Report</h1>
-          <p>Sales & Cash Reconciliation Summary for ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}</p>
+          <h1>📊 ${t('email.reconciliationReport')}</h1>
+          <p>${t('email.reconciliationIntro', { date: formatLocaleDate(new Date(), locale) })}</p>
         </div>
         
         <div class="metrics">
           <div class="metric">
-            <div class="metric-value">$${results.totalSales.toFixed(2)}</div>
-            <div class="metric-label">Total Sales</div>
+            <div class="metric-value">${formatCurrency(results.totalSales, currency, locale)}</div>
+            <div class="metric-label">${t('email.totalSales')}</div>
           </div>
           <div class="metric">
             <div class="metric-value">${results.totalEntries}</div>
-            <div class="metric-label">Transactions</div>
+            <div class="metric-label">${t('email.transactions')}</div>
           </div>
           <div class="metric">
             <div class="metric-value">${results.totalDiscrepancies}</div>
-            <div class="metric-label">Discrepancies</div>
+            <div class="metric-label">${t('email.discrepancies')}</div>
           </div>
           <div class="metric">
-            <div class="metric-value">${results.reconciliationAccuracy.toFixed(1)}%</div>
-            <div class="metric-label">Accuracy</div>
+            <div class="metric-value">${formatLocalePercent(results.reconciliationAccuracy, locale)}</div>
+            <div class="metric-label">${t('email.accuracy')}</div>
           </div>
         </div>
         
-        <h3>Status: <span class="status-${results.status}">${results.status.toUpperCase()}</span></h3>
+        <h3>${t('email.status')}: <span class="status-${results.status}">${t(`status.${results.status}`).toUpperCase()}</span></h3>
         
         ${results.discrepancies.length > 0 ? `
-          <h4>Discrepancies Requiring Attention:</h4>
+          <h4>${t('email.discrepanciesAttention')}</h4>
           <ul>
             ${results.discrepancies.map(d => `
-              <li>${d.registerNumber} on ${Utilities.formatDate(new Date(d.date), Session.getScriptTimeZone(), 'yyyy-MM-dd')}: $${d.cashDifference.toFixed(2)}</li>
+              <li>${t('email.registerOnDate', { register: d.registerNumber, date: formatLocaleDate(d.date, locale) })}: ${formatCurrency(d.cashDifference, currency, locale)}</li>
             `).join('')}
           </ul>
-        ` : '<p>✅ No discrepancies detected today!</p>'}
+        ` : `<p>${t('email.noDiscrepanciesToday')}</p>`}
         
-        <p><small>Generated automatically at ${new Date().toLocaleString()}</small></p>
+        <p><small>${t('email.generatedAt', { timestamp: formatLocaleDateTime(new Date(), locale) })}</small></p>
       </div>
     </body>
     </html>
@@ -636,12 +1770,15 @@ function generateDailyReportHtml(results) {
 }
 
 /**
- * Generate discrepancy alert HTML
+ * Generate discrepancy alert HTML in an email language
  */
-function generateDiscrepancyAlertHtml(discrepancies, totalAmount) {
+function generateDiscrepancyAlertHtml(discrepancies, totalAmount, locale = 'en') {
+  const currency = getAppSettings();
+  const t = (key, params) => translate(locale, key, params);
+  
   return `
     <!DOCTYPE html>
-    <html>
+    <html lang="${locale}">
     <head>
       <style>
         body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #fff3cd; }
@@ -653,23 +1790,76 @@ function generateDiscrepancyAlertHtml(discrepancies, totalAmount) {
     <body>
       <div class="container">
         <div class="header">
-          <h1>🚨 Cash Discrepancy Alert</h1>
-          <h2>Total Discrepancy: $${totalAmount.toFixed(2)}</h2>
+          <h1>🚨 ${t('email.discrepancyAlert')}</h1>
+          <h2>${t('email.totalDiscrepancy', { amount: formatCurrency(totalAmount, currency, locale) })}</h2>
         </div>
         
         <div class="alert">
-          <strong>Immediate Attention Required:</strong> ${discrepancies.length} discrepancies detected that exceed the threshold.
+          <strong>${t('email.immediateAttention')}</strong> ${t('email.discrepanciesExceed', { count: discrepancies.length })}
         </div>
         
-        <h3>Discrepancy Details:</h3>
+        <h3>${t('email.discrepancyDetails')}</h3>
         <ul>
           ${discrepancies.map(d => `
-            <li><strong>${d.registerNumber}</strong> on ${Utilities.formatDate(new Date(d.date), Session.getScriptTimeZone(), 'yyyy-MM-dd')}: $${d.cashDifference.toFixed(2)}</li>
+            <li>${t('email.registerOnDate', { register: `<strong>${d.registerNumber}</strong>`, date: formatLocaleDate(d.date, locale) })}${d.cashierId ? ` ${t('email.byCashier', { cashier: d.cashierId })}` : ''}: ${formatCurrency(d.cashDifference, currency, locale)}</li>
           `).join('')}
         </ul>
         
-        <p><strong>Action Required:</strong> Please investigate these discrepancies immediately and take corrective action.</p>
-        <p><small>Alert generated at ${new Date().toLocaleString()}</small></p>
+        <p><strong>${t('email.actionRequired')}</strong> ${t('email.investigateImmediately')}</p>
+        <p><small>${t('email.alertGeneratedAt', { timestamp: formatLocaleDateTime(new Date(), locale) })}</small></p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generate weekly summary HTML in an email language
+ */
+function generateWeeklySummaryHtml(results, scorecards, dateFrom, dateTo, locale = 'en') {
+  const currency = getAppSettings();
+  const t = (key, params) => translate(locale, key, params);
+  
+  return `
+    <!DOCTYPE html>
+    <html lang="${locale}">
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
+        .container { max-width: 800px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .header { background-color: #6f42c1; color: white; padding: 20px; margin: -30px -30px 30px -30px; border-radius: 8px 8px 0 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { padding: 10px; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+        th { background-color: #f8f9fa; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📅 ${t('email.weeklySummary')}</h1>
+          <p>${t('email.period', { from: formatLocaleDate(dateFrom, locale), to: formatLocaleDate(dateTo, locale) })}</p>
+        </div>
+        
+        <p><strong>${t('email.totalSales')}:</strong> ${formatCurrency(results.totalSales, currency, locale)} &middot;
+           <strong>${t('email.entries')}:</strong> ${results.totalEntries} &middot;
+           <strong>${t('email.discrepancies')}:</strong> ${results.totalDiscrepancies} &middot;
+           <strong>${t('email.accuracy')}:</strong> ${formatLocalePercent(results.reconciliationAccuracy, locale)}</p>
+        
+        <h3>${t('email.cashierScorecards')}</h3>
+        <table>
+          <tr><th>${t('email.cashier')}</th><th>${t('email.discrepancies')}</th><th>${t('email.netOverShort')}</th><th>${t('email.worstIncidents')}</th><th>${t('email.trend')}</th></tr>
+          ${scorecards.map(card => `
+            <tr>
+              <td>${card.cashierId}</td>
+              <td>${card.discrepancyCount} / ${card.totalEntries}</td>
+              <td>${formatCurrency(card.netOverShort, currency, locale)}</td>
+              <td>${card.worstIncidents.map(i => `${formatLocaleDate(i.date, locale)} ${i.registerNumber}: ${formatCurrency(i.cashDifference, currency, locale)}`).join('<br>') || '-'}</td>
+              <td>${card.trend.map(week => `${formatCurrency(week.netOverShort, currency, locale)}`).join(' &rarr; ')}</td>
+            </tr>
+          `).join('')}
+        </table>
+        
+        <p><small>${t('email.generatedAt', { timestamp: formatLocaleDateTime(new Date(), locale) })}</small></p>
       </div>
     </body>
     </html>
@@ -694,10 +1884,20 @@ function onSalesDataSubmission(e) {
       cardSales: parseFloat(formData[5]) || 0,
       returnsRefunds: parseFloat(formData[6]) || 0,
       cashDrops: parseFloat(formData[7]) || 0,
-      closingCash: parseFloat(formData[8]) || 0
+      closingCash: parseFloat(formData[8]) || 0,
+      cashierId: (formData[9] || '').toString().trim().toUpperCase()
     };
     
-    addSalesEntry(salesData);
+    const result = addSalesEntry(salesData);
+    if (result.success) {
+      appendAuditRecords([createAuditRecord({
+        action: 'create',
+        after: getSalesEntryById(result.entryId),
+        reasonCode: 'initial_entry',
+        user: salesData.cashierId || 'Google Form',
+        source: 'form'
+      })]);
+    }
   } catch (error) {
     Logger.log('Error handling form submission: ' + error.toString());
   }
@@ -714,6 +1914,7 @@ function onSpreadsheetEdit(e) {
     // If edit is in Sales_Data sheet, update calculations
     if (sheet.getName() === CONFIG.SHEET_NAMES.SALES_DATA) {
       updateCalculatedFields(sheet, range);
+      logSheetEdit(e);
     }
   } catch (error) {
     Logger.log('Error handling spreadsheet edit: ' + error.toString());
@@ -728,18 +1929,47 @@ function updateCalculatedFields(sheet, range) {
   if (row === 1) return; // Skip header row
   
   const rowData = sheet.getRange(row, 1, 1, 14).getValues()[0];
+  const settings = getAppSettings();
   
   // Calculate expected cash and cash difference
   const openingCash = rowData[3] || 0;
   const cashSales = rowData[4] || 0;
-  const returnsRefunds = rowData[6] || 0;
+  let returnsRefunds = rowData[6] || 0;
   const cashDrops = rowData[7] || 0;
   const closingCash = rowData[8] || 0;
   
-  const expectedCash = openingCash + cashSales - returnsRefunds - cashDrops;
-  const cashDifference = closingCash - expectedCash;
-  const totalSales = cashSales + (rowData[5] || 0); // Cash + Card sales
-  const status = Math.abs(cashDifference) <= CONFIG.RECONCILIATION_RULES.CASH_DISCREPANCY_THRESHOLD ? 'balanced' : 'discrepancy';
+  // Foreign cash is revalued from the tenders, so an edited amount or rate flows through
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const foreignCashColumn = headers.indexOf('Foreign Cash') + 1;
+  const foreignCash = foreignCashColumn > 0 ? parseForeignCash(sheet.getRange(row, foreignCashColumn).getValue(), settings) : [];
+  const foreignCashValue = roundAmount(foreignCash.reduce((sum, tender) => sum + tender.baseAmount, 0), settings);
+  
+  // Other tenders are totalled from Tender Detail; those kept in the drawer count towards the cash
+  const tenderDetailColumn = headers.indexOf('Tender Detail') + 1;
+  const tenders = tenderDetailColumn > 0 ? parseTenders(sheet.getRange(row, tenderDetailColumn).getValue()) : [];
+  const otherTenderSales = roundAmount(tenders.reduce((sum, tender) => sum + tender.amount, 0), settings);
+  const drawerTenderSales = roundAmount(tenders.filter(tender => tender.drawer).reduce((sum, tender) => sum + tender.amount, 0), settings);
+  
+  // Refunds split by tender in Refund Detail give the total; only those paid from the drawer count towards the cash
+  const refundDetailColumn = headers.indexOf('Refund Detail') + 1;
+  const refunds = refundDetailColumn > 0 ? parseTenders(sheet.getRange(row, refundDetailColumn).getValue()) : [];
+  let drawerRefunds = returnsRefunds;
+  if (refunds.length > 0) {
+    returnsRefunds = roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0), settings);
+    drawerRefunds = roundAmount(refunds.filter(refund => refund.drawer).reduce((sum, refund) => sum + refund.amount, 0), settings);
+    sheet.getRange(row, 7).setValue(returnsRefunds); // Returns & Refunds
+  }
+  
+  // Paid-outs and paid-ins are totalled from Petty Cash Detail
+  const pettyCashColumn = headers.indexOf('Petty Cash Detail') + 1;
+  const pettyCash = pettyCashColumn > 0 ? parsePettyCash(sheet.getRange(row, pettyCashColumn).getValue()) : [];
+  const paidOuts = sumPettyCash(pettyCash, 'out', settings);
+  const paidIns = sumPettyCash(pettyCash, 'in', settings);
+  
+  const expectedCash = roundCash(openingCash + cashSales + drawerTenderSales + paidIns - drawerRefunds - paidOuts - cashDrops, settings);
+  const cashDifference = roundAmount(closingCash + foreignCashValue - expectedCash, settings);
+  const totalSales = roundAmount(cashSales + (rowData[5] || 0) + otherTenderSales, settings); // Cash + Card + other tenders
+  const status = Math.abs(cashDifference) <= settings.cashDiscrepancyThreshold ? 'balanced' : 'discrepancy';
   
   // Update calculated columns
   sheet.getRange(row, 10).setValue(expectedCash); // Expected Cash
@@ -747,6 +1977,26 @@ function updateCalculatedFields(sheet, range) {
   sheet.getRange(row, 12).setValue(totalSales); // Total Sales
   sheet.getRange(row, 13).setValue(status); // Status
   sheet.getRange(row, 14).setValue(new Date()); // Timestamp
+  if (foreignCashColumn > 0) {
+    sheet.getRange(row, headers.indexOf('Foreign Cash Value') + 1).setValue(foreignCashValue);
+  }
+  if (tenderDetailColumn > 0) {
+    sheet.getRange(row, headers.indexOf('Other Tenders') + 1).setValue(otherTenderSales);
+  }
+  if (pettyCashColumn > 0) {
+    sheet.getRange(row, headers.indexOf('Paid Outs') + 1).setValue(paidOuts);
+    sheet.getRange(row, headers.indexOf('Paid Ins') + 1).setValue(paidIns);
+  }
+  
+  // Taxable sales and tax collected are the totals of the rates in Tax Detail
+  const taxDetailColumn = headers.indexOf('Tax Detail') + 1;
+  if (taxDetailColumn > 0) {
+    const taxLines = parseTaxLines(sheet.getRange(row, taxDetailColumn).getValue());
+    sheet.getRange(row, headers.indexOf('Taxable Sales') + 1)
+      .setValue(roundAmount(taxLines.reduce((sum, line) => sum + line.taxableSales, 0), settings));
+    sheet.getRange(row, headers.indexOf('Tax Collected') + 1)
+      .setValue(roundAmount(taxLines.reduce((sum, line) => sum + line.taxCollected, 0), settings));
+  }
 }
 
 /**
@@ -766,9 +2016,13 @@ function exportData(dateFrom, dateTo) {
       return rowDate >= new Date(dateFrom) && rowDate <= new Date(dateTo);
     });
     
+    const settings = getAppSettings();
+    
     return {
       headers: headers,
       data: filteredData,
+      taxSummary: summarizeSalesTax(filteredData.map(row => rowToSalesEntry(headers, row, settings)), settings),
+      tenderSales: summarizeTenders(filteredData.map(row => rowToSalesEntry(headers, row, settings)), settings),
       summary: calculateReconciliation(filteredData.map(row => {
         const obj = {};
         headers.forEach((header, index) => {
@@ -828,3 +2082,1243 @@ function testEmailConfiguration() {
     return { success: false, error: error.toString() };
   }
 }
+
+/**
+ * Handle GET requests to the deployed web app API
+ */
+function doGet(e) {
+  return handleApiRequest('GET', (e && e.parameter) || {});
+}
+
+/**
+ * Handle POST requests to the deployed web app API
+ */
+function doPost(e) {
+  let request;
+  try {
+    request = JSON.parse((e && e.postData && e.postData.contents) || '{}');
+  } catch (error) {
+    return createJsonResponse(createApiErrorBody(createApiError('BAD_REQUEST', 'Request body must be valid JSON')));
+  }
+  
+  return handleApiRequest('POST', request);
+}
+
+/**
+ * API actions by HTTP method
+ */
+function getApiRoutes() {
+  return {
+    // GET requests put their parameters in the URL, where they end up in logs and browser history,
+    // so only actions that need no token are answered over GET
+    GET: {
+      'ping': () => ({ status: 'ok' })
+    },
+    POST: {
+      'entries.list': apiListEntries,
+      'entries.get': apiGetEntry,
+      'export': apiExportData,
+      'settings.get': apiGetSettings,
+      'periods.list': apiListPeriodCloses,
+      'registers.list': () => ({ registers: getRegisterRoster() }),
+      'entries.create': apiCreateEntry,
+      'entries.update': apiUpdateEntry,
+      'entries.delete': apiDeleteEntry,
+      'reconciliation.run': apiRunReconciliation,
+      'periods.close': apiClosePeriod,
+      'settings.update': request => ({ settings: saveAppSettings(request.settings || {}) }),
+      'sync.push': request => pushSyncChanges(requireArray(request, 'changes'), request.auditRecords || [],
+        request.periodCloses || [], request.registers || null, request.settings || null),
+      'sync.pull': request => pullSyncChanges(request.since)
+    }
+  };
+}
+
+/**
+ * Authenticate and dispatch an API request, always answering with JSON.
+ * The token is only read from POST bodies.
+ */
+function handleApiRequest(method, request) {
+  try {
+    if (method === 'POST') {
+      requireApiToken(request);
+    }
+    
+    const routes = getApiRoutes()[method];
+    const handler = routes[request.action];
+    if (!handler) {
+      throw createApiError('UNKNOWN_ACTION', `Unknown ${method} action: ${request.action}`, {
+        actions: Object.keys(routes)
+      });
+    }
+    
+    return createJsonResponse({ success: true, data: handler(request) });
+  } catch (error) {
+    if (!error.code) {
+      Logger.log(`Error handling API ${method} ${request.action}: ` + error.toString());
+    }
+    return createJsonResponse(createApiErrorBody(error));
+  }
+}
+
+/**
+ * Check the API token sent with a request
+ */
+function requireApiToken(request) {
+  if (!CONFIG.API_TOKEN) {
+    throw createApiError('UNAUTHORIZED', 'API is disabled until the API_TOKEN script property is set');
+  }
+  if (request.token !== CONFIG.API_TOKEN) {
+    throw createApiError('UNAUTHORIZED', 'Missing or invalid API token');
+  }
+}
+
+/**
+ * Create an error carrying an API error code and optional details
+ */
+function createApiError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details || null;
+  return error;
+}
+
+/**
+ * Build the JSON body for a failed API request
+ */
+function createApiErrorBody(error) {
+  return {
+    success: false,
+    error: {
+      code: error.code || 'INTERNAL_ERROR',
+      message: error.message || error.toString(),
+      details: error.details || null
+    }
+  };
+}
+
+/**
+ * Wrap a result as a JSON text response
+ */
+function createJsonResponse(data) {
+  return ContentService.createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Read a required yyyy-MM-dd date parameter
+ */
+function requireDate(request, name) {
+  const value = request[name];
+  if (!isValidDateString(value)) {
+    throw createApiError('VALIDATION_FAILED', `${name} must be a date in yyyy-MM-dd format`, { field: name });
+  }
+  return value;
+}
+
+/**
+ * Read a required string parameter
+ */
+function requireString(request, name) {
+  const value = request[name];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw createApiError('VALIDATION_FAILED', `${name} is required`, { field: name });
+  }
+  return value.trim();
+}
+
+/**
+ * Read a required array parameter
+ */
+function requireArray(request, name) {
+  if (!Array.isArray(request[name])) {
+    throw createApiError('VALIDATION_FAILED', `${name} must be an array`, { field: name });
+  }
+  return request[name];
+}
+
+/**
+ * Check a yyyy-MM-dd date string
+ */
+function isValidDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate and normalize a sales entry received through the API
+ * (entries synced from before cashier tracking may lack a cashier)
+ */
+function validateSalesEntryInput(input, requireCashier = true) {
+  const errors = [];
+  const entry = {
+    storeId: input.storeId ? String(input.storeId).trim() : '',
+    date: input.date,
+    registerNumber: input.registerNumber ? String(input.registerNumber).trim() : '',
+    shiftNumber: input.shiftNumber === undefined || input.shiftNumber === '' ? 1 : Number(input.shiftNumber),
+    cashierId: input.cashierId ? String(input.cashierId).trim().toUpperCase() : '',
+    openingCount: input.openingCount || null,
+    closingCount: input.closingCount || null,
+    foreignCash: [],
+    taxLines: [],
+    tenders: [],
+    refunds: Array.isArray(input.refunds) ? [] : null,
+    refundReasons: {},
+    pettyCash: []
+  };
+  
+  if (!isValidDateString(entry.date)) errors.push({ field: 'date', message: 'Date must be in yyyy-MM-dd format' });
+  if (!entry.registerNumber) {
+    errors.push({ field: 'registerNumber', message: 'Register number is required' });
+  } else if (!getRegisterRoster().some(register => register.id === entry.registerNumber)) {
+    errors.push({ field: 'registerNumber', message: `Register ${entry.registerNumber} is not on the Registers sheet` });
+  }
+  if (requireCashier && !entry.cashierId) errors.push({ field: 'cashierId', message: 'Cashier ID is required' });
+  if (!Number.isInteger(entry.shiftNumber) || entry.shiftNumber < 1) {
+    errors.push({ field: 'shiftNumber', message: 'Shift must be a whole number of 1 or more' });
+  }
+  
+  ['openingCash', 'cashSales', 'cardSales', 'exemptSales', 'returnsRefunds', 'cashDrops', 'closingCash'].forEach(field => {
+    const value = input[field] === undefined || input[field] === '' ? 0 : Number(input[field]);
+    if (!isFinite(value)) {
+      errors.push({ field: field, message: `${field} must be a number` });
+    } else if (value < 0) {
+      errors.push({ field: field, message: `${field} cannot be negative` });
+    }
+    entry[field] = value;
+  });
+  
+  const denominationKeys = getDenominations().map(d => d.key);
+  ['openingCount', 'closingCount'].forEach(field => {
+    const counts = entry[field];
+    if (!counts) return;
+    
+    if (typeof counts !== 'object' || Array.isArray(counts)) {
+      errors.push({ field: field, message: `${field} must map denominations to quantities` });
+      return;
+    }
+    Object.keys(counts).forEach(key => {
+      if (!denominationKeys.includes(key)) {
+        errors.push({ field: field, message: `Unknown denomination: ${key}` });
+      } else if (!Number.isInteger(Number(counts[key])) || Number(counts[key]) < 0) {
+        errors.push({ field: field, message: `${key} must be a whole number of 0 or more` });
+      }
+    });
+  });
+  
+  // Foreign cash carries the rate it was valued at in the web app
+  const settings = getAppSettings();
+  const accepted = parseCurrencyList(settings.foreignCurrencies);
+  (Array.isArray(input.foreignCash) ? input.foreignCash : []).forEach(tender => {
+    const currency = String(tender.currency || '').toUpperCase();
+    const amount = Number(tender.amount);
+    const rate = Number(tender.rate);
+    if (!accepted.includes(currency)) {
+      errors.push({ field: 'foreignCash', message: `${currency || 'Currency'} is not accepted as foreign cash` });
+    } else if (!isFinite(amount) || amount < 0) {
+      errors.push({ field: 'foreignCash', message: `${currency} amount must be zero or more` });
+    } else if (!isFinite(rate) || rate <= 0) {
+      errors.push({ field: 'foreignCash', message: `${currency} needs an exchange rate above zero` });
+    } else if (amount > 0) {
+      entry.foreignCash.push({ currency: currency, amount: amount, rate: rate, baseAmount: roundAmount(amount * rate, settings) });
+    }
+  });
+  
+  // Tax lines carry the rate they were collected at in the web app
+  (Array.isArray(input.taxLines) ? input.taxLines : []).forEach(line => {
+    const name = String(line.name || '').trim();
+    const rate = Number(line.rate);
+    const taxableSales = Number(line.taxableSales);
+    const taxCollected = Number(line.taxCollected);
+    if (!name || !isFinite(rate) || rate < 0 || rate > 100) {
+      errors.push({ field: 'taxLines', message: 'Tax lines need a name and a rate from 0 to 100' });
+    } else if (!isFinite(taxableSales) || taxableSales < 0 || !isFinite(taxCollected) || taxCollected < 0) {
+      errors.push({ field: 'taxLines', message: `${name} taxable sales and tax collected must be zero or more` });
+    } else {
+      entry.taxLines.push({ name: name, rate: rate, taxableSales: taxableSales, taxCollected: taxCollected });
+    }
+  });
+  
+  // Other tenders carry whether they were kept in the drawer when the entry was made
+  (Array.isArray(input.tenders) ? input.tenders : []).forEach(tender => {
+    const name = String(tender.name || '').trim();
+    const amount = Number(tender.amount);
+    if (!name || ['cash', 'card'].includes(name.toLowerCase())) {
+      errors.push({ field: 'tenders', message: 'Tenders need a name other than Cash or Card' });
+    } else if (!isFinite(amount) || amount < 0) {
+      errors.push({ field: 'tenders', message: `${name} sales must be zero or more` });
+    } else if (amount > 0) {
+      entry.tenders.push({ name: name, drawer: Boolean(tender.drawer), amount: amount });
+    }
+  });
+  
+  // Refunds by tender replace the single refund amount; without them every refund is taken as cash
+  (entry.refunds ? input.refunds : []).forEach(refund => {
+    const name = String(refund.name || '').trim();
+    const amount = Number(refund.amount);
+    if (!name) {
+      errors.push({ field: 'refunds', message: 'Refunds need the name of the tender they were paid in' });
+    } else if (!isFinite(amount) || amount < 0) {
+      errors.push({ field: 'refunds', message: `${name} refunds must be zero or more` });
+    } else if (amount > 0) {
+      entry.refunds.push({ name: name, drawer: Boolean(refund.drawer), amount: amount });
+    }
+  });
+  if (entry.refunds) {
+    entry.returnsRefunds = roundAmount(entry.refunds.reduce((sum, refund) => sum + refund.amount, 0), settings);
+  }
+  entry.refundCount = input.refundCount === undefined || input.refundCount === '' ? 0 : Number(input.refundCount);
+  if (!Number.isInteger(entry.refundCount) || entry.refundCount < 0) {
+    errors.push({ field: 'refundCount', message: 'Refund count must be a whole number of 0 or more' });
+  }
+  Object.keys(input.refundReasons || {}).forEach(code => {
+    const count = Number(input.refundReasons[code]);
+    if (!CONFIG.REFUND_REASON_CODES.includes(code)) {
+      errors.push({ field: 'refundReasons', message: `Unknown refund reason: ${code}` });
+    } else if (!Number.isInteger(count) || count < 0) {
+      errors.push({ field: 'refundReasons', message: `${code} must be a whole number of 0 or more` });
+    } else if (count > 0) {
+      entry.refundReasons[code] = count;
+    }
+  });
+  if (Object.values(entry.refundReasons).reduce((sum, count) => sum + count, 0) > entry.refundCount) {
+    errors.push({ field: 'refundReasons', message: 'Refunds by reason add up to more than the refund count' });
+  }
+  
+  // Every paid-out and paid-in needs a category, an amount and who approved it
+  (Array.isArray(input.pettyCash) ? input.pettyCash : []).forEach((item, index) => {
+    const direction = item.direction === 'in' ? 'in' : 'out';
+    const label = `${direction === 'in' ? 'Paid-in' : 'Paid-out'} ${index + 1}`;
+    const amount = Number(item.amount);
+    const approvedBy = String(item.approvedBy || '').trim().toUpperCase();
+    if (!CONFIG.PETTY_CASH_CATEGORIES[direction].includes(item.category)) {
+      errors.push({ field: 'pettyCash', message: `${label} has an unknown category: ${item.category}` });
+    } else if (!isFinite(amount) || amount <= 0) {
+      errors.push({ field: 'pettyCash', message: `${label} amount must be more than zero` });
+    } else if (!approvedBy) {
+      errors.push({ field: 'pettyCash', message: `${label} needs who approved it` });
+    } else {
+      entry.pettyCash.push({
+        direction: direction,
+        category: item.category,
+        amount: amount,
+        receipt: String(item.receipt || '').trim(),
+        approvedBy: approvedBy
+      });
+    }
+  });
+  
+  if (errors.length > 0) {
+    throw createApiError('VALIDATION_FAILED', 'Sales entry is invalid', { errors: errors });
+  }
+  
+  return entry;
+}
+
+/**
+ * Read the reason code, note and user an edit or delete must carry
+ */
+function requireAuditReason(request) {
+  const reasonCode = requireString(request, 'reasonCode');
+  if (!CONFIG.AUDIT_REASON_CODES.includes(reasonCode)) {
+    throw createApiError('VALIDATION_FAILED', `Unknown reasonCode: ${reasonCode}`, {
+      field: 'reasonCode',
+      allowed: CONFIG.AUDIT_REASON_CODES
+    });
+  }
+  
+  const note = request.note ? String(request.note).trim() : '';
+  if (reasonCode === 'other' && !note) {
+    throw createApiError('VALIDATION_FAILED', 'note is required when reasonCode is other', { field: 'note' });
+  }
+  
+  return { reasonCode: reasonCode, note: note, user: requireString(request, 'user') };
+}
+
+/**
+ * Read an entry by ID, or null when absent
+ */
+function getSalesEntryById(entryId) {
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const rowIndex = findSalesRowIndex(salesSheet, entryId);
+  if (!rowIndex) return null;
+  
+  const headers = salesSheet.getRange(1, 1, 1, salesSheet.getLastColumn()).getValues()[0];
+  const row = salesSheet.getRange(rowIndex, 1, 1, headers.length).getValues()[0];
+  return rowToSalesEntry(headers, row);
+}
+
+/**
+ * POST entries.list - entries between two dates, optionally for one store
+ */
+function apiListEntries(request) {
+  const dateFrom = requireDate(request, 'from');
+  const dateTo = requireDate(request, 'to');
+  
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const data = salesSheet.getDataRange().getValues();
+  const headers = data[0];
+  const settings = getAppSettings();
+  
+  const entries = data.slice(1)
+    .filter(row => row[0])
+    .map(row => rowToSalesEntry(headers, row, settings))
+    .filter(entry => entry.date >= dateFrom && entry.date <= dateTo)
+    .filter(entry => !request.storeId || entry.storeId === request.storeId);
+  
+  return { entries: entries, count: entries.length };
+}
+
+/**
+ * POST entries.get - a single entry
+ */
+function apiGetEntry(request) {
+  const entryId = requireString(request, 'id');
+  const entry = getSalesEntryById(entryId);
+  if (!entry) {
+    throw createApiError('NOT_FOUND', `Entry ${entryId} not found`);
+  }
+  return { entry: entry };
+}
+
+/**
+ * POST export - raw rows and a reconciliation summary for a date range
+ */
+function apiExportData(request) {
+  const dateFrom = requireDate(request, 'from');
+  const dateTo = requireDate(request, 'to');
+  if (dateFrom > dateTo) {
+    throw createApiError('VALIDATION_FAILED', 'from must not be after to', { field: 'from' });
+  }
+  
+  const result = exportData(dateFrom, dateTo);
+  if (result.success === false) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+/**
+ * POST settings.get - the Settings sheet as name/value pairs
+ */
+function apiGetSettings() {
+  const settingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SETTINGS);
+  return { settings: getSettings(settingsSheet) };
+}
+
+/**
+ * POST entries.create - add an entry
+ */
+function apiCreateEntry(request) {
+  if (!request.entry || typeof request.entry !== 'object') {
+    throw createApiError('VALIDATION_FAILED', 'entry is required', { field: 'entry' });
+  }
+  
+  const entry = validateSalesEntryInput(request.entry);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    // Checked under the lock so two requests with the same ID cannot both append
+    if (request.entry.id) {
+      entry.id = String(request.entry.id);
+      if (getSalesEntryById(entry.id)) {
+        throw createApiError('CONFLICT', `Entry ${entry.id} already exists`);
+      }
+    }
+    const unlock = requirePeriodUnlock(request, [entry]);
+    
+    const result = addSalesEntry(entry);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    const created = getSalesEntryById(result.entryId);
+    recordPeriodUnlocks(unlock, created);
+    appendAuditRecords([createAuditRecord({
+      action: 'create',
+      after: created,
+      reasonCode: 'initial_entry',
+      user: request.user ? String(request.user) : 'api',
+      source: 'api'
+    })]);
+    return { entry: created };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * POST entries.update - change fields of an existing entry
+ */
+function apiUpdateEntry(request) {
+  const entryId = requireString(request, 'id');
+  const audit = requireAuditReason(request);
+  if (!request.entry || typeof request.entry !== 'object') {
+    throw createApiError('VALIDATION_FAILED', 'entry is required', { field: 'entry' });
+  }
+  
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    const existing = getSalesEntryById(entryId);
+    if (!existing) {
+      throw createApiError('NOT_FOUND', `Entry ${entryId} not found`);
+    }
+    
+    // Count totals win over typed totals, so drop stale counts when totals are replaced
+    const changes = { ...request.entry };
+    if (changes.openingCash !== undefined && changes.openingCount === undefined) changes.openingCount = null;
+    if (changes.closingCash !== undefined && changes.closingCount === undefined) changes.closingCount = null;
+    
+    const entry = validateSalesEntryInput({ ...existing, ...changes });
+    const unlock = requirePeriodUnlock(request, [existing, entry]);
+    const rowIndex = findSalesRowIndex(salesSheet, entryId);
+    const rowData = alignSalesRow(salesSheet, buildSalesRow(entryId, entry));
+    salesSheet.getRange(rowIndex, 1, 1, rowData.length).setValues([rowData]);
+    
+    const updated = getSalesEntryById(entryId);
+    recordPeriodUnlocks(unlock, updated);
+    appendAuditRecords([createAuditRecord({ ...audit, action: 'edit', before: existing, after: updated, source: 'api' })]);
+    
+    Logger.log(`Sales entry updated via API: ${entryId}`);
+    return { entry: updated };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * POST entries.delete - remove an entry
+ */
+function apiDeleteEntry(request) {
+  const entryId = requireString(request, 'id');
+  const audit = requireAuditReason(request);
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    const existing = getSalesEntryById(entryId);
+    if (!existing) {
+      throw createApiError('NOT_FOUND', `Entry ${entryId} not found`);
+    }
+    
+    const unlock = requirePeriodUnlock(request, [existing]);
+    salesSheet.deleteRow(findSalesRowIndex(salesSheet, entryId));
+    recordPeriodUnlocks(unlock, existing);
+    appendAuditRecords([createAuditRecord({ ...audit, action: 'delete', before: existing, source: 'api' })]);
+    Logger.log(`Sales entry deleted via API: ${entryId}`);
+    return { id: entryId, deleted: true };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * POST reconciliation.run - reconcile one day (today by default), optionally emailing the daily report
+ */
+function apiRunReconciliation(request) {
+  const date = request.date ? requireDate(request, 'date') :
+    Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  
+  const results = calculateReconciliation(getSalesDataForDate(date));
+  
+  const reconciliationSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.RECONCILIATION);
+  updateReconciliationSheet(reconciliationSheet, results);
+  
+  if (request.sendReport === true) {
+    sendDailyReport(results);
+  }
+  
+  return { date: date, results: results };
+}
+
+/**
+ * Apply queued browser changes to Sales_Data, then record the browser's period closes.
+ * Changes are checked against the closes already in the sheet, so closes sent in the
+ * same push do not lock entries recorded before them.
+ */
+function pushSyncChanges(changes, auditRecords, periodCloses, registers, settings) {
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    // Save the roster first so entries for newly added registers validate
+    const registersSaved = registers ? saveRegisterRoster(registers) : null;
+    const settingsSaved = settings ? Boolean(saveAppSettings(settings)) : false;
+    const results = changes.map(change => applySyncChange(salesSheet, change));
+    const auditRecordsLogged = appendAuditRecords(auditRecords.filter(isValidAuditRecord));
+    const periodClosesApplied = savePeriodCloses((periodCloses || []).filter(isValidPeriodClose));
+    
+    // Entries added to a closed period need their rows protected too
+    const closes = getPeriodCloses();
+    const applied = changes.filter((change, index) => change.type === 'upsert' && results[index].status === 'applied');
+    closes
+      .filter(close => !periodClosesApplied.includes(close.closeId) &&
+        applied.some(change => closeCoversEntry(close, change.entry)))
+      .forEach(protectClosedRows);
+    
+    Logger.log(`Sync push applied ${results.filter(r => r.status === 'applied').length} of ${changes.length} changes`);
+    return {
+      results: results,
+      auditRecordsLogged: auditRecordsLogged,
+      periodClosesApplied: periodClosesApplied,
+      registersSaved: registersSaved,
+      settingsSaved: settingsSaved
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Apply one change, reporting a conflict if the row was edited in the sheet
+ * since the browser last pulled it
+ */
+function applySyncChange(salesSheet, change) {
+  const rowIndex = findSalesRowIndex(salesSheet, change.entryId);
+  const headers = salesSheet.getRange(1, 1, 1, salesSheet.getLastColumn()).getValues()[0];
+  
+  let entry = null;
+  if (change.type === 'upsert') {
+    try {
+      entry = validateSalesEntryInput(change.entry || {}, false);
+    } catch (error) {
+      return { entryId: change.entryId, status: 'error', error: error.message, details: error.details };
+    }
+  }
+  
+  const remote = rowIndex > 0 ?
+    rowToSalesEntry(headers, salesSheet.getRange(rowIndex, 1, 1, headers.length).getValues()[0]) : null;
+  
+  // Changes to a closed period need a manager unlock, as on the entries routes
+  let unlock = null;
+  if (change.type === 'upsert' || remote) {
+    try {
+      unlock = requirePeriodUnlock(change, [remote, entry]);
+    } catch (error) {
+      if (error.code !== 'PERIOD_CLOSED') throw error;
+      return { entryId: change.entryId, status: 'conflict', remote: remote, error: error.message, closes: error.details.closes };
+    }
+  }
+  
+  if (remote) {
+    if (!change.baseUpdatedAt || new Date(remote.updatedAt) > new Date(change.baseUpdatedAt)) {
+      return { entryId: change.entryId, status: 'conflict', remote: remote };
+    }
+    
+    if (change.type === 'delete') {
+      salesSheet.deleteRow(rowIndex);
+      recordPeriodUnlocks(unlock, remote);
+      return { entryId: change.entryId, status: 'applied', updatedAt: null };
+    }
+    
+    const rowData = alignSalesRow(salesSheet, buildSalesRow(change.entryId, entry));
+    salesSheet.getRange(rowIndex, 1, 1, rowData.length).setValues([rowData]);
+    recordPeriodUnlocks(unlock, { ...entry, id: change.entryId });
+    return { entryId: change.entryId, status: 'applied', updatedAt: getRowUpdatedAt(salesSheet, rowIndex) };
+  }
+  
+  if (change.type === 'delete') {
+    return { entryId: change.entryId, status: 'applied', updatedAt: null };
+  }
+  
+  // A previously synced entry that is gone was deleted in the sheet
+  if (change.baseUpdatedAt) {
+    return { entryId: change.entryId, status: 'conflict', remote: null };
+  }
+  
+  const result = addSalesEntry({ ...entry, id: change.entryId });
+  if (!result.success) {
+    return { entryId: change.entryId, status: 'error', error: result.error };
+  }
+  recordPeriodUnlocks(unlock, { ...entry, id: change.entryId });
+  
+  return {
+    entryId: change.entryId,
+    status: 'applied',
+    updatedAt: getRowUpdatedAt(salesSheet, findSalesRowIndex(salesSheet, change.entryId))
+  };
+}
+
+/**
+ * Return entries changed in the sheet since a timestamp, plus every entry ID
+ * so the browser can detect rows deleted in the sheet
+ */
+function pullSyncChanges(since) {
+  const sinceDate = since ? new Date(since) : null;
+  if (sinceDate && isNaN(sinceDate.getTime())) {
+    throw createApiError('VALIDATION_FAILED', 'since must be an ISO timestamp', { field: 'since' });
+  }
+  
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const data = salesSheet.getDataRange().getValues();
+  const headers = data[0];
+  const settings = getAppSettings();
+  
+  const entries = data.slice(1)
+    .filter(row => row[0])
+    .map(row => rowToSalesEntry(headers, row, settings));
+  
+  return {
+    serverTime: new Date().toISOString(),
+    entries: entries.filter(entry => !sinceDate || new Date(entry.updatedAt) > sinceDate),
+    entryIds: entries.map(entry => entry.id),
+    settings: getAppSettings()
+  };
+}
+
+/**
+ * Find the sheet row holding an entry ID (0 when absent)
+ */
+function findSalesRowIndex(salesSheet, entryId) {
+  const lastRow = salesSheet.getLastRow();
+  if (lastRow < 2) return 0;
+  
+  const ids = salesSheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  const index = ids.findIndex(row => row[0] === entryId);
+  return index === -1 ? 0 : index + 2;
+}
+
+/**
+ * Read a row's Timestamp column as an ISO string
+ */
+function getRowUpdatedAt(salesSheet, rowIndex) {
+  return new Date(salesSheet.getRange(rowIndex, 14).getValue()).toISOString();
+}
+
+/**
+ * Convert a Sales_Data row to the web app's entry format
+ */
+function rowToSalesEntry(headers, row, settings = getAppSettings()) {
+  const value = header => row[headers.indexOf(header)];
+  const readCounts = prefix => {
+    const counts = {};
+    getDenominations(settings).forEach(d => {
+      const quantity = parseInt(value(`${prefix} ${d.label}`), 10) || 0;
+      if (quantity > 0) counts[d.key] = quantity;
+    });
+    return Object.keys(counts).length > 0 ? counts : null;
+  };
+  const tenders = parseTenders(value('Tender Detail'));
+  const refunds = value('Refund Detail') ? parseTenders(value('Refund Detail')) : null;
+  const pettyCash = parsePettyCash(value('Petty Cash Detail'));
+  
+  return {
+    id: value('Entry ID'),
+    storeId: value('Store ID') || '',
+    date: Utilities.formatDate(new Date(value('Date')), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+    registerNumber: value('Register Number'),
+    shiftNumber: parseInt(value('Shift'), 10) || 1,
+    cashierId: value('Cashier ID') || '',
+    openingCash: parseFloat(value('Opening Cash')) || 0,
+    cashSales: parseFloat(value('Cash Sales')) || 0,
+    cardSales: parseFloat(value('Card Sales')) || 0,
+    returnsRefunds: parseFloat(value('Returns & Refunds')) || 0,
+    cashDrops: parseFloat(value('Cash Drops')) || 0,
+    closingCash: parseFloat(value('Closing Cash')) || 0,
+    expectedCash: parseFloat(value('Expected Cash')) || 0,
+    cashDifference: parseFloat(value('Cash Difference')) || 0,
+    totalSales: parseFloat(value('Total Sales')) || 0,
+    status: value('Status'),
+    openingCount: readCounts('Open'),
+    closingCount: readCounts('Close'),
+    foreignCash: parseForeignCash(value('Foreign Cash'), settings),
+    foreignCashValue: parseFloat(value('Foreign Cash Value')) || 0,
+    taxLines: parseTaxLines(value('Tax Detail')),
+    taxableSales: parseFloat(value('Taxable Sales')) || 0,
+    exemptSales: parseFloat(value('Exempt Sales')) || 0,
+    taxCollected: parseFloat(value('Tax Collected')) || 0,
+    tenders: tenders,
+    otherTenderSales: parseFloat(value('Other Tenders')) || 0,
+    drawerTenderSales: roundAmount(tenders.filter(tender => tender.drawer).reduce((sum, tender) => sum + tender.amount, 0), settings),
+    refunds: refunds,
+    drawerRefunds: refunds ?
+      roundAmount(refunds.filter(refund => refund.drawer).reduce((sum, refund) => sum + refund.amount, 0), settings) :
+      parseFloat(value('Returns & Refunds')) || 0,
+    refundCount: parseInt(value('Refund Count'), 10) || 0,
+    refundReasons: parseRefundReasons(value('Refund Reasons')),
+    pettyCash: pettyCash,
+    paidOuts: parseFloat(value('Paid Outs')) || 0,
+    paidIns: parseFloat(value('Paid Ins')) || 0,
+    updatedAt: new Date(value('Timestamp')).toISOString()
+  };
+}
+
+/**
+ * Build an audit record for a change made on the server side
+ */
+function createAuditRecord({ action, before = null, after = null, reasonCode, note = '', user, source, changes = null }) {
+  const entry = after || before;
+  
+  return {
+    recordId: `AUD_${Date.now().toString(36)}_${Utilities.getUuid().slice(0, 8)}`,
+    entryId: entry.id,
+    storeId: entry.storeId || '',
+    action: action,
+    reasonCode: reasonCode,
+    note: note,
+    user: user,
+    source: source,
+    timestamp: new Date().toISOString(),
+    before: before,
+    after: after,
+    changes: changes || diffSalesEntries(before, after)
+  };
+}
+
+/**
+ * List audited fields that differ between two versions of an entry
+ */
+function diffSalesEntries(before, after) {
+  // Entries saved before a field existed lack it, which is the same as leaving it empty
+  const isEmpty = value => value === undefined || value === '' ||
+    (value !== null && typeof value === 'object' && Object.keys(value).length === 0);
+  const read = (entry, key) => entry && !isEmpty(entry[key]) ? entry[key] : null;
+  
+  return CONFIG.AUDIT_FIELDS
+    .map(field => ({
+      field: field.key,
+      label: field.label,
+      before: read(before, field.key),
+      after: read(after, field.key)
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Check an audit record sent by the web app before logging it
+ */
+function isValidAuditRecord(record) {
+  return Boolean(record && record.recordId && record.entryId && record.user &&
+    ['create', 'edit', 'delete'].includes(record.action) &&
+    CONFIG.AUDIT_REASON_CODES.includes(record.reasonCode));
+}
+
+/**
+ * Append audit records to the Audit_Log sheet, skipping any already logged
+ */
+function appendAuditRecords(records) {
+  if (records.length === 0) return 0;
+  
+  const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.AUDIT_LOG);
+  const lastRow = auditSheet.getLastRow();
+  const loggedIds = new Set(lastRow > 1 ?
+    auditSheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => row[0]) : []);
+  
+  const rows = records
+    .filter(record => {
+      if (loggedIds.has(record.recordId)) return false;
+      loggedIds.add(record.recordId);
+      return true;
+    })
+    .map(record => [
+      record.recordId,
+      new Date(record.timestamp),
+      record.entryId,
+      record.storeId || '',
+      record.action,
+      record.reasonCode,
+      record.note || '',
+      record.user,
+      record.source,
+      (record.changes || []).map(c => `${c.label}: ${formatAuditValue(c.before, c.field)} → ${formatAuditValue(c.after, c.field)}`).join('; '),
+      record.before ? JSON.stringify(record.before) : '',
+      record.after ? JSON.stringify(record.after) : ''
+    ]);
+  
+  if (rows.length > 0) {
+    auditSheet.getRange(lastRow + 1, 1, rows.length, rows[0].length).setValues(rows);
+  }
+  return rows.length;
+}
+
+/**
+ * Format a changed value for the Changes column
+ */
+function formatAuditValue(value, fieldKey) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  const field = CONFIG.AUDIT_FIELDS.find(tracked => tracked.key === fieldKey);
+  if (field && field.format) return field.format(value) || '(none)';
+  if (typeof value === 'object') {
+    return getDenominations()
+      .filter(d => value[d.key])
+      .map(d => `${d.label} x ${value[d.key]}`)
+      .join(', ') || '(none)';
+  }
+  return String(value);
+}
+
+/**
+ * Log a manual edit of the Sales_Data sheet
+ */
+function logSheetEdit(e) {
+  const range = e.range;
+  const sheet = range.getSheet();
+  if (range.getRow() === 1) return;
+  
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const user = (e.user && e.user.getEmail()) || Session.getActiveUser().getEmail() || 'unknown';
+  const singleCell = range.getNumRows() === 1 && range.getNumColumns() === 1;
+  const records = [];
+  
+  for (let row = range.getRow(); row < range.getRow() + range.getNumRows(); row++) {
+    const rowValues = sheet.getRange(row, 1, 1, headers.length).getValues()[0];
+    if (!rowValues[0]) continue;
+    
+    // The edit event only carries the previous value for single-cell edits
+    const header = headers[range.getColumn() - 1];
+    const changes = singleCell ?
+      [{ field: header, label: header, before: e.oldValue !== undefined ? e.oldValue : null, after: e.value !== undefined ? e.value : null }] :
+      [{ field: range.getA1Notation(), label: `Cells ${range.getA1Notation()}`, before: null, after: 'edited' }];
+    
+    records.push(createAuditRecord({
+      action: 'edit',
+      after: rowToSalesEntry(headers, rowValues),
+      reasonCode: 'sheet_edit',
+      user: user,
+      source: 'sheet',
+      changes: changes
+    }));
+  }
+  
+  appendAuditRecords(records);
+}
+
+/**
+ * POST periods.close - close a day, week or month so its entries can no longer change
+ * without a manager unlock
+ */
+function apiClosePeriod(request) {
+  const type = requireString(request, 'type');
+  if (!['day', 'week', 'month'].includes(type)) {
+    throw createApiError('VALIDATION_FAILED', 'type must be day, week or month', { field: 'type' });
+  }
+  const range = getPeriodRange(type, requireDate(request, 'date'));
+  const storeId = request.storeId ? String(request.storeId) : 'all';
+  const closeId = `${type}:${storeId}:${range.startDate}`;
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    if (getPeriodCloses().some(close => close.closeId === closeId)) {
+      throw createApiError('CONFLICT', `Period ${closeId} is already closed`);
+    }
+    
+    const entries = getSalesEntriesForRange(range.startDate, range.endDate)
+      .filter(entry => storeId === 'all' || entry.storeId === storeId);
+    if (type === 'day' && entries.length === 0) {
+      throw createApiError('VALIDATION_FAILED', 'There are no entries to close for this day', { field: 'date' });
+    }
+    
+    const close = {
+      closeId: closeId,
+      type: type,
+      storeId: storeId,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      // A day close locks the registers that reported; longer periods lock every register
+      registers: type === 'day' ? [...new Set(entries.map(entry => entry.registerNumber))].sort() : null,
+      closedBy: requireString(request, 'user'),
+      closedAt: new Date().toISOString(),
+      unlocks: []
+    };
+    
+    savePeriodCloses([close]);
+    Logger.log(`Period closed via API: ${closeId}`);
+    return { close: close };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * POST periods.list - every period close, optionally for one store
+ */
+function apiListPeriodCloses(request) {
+  const storeId = request.storeId || 'all';
+  return {
+    closes: getPeriodCloses().filter(close => storeId === 'all' || close.storeId === storeId || close.storeId === 'all')
+  };
+}
+
+/**
+ * Get the first and last date of the day, week (Monday to Sunday) or month containing a date
+ */
+function getPeriodRange(type, date) {
+  if (type === 'day') {
+    return { startDate: date, endDate: date };
+  }
+  
+  const day = new Date(date + 'T00:00:00Z');
+  let start;
+  let end;
+  
+  if (type === 'week') {
+    start = new Date(day);
+    start.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    end = new Date(start);
+    end.setUTCDate(start.getUTCDate() + 6);
+  } else {
+    start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+  }
+  
+  return {
+    startDate: start.toISOString().split('T')[0],
+    endDate: end.toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Read entries between two dates in the web app's entry format
+ */
+function getSalesEntriesForRange(dateFrom, dateTo) {
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const data = salesSheet.getDataRange().getValues();
+  const headers = data[0];
+  const settings = getAppSettings();
+  
+  return data.slice(1)
+    .filter(row => row[0])
+    .map(row => rowToSalesEntry(headers, row, settings))
+    .filter(entry => entry.date >= dateFrom && entry.date <= dateTo);
+}
+
+/**
+ * Read every close from the Period_Closes sheet
+ */
+function getPeriodCloses() {
+  const closesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.PERIOD_CLOSES);
+  const lastRow = closesSheet.getLastRow();
+  if (lastRow < 2) return [];
+  
+  return closesSheet.getRange(2, 1, lastRow - 1, 9).getValues()
+    .filter(row => row[0])
+    .map(row => ({
+      closeId: row[0],
+      type: row[1],
+      storeId: row[2],
+      startDate: formatSheetDate(row[3]),
+      endDate: formatSheetDate(row[4]),
+      registers: row[5] ? String(row[5]).split(',') : null,
+      closedBy: row[6],
+      closedAt: new Date(row[7]).toISOString(),
+      unlocks: row[8] ? JSON.parse(row[8]) : []
+    }));
+}
+
+/**
+ * Read a yyyy-MM-dd text cell, which Sheets may have turned into a Date
+ */
+function formatSheetDate(value) {
+  return value instanceof Date ?
+    Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd') : String(value);
+}
+
+/**
+ * Check a close sent by the web app before recording it
+ */
+function isValidPeriodClose(close) {
+  return Boolean(close && close.closeId && close.closedBy &&
+    ['day', 'week', 'month'].includes(close.type) &&
+    isValidDateString(close.startDate) && isValidDateString(close.endDate));
+}
+
+/**
+ * Add or update closes in the Period_Closes sheet, merging unlocks by ID, and protect their rows.
+ * Returns the IDs of the closes saved.
+ */
+function savePeriodCloses(closes) {
+  if (closes.length === 0) return [];
+  
+  const closesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.PERIOD_CLOSES);
+  const existing = getPeriodCloses();
+  
+  closes.forEach(close => {
+    const index = existing.findIndex(c => c.closeId === close.closeId);
+    const unlocks = index === -1 ? [] : existing[index].unlocks;
+    (close.unlocks || []).forEach(unlock => {
+      if (!unlocks.some(u => u.unlockId === unlock.unlockId)) unlocks.push(unlock);
+    });
+    
+    const row = [
+      close.closeId,
+      close.type,
+      close.storeId,
+      close.startDate,
+      close.endDate,
+      close.registers ? close.registers.join(',') : '',
+      close.closedBy,
+      new Date(close.closedAt),
+      unlocks.length > 0 ? JSON.stringify(unlocks) : ''
+    ];
+    
+    const rowIndex = index === -1 ? closesSheet.getLastRow() + 1 : index + 2;
+    closesSheet.getRange(rowIndex, 1, 1, row.length).setValues([row]);
+    if (index === -1) {
+      existing.push({ ...close, unlocks: unlocks });
+    }
+    
+    protectClosedRows(close);
+  });
+  
+  return closes.map(close => close.closeId);
+}
+
+/**
+ * Check whether a close locks an entry's store, date and register
+ */
+function closeCoversEntry(close, entry) {
+  return Boolean(entry) &&
+    (close.storeId === 'all' || close.storeId === entry.storeId) &&
+    entry.date >= close.startDate && entry.date <= close.endDate &&
+    (!close.registers || close.registers.includes(entry.registerNumber));
+}
+
+/**
+ * Protect the Sales_Data rows a close covers so they cannot be edited directly.
+ * Protections are rebuilt each time so rows added since the close are included.
+ */
+function protectClosedRows(close) {
+  const salesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.SALES_DATA);
+  const description = `Closed period ${close.closeId}`;
+  
+  salesSheet.getProtections(SpreadsheetApp.ProtectionType.RANGE)
+    .filter(protection => protection.getDescription() === description)
+    .forEach(protection => protection.remove());
+  
+  const data = salesSheet.getDataRange().getValues();
+  const headers = data[0];
+  const settings = getAppSettings();
+  const rowIndexes = [];
+  data.slice(1).forEach((row, index) => {
+    if (row[0] && closeCoversEntry(close, rowToSalesEntry(headers, row, settings))) {
+      rowIndexes.push(index + 2);
+    }
+  });
+  
+  // One protection per run of adjacent rows
+  const runs = [];
+  rowIndexes.forEach(rowIndex => {
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && lastRun.end === rowIndex - 1) {
+      lastRun.end = rowIndex;
+    } else {
+      runs.push({ start: rowIndex, end: rowIndex });
+    }
+  });
+  
+  runs.forEach(run => {
+    const protection = salesSheet.getRange(run.start, 1, run.end - run.start + 1, headers.length)
+      .protect()
+      .setDescription(description);
+    protection.removeEditors(protection.getEditors());
+    if (protection.canDomainEdit()) {
+      protection.setDomainEdit(false);
+    }
+  });
+  
+  return rowIndexes.length;
+}
+
+/**
+ * Check an API change against closed periods. Changes to a closed period need
+ * unlock.manager and unlock.reason; returns the closes to log the unlock on.
+ * The web app sends the unlockId it logged the unlock under, so it is not logged twice.
+ */
+function requirePeriodUnlock(request, entries) {
+  const closes = getPeriodCloses()
+    .filter(close => entries.some(entry => closeCoversEntry(close, entry)));
+  if (closes.length === 0) return null;
+  
+  const unlock = request.unlock || {};
+  const manager = unlock.manager ? String(unlock.manager).trim() : '';
+  const reason = unlock.reason ? String(unlock.reason).trim() : '';
+  if (!manager || !reason) {
+    throw createApiError('PERIOD_CLOSED', 'This entry is in a closed period. Send unlock.manager and unlock.reason to change it.', {
+      closes: closes.map(close => close.closeId)
+    });
+  }
+  
+  return { closes: closes, manager: manager, reason: reason, unlockId: unlock.unlockId ? String(unlock.unlockId) : null };
+}
+
+/**
+ * Log an API unlock on the closes it applied to and re-protect their rows
+ */
+function recordPeriodUnlocks(unlock, entry) {
+  if (!unlock) return;
+  
+  const timestamp = new Date().toISOString();
+  const unlockId = unlock.unlockId || `UNL_${Date.now().toString(36)}_${Utilities.getUuid().slice(0, 6)}`;
+  savePeriodCloses(unlock.closes.map(close => ({
+    ...close,
+    unlocks: [...close.unlocks, {
+      unlockId: unlockId,
+      entryId: entry.id,
+      date: entry.date,
+      registerNumber: entry.registerNumber,
+      manager: unlock.manager,
+      reason: unlock.reason,
+      timestamp: timestamp
+    }]
+  })));
+}
+
+/**
+ * Read the register roster from the Registers sheet
+ */
+function getRegisterRoster() {
+  const registersSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.REGISTERS);
+  const lastRow = registersSheet.getLastRow();
+  if (lastRow < 2) return [];
+  
+  return registersSheet.getRange(2, 1, lastRow - 1, 7).getValues()
+    .filter(row => row[0])
+    .map(row => ({
+      id: String(row[0]),
+      name: String(row[1]),
+      storeId: row[2] ? String(row[2]) : '',
+      location: row[3] ? String(row[3]) : '',
+      defaultFloat: parseFloat(row[4]) || 0,
+      activeFrom: row[5] ? formatSheetDate(row[5]) : '',
+      activeTo: row[6] ? formatSheetDate(row[6]) : ''
+    }));
+}
+
+/**
+ * Replace the Registers sheet with the web app's roster. Returns the number of registers saved.
+ */
+function saveRegisterRoster(registers) {
+  const valid = registers.filter(register => register && register.id && register.name &&
+    (!register.activeFrom || isValidDateString(register.activeFrom)) &&
+    (!register.activeTo || isValidDateString(register.activeTo)));
+  if (valid.length === 0) {
+    throw createApiError('VALIDATION_FAILED', 'The register roster must contain at least one valid register', { field: 'registers' });
+  }
+  
+  const registersSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.REGISTERS);
+  const lastRow = registersSheet.getLastRow();
+  if (lastRow > 1) {
+    registersSheet.getRange(2, 1, lastRow - 1, 7).clearContent();
+  }
+  
+  const rows = valid.map(register => [
+    String(register.id),
+    String(register.name),
+    register.storeId || '',
+    register.location || '',
+    parseFloat(register.defaultFloat) || 0,
+    register.activeFrom || '',
+    register.activeTo || ''
+  ]);
+  registersSheet.getRange(2, 1, rows.length, 7).setValues(rows);
+  
+  Logger.log(`Register roster saved: ${rows.length} registers`);
+  return rows.length;
+}
@@ -0,0 +1,269 @@
+/**
+ * Anomaly Detector for Sales & Cash Reconciliation System
+ * Compares each register-day with that register's history for the same weekday,
+ * using the median and median absolute deviation so one odd day does not skew the baseline
+ */
+
+class AnomalyDetector {
+    constructor(options = {}, currency = null, translator = null) {
+        this.options = { ...AnomalyDetector.DEFAULT_OPTIONS, ...options };
+        this.currency = currency || new CurrencyFormatter();
+        this.translator = translator || new Translator();
+    }
+
+    /**
+     * Find register-days in the most recent week whose metrics fall outside their baseline
+     */
+    findAnomalies(salesData, options = {}) {
+        const settings = {
+            ...this.options,
+            ...options,
+            minScale: { ...this.options.minScale, ...(options.minScale || {}) }
+        };
+        const registerDays = this.buildRegisterDays(salesData);
+        if (registerDays.length === 0) return [];
+
+        const latestDate = registerDays.reduce((latest, day) => day.date > latest ? day.date : latest, '');
+        const anomalies = [];
+
+        registerDays
+            .filter(day => this.daysBetween(day.date, latestDate) < settings.recentDays)
+            .forEach(day => {
+                const history = registerDays.filter(other =>
+                    other.date < day.date && this.daysBetween(other.date, day.date) <= settings.lookbackWeeks * 7);
+
+                Object.keys(AnomalyDetector.METRICS).forEach(metric => {
+                    const anomaly = this.checkMetric(day, metric, history, settings);
+                    if (anomaly) anomalies.push(anomaly);
+                });
+            });
+
+        return anomalies.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+    }
+
+    /**
+     * Total each register's shifts for the day
+     */
+    buildRegisterDays(salesData) {
+        const registerDays = new Map();
+
+        salesData.forEach(entry => {
+            const key = `${entry.storeId}|${entry.registerNumber}|${entry.date}`;
+            if (!registerDays.has(key)) {
+                registerDays.set(key, {
+                    storeId: entry.storeId,
+                    registerNumber: entry.registerNumber,
+                    date: entry.date,
+                    weekday: new Date(entry.date + 'T00:00:00Z').getUTCDay(),
+                    entryIds: [],
+                    totalSales: 0,
+                    cashSales: 0,
+                    returnsRefunds: 0,
+                    cashDifference: 0
+                });
+            }
+
+            const day = registerDays.get(key);
+            day.entryIds.push(entry.id);
+            day.totalSales += entry.totalSales || 0;
+            day.cashSales += entry.cashSales || 0;
+            day.returnsRefunds += entry.returnsRefunds || 0;
+            day.cashDifference += entry.cashDifference || 0;
+        });
+
+        return [...registerDays.values()];
+    }
+
+    /**
+     * Compare one metric of a register-day with its baseline, returning an anomaly or null
+     */
+    checkMetric(day, metric, history, settings) {
+        const value = this.getMetricValue(day, metric);
+        if (value === null) return null;
+
+        const baseline = this.getBaseline(day, metric, history, settings);
+        if (!baseline) return null;
+
+        const score = (value - baseline.median) / baseline.scale;
+        if (Math.abs(score) <= settings.threshold) return null;
+
+        const lower = baseline.median - settings.threshold * baseline.scale;
+        const upper = baseline.median + settings.threshold * baseline.scale;
+        const direction = score > 0 ? 'above' : 'below';
+        const outOfRangeBy = score > 0 ? value - upper : lower - value;
+        const weekdayName = AnomalyDetector.WEEKDAYS[day.weekday];
+        const localWeekday = this.translator.formatWeekday(day.date);
+
+        return {
+            type: 'anomaly',
+            severity: Math.abs(score) > settings.threshold * 2 ? 'high' : 'medium',
+            metric: metric,
+            storeId: day.storeId,
+            registerNumber: day.registerNumber,
+            date: day.date,
+            weekday: weekdayName,
+            entryId: day.entryIds[day.entryIds.length - 1],
+            entryIds: day.entryIds,
+            value: value,
+            expected: baseline.median,
+            lower: lower,
+            upper: upper,
+            outOfRangeBy: outOfRangeBy,
+            score: Math.round(score * 10) / 10,
+            baseline: baseline.source,
+            sampleSize: baseline.sampleSize,
+            description: this.translator.t('anomaly.description', {
+                register: day.registerNumber,
+                metric: this.translator.t(`anomaly.metric.${metric}`).toLowerCase(),
+                value: this.formatValue(metric, value),
+                weekday: localWeekday,
+                date: this.translator.formatDate(day.date),
+                outOfRangeBy: this.formatValue(metric, outOfRangeBy),
+                direction: this.translator.t(`anomaly.${direction}`),
+                lower: this.formatValue(metric, lower),
+                upper: this.formatValue(metric, upper),
+                baseline: baseline.source === 'weekday' ?
+                    this.translator.t('anomaly.typicalWeekday', { weekday: localWeekday }) : this.translator.t('anomaly.typicalDay'),
+                median: this.formatValue(metric, baseline.median)
+            })
+        };
+    }
+
+    /**
+     * Median and scale for a metric from the register's earlier days on the same weekday.
+     * Without enough of those, the register's other days are used, scaled by how busy
+     * that weekday is across the store.
+     */
+    getBaseline(day, metric, history, settings) {
+        const registerHistory = history.filter(other =>
+            other.storeId === day.storeId && other.registerNumber === day.registerNumber);
+        const weekdayValues = this.getMetricValues(registerHistory.filter(other => other.weekday === day.weekday), metric);
+
+        if (weekdayValues.length >= settings.minSamples) {
+            return this.describe(weekdayValues, metric, settings, 'weekday');
+        }
+
+        const registerValues = this.getMetricValues(registerHistory, metric);
+        if (registerValues.length < settings.minSamples) return null;
+
+        const baseline = this.describe(registerValues, metric, settings, 'register');
+        if (AnomalyDetector.METRICS[metric].seasonal) {
+            const factor = this.getWeekdayFactor(day, metric, history.filter(other => other.storeId === day.storeId));
+            baseline.median *= factor;
+            baseline.scale *= factor;
+        }
+        return baseline;
+    }
+
+    /**
+     * How a weekday compares with the store's typical day, e.g. 1.6 for a busy Saturday
+     */
+    getWeekdayFactor(day, metric, storeHistory) {
+        const weekdayValues = this.getMetricValues(storeHistory.filter(other => other.weekday === day.weekday), metric);
+        const overall = this.median(this.getMetricValues(storeHistory, metric));
+        const weekdayMedian = this.median(weekdayValues);
+        if (weekdayValues.length === 0 || overall <= 0 || weekdayMedian <= 0) return 1;
+
+        return weekdayMedian / overall;
+    }
+
+    /**
+     * Median and robust scale (1.4826 x MAD estimates the standard deviation),
+     * with a floor so perfectly steady history does not flag every small change
+     */
+    describe(values, metric, settings, source) {
+        const median = this.median(values);
+        const mad = this.median(values.map(value => Math.abs(value - median)));
+        const floor = metric === 'totalSales' ?
+            Math.max(Math.abs(median) * settings.minSalesScale, 1) :
+            settings.minScale[metric];
+
+        return {
+            median: median,
+            scale: Math.max(1.4826 * mad, floor, 0.01),
+            sampleSize: values.length,
+            source: source
+        };
+    }
+
+    /**
+     * Read a metric from a register-day; ratios are skipped on days without sales
+     */
+    getMetricValue(day, metric) {
+        switch (metric) {
+            case 'cashRatio':
+                return day.totalSales > 0 ? (day.cashSales / day.totalSales) * 100 : null;
+            case 'returnsPercentage':
+                return day.totalSales > 0 ? (day.returnsRefunds / day.totalSales) * 100 : null;
+            default:
+                return day[metric];
+        }
+    }
+
+    /**
+     * Read a metric from several register-days, leaving out days without a value
+     */
+    getMetricValues(days, metric) {
+        return days.map(day => this.getMetricValue(day, metric)).filter(value => value !== null);
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Whole days from one yyyy-mm-dd date to another
+     */
+    daysBetween(fromDate, toDate) {
+        return Math.round((new Date(toDate + 'T00:00:00Z') - new Date(fromDate + 'T00:00:00Z')) / 86400000);
+    }
+
+    /**
+     * Format a metric value as money or a percentage
+     */
+    formatValue(metric, value) {
+        return AnomalyDetector.METRICS[metric].unit === 'percent' ?
+            this.translator.formatPercent(value) :
+            this.currency.format(value);
+    }
+}
+
+// Metrics checked for each register-day; seasonal ones rise and fall with the weekday's trade.
+// Labels are English; translated labels are under anomaly.metric.* in the Translator catalogs.
+AnomalyDetector.METRICS = {
+    totalSales: { label: 'Total sales', unit: 'amount', seasonal: true },
+    cashRatio: { label: 'Cash share of sales', unit: 'percent', seasonal: false },
+    returnsPercentage: { label: 'Returns', unit: 'percent', seasonal: false },
+    cashDifference: { label: 'Cash difference', unit: 'amount', seasonal: false }
+};
+
+AnomalyDetector.DEFAULT_OPTIONS = {
+    // Robust z-score beyond which a value is unusual (3.5 is the usual cut-off for median/MAD scores)
+    threshold: 3.5,
+    // Register-days checked, counting back from the latest date
+    recentDays: 7,
+    // History used for baselines
+    lookbackWeeks: 12,
+    minSamples: 4,
+    // Smallest spread assumed: 5% of typical sales, and fixed amounts for the other metrics
+    minSalesScale: 0.05,
+    minScale: {
+        cashRatio: 2,
+        returnsPercentage: 1,
+        cashDifference: 5
+    }
+};
+
+AnomalyDetector.WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnomalyDetector;
+}
@@ -5,24 +5,76 @@
 
 class SalesReconciliationApp {
     constructor() {
-        this.salesData = JSON.parse(localStorage.getItem('salesData')) || [];
-        this.reconciliationData = JSON.parse(localStorage.getItem('reconciliationData')) || [];
-        this.appSettings = JSON.parse(localStorage.getItem('appSettings')) || {
+        this.reconciliationData = [];
+        this.appSettings = {
             storeName: 'Main Store',
             currency: 'USD',
             autoSave: true,
             emailNotifications: true
         };
+        this.salesDataByStore = {};
+        this.salesData = [];
+        this.editingEntryId = null;
+        this.dataStore = typeof DataStore !== 'undefined' ? new DataStore() : null;
         
-        this.initializeApp();
-        this.bindEvents();
-        this.loadRecentEntries();
-        this.updateCurrentDate();
+        // Storage is asynchronous, so the UI starts once data has loaded
+        this.ready = this.loadData().then(() => {
+            this.initializeApp();
+            this.bindEvents();
+            this.loadRecentEntries();
+            this.updateCurrentDate();
+            
+            if (this.syncService) {
+                this.syncService.start();
+            }
+            
+            // Auto-save interval (every 30 seconds)
+            if (this.appSettings.autoSave) {
+                setInterval(() => this.autoSave(), 30000);
+            }
+        });
+    }
+
+    async loadData() {
+        let entries = [];
+        
+        if (this.dataStore) {
+            try {
+                await this.dataStore.open();
+                this.appSettings = await this.dataStore.getSetting('appSettings') || this.appSettings;
+                this.reconciliationData = await this.dataStore.getSetting('reconciliationData') || [];
+                entries = await this.dataStore.getAll('salesEntries');
+            } catch (error) {
+                console.error('Failed to load data store:', error);
+                this.storageError = error;
+            }
+        }
         
-        // Auto-save interval (every 30 seconds)
-        if (this.appSettings.autoSave) {
-            setInterval(() => this.autoSave(), 30000);
+        this.initializeStoreSettings();
+        
+        // Sales data is kept separately for each store
+        this.appSettings.stores.forEach(store => {
+            this.salesDataByStore[store.id] = [];
+        });
+        entries
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+            .forEach(entry => {
+                const storeId = entry.storeId || this.appSettings.stores[0].id;
+                this.salesDataByStore[storeId] = this.salesDataByStore[storeId] || [];
+                this.salesDataByStore[storeId].push(entry);
+            });
+        this.updateSalesData();
+    }
+
+    persist(operation) {
+        if (!this.dataStore || this.storageError) {
+            return Promise.resolve();
         }
+        
+        return operation(this.dataStore).catch(error => {
+            console.error('Failed to save to data store:', error);
+            this.displayErrorMessage(this.t('app.couldNotSave', { error: error.message }));
+        });
     }
 
     initializeApp() {
@@ -32,26 +84,340 @@ class SalesReconciliationApp {
         document.getElementById('report-date-from').value = today;
         document.getElementById('report-date-to').value = today;
         
-        // Set store name
-        document.getElementById('store-name').textContent = this.appSettings.storeName;
+        // Language and date format are each user's own, so they stay in this browser and are not synced
+        this.translator = new Translator(this.appSettings.locale, { dateStyle: this.appSettings.dateStyle });
+        this.renderLocaleOptions();
+        this.translatePage();
+        
+        // Set up store selection
+        this.renderStoreOptions();
+        
+        // Amounts everywhere are formatted and rounded by one shared formatter
+        this.currency = new CurrencyFormatter(this.appSettings, this.translator.intlLocale);
+        this.renderCurrencyOptions();
+        this.updateCurrencyLabels();
+        
+        // Tax collected is checked against the tax rates the store charges
+        this.salesTax = new SalesTaxCalculator(this.currency);
+        this.renderTaxInputs();
+        
+        // Sales are taken in cash, card and the store's other tender types
+        this.tenders = new TenderCalculator(this.currency);
+        this.renderTenderInputs();
+        
+        // Refunds are split by the tender they were paid in
+        this.refunds = new RefundCalculator(this.currency);
+        this.renderRefundInputs();
+        
+        // Cash paid out of or into the drawer outside a sale is itemized with its receipt and approver
+        this.pettyCash = new PettyCashCalculator(this.currency);
+        
+        // Foreign cash is converted at the day's exchange rate
+        if (typeof ExchangeRateManager !== 'undefined') {
+            this.exchangeRates = new ExchangeRateManager(this.storageError ? null : this.dataStore);
+            this.exchangeRates.ready.then(() => this.renderExchangeRates());
+        }
+        this.renderForeignCashInputs();
+        
+        // Set up the register roster
+        if (typeof RegisterRoster !== 'undefined') {
+            this.registerRoster = new RegisterRoster(this.appSettings.registers);
+            this.renderRegisterOptions();
+        }
+        
+        // Entries can be imported in bulk from a CSV file
+        this.salesImporter = typeof SalesImporter !== 'undefined' ?
+            new SalesImporter(this.storageError ? null : this.dataStore, this.currency, this.translator) : null;
+        
+        // Initialize denomination counting
+        if (typeof CashCounter !== 'undefined') {
+            this.cashCounter = new CashCounter(this.currency, this.translator);
+            this.renderDenominationInputs();
+        }
         
         // Initialize dashboard
         if (typeof DashboardManager !== 'undefined') {
             this.dashboard = new DashboardManager(this.salesData);
+            this.dashboard.setCurrency(this.currency);
+            this.dashboard.setTranslator(this.translator);
+            this.dashboard.setStores(this.appSettings.stores);
+            this.dashboard.setRegisterRoster(this.registerRoster || null, this.appSettings.currentStoreId);
+            this.dashboard.setTenderTypes(this.getTenderTypes());
         }
         
         // Initialize reconciliation
         if (typeof ReconciliationEngine !== 'undefined') {
-            this.reconciliation = new ReconciliationEngine();
+            this.reconciliation = new ReconciliationEngine(this.storageError ? null : this.dataStore, this.currency, this.translator);
+            this.reconciliation.setTenderTypes(this.getTenderTypes());
+            this.reconciliation.setRegisters(this.registerRoster ? this.registerRoster.registers : []);
+            this.reconciliation.setEntryHistory(this.getScopedSalesData('all'));
+            if (this.dashboard) {
+                this.dashboard.setCardSettlements(this.reconciliation.cardSettlements);
+                this.dashboard.setSafeLedger(this.reconciliation.safeLedger);
+            }
         }
         
         // Initialize email service
         if (typeof EmailService !== 'undefined') {
-            this.emailService = new EmailService();
+            this.emailService = new EmailService(this.storageError ? null : this.dataStore, this.currency, this.translator);
+        }
+        
+        // Settings are kept by several modules, so the form fills in once they have loaded
+        Promise.all([
+            this.reconciliation && this.reconciliation.ready,
+            this.emailService && this.emailService.ready
+        ]).then(() => {
+            const settings = this.getSettings();
+            if (this.dashboard) {
+                this.dashboard.setSettings({
+                    cashDiscrepancyThreshold: settings.cashDiscrepancyThreshold,
+                    largeDiscrepancyThreshold: settings.largeDiscrepancyThreshold
+                });
+                this.dashboard.updateSafeBalance(this.salesData);
+            }
+            this.renderSettingsForm(settings);
+            this.renderDiscrepancyRules();
+            this.renderCardSettlements();
+            this.renderBankDeposits();
+            this.renderSafe();
+        });
+        
+        // Initialize discrepancy case tracking
+        if (typeof CaseManager !== 'undefined') {
+            this.caseManager = new CaseManager(this.storageError ? null : this.dataStore);
+            this.renderCaseStatusOptions();
+            this.caseManager.ready.then(() => this.renderCaseList());
+        }
+        
+        // Initialize period closes
+        if (typeof PeriodCloseManager !== 'undefined') {
+            this.periodCloses = new PeriodCloseManager(this.storageError ? null : this.dataStore, this.translator);
+            this.periodCloses.ready.then(() => {
+                this.renderPeriodCloses();
+                this.loadRecentEntries();
+            });
+        }
+        
+        // Initialize the audit trail
+        if (typeof AuditLog !== 'undefined') {
+            this.auditLog = new AuditLog(this.storageError ? null : this.dataStore, this.currency, this.translator);
+            this.renderAuditReasonOptions();
+        }
+        
+        // Initialize Google Sheets sync
+        if (typeof SyncService !== 'undefined' && this.dataStore && !this.storageError) {
+            this.syncService = new SyncService(this.dataStore, {
+                onEntriesChanged: (changes) => this.applySyncedChanges(changes),
+                onStatusChange: (status) => this.updateSyncStatus(status),
+                onPeriodCloseSynced: (closeId, unlockCount, syncedAt) =>
+                    this.periodCloses && this.periodCloses.markSynced(closeId, unlockCount, syncedAt),
+                onSettingsPulled: (settings) => this.applySyncedSettings(settings),
+                getSettings: () => this.getSettings(this.appSettings.stores[0].id)
+            });
+        }
+        
+        if (this.storageError) {
+            this.displayErrorMessage(this.t('app.storageUnavailable'));
+        }
+    }
+
+    initializeStoreSettings() {
+        // Settings saved before multi-store support only carry a store name
+        if (!Array.isArray(this.appSettings.stores) || this.appSettings.stores.length === 0) {
+            this.appSettings.stores = [{
+                id: 'STORE001',
+                name: this.appSettings.storeName || 'Main Store'
+            }];
+        }
+        
+        // Settings saved before the register roster used three fixed registers
+        if (!Array.isArray(this.appSettings.registers) && typeof RegisterRoster !== 'undefined') {
+            this.appSettings.registers = RegisterRoster.createDefaultRegisters();
+        }
+        
+        const storeIds = this.appSettings.stores.map(store => store.id);
+        if (this.appSettings.currentStoreId !== 'all' && !storeIds.includes(this.appSettings.currentStoreId)) {
+            this.appSettings.currentStoreId = storeIds[0];
+        }
+        
+        this.appSettings.storeName = this.getStoreName(this.appSettings.currentStoreId);
+    }
+
+    updateSalesData() {
+        this.salesData = this.getScopedSalesData();
+        // Opening continuity looks up previous closes in every store's entries, not just the ones being checked
+        if (this.reconciliation) {
+            this.reconciliation.setEntryHistory(this.getScopedSalesData('all'));
+        }
+    }
+
+    getScopedSalesData(storeId = this.appSettings.currentStoreId) {
+        if (storeId === 'all') {
+            return Object.values(this.salesDataByStore).reduce((all, entries) => all.concat(entries), []);
+        }
+        return this.salesDataByStore[storeId] || [];
+    }
+
+    getStoreName(storeId) {
+        if (storeId === 'all') return this.t('app.allStoresView');
+        const store = this.appSettings.stores.find(s => s.id === storeId);
+        return store ? store.name : storeId;
+    }
+
+    renderStoreOptions() {
+        const stores = this.appSettings.stores;
+        const switcher = document.getElementById('store-switcher');
+        const entryStore = document.getElementById('entry-store');
+        
+        switcher.innerHTML = stores.map(store => `
+            <option value="${store.id}">${this.escapeHtml(store.name)}</option>
+        `).join('') + `<option value="all">${this.t('app.allStoresView')}</option>`;
+        switcher.value = this.appSettings.currentStoreId;
+        
+        entryStore.innerHTML = stores.map(store => `
+            <option value="${store.id}">${this.escapeHtml(store.name)} (${store.id})</option>
+        `).join('');
+        entryStore.value = this.appSettings.currentStoreId === 'all' ? stores[0].id : this.appSettings.currentStoreId;
+    }
+
+    switchStore(storeId) {
+        this.appSettings.currentStoreId = storeId;
+        this.appSettings.storeName = this.getStoreName(storeId);
+        this.updateSalesData();
+        
+        this.renderStoreOptions();
+        this.renderRegisterOptions();
+        this.saveSettings();
+        if (this.dashboard) {
+            this.dashboard.setRegisterRoster(this.registerRoster || null, storeId);
+        }
+        this.loadRecentEntries();
+        this.updateDashboard();
+        this.renderCaseList();
+        this.renderPeriodCloses();
+        this.renderCardSettlements();
+        this.renderBankDeposits();
+        this.renderSafe();
+        this.renderSettingsForm();
+        
+        // Results for the previous store no longer apply
+        document.getElementById('reconciliation-results').innerHTML = '';
+        document.getElementById('report-output').innerHTML = '';
+        
+        this.displayInfoMessage(this.t('app.nowViewing', { store: this.appSettings.storeName }));
+    }
+
+    addStore() {
+        const name = window.prompt(this.t('app.newStorePrompt'));
+        if (!name || !name.trim()) return;
+        
+        // Next free ID in the STORE001, STORE002, ... sequence
+        let nextNumber = this.appSettings.stores.length + 1;
+        while (this.salesDataByStore[`STORE${String(nextNumber).padStart(3, '0')}`]) {
+            nextNumber++;
+        }
+        const storeId = `STORE${String(nextNumber).padStart(3, '0')}`;
+        
+        this.appSettings.stores.push({ id: storeId, name: name.trim() });
+        this.salesDataByStore[storeId] = [];
+        
+        if (this.dashboard) {
+            this.dashboard.setStores(this.appSettings.stores);
+        }
+        this.switchStore(storeId);
+    }
+
+    t(key, params) {
+        return this.translator.t(key, params);
+    }
+
+    renderLocaleOptions() {
+        const languages = Object.entries(Translator.LOCALES).map(([code, locale]) => `
+            <option value="${code}">${locale.name}</option>
+        `).join('');
+        
+        document.getElementById('locale-switcher').innerHTML = languages;
+        document.getElementById('locale-switcher').value = this.translator.locale;
+        ['setting-manager-locale', 'setting-admin-locale'].forEach(id => {
+            const select = document.getElementById(id);
+            const value = select.value;
+            select.innerHTML = languages;
+            select.value = value || 'en';
+        });
+        
+        // Each date format is shown as today's date written that way
+        const dateStyles = document.getElementById('date-style-switcher');
+        dateStyles.innerHTML = Object.keys(Translator.DATE_STYLES).map(style => `
+            <option value="${style}" title="${this.t(`dateStyle.${style}`)}">${this.translator.formatDate(new Date(), style)}</option>
+        `).join('');
+        dateStyles.value = this.translator.dateStyle;
+    }
+
+    translatePage() {
+        document.documentElement.lang = this.translator.locale;
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    }
+
+    switchLocale(locale, dateStyle) {
+        this.translator.setLocale(locale).setDateStyle(dateStyle);
+        this.currency.setLocale(this.translator.intlLocale);
+        this.appSettings.locale = this.translator.locale;
+        this.appSettings.dateStyle = this.translator.dateStyle;
+        this.saveSettings();
+        
+        // Redraw everything written in the old language or format
+        this.renderLocaleOptions();
+        this.translatePage();
+        document.getElementById('current-date').textContent = this.translator.formatDate(new Date());
+        this.renderStoreOptions();
+        this.appSettings.storeName = this.getStoreName(this.appSettings.currentStoreId);
+        if (this.dashboard) {
+            this.dashboard.translateCharts();
+        }
+        this.loadRecentEntries();
+        this.updateDashboard();
+        this.renderCaseList();
+        this.renderPeriodCloses();
+        this.renderAuditReasonOptions();
+        this.renderDiscrepancyRules();
+        this.renderExchangeRates();
+        this.renderTaxInputs(this.collectSalesTax().taxLines);
+        this.renderTenderInputs(this.collectTenders().tenders);
+        this.renderRefundInputs(this.collectRefunds().refunds);
+        this.renderPettyCashItems(this.readPettyCashItems());
+        this.loadReconciliationData();
+        if (this.syncService) {
+            this.syncService.notifyStatus();
         }
     }
 
     bindEvents() {
+        // Store switching
+        document.getElementById('store-switcher').addEventListener('change', (e) => {
+            this.switchStore(e.target.value);
+        });
+
+        document.getElementById('add-store')?.addEventListener('click', () => {
+            this.addStore();
+        });
+
+        // Language and date format
+        document.getElementById('locale-switcher')?.addEventListener('change', (e) => {
+            this.switchLocale(e.target.value, this.translator.dateStyle);
+        });
+
+        document.getElementById('date-style-switcher')?.addEventListener('change', (e) => {
+            this.switchLocale(this.translator.locale, e.target.value);
+        });
+
         // Sales form submission
         document.getElementById('sales-form').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -71,6 +437,10 @@ class SalesReconciliationApp {
             this.sendEmailReport();
         });
 
+        document.getElementById('send-weekly-report')?.addEventListener('click', () => {
+            this.sendWeeklyReport();
+        });
+
         document.getElementById('export-data')?.addEventListener('click', () => {
             this.exportData();
         });
@@ -87,294 +457,3686 @@ class SalesReconciliationApp {
             });
         });
 
+        // Registers on offer depend on the store and date
+        ['transaction-date', 'entry-store'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderRegisterOptions();
+            });
+        });
+
+        // Foreign cash is valued at the rate for the entry's date
+        document.getElementById('transaction-date').addEventListener('change', () => {
+            this.validateSalesData();
+        });
+
+        document.getElementById('manage-registers')?.addEventListener('click', () => {
+            this.showRegisterRoster();
+        });
+
+        document.getElementById('register-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRegister();
+        });
+
+        document.getElementById('register-cancel-edit')?.addEventListener('click', () => {
+            this.resetRegisterForm();
+        });
+
+        // Later shifts open with the previous shift's closing count
+        ['transaction-date', 'register-number', 'shift-number', 'entry-store'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.prefillShiftHandoff();
+            });
+        });
+
+        // Denomination counts drive the opening/closing totals. The inputs are rebuilt when the
+        // currency changes, so the grid listens for them.
+        document.querySelectorAll('.denomination-grid').forEach(container => {
+            container.addEventListener('input', (e) => {
+                if (e.target.classList.contains('denomination-input')) {
+                    this.updateCountTotal(container);
+                }
+            });
+        });
+
+        // Period closes
+        document.getElementById('close-period')?.addEventListener('click', () => {
+            this.closePeriod();
+        });
+
+        // Bulk import of sales entries
+        document.getElementById('preview-sales-import')?.addEventListener('click', () => {
+            this.previewSalesImport();
+        });
+
+        document.getElementById('edit-sales-import-mapping')?.addEventListener('click', () => {
+            this.showColumnMapping('sales');
+        });
+
+        // Card settlements
+        document.getElementById('import-settlement')?.addEventListener('click', () => {
+            this.importSettlementFile();
+        });
+
+        document.getElementById('edit-settlement-mapping')?.addEventListener('click', () => {
+            this.showColumnMapping('settlement');
+        });
+
+        document.getElementById('column-mapping-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveColumnMapping();
+        });
+
+        // Bank deposits
+        document.getElementById('record-deposit')?.addEventListener('click', () => {
+            this.showDepositForm();
+        });
+
+        document.getElementById('deposit-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDeposit();
+        });
+
+        document.getElementById('deposit-drops')?.addEventListener('change', () => {
+            this.updateDepositDropTotal();
+        });
+
+        document.getElementById('deposit-amount')?.addEventListener('input', (e) => {
+            e.target.dataset.edited = e.target.value ? 'true' : '';
+        });
+
+        document.getElementById('import-statement')?.addEventListener('click', () => {
+            this.importStatementFile();
+        });
+
+        document.getElementById('edit-statement-mapping')?.addEventListener('click', () => {
+            this.showColumnMapping('statement');
+        });
+
+        // Safe
+        document.getElementById('record-safe-transaction')?.addEventListener('click', () => {
+            this.showSafeTransactionForm();
+        });
+
+        document.getElementById('safe-transaction-type')?.addEventListener('change', () => {
+            this.updateSafeTransactionRegister();
+        });
+
+        document.getElementById('safe-transaction-date')?.addEventListener('change', () => {
+            this.updateSafeTransactionRegister();
+        });
+
+        document.getElementById('safe-transaction-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSafeTransaction();
+        });
+
+        document.getElementById('count-safe')?.addEventListener('click', () => {
+            this.showSafeCountForm();
+        });
+
+        document.getElementById('safe-count-date')?.addEventListener('change', () => {
+            this.updateSafeCountExpected();
+        });
+
+        document.getElementById('safe-count-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSafeCount();
+        });
+
+        // Discrepancy cases
+        ['case-status-filter', 'case-severity-filter', 'case-assignee-filter'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                this.renderCaseList();
+            });
+        });
+
+        document.getElementById('case-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCaseUpdate();
+        });
+
+        // Audit trail
+        document.getElementById('cancel-edit')?.addEventListener('click', () => {
+            this.cancelEdit();
+        });
+
+        document.getElementById('audit-reason')?.addEventListener('change', (e) => {
+            // "Other" needs an explanation
+            document.getElementById('audit-note').required = e.target.value === 'other';
+        });
+
+        document.getElementById('export-audit-log')?.addEventListener('click', () => {
+            this.exportAuditLog();
+        });
+
+        // Settings
+        document.getElementById('settings-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettingsForm();
+        });
+
+        document.getElementById('reset-settings')?.addEventListener('click', () => {
+            this.resetSettingsForm();
+        });
+
+        document.getElementById('setting-currency')?.addEventListener('change', (e) => {
+            this.fillCurrencyDefaults(e.target.value);
+        });
+
+        // Exchange rates
+        document.getElementById('exchange-rate-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveExchangeRate();
+        });
+
+        // Discrepancy rules
+        document.getElementById('add-discrepancy-rule')?.addEventListener('click', () => {
+            this.showDiscrepancyRule();
+        });
+
+        document.getElementById('discrepancy-rule-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDiscrepancyRule();
+        });
+
+        document.getElementById('add-rule-condition')?.addEventListener('click', () => {
+            document.getElementById('rule-conditions').insertAdjacentHTML('beforeend',
+                this.renderRuleCondition({ field: 'cashDrops', operator: 'notMultipleOf', value: '' }));
+        });
+
+        document.getElementById('rule-conditions')?.addEventListener('change', (e) => {
+            // Operators on offer depend on the field's type
+            if (e.target.classList.contains('rule-condition-field')) {
+                const operator = e.target.closest('.rule-condition').querySelector('.rule-condition-operator');
+                operator.innerHTML = this.renderRuleOperatorOptions(e.target.value, operator.value);
+            }
+        });
+
+        document.getElementById('rule-conditions')?.addEventListener('click', (e) => {
+            const remove = e.target.closest('.remove-rule-condition');
+            if (remove) {
+                remove.closest('.rule-condition').remove();
+            }
+        });
+
+        // Paid-outs and paid-ins
+        document.getElementById('add-paid-out')?.addEventListener('click', () => {
+            document.getElementById('petty-cash-items').insertAdjacentHTML('beforeend', this.renderPettyCashItem({ direction: 'out' }));
+        });
+
+        document.getElementById('add-paid-in')?.addEventListener('click', () => {
+            document.getElementById('petty-cash-items').insertAdjacentHTML('beforeend', this.renderPettyCashItem({ direction: 'in' }));
+        });
+
+        document.getElementById('petty-cash-items')?.addEventListener('click', (e) => {
+            const remove = e.target.closest('.remove-petty-cash-item');
+            if (remove) {
+                remove.closest('.petty-cash-item').remove();
+                this.validateSalesData();
+            }
+        });
+
+        document.getElementById('petty-cash-items')?.addEventListener('input', () => {
+            this.validateSalesData();
+        });
+
+        document.getElementById('restore-rules-version')?.addEventListener('click', () => {
+            this.restoreRulesVersion();
+        });
+
+        // Google Sheets sync
+        document.getElementById('sync-now')?.addEventListener('click', () => {
+            this.syncNow();
+        });
+
+        document.getElementById('configure-sync')?.addEventListener('click', () => {
+            this.configureSync();
+        });
+
+        document.getElementById('show-sync-conflicts')?.addEventListener('click', () => {
+            this.showSyncConflicts();
+        });
+
         // Form validation on input
         this.bindFormValidation();
     }
 
-    bindFormValidation() {
-        const form = document.getElementById('sales-form');
-        const inputs = form.querySelectorAll('input[type="number"]');
+    async syncNow() {
+        if (!this.syncService) return;
         
-        inputs.forEach(input => {
-            input.addEventListener('input', () => {
-                this.validateSalesData();
-            });
-        });
+        if (!this.syncService.isConfigured()) {
+            this.configureSync();
+            return;
+        }
+        
+        const synced = await this.syncService.syncNow();
+        if (synced) {
+            this.displaySuccessMessage(this.t('sync.done'));
+        } else if (this.syncService.lastError) {
+            this.displayErrorMessage(this.t('sync.failed', { error: this.syncService.lastError }));
+        } else if (!this.syncService.isOnline()) {
+            this.displayInfoMessage(this.t('sync.offlineQueued'));
+        }
     }
 
-    handleSalesFormSubmission() {
-        const formData = this.collectSalesFormData();
+    async configureSync() {
+        if (!this.syncService) return;
         
-        if (this.validateSalesFormData(formData)) {
-            this.saveSalesEntry(formData);
-            this.displaySuccessMessage('Sales data saved successfully!');
-            this.clearSalesForm();
-            this.loadRecentEntries();
-            this.updateDashboard();
+        const settings = this.syncService.syncSettings;
+        const endpointUrl = window.prompt(this.t('sync.promptUrl'), settings.endpointUrl);
+        if (endpointUrl === null) return;
+        
+        const apiToken = window.prompt(this.t('sync.promptToken'), settings.apiToken);
+        if (apiToken === null) return;
+        
+        await this.syncService.updateSyncSettings({
+            endpointUrl: endpointUrl.trim(),
+            apiToken: apiToken.trim()
+        });
+        
+        if (this.syncService.isConfigured()) {
+            this.syncNow();
         }
     }
 
-    collectSalesFormData() {
-        return {
-            id: Date.now().toString(),
-            date: document.getElementById('transaction-date').value,
-            registerNumber: document.getElementById('register-number').value,
-            openingCash: parseFloat(document.getElementById('opening-cash').value) || 0,
+    applySyncedChanges({ upserted, deleted, source }) {
+        // Changes pulled from the sheet go in the browser's audit trail too
+        if (source === 'sheet') {
+            const findEntry = (entryId) => this.getScopedSalesData('all').find(e => e.id === entryId) || null;
+            upserted.forEach(entry => {
+                const before = findEntry(entry.id);
+                this.recordAudit(before ? 'edit' : 'create', before, entry, {
+                    reasonCode: 'sheet_edit', note: '', user: 'Google Sheets'
+                }, 'sheet');
+            });
+            deleted.forEach(entryId => {
+                const before = findEntry(entryId);
+                if (before) {
+                    this.recordAudit('delete', before, null, {
+                        reasonCode: 'sheet_edit', note: '', user: 'Google Sheets'
+                    }, 'sheet');
+                }
+            });
+        }
+        
+        const removeEntry = (entryId) => {
+            Object.keys(this.salesDataByStore).forEach(storeId => {
+                this.salesDataByStore[storeId] = this.salesDataByStore[storeId].filter(e => e.id !== entryId);
+            });
+        };
+        
+        deleted.forEach(removeEntry);
+        upserted.forEach(entry => {
+            removeEntry(entry.id);
+            
+            // Rows added directly in the sheet may not name a store
+            const storeId = entry.storeId || this.appSettings.stores[0].id;
+            if (!this.salesDataByStore[storeId]) {
+                this.salesDataByStore[storeId] = [];
+            }
+            this.salesDataByStore[storeId].push({ ...entry, storeId: storeId });
+        });
+        
+        Object.values(this.salesDataByStore).forEach(entries => {
+            entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        });
+        this.updateSalesData();
+        this.loadRecentEntries();
+        this.updateDashboard();
+    }
+
+    updateSyncStatus(status) {
+        const element = document.getElementById('sync-status');
+        if (!element) return;
+        
+        let statusHtml;
+        if (!status.configured) {
+            statusHtml = `<span class="text-muted">${this.t('ui.notConfigured')}</span>`;
+        } else if (status.syncing) {
+            statusHtml = `<span class="text-primary"><i class="fas fa-sync fa-spin me-1"></i>${this.t('sync.syncing')}</span>`;
+        } else if (!status.online) {
+            statusHtml = `<span class="text-warning">${this.t('sync.offline')}</span>`;
+        } else if (status.lastError) {
+            statusHtml = `<span class="text-danger" title="${this.escapeHtml(status.lastError)}">${this.t('sync.error')}</span>`;
+        } else {
+            statusHtml = `<span class="text-success">${status.lastSyncedAt ?
+                this.t('sync.synced', { time: this.translator.formatTime(status.lastSyncedAt) }) : this.t('sync.notYetSynced')}</span>`;
+        }
+        
+        if (status.pendingCount > 0) {
+            statusHtml += ` <span class="text-muted">${this.t('sync.pending', { count: status.pendingCount })}</span>`;
+        }
+        element.innerHTML = statusHtml;
+        
+        const conflictsButton = document.getElementById('show-sync-conflicts');
+        if (conflictsButton) {
+            conflictsButton.classList.toggle('d-none', status.conflictCount === 0);
+            conflictsButton.querySelector('.conflict-count').textContent = status.conflictCount;
+        }
+    }
+
+    async showSyncConflicts() {
+        if (!this.syncService) return;
+        
+        const conflicts = await this.syncService.getConflicts();
+        const body = document.getElementById('sync-conflicts-body');
+        
+        if (conflicts.length === 0) {
+            body.innerHTML = `
+                <p class="text-muted mb-0">
+                    <i class="fas fa-check-circle text-success me-1"></i>
+                    ${this.t('sync.noConflicts')}
+                </p>
+            `;
+        } else {
+            body.innerHTML = conflicts.map(conflict => this.renderSyncConflict(conflict)).join('');
+        }
+        
+        const modal = document.getElementById('syncConflictsModal');
+        if (typeof bootstrap !== 'undefined' && !modal.classList.contains('show')) {
+            new bootstrap.Modal(modal).show();
+        }
+    }
+
+    renderSyncConflict(conflict) {
+        const entry = conflict.local || conflict.remote;
+        const differences = this.syncService.describeConflict(conflict);
+        
+        let detail;
+        if (conflict.closes) {
+            detail = `<p class="mb-2">${this.t('sync.conflictClosed', { closes: this.escapeHtml(conflict.closes.join(', ')) })}</p>`;
+        } else if (!conflict.local) {
+            detail = `<p class="mb-2">${this.t('sync.deletedInBrowser')}</p>`;
+        } else if (!conflict.remote) {
+            detail = `<p class="mb-2">${this.t('sync.deletedInSheet')}</p>`;
+        } else {
+            detail = `
+                <table class="table table-sm mb-2">
+                    <thead>
+                        <tr><th>${this.t('sync.field')}</th><th>${this.t('sync.browser')}</th><th>${this.t('sync.sheet')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${differences.map(d => `
+                            <tr>
+                                <td>${this.escapeHtml(d.label)}</td>
+                                <td>${this.escapeHtml(d.local)}</td>
+                                <td>${this.escapeHtml(d.remote)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        return `
+            <div class="border rounded p-3 mb-3">
+                <h6>
+                    ${this.escapeHtml(this.describeEntry(entry))}
+                    <small class="text-muted">(${this.escapeHtml(this.getStoreName(entry.storeId))})</small>
+                </h6>
+                ${detail}
+                <button class="btn btn-sm btn-outline-primary" onclick="app.resolveSyncConflict('${conflict.entryId}', 'local')">
+                    <i class="fas fa-laptop me-1"></i>${this.t('sync.keepBrowser')}
+                </button>
+                <button class="btn btn-sm btn-outline-success" onclick="app.resolveSyncConflict('${conflict.entryId}', 'remote')">
+                    <i class="fas fa-table me-1"></i>${this.t('sync.keepSheet')}
+                </button>
+            </div>
+        `;
+    }
+
+    async resolveSyncConflict(entryId, resolution) {
+        // The sheet refuses changes to its closed periods without a manager unlock
+        let unlock = null;
+        const conflict = (await this.syncService.getConflicts()).find(c => c.entryId === entryId);
+        if (resolution === 'local' && conflict && conflict.closes) {
+            unlock = await this.requestManagerUnlock(conflict.local || conflict.remote);
+            if (!unlock) return;
+        }
+        
+        await this.syncService.resolveConflict(entryId, resolution, unlock);
+        this.displaySuccessMessage(this.t(resolution === 'local' ? 'sync.keptLocal' : 'sync.keptSheet'));
+        this.showSyncConflicts();
+    }
+
+    prefillShiftHandoff() {
+        const shiftNumber = parseInt(document.getElementById('shift-number').value, 10) || 1;
+        if (shiftNumber <= 1) {
+            this.prefillOpeningContinuity();
+            return;
+        }
+        
+        const storeId = document.getElementById('entry-store').value;
+        const date = document.getElementById('transaction-date').value;
+        const registerNumber = document.getElementById('register-number').value;
+        
+        const previousShift = (this.salesDataByStore[storeId] || [])
+            .filter(entry => entry.date === date && entry.registerNumber === registerNumber &&
+                (entry.shiftNumber || 1) < shiftNumber)
+            .sort((a, b) => (b.shiftNumber || 1) - (a.shiftNumber || 1))[0];
+        
+        if (!previousShift) return;
+        
+        document.getElementById('opening-cash').value = previousShift.closingCash;
+        this.fillDenominationCounts('opening-denominations', previousShift.closingCount);
+        this.displayInfoMessage(this.t('app.openingFromShift', { shift: previousShift.shiftNumber || 1 }));
+    }
+
+    prefillOpeningContinuity() {
+        if (!this.reconciliation) {
+            this.prefillDefaultFloat();
+            return;
+        }
+        if (this.editingEntryId) return;
+        
+        // The first shift opens with what the register was left with at its last close
+        const storeId = document.getElementById('entry-store').value;
+        const registerNumber = document.getElementById('register-number').value;
+        const date = document.getElementById('transaction-date').value;
+        const openingCash = document.getElementById('opening-cash');
+        if (!registerNumber || !date || openingCash.value || openingCash.readOnly) return;
+        
+        const expected = this.reconciliation.findExpectedOpening({ storeId: storeId, registerNumber: registerNumber, date: date });
+        if (!expected) return;
+        
+        openingCash.value = expected.expectedOpening.toFixed(2);
+        this.validateSalesData();
+        if (expected.basis === 'previous_close') {
+            this.displayInfoMessage(this.t('app.openingFromPreviousClose', {
+                date: this.formatDate(expected.previousDate),
+                closing: this.formatCurrency(expected.previousClosingCash)
+            }));
+        }
+    }
+
+    prefillDefaultFloat() {
+        if (!this.registerRoster || this.editingEntryId) return;
+        
+        const register = this.registerRoster.getRegister(document.getElementById('register-number').value);
+        const openingCash = document.getElementById('opening-cash');
+        if (!register || !register.defaultFloat || openingCash.value || openingCash.readOnly) return;
+        
+        openingCash.value = register.defaultFloat.toFixed(2);
+        this.validateSalesData();
+    }
+
+    renderRegisterOptions(selected = document.getElementById('register-number').value) {
+        if (!this.registerRoster) return;
+        
+        const select = document.getElementById('register-number');
+        const storeId = document.getElementById('entry-store').value;
+        const date = document.getElementById('transaction-date').value;
+        const registers = this.registerRoster.getRegistersFor(storeId, date || null);
+        
+        // An entry being edited keeps its register even if it has since been retired
+        const current = selected && !registers.some(register => register.id === selected) ?
+            this.registerRoster.getRegister(selected) : null;
+        
+        select.innerHTML = `<option value="">${this.t('ui.selectRegister')}</option>` + registers.map(register => `
+            <option value="${register.id}">${this.escapeHtml(this.registerRoster.describe(register.id))}${register.location ? ` - ${this.escapeHtml(register.location)}` : ''}</option>
+        `).join('') + (current ? `<option value="${current.id}">${this.escapeHtml(this.t('app.notInService', { register: this.registerRoster.describe(current.id) }))}</option>` : '');
+        select.value = registers.some(register => register.id === selected) || current ? selected : '';
+    }
+
+    showRegisterRoster() {
+        const storeSelect = document.getElementById('register-store');
+        storeSelect.innerHTML = `<option value="">${this.t('app.allStores')}</option>` + this.appSettings.stores.map(store => `
+            <option value="${this.escapeHtml(store.id)}">${this.escapeHtml(store.name)}</option>
+        `).join('');
+        
+        this.resetRegisterForm();
+        this.renderRegisterRoster();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('registerRosterModal')).show();
+    }
+
+    renderRegisterRoster() {
+        const today = new Date().toISOString().split('T')[0];
+        
+        document.getElementById('register-roster-body').innerHTML = this.registerRoster.registers.map(register => {
+            const active = this.registerRoster.isActiveOn(register, today);
+            const status = this.t(active ? 'ui.active' : register.activeTo && register.activeTo < today ? 'app.statusRetired' : 'app.statusNotYetActive');
+            return `
+                <tr class="${active ? '' : 'text-muted'}">
+                    <td>${this.escapeHtml(register.id)}</td>
+                    <td>${this.escapeHtml(register.name)}</td>
+                    <td>${register.storeId ? this.escapeHtml(this.getStoreName(register.storeId)) : this.t('app.allStores')}</td>
+                    <td>${this.escapeHtml(register.location || '-')}</td>
+                    <td>${this.formatCurrency(register.defaultFloat)}</td>
+                    <td>
+                        ${register.activeFrom ? this.formatDate(register.activeFrom) : '...'} -
+                        ${register.activeTo ? this.formatDate(register.activeTo) : '...'}
+                    </td>
+                    <td><span class="badge bg-${active ? 'success' : 'secondary'}">${status}</span></td>
+                    <td class="text-nowrap">
+                        <button type="button" class="btn btn-sm btn-outline-primary" onclick="app.editRegister('${register.id}')" title="${this.t('app.edit')}">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${active ? `
+                            <button type="button" class="btn btn-sm btn-outline-danger" onclick="app.retireRegister('${register.id}')" title="${this.t('app.retire')}">
+                                <i class="fas fa-archive"></i>
+                            </button>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    editRegister(registerId) {
+        const register = this.registerRoster.getRegister(registerId);
+        if (!register) return;
+        
+        document.getElementById('register-edit-id').value = register.id;
+        document.getElementById('register-name').value = register.name;
+        document.getElementById('register-store').value = register.storeId;
+        document.getElementById('register-location').value = register.location;
+        document.getElementById('register-float').value = register.defaultFloat;
+        document.getElementById('register-active-from').value = register.activeFrom;
+        document.getElementById('register-active-to').value = register.activeTo;
+        document.getElementById('register-save-label').textContent = this.t('app.saveRegister', { register: register.id });
+        document.getElementById('register-cancel-edit').classList.remove('d-none');
+    }
+
+    resetRegisterForm() {
+        document.getElementById('register-form').reset();
+        document.getElementById('register-edit-id').value = '';
+        document.getElementById('register-save-label').textContent = this.t('ui.addRegister');
+        document.getElementById('register-cancel-edit').classList.add('d-none');
+    }
+
+    saveRegister() {
+        const registerId = document.getElementById('register-edit-id').value;
+        const fields = {
+            name: document.getElementById('register-name').value,
+            storeId: document.getElementById('register-store').value,
+            location: document.getElementById('register-location').value,
+            defaultFloat: document.getElementById('register-float').value,
+            activeFrom: document.getElementById('register-active-from').value,
+            activeTo: document.getElementById('register-active-to').value
+        };
+        
+        let register;
+        try {
+            register = registerId ?
+                this.registerRoster.updateRegister(registerId, fields) :
+                this.registerRoster.addRegister(fields);
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        this.registerRosterChanged();
+        this.resetRegisterForm();
+        this.displaySuccessMessage(this.t(registerId ? 'app.registerUpdated' : 'app.registerAdded', { register: this.registerRoster.describe(register.id) }));
+    }
+
+    retireRegister(registerId) {
+        const today = new Date().toISOString().split('T')[0];
+        if (!confirm(this.t('app.retireRegisterConfirm', { register: this.registerRoster.describe(registerId) }))) {
+            return;
+        }
+        
+        try {
+            this.registerRoster.retireRegister(registerId, today);
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        this.registerRosterChanged();
+        this.displaySuccessMessage(this.t('app.registerRetired', { register: this.registerRoster.describe(registerId) }));
+    }
+
+    registerRosterChanged() {
+        // The sync service sends the roster to the sheet when this changes
+        this.appSettings.registersUpdatedAt = new Date().toISOString();
+        this.saveSettings();
+        
+        this.renderRegisterRoster();
+        this.renderRegisterOptions();
+        this.updateDashboard();
+        if (this.syncService) {
+            this.syncService.scheduleSync();
+        }
+    }
+
+    getCashThreshold() {
+        return this.reconciliation ? this.reconciliation.reconciliationRules.cashDiscrepancyThreshold : 5;
+    }
+
+    getSettings(storeId = this.appSettings.currentStoreId) {
+        const rules = this.reconciliation ? this.reconciliation.getReconciliationRules() : {};
+        const email = this.emailService ? this.emailService.getEmailSettings() : {};
+        
+        return {
+            storeName: storeId === 'all' ? '' : this.getStoreName(storeId),
+            ...this.currency.getSettings(),
+            foreignCurrencies: this.getForeignCurrencies(),
+            taxRates: this.getTaxRates(),
+            taxTolerance: rules.taxTolerance,
+            tenderTypes: this.getTenderTypes(),
+            cashDiscrepancyThreshold: rules.cashDiscrepancyThreshold,
+            largeDiscrepancyThreshold: rules.largeDiscrepancyThreshold,
+            maxReturnsPercentage: rules.maxReturnsPercentage,
+            minOpeningCash: rules.minOpeningCash,
+            depositTransitDays: rules.depositTransitDays,
+            managerEmail: email.managerEmail,
+            adminEmail: email.adminEmail,
+            managerLocale: email.managerLocale,
+            adminLocale: email.adminLocale,
+            dailyReportTime: email.dailyReportTime,
+            autoNotifications: email.autoNotifications
+        };
+    }
+
+    getDefaultSettings() {
+        const rules = typeof ReconciliationEngine !== 'undefined' ? ReconciliationEngine.DEFAULT_RULES : {};
+        const email = typeof EmailService !== 'undefined' ? EmailService.DEFAULT_SETTINGS : {};
+        
+        return {
+            ...new CurrencyFormatter().getSettings(),
+            foreignCurrencies: [],
+            taxTolerance: rules.taxTolerance,
+            cashDiscrepancyThreshold: rules.cashDiscrepancyThreshold,
+            largeDiscrepancyThreshold: rules.largeDiscrepancyThreshold,
+            maxReturnsPercentage: rules.maxReturnsPercentage,
+            minOpeningCash: rules.minOpeningCash,
+            depositTransitDays: rules.depositTransitDays,
+            dailyReportTime: email.dailyReportTime,
+            autoNotifications: email.autoNotifications
+        };
+    }
+
+    renderSettingsForm(settings = this.getSettings()) {
+        const storeName = document.getElementById('setting-store-name');
+        storeName.value = settings.storeName;
+        storeName.disabled = this.appSettings.currentStoreId === 'all';
+        
+        // A code set in the sheet may not be one of those offered
+        const currency = document.getElementById('setting-currency');
+        if (![...currency.options].some(option => option.value === settings.currency)) {
+            currency.add(new Option(settings.currency, settings.currency));
+        }
+        currency.value = settings.currency;
+        document.getElementById('setting-currency-symbol').value = settings.currencySymbol;
+        document.getElementById('setting-symbol-position').value = settings.symbolPosition;
+        document.getElementById('setting-decimal-places').value = settings.decimalPlaces;
+        document.getElementById('setting-cash-rounding').value = settings.cashRounding;
+        document.getElementById('setting-foreign-currencies').value = settings.foreignCurrencies.join(', ');
+        document.getElementById('setting-tax-rates').value = SalesTaxCalculator.formatRates(settings.taxRates);
+        document.getElementById('setting-tax-tolerance').value = settings.taxTolerance;
+        document.getElementById('setting-tender-types').value = TenderCalculator.formatTypes(settings.tenderTypes);
+        document.getElementById('setting-cash-threshold').value = settings.cashDiscrepancyThreshold;
+        document.getElementById('setting-large-threshold').value = settings.largeDiscrepancyThreshold;
+        document.getElementById('setting-max-returns').value = settings.maxReturnsPercentage;
+        document.getElementById('setting-min-opening-cash').value = settings.minOpeningCash;
+        document.getElementById('setting-deposit-transit-days').value = settings.depositTransitDays;
+        document.getElementById('setting-manager-email').value = settings.managerEmail;
+        document.getElementById('setting-admin-email').value = settings.adminEmail;
+        document.getElementById('setting-manager-locale').value = settings.managerLocale;
+        document.getElementById('setting-admin-locale').value = settings.adminLocale;
+        document.getElementById('setting-report-time').value = settings.dailyReportTime;
+        document.getElementById('setting-auto-notifications').checked = settings.autoNotifications;
+        
+        document.querySelectorAll('#settings-form .is-invalid').forEach(field => field.classList.remove('is-invalid'));
+    }
+
+    collectSettingsFormData() {
+        return {
+            storeName: document.getElementById('setting-store-name').value.trim(),
+            currency: document.getElementById('setting-currency').value,
+            currencySymbol: document.getElementById('setting-currency-symbol').value.trim(),
+            symbolPosition: document.getElementById('setting-symbol-position').value,
+            decimalPlaces: Number(document.getElementById('setting-decimal-places').value),
+            cashRounding: parseFloat(document.getElementById('setting-cash-rounding').value),
+            foreignCurrencies: this.parseCurrencyList(document.getElementById('setting-foreign-currencies').value),
+            taxRates: SalesTaxCalculator.parseRates(document.getElementById('setting-tax-rates').value),
+            taxTolerance: parseFloat(document.getElementById('setting-tax-tolerance').value),
+            tenderTypes: TenderCalculator.parseTypes(document.getElementById('setting-tender-types').value),
+            cashDiscrepancyThreshold: parseFloat(document.getElementById('setting-cash-threshold').value),
+            largeDiscrepancyThreshold: parseFloat(document.getElementById('setting-large-threshold').value),
+            maxReturnsPercentage: parseFloat(document.getElementById('setting-max-returns').value),
+            minOpeningCash: parseFloat(document.getElementById('setting-min-opening-cash').value),
+            depositTransitDays: Number(document.getElementById('setting-deposit-transit-days').value),
+            managerEmail: document.getElementById('setting-manager-email').value.trim(),
+            adminEmail: document.getElementById('setting-admin-email').value.trim(),
+            managerLocale: document.getElementById('setting-manager-locale').value,
+            adminLocale: document.getElementById('setting-admin-locale').value,
+            dailyReportTime: document.getElementById('setting-report-time').value,
+            autoNotifications: document.getElementById('setting-auto-notifications').checked
+        };
+    }
+
+    validateSettings(settings, storeId = this.appSettings.currentStoreId) {
+        const errors = [];
+        const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        
+        if (storeId !== 'all' && !settings.storeName) {
+            errors.push({ field: 'setting-store-name', message: this.t('settings.storeNameRequired') });
+        }
+        if (!/^[A-Z]{3}$/.test(settings.currency)) {
+            errors.push({ field: 'setting-currency', message: this.t('settings.currencyCode') });
+        }
+        if (!settings.currencySymbol) {
+            errors.push({ field: 'setting-currency-symbol', message: this.t('settings.currencySymbolRequired') });
+        }
+        if (!CurrencyFormatter.SYMBOL_POSITIONS[settings.symbolPosition]) {
+            errors.push({ field: 'setting-symbol-position', message: this.t('settings.symbolPosition') });
+        }
+        if (!Number.isInteger(settings.decimalPlaces) || settings.decimalPlaces < 0 || settings.decimalPlaces > 3) {
+            errors.push({ field: 'setting-decimal-places', message: this.t('settings.decimalPlaces') });
+        }
+        if (isNaN(settings.cashRounding) || settings.cashRounding < 0 ||
+            (settings.cashRounding > 0 && settings.cashRounding < Math.pow(10, -settings.decimalPlaces))) {
+            errors.push({ field: 'setting-cash-rounding', message: this.t('settings.cashRounding') });
+        }
+        const invalidCurrencies = settings.foreignCurrencies.filter(code => !/^[A-Z]{3}$/.test(code) || code === settings.currency);
+        if (invalidCurrencies.length > 0) {
+            errors.push({ field: 'setting-foreign-currencies', message: this.t('settings.foreignCurrencies', { codes: invalidCurrencies.join(', ') }) });
+        }
+        const invalidRates = SalesTaxCalculator.findInvalidRates(settings.taxRates);
+        if (invalidRates.length > 0) {
+            errors.push({ field: 'setting-tax-rates', message: this.t('settings.taxRates', {
+                rates: invalidRates.map(rate => rate.name || '?').join(', ')
+            }) });
+        }
+        if (isNaN(settings.taxTolerance) || settings.taxTolerance < 0) {
+            errors.push({ field: 'setting-tax-tolerance', message: this.t('settings.taxTolerance') });
+        }
+        const invalidTenders = TenderCalculator.findInvalidTypes(settings.tenderTypes);
+        if (invalidTenders.length > 0) {
+            errors.push({ field: 'setting-tender-types', message: this.t('settings.tenderTypes', {
+                tenders: invalidTenders.map(type => type.name || '?').join(', ')
+            }) });
+        }
+        if (isNaN(settings.cashDiscrepancyThreshold) || settings.cashDiscrepancyThreshold < 0) {
+            errors.push({ field: 'setting-cash-threshold', message: this.t('settings.cashThreshold') });
+        }
+        if (isNaN(settings.largeDiscrepancyThreshold) || settings.largeDiscrepancyThreshold <= settings.cashDiscrepancyThreshold) {
+            errors.push({ field: 'setting-large-threshold', message: this.t('settings.largeThreshold') });
+        }
+        if (isNaN(settings.maxReturnsPercentage) || settings.maxReturnsPercentage < 0 || settings.maxReturnsPercentage > 100) {
+            errors.push({ field: 'setting-max-returns', message: this.t('settings.maxReturns') });
+        }
+        if (isNaN(settings.minOpeningCash) || settings.minOpeningCash < 0) {
+            errors.push({ field: 'setting-min-opening-cash', message: this.t('settings.minOpeningCash') });
+        }
+        if (!Number.isInteger(settings.depositTransitDays) || settings.depositTransitDays < 0 || settings.depositTransitDays > 30) {
+            errors.push({ field: 'setting-deposit-transit-days', message: this.t('settings.depositTransitDays') });
+        }
+        if (settings.managerEmail && !emailPattern.test(settings.managerEmail)) {
+            errors.push({ field: 'setting-manager-email', message: this.t('settings.managerEmail') });
+        }
+        if (settings.adminEmail && !emailPattern.test(settings.adminEmail)) {
+            errors.push({ field: 'setting-admin-email', message: this.t('settings.adminEmail') });
+        }
+        if (!Translator.LOCALES[settings.managerLocale]) {
+            errors.push({ field: 'setting-manager-locale', message: this.t('settings.emailLocale') });
+        }
+        if (!Translator.LOCALES[settings.adminLocale]) {
+            errors.push({ field: 'setting-admin-locale', message: this.t('settings.emailLocale') });
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.dailyReportTime)) {
+            errors.push({ field: 'setting-report-time', message: this.t('settings.reportTime') });
+        }
+        
+        return errors;
+    }
+
+    saveSettingsForm() {
+        const settings = this.collectSettingsFormData();
+        const errors = this.validateSettings(settings);
+        
+        document.querySelectorAll('#settings-form .is-invalid').forEach(field => field.classList.remove('is-invalid'));
+        if (errors.length > 0) {
+            errors.forEach(error => document.getElementById(error.field).classList.add('is-invalid'));
+            this.displayErrorMessage(errors.map(error => error.message).join('. ') + '.');
+            return;
+        }
+        
+        this.applySettings(settings);
+        
+        // The sync service sends the settings to the sheet when this changes
+        this.appSettings.settingsUpdatedAt = new Date().toISOString();
+        this.saveSettings();
+        if (this.syncService) {
+            this.syncService.scheduleSync();
+        }
+        
+        this.displaySuccessMessage(this.t('app.settingsSaved'));
+    }
+
+    resetSettingsForm() {
+        if (!confirm(this.t('app.resetSettingsConfirm'))) {
+            return;
+        }
+        
+        this.renderSettingsForm({ ...this.getSettings(), ...this.getDefaultSettings() });
+        this.displayInfoMessage(this.t('app.defaultsFilled'));
+    }
+
+    applySettings(settings, storeId = this.appSettings.currentStoreId) {
+        if (this.reconciliation) {
+            this.reconciliation.updateReconciliationRules({
+                cashDiscrepancyThreshold: settings.cashDiscrepancyThreshold,
+                largeDiscrepancyThreshold: settings.largeDiscrepancyThreshold,
+                maxReturnsPercentage: settings.maxReturnsPercentage,
+                minOpeningCash: settings.minOpeningCash,
+                depositTransitDays: settings.depositTransitDays,
+                taxTolerance: settings.taxTolerance
+            });
+        }
+        
+        if (this.emailService) {
+            this.emailService.updateEmailSettings({
+                managerEmail: settings.managerEmail,
+                adminEmail: settings.adminEmail,
+                managerLocale: settings.managerLocale,
+                adminLocale: settings.adminLocale,
+                dailyReportTime: settings.dailyReportTime,
+                autoNotifications: settings.autoNotifications,
+                // Alert emails go out for large discrepancies
+                discrepancyThreshold: settings.largeDiscrepancyThreshold
+            });
+        }
+        
+        const store = this.appSettings.stores.find(s => s.id === storeId);
+        if (store && settings.storeName) {
+            store.name = settings.storeName;
+        }
+        this.appSettings.storeName = this.getStoreName(this.appSettings.currentStoreId);
+        const previousCurrency = this.currency.code;
+        this.currency.configure(settings);
+        Object.assign(this.appSettings, this.currency.getSettings());
+        this.appSettings.foreignCurrencies = settings.foreignCurrencies;
+        this.appSettings.taxRates = settings.taxRates;
+        this.appSettings.tenderTypes = settings.tenderTypes;
+        this.saveSettings();
+        if (this.reconciliation) {
+            this.reconciliation.setTenderTypes(settings.tenderTypes);
+        }
+        
+        // Show everything with the new thresholds, names and currency
+        if (this.dashboard) {
+            this.dashboard.setStores(this.appSettings.stores);
+            this.dashboard.setSettings({
+                cashDiscrepancyThreshold: settings.cashDiscrepancyThreshold,
+                largeDiscrepancyThreshold: settings.largeDiscrepancyThreshold
+            });
+            this.dashboard.setTenderTypes(settings.tenderTypes);
+        }
+        this.updateCurrencyLabels();
+        // Counts entered in the old currency's denominations no longer apply
+        if (this.cashCounter && this.currency.code !== previousCurrency) {
+            this.renderDenominationInputs();
+            document.querySelectorAll('.denomination-grid').forEach(container => this.updateCountTotal(container));
+        }
+        this.renderForeignCashInputs();
+        this.renderTaxInputs();
+        this.renderTenderInputs();
+        this.renderRefundInputs();
+        this.renderPettyCashItems(this.readPettyCashItems());
+        this.renderExchangeRates();
+        this.renderStoreOptions();
+        this.loadRecentEntries();
+        this.updateDashboard();
+        this.renderCaseList();
+        this.renderPeriodCloses();
+        this.loadReconciliationData();
+    }
+
+    applySyncedSettings(sheetSettings) {
+        // The sheet's Settings tab holds a single store name, the first store's
+        const storeId = this.appSettings.stores[0].id;
+        const current = this.getSettings(storeId);
+        const settings = { ...current, ...sheetSettings };
+        
+        if (JSON.stringify(settings) === JSON.stringify(current)) return;
+        
+        const errors = this.validateSettings(settings, storeId);
+        if (errors.length > 0) {
+            this.displayErrorMessage(this.t('app.settingsSheetIgnored', { errors: errors.map(error => error.message).join('. ') }));
+            return;
+        }
+        
+        this.applySettings(settings, storeId);
+        this.renderSettingsForm();
+        this.displayInfoMessage(this.t('app.settingsFromSheet'));
+    }
+
+    renderDiscrepancyRules() {
+        const container = document.getElementById('discrepancy-rule-list');
+        const rules = this.reconciliation && this.reconciliation.discrepancyRules;
+        if (!container || !rules) return;
+        
+        const ruleSet = rules.ruleSet;
+        document.getElementById('rules-version').textContent = ruleSet.version > 0 ?
+            this.t('app.rulesVersion', {
+                version: ruleSet.version,
+                summary: ruleSet.summary,
+                user: ruleSet.updatedBy,
+                time: this.translator.formatDateTime(ruleSet.updatedAt)
+            }) :
+            this.t('app.noRulesYet');
+        document.getElementById('rules-user').value = document.getElementById('rules-user').value || this.appSettings.auditUser || '';
+        document.getElementById('rules-history').innerHTML = ruleSet.history.length > 0 ?
+            ruleSet.history.map(version => `
+                <option value="${version.version}">
+                    v${version.version}: ${this.escapeHtml(version.summary || this.t('app.saved'))} (${this.escapeHtml(version.updatedBy)}, ${this.translator.formatDate(new Date(version.updatedAt))})
+                </option>
+            `).join('') :
+            `<option value="">${this.t('app.noEarlierVersions')}</option>`;
+        
+        if (ruleSet.rules.length === 0) {
+            container.innerHTML = `<p class="text-muted mb-0">${this.t('app.noStoreRules')}</p>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr>
+                            <th>${this.t('app.ruleOn')}</th>
+                            <th>${this.t('app.ruleColumn')}</th>
+                            <th>${this.t('app.ruleFlagsWhen')}</th>
+                            <th>${this.t('ui.severity')}</th>
+                            <th>${this.t('ui.store')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ruleSet.rules.map(rule => `
+                            <tr class="${rule.enabled ? '' : 'text-muted'}">
+                                <td>
+                                    <input type="checkbox" class="form-check-input" ${rule.enabled ? 'checked' : ''}
+                                        onchange="app.toggleDiscrepancyRule('${rule.id}', this.checked)" title="${this.t('app.ruleToggle')}">
+                                </td>
+                                <td>
+                                    ${this.escapeHtml(rule.name)}<br>
+                                    <small class="text-muted">${this.t('app.ruleRevision', { rule: rule.id, revision: rule.revision })}</small>
+                                </td>
+                                <td><small>${rule.conditions.map(condition => this.escapeHtml(rules.describeCondition(condition))).join(` <em>${this.t(rule.match === 'any' ? 'app.ruleOr' : 'app.ruleAnd')}</em> `)}</small></td>
+                                <td><span class="badge bg-${rule.severity === 'high' ? 'danger' : rule.severity === 'medium' ? 'warning' : 'secondary'}">${rule.severity}</span></td>
+                                <td>${rule.storeId ? this.escapeHtml(this.getStoreName(rule.storeId)) : this.t('app.allStores')}</td>
+                                <td class="text-nowrap">
+                                    <button type="button" class="btn btn-sm btn-outline-primary" onclick="app.showDiscrepancyRule('${rule.id}')" title="${this.t('app.edit')}">
+                                        <i class="fas fa-edit"></i>
+                                    </button>
+                                    <button type="button" class="btn btn-sm btn-outline-danger" onclick="app.deleteDiscrepancyRule('${rule.id}')" title="${this.t('app.delete')}">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    showDiscrepancyRule(ruleId = null) {
+        const rules = this.reconciliation.discrepancyRules;
+        const rule = ruleId ? rules.getRule(ruleId) : null;
+        
+        document.getElementById('discrepancy-rule-form').reset();
+        document.getElementById('rule-edit-id').value = rule ? rule.id : '';
+        document.getElementById('rule-modal-title').textContent = rule ? this.t('app.editRule', { rule: rule.id }) : this.t('ui.addRule');
+        document.getElementById('rule-store').innerHTML = `<option value="">${this.t('app.allStores')}</option>` + this.appSettings.stores.map(store => `
+            <option value="${this.escapeHtml(store.id)}">${this.escapeHtml(store.name)}</option>
+        `).join('');
+        document.getElementById('rule-placeholders').innerHTML = `${this.t('app.rulePlaceholders')} ` +
+            Object.keys(DiscrepancyRules.FIELDS).map(key => `<code>{${key}}</code>`).join(' ');
+        
+        if (rule) {
+            document.getElementById('rule-name').value = rule.name;
+            document.getElementById('rule-severity').value = rule.severity;
+            document.getElementById('rule-store').value = rule.storeId;
+            document.getElementById('rule-match').value = rule.match;
+            document.getElementById('rule-message').value = rule.message;
+            document.getElementById('rule-enabled').checked = rule.enabled;
+        }
+        
+        const conditions = rule ? rule.conditions : [{ field: 'cardSales', operator: 'greaterThan', value: '' }];
+        document.getElementById('rule-conditions').innerHTML = conditions.map(condition => this.renderRuleCondition(condition)).join('');
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('discrepancyRuleModal')).show();
+    }
+
+    renderRuleCondition(condition) {
+        return `
+            <div class="row g-2 mb-2 rule-condition">
+                <div class="col-md-4">
+                    <select class="form-select form-select-sm rule-condition-field">
+                        ${Object.entries(DiscrepancyRules.FIELDS).map(([key, field]) => `
+                            <option value="${key}" ${key === condition.field ? 'selected' : ''}>${field.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="col-md-3">
+                    <select class="form-select form-select-sm rule-condition-operator">
+                        ${this.renderRuleOperatorOptions(condition.field, condition.operator)}
+                    </select>
+                </div>
+                <div class="col-md-4">
+                    <input type="text" class="form-control form-control-sm rule-condition-value" value="${this.escapeHtml(condition.value)}">
+                </div>
+                <div class="col-md-1 text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger remove-rule-condition" title="${this.t('app.removeCondition')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRuleOperatorOptions(fieldKey, selected) {
+        const field = DiscrepancyRules.FIELDS[fieldKey];
+        return Object.entries(DiscrepancyRules.OPERATORS)
+            .filter(([, operator]) => operator.types.includes(field.type))
+            .map(([key, operator]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${operator.label}</option>`)
+            .join('');
+    }
+
+    getRulesUser() {
+        const user = document.getElementById('rules-user').value.trim();
+        if (user) {
+            this.appSettings.auditUser = user;
+            this.saveSettings();
+        }
+        return user;
+    }
+
+    async saveDiscrepancyRule() {
+        const rules = this.reconciliation.discrepancyRules;
+        const ruleId = document.getElementById('rule-edit-id').value;
+        const fields = {
+            name: document.getElementById('rule-name').value,
+            severity: document.getElementById('rule-severity').value,
+            storeId: document.getElementById('rule-store').value,
+            match: document.getElementById('rule-match').value,
+            message: document.getElementById('rule-message').value,
+            enabled: document.getElementById('rule-enabled').checked,
+            conditions: [...document.querySelectorAll('#rule-conditions .rule-condition')].map(row => ({
+                field: row.querySelector('.rule-condition-field').value,
+                operator: row.querySelector('.rule-condition-operator').value,
+                value: row.querySelector('.rule-condition-value').value
+            }))
+        };
+        
+        let rule;
+        try {
+            rule = ruleId ?
+                await rules.updateRule(ruleId, fields, this.getRulesUser()) :
+                await rules.addRule(fields, this.getRulesUser());
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('discrepancyRuleModal')).hide();
+        this.renderDiscrepancyRules();
+        this.displaySuccessMessage(this.t(ruleId ? 'app.ruleUpdated' : 'app.ruleAdded', { rule: rule.name }));
+    }
+
+    async toggleDiscrepancyRule(ruleId, enabled) {
+        try {
+            await this.reconciliation.discrepancyRules.setEnabled(ruleId, enabled, this.getRulesUser());
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+        }
+        this.renderDiscrepancyRules();
+    }
+
+    async deleteDiscrepancyRule(ruleId) {
+        const rules = this.reconciliation.discrepancyRules;
+        const rule = rules.getRule(ruleId);
+        if (!rule || !confirm(this.t('app.deleteRuleConfirm', { rule: rule.name }))) return;
+        
+        try {
+            await rules.deleteRule(ruleId, this.getRulesUser());
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        this.renderDiscrepancyRules();
+        this.displaySuccessMessage(this.t('app.ruleDeleted', { rule: rule.name }));
+    }
+
+    async restoreRulesVersion() {
+        const version = parseInt(document.getElementById('rules-history').value, 10);
+        if (!version || !confirm(this.t('app.restoreRulesConfirm', { version: version }))) return;
+        
+        try {
+            await this.reconciliation.discrepancyRules.restoreVersion(version, this.getRulesUser());
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        this.renderDiscrepancyRules();
+        this.displaySuccessMessage(this.t('app.rulesRestored', { version: version }));
+    }
+
+    renderCurrencyOptions() {
+        const currency = document.getElementById('setting-currency');
+        currency.innerHTML = Object.keys(CurrencyFormatter.CURRENCIES).map(code =>
+            `<option value="${code}">${code} - ${CurrencyFormatter.CURRENCIES[code].name}</option>`
+        ).join('');
+        
+        document.getElementById('setting-symbol-position').innerHTML = Object.keys(CurrencyFormatter.SYMBOL_POSITIONS).map(position =>
+            `<option value="${position}">${CurrencyFormatter.SYMBOL_POSITIONS[position]}</option>`
+        ).join('');
+    }
+
+    fillCurrencyDefaults(code) {
+        // Choosing a currency fills in its usual conventions, which can then be adjusted
+        const defaults = CurrencyFormatter.getDefaults(code);
+        document.getElementById('setting-currency-symbol').value = defaults.currencySymbol;
+        document.getElementById('setting-symbol-position').value = defaults.symbolPosition;
+        document.getElementById('setting-decimal-places').value = defaults.decimalPlaces;
+        document.getElementById('setting-cash-rounding').value = defaults.cashRounding;
+    }
+
+    updateCurrencyLabels() {
+        document.querySelectorAll('.currency-symbol').forEach(symbol => {
+            symbol.textContent = this.currency.currencySymbol;
+        });
+        
+        const step = this.currency.decimalPlaces > 0 ? Math.pow(10, -this.currency.decimalPlaces).toFixed(this.currency.decimalPlaces) : '1';
+        ['opening-cash', 'cash-sales', 'card-sales', 'exempt-sales', 'returns-refunds', 'cash-drops', 'closing-cash'].forEach(id => {
+            document.getElementById(id).step = step;
+        });
+        document.querySelectorAll('.tax-taxable-input, .tax-collected-input, .tender-input, .refund-input, .petty-cash-amount').forEach(input => {
+            input.step = step;
+        });
+    }
+
+    parseCurrencyList(value) {
+        const codes = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+        return [...new Set(codes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+    }
+
+    getForeignCurrencies() {
+        return this.parseCurrencyList(this.appSettings.foreignCurrencies);
+    }
+
+    renderForeignCashInputs() {
+        const container = document.getElementById('foreign-cash-inputs');
+        if (!container) return;
+        
+        // Amounts already typed in are kept when the accepted currencies change
+        const values = {};
+        container.querySelectorAll('.foreign-cash-input').forEach(input => {
+            values[input.dataset.currency] = input.value;
+        });
+        
+        const currencies = this.getForeignCurrencies();
+        document.getElementById('foreign-cash-section').classList.toggle('d-none', currencies.length === 0);
+        container.innerHTML = currencies.map(code => `
+            <div class="input-group input-group-sm mb-1">
+                <span class="input-group-text">${code}</span>
+                <input type="number" class="form-control foreign-cash-input" data-currency="${code}"
+                       min="0" step="${Math.pow(10, -CurrencyFormatter.getDefaults(code).decimalPlaces)}" placeholder="0" value="${values[code] || ''}">
+                <span class="input-group-text foreign-cash-value" data-currency="${code}"></span>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.foreign-cash-input').forEach(input => {
+            input.addEventListener('input', () => this.validateSalesData());
+        });
+    }
+
+    fillForeignCash(foreignCash) {
+        document.querySelectorAll('.foreign-cash-input').forEach(input => {
+            const tender = (foreignCash || []).find(t => t.currency === input.dataset.currency);
+            input.value = tender ? tender.amount : '';
+        });
+        this.validateSalesData();
+    }
+
+    updateForeignCashValues(foreignCash) {
+        document.querySelectorAll('.foreign-cash-value').forEach(value => {
+            const tender = foreignCash.find(t => t.currency === value.dataset.currency);
+            value.classList.toggle('text-danger', Boolean(tender && !tender.rate));
+            value.textContent = !tender ? '' :
+                tender.rate ? `@ ${tender.rate} = ${this.formatCurrency(tender.baseAmount)}` : this.t('app.noRateForDate');
+        });
+    }
+
+    getTaxRates() {
+        return SalesTaxCalculator.parseRates(this.appSettings.taxRates || []);
+    }
+
+    renderTaxInputs(taxLines = []) {
+        const container = document.getElementById('tax-line-inputs');
+        if (!container) return;
+        
+        // Amounts already typed in are kept when the rates change
+        const values = {};
+        container.querySelectorAll('.tax-line').forEach(line => {
+            values[`${line.dataset.name}|${line.dataset.rate}`] = {
+                taxableSales: line.querySelector('.tax-taxable-input').value,
+                taxCollected: line.querySelector('.tax-collected-input').value
+            };
+        });
+        
+        // An entry being edited keeps the rates it was recorded at, even ones no longer charged
+        const rates = this.getTaxRates();
+        taxLines.forEach(line => {
+            if (!rates.some(rate => rate.name === line.name && rate.rate === line.rate)) {
+                rates.push({ name: line.name, rate: line.rate });
+            }
+        });
+        
+        const step = this.currency.decimalPlaces > 0 ? Math.pow(10, -this.currency.decimalPlaces).toFixed(this.currency.decimalPlaces) : '1';
+        document.getElementById('sales-tax-section').classList.toggle('d-none', rates.length === 0);
+        container.innerHTML = rates.map(rate => {
+            const value = values[`${rate.name}|${rate.rate}`] || {};
+            return `
+                <div class="input-group input-group-sm mb-1 tax-line" data-name="${this.escapeHtml(rate.name)}" data-rate="${rate.rate}">
+                    <span class="input-group-text">${this.escapeHtml(rate.name)} ${this.translator.formatPercent(rate.rate, SalesTaxCalculator.getRateDecimals(rate.rate))}</span>
+                    <input type="number" class="form-control tax-taxable-input" min="0" step="${step}"
+                           placeholder="${this.t('app.taxableSales')}" title="${this.t('app.taxableSales')}" value="${value.taxableSales || ''}">
+                    <input type="number" class="form-control tax-collected-input" min="0" step="${step}"
+                           placeholder="${this.t('app.taxCollected')}" title="${this.t('app.taxCollected')}" value="${value.taxCollected || ''}">
+                    <span class="input-group-text tax-due"></span>
+                </div>
+            `;
+        }).join('');
+        
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => this.validateSalesData());
+        });
+    }
+
+    collectSalesTax() {
+        const lines = [...document.querySelectorAll('.tax-line')].map(line => ({
+            name: line.dataset.name,
+            rate: Number(line.dataset.rate),
+            taxableSales: parseFloat(line.querySelector('.tax-taxable-input').value) || 0,
+            taxCollected: parseFloat(line.querySelector('.tax-collected-input').value) || 0
+        }));
+        
+        return this.salesTax.buildTaxFields(lines, parseFloat(document.getElementById('exempt-sales').value) || 0);
+    }
+
+    fillSalesTax(entry) {
+        this.renderTaxInputs(entry.taxLines || []);
+        document.getElementById('exempt-sales').value = entry.exemptSales || '';
+        document.querySelectorAll('.tax-line').forEach(element => {
+            const line = (entry.taxLines || []).find(l => l.name === element.dataset.name && l.rate === Number(element.dataset.rate));
+            element.querySelector('.tax-taxable-input').value = line ? line.taxableSales : '';
+            element.querySelector('.tax-collected-input').value = line ? line.taxCollected : '';
+        });
+    }
+
+    updateTaxDue(data) {
+        const mismatches = this.salesTax.findMismatches(data, this.getTaxTolerance());
+        
+        document.querySelectorAll('.tax-line').forEach(element => {
+            const due = element.querySelector('.tax-due');
+            const taxable = parseFloat(element.querySelector('.tax-taxable-input').value) || 0;
+            const mismatch = mismatches.some(line => line.name === element.dataset.name && line.rate === Number(element.dataset.rate));
+            due.classList.toggle('text-danger', mismatch);
+            due.textContent = taxable > 0 ?
+                this.t('app.taxDue', { amount: this.formatCurrency(this.salesTax.calculateTax(taxable, Number(element.dataset.rate))) }) : '';
+        });
+    }
+
+    getTenderTypes() {
+        return TenderCalculator.parseTypes(this.appSettings.tenderTypes || []);
+    }
+
+    renderTenderInputs(tenders = []) {
+        const container = document.getElementById('tender-inputs');
+        if (!container) return;
+
+        // Amounts already typed in are kept when the tender types change
+        const values = {};
+        container.querySelectorAll('.tender-input').forEach(input => {
+            values[input.dataset.name.toLowerCase()] = input.value;
+        });
+
+        // An entry being edited keeps the tenders it was recorded with, even ones no longer taken
+        const types = this.getTenderTypes();
+        tenders.forEach(tender => {
+            if (!types.some(type => type.name.toLowerCase() === tender.name.toLowerCase())) {
+                types.push({ name: tender.name, drawer: tender.drawer });
+            }
+        });
+
+        const step = this.currency.decimalPlaces > 0 ? Math.pow(10, -this.currency.decimalPlaces).toFixed(this.currency.decimalPlaces) : '1';
+        document.getElementById('tender-section').classList.toggle('d-none', types.length === 0);
+        container.innerHTML = types.map(type => `
+            <div class="input-group input-group-sm mb-1">
+                <span class="input-group-text">${this.escapeHtml(type.name)}</span>
+                <input type="number" class="form-control tender-input" min="0" step="${step}" placeholder="0"
+                       data-name="${this.escapeHtml(type.name)}" data-drawer="${type.drawer}" value="${values[type.name.toLowerCase()] || ''}">
+                ${type.drawer ? `<span class="input-group-text"><i class="fas fa-cash-register me-1"></i>${this.t('app.inDrawer')}</span>` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => this.validateSalesData());
+        });
+    }
+
+    collectTenders() {
+        return this.tenders.buildTenderFields([...document.querySelectorAll('.tender-input')].map(input => ({
+            name: input.dataset.name,
+            drawer: input.dataset.drawer === 'true',
+            amount: parseFloat(input.value) || 0
+        })));
+    }
+
+    fillTenders(entry) {
+        this.renderTenderInputs(entry.tenders || []);
+        document.querySelectorAll('.tender-input').forEach(input => {
+            const tender = (entry.tenders || []).find(t => t.name.toLowerCase() === input.dataset.name.toLowerCase());
+            input.value = tender ? tender.amount : '';
+        });
+    }
+
+    renderRefundInputs(refunds = []) {
+        const container = document.getElementById('refund-tender-inputs');
+        const reasonContainer = document.getElementById('refund-reasons');
+        if (!container || !reasonContainer) return;
+
+        // Amounts and counts already typed in are kept when the tenders or language change
+        const values = {};
+        container.querySelectorAll('.refund-input').forEach(input => {
+            values[input.dataset.name.toLowerCase()] = input.value;
+        });
+        const reasonValues = {};
+        reasonContainer.querySelectorAll('.refund-reason-input').forEach(input => {
+            reasonValues[input.dataset.reason] = input.value;
+        });
+
+        // Cash refunds have their own input; an entry being edited keeps tenders no longer taken
+        const tenders = [{ name: 'Card', label: this.t('app.card'), drawer: false }, ...this.getTenderTypes()];
+        refunds.forEach(refund => {
+            if (refund.name.toLowerCase() !== 'cash' && !tenders.some(tender => tender.name.toLowerCase() === refund.name.toLowerCase())) {
+                tenders.push({ name: refund.name, drawer: refund.drawer });
+            }
+        });
+
+        const step = this.currency.decimalPlaces > 0 ? Math.pow(10, -this.currency.decimalPlaces).toFixed(this.currency.decimalPlaces) : '1';
+        container.innerHTML = tenders.map(tender => `
+            <div class="input-group input-group-sm mb-1">
+                <span class="input-group-text">${this.escapeHtml(tender.label || tender.name)}</span>
+                <input type="number" class="form-control refund-input" min="0" step="${step}" placeholder="0"
+                       data-name="${this.escapeHtml(tender.name)}" data-drawer="${tender.drawer}" value="${values[tender.name.toLowerCase()] || ''}">
+                ${tender.drawer ? `<span class="input-group-text"><i class="fas fa-cash-register me-1"></i>${this.t('app.inDrawer')}</span>` : ''}
+            </div>
+        `).join('');
+
+        reasonContainer.innerHTML = `
+            <div class="refund-reason-group">
+                ${RefundCalculator.REASON_CODES.map(code => `
+                    <div>
+                        <label class="form-label small mb-1">${this.t(`refund.reason.${code}`)}</label>
+                        <input type="number" class="form-control form-control-sm refund-reason-input"
+                               data-reason="${code}" min="0" step="1" placeholder="0" value="${reasonValues[code] || ''}">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => this.validateSalesData());
+        });
+    }
+
+    collectRefunds() {
+        const lines = [
+            { name: 'Cash', drawer: true, amount: parseFloat(document.getElementById('returns-refunds').value) || 0 },
+            ...[...document.querySelectorAll('.refund-input')].map(input => ({
+                name: input.dataset.name,
+                drawer: input.dataset.drawer === 'true',
+                amount: parseFloat(input.value) || 0
+            }))
+        ];
+        const reasons = {};
+        document.querySelectorAll('.refund-reason-input').forEach(input => {
+            reasons[input.dataset.reason] = parseFloat(input.value) || 0;
+        });
+
+        return this.refunds.buildRefundFields(lines, parseFloat(document.getElementById('refund-count').value) || 0, reasons);
+    }
+
+    fillRefunds(entry) {
+        const refunds = RefundCalculator.getRefunds(entry);
+        this.renderRefundInputs(refunds);
+
+        const cash = refunds.find(refund => refund.name.toLowerCase() === 'cash');
+        document.getElementById('returns-refunds').value = cash ? cash.amount : '';
+        document.querySelectorAll('.refund-input').forEach(input => {
+            const refund = refunds.find(r => r.name.toLowerCase() === input.dataset.name.toLowerCase());
+            input.value = refund ? refund.amount : '';
+        });
+        document.getElementById('refund-count').value = entry.refundCount || '';
+        document.querySelectorAll('.refund-reason-input').forEach(input => {
+            input.value = (entry.refundReasons && entry.refundReasons[input.dataset.reason]) || '';
+        });
+    }
+
+    renderPettyCashItems(items = []) {
+        const container = document.getElementById('petty-cash-items');
+        if (!container) return;
+
+        container.innerHTML = items.map(item => this.renderPettyCashItem(item)).join('');
+    }
+
+    renderPettyCashItem(item) {
+        const categories = item.direction === 'in' ? PettyCashCalculator.PAID_IN_CATEGORIES : PettyCashCalculator.PAID_OUT_CATEGORIES;
+        const step = this.currency.decimalPlaces > 0 ? Math.pow(10, -this.currency.decimalPlaces).toFixed(this.currency.decimalPlaces) : '1';
+        return `
+            <div class="row g-1 mb-1 align-items-center petty-cash-item" data-direction="${item.direction}">
+                <div class="col-md-2">
+                    <span class="badge ${item.direction === 'in' ? 'bg-success' : 'bg-warning text-dark'}">${this.t(`pettyCash.${item.direction}`)}</span>
+                </div>
+                <div class="col-md-3">
+                    <select class="form-select form-select-sm petty-cash-category">
+                        ${categories.map(category => `
+                            <option value="${category}" ${category === item.category ? 'selected' : ''}>${this.t(`pettyCash.category.${category}`)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="col-md-2">
+                    <input type="number" class="form-control form-control-sm petty-cash-amount" min="0" step="${step}"
+                           placeholder="${this.t('pettyCash.amount')}" value="${item.amount || ''}">
+                </div>
+                <div class="col-md-2">
+                    <input type="text" class="form-control form-control-sm petty-cash-receipt"
+                           placeholder="${this.t('pettyCash.receipt')}" value="${this.escapeHtml(item.receipt || '')}">
+                </div>
+                <div class="col-md-2">
+                    <input type="text" class="form-control form-control-sm petty-cash-approver"
+                           placeholder="${this.t('pettyCash.approvedBy')}" value="${this.escapeHtml(item.approvedBy || '')}">
+                </div>
+                <div class="col-md-1 text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger remove-petty-cash-item" title="${this.t('pettyCash.remove')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    readPettyCashItems() {
+        return [...document.querySelectorAll('#petty-cash-items .petty-cash-item')].map(row => ({
+            direction: row.dataset.direction,
+            category: row.querySelector('.petty-cash-category').value,
+            amount: parseFloat(row.querySelector('.petty-cash-amount').value) || 0,
+            receipt: row.querySelector('.petty-cash-receipt').value,
+            approvedBy: row.querySelector('.petty-cash-approver').value
+        }));
+    }
+
+    collectPettyCash() {
+        return this.pettyCash.buildPettyCashFields(this.readPettyCashItems());
+    }
+
+    renderExchangeRates() {
+        const list = document.getElementById('exchange-rate-list');
+        if (!list || !this.exchangeRates) return;
+        
+        const currencies = this.getForeignCurrencies();
+        const select = document.getElementById('exchange-rate-currency');
+        select.innerHTML = currencies.length > 0 ?
+            currencies.map(code => `<option value="${code}">${code}</option>`).join('') :
+            `<option value="">${this.t('app.addForeignCashFirst')}</option>`;
+        select.disabled = currencies.length === 0;
+        
+        const dateInput = document.getElementById('exchange-rate-date');
+        if (!dateInput.value) {
+            dateInput.value = new Date().toISOString().split('T')[0];
+        }
+        
+        const rates = this.exchangeRates.getRates();
+        if (rates.length === 0) {
+            list.innerHTML = `<p class="text-muted small mb-0">${this.t('app.noExchangeRates')}</p>`;
+            return;
+        }
+        
+        list.innerHTML = `
+            <table class="table table-sm mb-0">
+                <thead>
+                    <tr>
+                        <th>${this.t('ui.date')}</th>
+                        <th>${this.t('ui.currency')}</th>
+                        <th>${this.t('ui.rate')}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rates.map(rate => `
+                        <tr>
+                            <td>${this.formatDate(rate.date)}</td>
+                            <td>${rate.currency}</td>
+                            <td>1 ${rate.currency} = ${this.currency.formatNumber(rate.rate, 4)} ${this.currency.code}</td>
+                            <td class="text-end">
+                                <button class="btn btn-sm btn-outline-danger" onclick="app.deleteExchangeRate('${rate.rateId}')">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async saveExchangeRate() {
+        if (!this.exchangeRates) return;
+        
+        try {
+            const rate = await this.exchangeRates.setRate({
+                date: document.getElementById('exchange-rate-date').value,
+                currency: document.getElementById('exchange-rate-currency').value,
+                rate: document.getElementById('exchange-rate-rate').value
+            }, this.currency.code);
+            
+            document.getElementById('exchange-rate-rate').value = '';
+            this.renderExchangeRates();
+            this.validateSalesData();
+            this.displaySuccessMessage(this.t('app.exchangeRateSaved', { currency: rate.currency, date: this.formatDate(rate.date) }));
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+        }
+    }
+
+    async deleteExchangeRate(rateId) {
+        // Saved entries keep the rate they were valued at
+        if (!this.exchangeRates || !confirm(this.t('app.deleteExchangeRateConfirm'))) return;
+        
+        await this.exchangeRates.deleteRate(rateId);
+        this.renderExchangeRates();
+        this.validateSalesData();
+        this.displayInfoMessage(this.t('app.exchangeRateDeleted'));
+    }
+
+    renderDenominationInputs() {
+        const groups = this.cashCounter.getDenominationsByType();
+        
+        document.querySelectorAll('.denomination-grid').forEach(container => {
+            // Currencies without known denominations are counted by total only
+            if (Object.keys(groups).length === 0) {
+                container.innerHTML = `<p class="text-muted small mb-0">${this.t('ui.noDenominations', { currency: this.currency.code })}</p>`;
+                return;
+            }
+            
+            container.innerHTML = Object.keys(groups).map(type => `
+                <h6 data-i18n="denomination.${type}">${this.t(`denomination.${type}`)}</h6>
+                <div class="denomination-group">
+                    ${groups[type].map(denomination => `
+                        <div>
+                            <label class="form-label small mb-1"${denomination.labelKey ? ` data-i18n="${denomination.labelKey}"` : ''}>${this.cashCounter.getLabel(denomination)}</label>
+                            <input type="number" class="form-control form-control-sm denomination-input"
+                                   data-denomination="${denomination.key}" min="0" step="1" placeholder="0">
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('');
+        });
+    }
+
+    collectDenominationCounts(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container || !this.cashCounter) return null;
+        
+        const counts = {};
+        container.querySelectorAll('.denomination-input').forEach(input => {
+            counts[input.dataset.denomination] = input.value;
+        });
+        
+        return this.cashCounter.hasCounts(counts) ? this.cashCounter.normalizeCounts(counts) : null;
+    }
+
+    fillDenominationCounts(containerId, counts) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        container.querySelectorAll('.denomination-input').forEach(input => {
+            input.value = counts && counts[input.dataset.denomination] ? counts[input.dataset.denomination] : '';
+        });
+        this.updateCountTotal(container);
+    }
+
+    updateCountTotal(container) {
+        const counts = this.collectDenominationCounts(container.id);
+        const totalInput = document.getElementById(container.dataset.countTarget);
+        
+        // While a breakdown is entered, the total is derived from it
+        totalInput.readOnly = counts !== null;
+        if (counts !== null) {
+            totalInput.value = this.cashCounter.calculateTotal(counts).toFixed(this.currency.decimalPlaces);
+        }
+        
+        this.validateSalesData();
+    }
+
+    bindFormValidation() {
+        const form = document.getElementById('sales-form');
+        // Denomination counts are validated as they update their total
+        const inputs = form.querySelectorAll('input[type="number"]:not(.denomination-input)');
+        
+        inputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.validateSalesData();
+            });
+        });
+    }
+
+    async handleSalesFormSubmission() {
+        const formData = this.collectSalesFormData();
+        
+        if (this.validateSalesFormData(formData)) {
+            const original = this.editingEntryId ? this.findEntry(this.editingEntryId) : null;
+            
+            // Edits need a reason; new entries are logged as initial entries
+            const audit = original ?
+                await this.requestAuditReason('edit', original) :
+                { reasonCode: 'initial_entry', note: '', user: this.appSettings.auditUser || formData.cashierId };
+            if (!audit) return;
+            
+            // Closed periods need a manager unlock, for new entries as well as edits
+            if (!(await this.ensureUnlocked(formData))) return;
+            
+            this.saveSalesEntry(formData, original, audit);
+            if (this.periodCloses) {
+                this.periodCloses.relock(formData.id);
+            }
+            this.displaySuccessMessage(this.t(original ? 'app.entryUpdated' : 'app.entrySaved'));
+            this.clearSalesForm();
+            this.loadRecentEntries();
+            this.updateDashboard();
+        }
+    }
+
+    collectSalesFormData() {
+        const openingCount = this.collectDenominationCounts('opening-denominations');
+        const closingCount = this.collectDenominationCounts('closing-denominations');
+        
+        return {
+            id: this.editingEntryId || Date.now().toString(),
+            storeId: document.getElementById('entry-store').value,
+            date: document.getElementById('transaction-date').value,
+            registerNumber: document.getElementById('register-number').value,
+            shiftNumber: parseInt(document.getElementById('shift-number').value, 10) || 1,
+            cashierId: document.getElementById('cashier-id').value.trim().toUpperCase(),
+            openingCash: openingCount ? this.cashCounter.calculateTotal(openingCount) :
+                parseFloat(document.getElementById('opening-cash').value) || 0,
             cashSales: parseFloat(document.getElementById('cash-sales').value) || 0,
             cardSales: parseFloat(document.getElementById('card-sales').value) || 0,
-            returnsRefunds: parseFloat(document.getElementById('returns-refunds').value) || 0,
             cashDrops: parseFloat(document.getElementById('cash-drops').value) || 0,
-            closingCash: parseFloat(document.getElementById('closing-cash').value) || 0,
+            closingCash: closingCount ? this.cashCounter.calculateTotal(closingCount) :
+                parseFloat(document.getElementById('closing-cash').value) || 0,
+            openingCount: openingCount,
+            closingCount: closingCount,
+            ...this.collectForeignCash(document.getElementById('transaction-date').value),
+            ...this.collectSalesTax(),
+            ...this.collectTenders(),
+            ...this.collectRefunds(),
+            ...this.collectPettyCash(),
             timestamp: new Date().toISOString()
         };
     }
 
-    validateSalesFormData(data) {
+    collectForeignCash(date) {
+        const foreignCash = [...document.querySelectorAll('.foreign-cash-input')]
+            .filter(input => parseFloat(input.value) > 0)
+            .map(input => {
+                const rate = this.exchangeRates ? this.exchangeRates.getRate(input.dataset.currency, date) : null;
+                const amount = parseFloat(input.value);
+                return {
+                    currency: input.dataset.currency,
+                    amount: amount,
+                    rate: rate,
+                    baseAmount: rate ? this.currency.convert(amount, rate) : 0
+                };
+            });
+        
+        return {
+            foreignCash: foreignCash,
+            foreignCashValue: this.currency.round(foreignCash.reduce((sum, tender) => sum + tender.baseAmount, 0))
+        };
+    }
+
+    calculateCashPosition(data) {
+        // The drawer can only hold whole cash units, so the expectation is rounded the way cash is
+        // Tenders kept in the drawer, such as checks, are counted in the closing cash,
+        // and only refunds paid from the drawer take cash out of it. Paid-ins add cash and paid-outs take it out.
+        const expectedCash = this.currency.roundCash(data.openingCash + data.cashSales + (data.drawerTenderSales || 0) +
+            (data.paidIns || 0) - RefundCalculator.getDrawerRefunds(data) - (data.paidOuts || 0) - data.cashDrops);
+        return {
+            expectedCash: expectedCash,
+            cashDifference: this.currency.round(data.closingCash + (data.foreignCashValue || 0) - expectedCash)
+        };
+    }
+
+    validateSalesFormData(data) {
+        const errors = [];
+        
+        // Required field validation
+        if (!data.date) errors.push(this.t('validation.dateRequired'));
+        if (!data.registerNumber) errors.push(this.t('validation.registerRequired'));
+        if (data.registerNumber && this.registerRoster) {
+            const register = this.registerRoster.getRegister(data.registerNumber);
+            const original = this.editingEntryId ? this.findEntry(this.editingEntryId) : null;
+            const unchanged = original && original.registerNumber === data.registerNumber && original.date === data.date;
+            
+            if (!register) {
+                errors.push(this.t('validation.registerNotOnRoster', { register: data.registerNumber }));
+            } else if (!unchanged && !this.registerRoster.isActiveOn(register, data.date)) {
+                errors.push(this.t('validation.registerNotInService', { register: this.registerRoster.describe(register.id) }));
+            }
+        }
+        if (!data.cashierId) errors.push(this.t('validation.cashierRequired'));
+        if (data.openingCash < 0) errors.push(this.t('validation.openingCashNegative'));
+        if (data.cashSales < 0) errors.push(this.t('validation.cashSalesNegative'));
+        if (data.cardSales < 0) errors.push(this.t('validation.cardSalesNegative'));
+        if (data.closingCash < 0) errors.push(this.t('validation.closingCashNegative'));
+        if (data.exemptSales < 0 || data.taxLines.some(line => line.taxableSales < 0 || line.taxCollected < 0)) {
+            errors.push(this.t('validation.taxNegative'));
+        }
+        data.tenders.filter(tender => tender.amount < 0).forEach(tender => {
+            errors.push(this.t('validation.tenderNegative', { tender: tender.name }));
+        });
+        data.refunds.filter(refund => refund.amount < 0).forEach(refund => {
+            errors.push(this.t('validation.refundNegative', { tender: refund.name }));
+        });
+        const reasonCounts = Object.values(data.refundReasons);
+        if (!Number.isInteger(data.refundCount) || data.refundCount < 0 ||
+            reasonCounts.some(count => !Number.isInteger(count) || count < 0)) {
+            errors.push(this.t('validation.refundCount'));
+        } else if (reasonCounts.reduce((sum, count) => sum + count, 0) > data.refundCount) {
+            errors.push(this.t('validation.refundReasonsExceedCount', { count: data.refundCount }));
+        }
+        this.pettyCash.findInvalidItems(data.pettyCash).forEach(invalid => {
+            const item = data.pettyCash[invalid.index];
+            errors.push(this.t(`validation.pettyCash.${invalid.problem}`, {
+                item: this.t(`pettyCash.${item.direction}`),
+                number: data.pettyCash.filter((other, index) => other.direction === item.direction && index <= invalid.index).length
+            }));
+        });
+        data.foreignCash.filter(tender => !tender.rate).forEach(tender => {
+            errors.push(this.t('validation.missingExchangeRate', {
+                currency: tender.currency,
+                date: data.date ? this.formatDate(data.date) : this.t('validation.thisDate')
+            }));
+        });
+        
+        // Business logic validation
+        const cashDifference = Math.abs(this.calculateCashPosition(data).cashDifference);
+        
+        if (cashDifference > 10) {
+            errors.push(this.t('validation.largeDiscrepancyDetected', { amount: this.formatCurrency(cashDifference) }));
+        }
+        
+        // Display validation results
+        this.displayValidationResults(errors);
+        
+        return errors.length === 0;
+    }
+
+    displayValidationResults(errors) {
+        const container = document.getElementById('validation-messages');
+        container.innerHTML = '';
+        
+        if (errors.length === 0) {
+            container.innerHTML = `
+                <div class="alert alert-success">
+                    <i class="fas fa-check-circle me-1"></i>
+                    ${this.t('validation.allPassed')}
+                </div>
+            `;
+        } else {
+            const errorHtml = errors.map(error => `
+                <div class="alert alert-danger">
+                    <i class="fas fa-exclamation-triangle me-1"></i>
+                    ${this.escapeHtml(error)}
+                </div>
+            `).join('');
+            container.innerHTML = errorHtml;
+        }
+    }
+
+    validateSalesData() {
+        const formData = this.collectSalesFormData();
+        
+        // Real-time validation feedback
+        const position = this.calculateCashPosition(formData);
+        
+        // Update expected cash display
+        this.updateExpectedCashDisplay(position.expectedCash, position.cashDifference);
+        this.updateForeignCashValues(formData.foreignCash);
+        this.updateTaxDue(formData);
+    }
+
+    updateExpectedCashDisplay(expectedCash, difference) {
+        // Create or update expected cash indicator
+        let indicator = document.getElementById('expected-cash-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'expected-cash-indicator';
+            indicator.className = 'mt-2 p-2 rounded';
+            document.getElementById('closing-cash').parentNode.appendChild(indicator);
+        }
+        
+        const absOfDifference = Math.abs(difference);
+        let statusClass = 'bg-light';
+        let statusText = this.t('expected.enterClosing');
+        
+        if (expectedCash > 0) {
+            if (absOfDifference === 0) {
+                statusClass = 'bg-success text-white';
+                statusText = this.t('expected.perfectMatch', { expected: this.formatCurrency(expectedCash) });
+            } else if (absOfDifference <= this.getCashThreshold()) {
+                statusClass = 'bg-warning text-dark';
+                statusText = this.t('expected.smallDifference', {
+                    difference: this.formatCurrency(difference),
+                    expected: this.formatCurrency(expectedCash)
+                });
+            } else {
+                statusClass = 'bg-danger text-white';
+                statusText = this.t('expected.largeDiscrepancy', {
+                    difference: this.formatCurrency(difference),
+                    expected: this.formatCurrency(expectedCash)
+                });
+            }
+        }
+        
+        indicator.className = `mt-2 p-2 rounded ${statusClass}`;
+        indicator.innerHTML = `
+            <small>
+                <i class="fas fa-calculator me-1"></i>
+                ${statusText}
+            </small>
+        `;
+    }
+
+    addCalculatedFields(data) {
+        data.totalSales = this.currency.round(data.cashSales + data.cardSales + (data.otherTenderSales || 0));
+        Object.assign(data, this.calculateCashPosition(data));
+        data.status = Math.abs(data.cashDifference) <= this.getCashThreshold() ? 'balanced' : 'discrepancy';
+        return data;
+    }
+
+    saveSalesEntry(data, original = null, audit = null) {
+        // Add calculated fields
+        this.addCalculatedFields(data);
+        
+        // An edit replaces the original in place, keeping its ID and creation time
+        if (original) {
+            data.timestamp = original.timestamp;
+            data.updatedAt = new Date().toISOString();
+            if (original.sync) {
+                data.sync = original.sync;
+            }
+            this.salesDataByStore[original.storeId] = this.salesDataByStore[original.storeId].filter(e => e.id !== original.id);
+        }
+        
+        if (!this.salesDataByStore[data.storeId]) {
+            this.salesDataByStore[data.storeId] = [];
+        }
+        this.salesDataByStore[data.storeId].push(data);
+        this.updateSalesData();
+        // The unlock is read now, as the entry is locked again before the change is queued
+        const unlock = this.periodCloses ? this.periodCloses.getSessionUnlock(data.id) : null;
+        this.persist(store => store.put('salesEntries', data).then(() => {
+            return this.syncService && this.syncService.queueUpsert(data, unlock);
+        }));
+        if (audit) {
+            this.recordAudit(original ? 'edit' : 'create', original, data, audit);
+        }
+        
+        // Trigger reconciliation update
+        if (this.reconciliation) {
+            this.reconciliation.addSalesData(data);
+        }
+    }
+
+    loadRecentEntries() {
+        const tbody = document.getElementById('recent-entries-body');
+        const recentEntries = this.salesData.slice(-5).reverse();
+        
+        if (recentEntries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center text-muted">
+                        <i class="fas fa-inbox me-1"></i>
+                        ${this.t('app.noEntries')}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = recentEntries.map(entry => `
+            <tr>
+                <td>
+                    ${this.formatDate(entry.date)}
+                    ${this.periodCloses && this.periodCloses.isLocked(entry) ? `<i class="fas fa-lock text-muted ms-1" title="${this.t('app.closedPeriod')}"></i>` : ''}
+                </td>
+                <td>${this.escapeHtml(entry.registerNumber)} <small class="text-muted">${this.t('app.shiftShort', { shift: entry.shiftNumber || 1 })}</small></td>
+                <td>${this.formatCurrency(entry.totalSales)}</td>
+                <td>
+                    <span class="status-indicator ${entry.status}">
+                        <i class="fas fa-${entry.status === 'balanced' ? 'check' : 'exclamation-triangle'} me-1"></i>
+                        ${this.t(`status.${entry.status}`)}
+                    </span>
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary" onclick="app.editEntry('${entry.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="app.showEntryHistory('${entry.id}')" title="${this.t('app.history')}">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="app.deleteEntry('${entry.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    findEntry(entryId) {
+        return this.getScopedSalesData('all').find(e => e.id === entryId) || null;
+    }
+
+    async editEntry(entryId) {
+        const entry = this.findEntry(entryId);
+        if (entry && await this.ensureUnlocked(entry)) {
+            // Populate form with entry data
+            document.getElementById('entry-store').value = entry.storeId;
+            document.getElementById('transaction-date').value = entry.date;
+            this.renderRegisterOptions(entry.registerNumber);
+            document.getElementById('shift-number').value = entry.shiftNumber || 1;
+            document.getElementById('cashier-id').value = entry.cashierId || '';
+            document.getElementById('opening-cash').value = entry.openingCash;
+            document.getElementById('cash-sales').value = entry.cashSales;
+            document.getElementById('card-sales').value = entry.cardSales;
+            document.getElementById('cash-drops').value = entry.cashDrops;
+            document.getElementById('closing-cash').value = entry.closingCash;
+            this.fillDenominationCounts('opening-denominations', entry.openingCount);
+            this.fillDenominationCounts('closing-denominations', entry.closingCount);
+            this.fillForeignCash(entry.foreignCash);
+            this.fillSalesTax(entry);
+            this.fillTenders(entry);
+            this.fillRefunds(entry);
+            this.renderPettyCashItems(entry.pettyCash || []);
+            
+            // The entry stays in place until the edit is saved with a reason
+            this.editingEntryId = entryId;
+            document.getElementById('editing-entry-label').textContent = this.describeEntry(entry);
+            document.getElementById('editing-banner').classList.remove('d-none');
+            this.setTranslatedText(document.getElementById('save-entry-label'), 'app.updateEntry');
+            
+            this.displayInfoMessage(this.t('app.entryLoaded'));
+        }
+    }
+
+    cancelEdit() {
+        this.clearSalesForm();
+        this.displayInfoMessage(this.t('app.editCancelled'));
+    }
+
+    async deleteEntry(entryId) {
+        const entry = this.findEntry(entryId);
+        if (!entry) return;
+        
+        if (!(await this.ensureUnlocked(entry))) return;
+        
+        const unlock = this.periodCloses ? this.periodCloses.getSessionUnlock(entryId) : null;
+        const audit = await this.requestAuditReason('delete', entry);
+        if (this.periodCloses && this.editingEntryId !== entryId) {
+            this.periodCloses.relock(entryId);
+        }
+        if (!audit) return;
+        
+        this.salesDataByStore[entry.storeId] = this.salesDataByStore[entry.storeId].filter(e => e.id !== entryId);
+        this.updateSalesData();
+        this.persist(store => store.delete('salesEntries', entryId).then(() => {
+            return this.syncService && this.syncService.queueDelete(entry, unlock);
+        }));
+        this.recordAudit('delete', entry, null, audit);
+        
+        if (this.editingEntryId === entryId) {
+            this.clearSalesForm();
+        }
+        this.loadRecentEntries();
+        this.updateDashboard();
+        
+        this.displaySuccessMessage(this.t('app.entryDeleted'));
+    }
+
+    async ensureUnlocked(entry) {
+        if (!this.periodCloses || !this.periodCloses.isLocked(entry)) return true;
+        
+        const unlock = await this.requestManagerUnlock(entry);
+        if (!unlock) return false;
+        
+        try {
+            await this.periodCloses.unlockEntry(entry, unlock.manager, unlock.reason);
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotUnlock', { error: error.message }));
+            return false;
+        }
+        
+        if (this.syncService) {
+            this.syncService.scheduleSync();
+        }
+        this.renderPeriodCloses();
+        return true;
+    }
+
+    requestManagerUnlock(entry) {
+        const modalElement = document.getElementById('periodUnlockModal');
+        const form = document.getElementById('period-unlock-form');
+        
+        document.getElementById('period-unlock-summary').textContent =
+            `${this.describeEntry(entry)} (${this.getStoreName(entry.storeId)})`;
+        document.getElementById('period-unlock-closes').innerHTML = this.periodCloses.findClosesFor(entry).map(close => `
+            <li>${this.t('app.periodCloseLine', {
+                period: this.periodCloses.describeType(close.type),
+                range: this.periodCloses.describeRange(close),
+                user: this.escapeHtml(close.closedBy)
+            })}</li>
+        `).join('');
+        document.getElementById('period-unlock-manager').value = '';
+        document.getElementById('period-unlock-reason').value = '';
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+        
+        return new Promise(resolve => {
+            let result = null;
+            
+            const onSubmit = (e) => {
+                e.preventDefault();
+                result = {
+                    manager: document.getElementById('period-unlock-manager').value.trim(),
+                    reason: document.getElementById('period-unlock-reason').value.trim()
+                };
+                modal.hide();
+            };
+            
+            form.addEventListener('submit', onSubmit);
+            modalElement.addEventListener('hidden.bs.modal', () => {
+                form.removeEventListener('submit', onSubmit);
+                resolve(result);
+            }, { once: true });
+            
+            modal.show();
+        });
+    }
+
+    async closePeriod() {
+        if (!this.periodCloses || !this.reconciliation) return;
+        
+        const type = document.getElementById('close-period-type').value;
+        const date = document.getElementById('close-period-date').value;
+        const closedBy = document.getElementById('close-period-user').value.trim();
+        const storeId = this.appSettings.currentStoreId;
+        
+        if (!date) {
+            this.displayErrorMessage(this.t('app.choosePeriodDate'));
+            return;
+        }
+        
+        const range = this.periodCloses.getPeriodRange(type, date);
+        const periodEntries = this.reconciliation.filterByStore(this.getScopedSalesData('all'), storeId)
+            .filter(entry => this.periodCloses.coversDate(range, entry.date));
+        
+        // Closing locks reported numbers, so check for discrepancies still being worked
+        const unresolved = this.reconciliation.findDiscrepancies(periodEntries).filter(discrepancy => {
+            const caseRecord = this.caseManager && this.caseManager.getCaseForEntry(discrepancy.entryId);
+            return !caseRecord || !this.caseManager.isClosed(caseRecord);
+        });
+        if (unresolved.length > 0 &&
+            !confirm(this.t('app.unresolvedCloseConfirm', { count: unresolved.length }))) {
+            return;
+        }
+        
+        let close;
+        try {
+            close = await this.periodCloses.closePeriod({
+                type: type,
+                date: date,
+                storeId: storeId,
+                entries: periodEntries,
+                closedBy: closedBy,
+                summary: {
+                    totals: this.reconciliation.calculateTotals(periodEntries),
+                    unresolvedDiscrepancies: unresolved.length
+                }
+            });
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        this.appSettings.auditUser = closedBy;
+        this.saveSettings();
+        if (this.syncService) {
+            this.syncService.scheduleSync();
+        }
+        
+        this.renderPeriodCloses();
+        this.loadRecentEntries();
+        this.displaySuccessMessage(this.t('app.periodClosed', {
+            period: this.periodCloses.describeType(type),
+            range: this.periodCloses.describeRange(close),
+            count: close.entryCount
+        }));
+    }
+
+    renderPeriodCloses() {
+        const container = document.getElementById('period-close-list');
+        if (!container || !this.periodCloses) return;
+        
+        document.getElementById('close-period-user').value = this.appSettings.auditUser || '';
+        const dateInput = document.getElementById('close-period-date');
+        if (!dateInput.value) {
+            dateInput.value = new Date().toISOString().split('T')[0];
+        }
+        
+        const closes = this.periodCloses.getCloses(this.appSettings.currentStoreId).slice(0, 10);
+        if (closes.length === 0) {
+            container.innerHTML = `<p class="text-muted small mb-0">${this.t('app.noPeriodsClosed')}</p>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <ul class="list-unstyled small mb-0">
+                ${closes.map(close => `
+                    <li class="mb-2">
+                        <i class="fas fa-lock text-muted me-1"></i>
+                        <strong>${this.periodCloses.describeType(close.type)} ${this.periodCloses.describeRange(close)}</strong>
+                        ${close.storeId === 'all' ? this.t('app.periodAllStores') : `(${this.escapeHtml(this.getStoreName(close.storeId))})`}
+                        <br>
+                        <span class="text-muted">
+                            ${close.registers ? this.escapeHtml(close.registers.join(', ')) : this.t('app.allRegisters')}
+                            &middot; ${this.t('app.periodClosedBy', {
+                                user: this.escapeHtml(close.closedBy),
+                                time: this.translator.formatDateTime(close.closedAt)
+                            })}
+                        </span>
+                        ${close.unlocks.length > 0 ? `
+                            <ul class="mb-0">
+                                ${close.unlocks.map(unlock => `
+                                    <li>
+                                        <i class="fas fa-unlock text-warning me-1"></i>
+                                        ${this.t('app.periodUnlockedBy', {
+                                            register: this.escapeHtml(unlock.registerNumber),
+                                            date: this.formatDate(unlock.date),
+                                            manager: this.escapeHtml(unlock.manager),
+                                            reason: this.escapeHtml(unlock.reason)
+                                        })}
+                                        <span class="text-muted">(${this.translator.formatDateTime(unlock.timestamp)})</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderAuditReasonOptions() {
+        const select = document.getElementById('audit-reason');
+        if (!select || !this.auditLog) return;
+        
+        select.innerHTML = `<option value="">${this.t('app.selectReason')}</option>` + AuditLog.SELECTABLE_REASONS.map(code => `
+            <option value="${code}">${this.auditLog.describeReason(code)}</option>
+        `).join('');
+    }
+
+    requestAuditReason(action, entry) {
+        const modalElement = document.getElementById('auditReasonModal');
+        const form = document.getElementById('audit-reason-form');
+        
+        document.getElementById('audit-reason-title').textContent =
+            this.t(action === 'delete' ? 'app.reasonForDeleting' : 'app.reasonForEditing');
+        document.getElementById('audit-entry-summary').textContent =
+            `${this.describeEntry(entry)} (${this.getStoreName(entry.storeId)})`;
+        document.getElementById('audit-reason').value = '';
+        document.getElementById('audit-note').value = '';
+        document.getElementById('audit-note').required = false;
+        document.getElementById('audit-user').value = this.appSettings.auditUser || '';
+        
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+        
+        return new Promise(resolve => {
+            let result = null;
+            
+            const onSubmit = (e) => {
+                e.preventDefault();
+                result = {
+                    reasonCode: document.getElementById('audit-reason').value,
+                    note: document.getElementById('audit-note').value.trim(),
+                    user: document.getElementById('audit-user').value.trim()
+                };
+                
+                // Remember who is making changes on this device
+                this.appSettings.auditUser = result.user;
+                this.saveSettings();
+                modal.hide();
+            };
+            
+            form.addEventListener('submit', onSubmit);
+            modalElement.addEventListener('hidden.bs.modal', () => {
+                form.removeEventListener('submit', onSubmit);
+                resolve(result);
+            }, { once: true });
+            
+            modal.show();
+        });
+    }
+
+    recordAudit(action, before, after, audit, source = 'web') {
+        if (!this.auditLog) return;
+        
+        this.auditLog.record({ action, before, after, ...audit, source })
+            .then(record => {
+                // Sheet changes are already in the Audit_Log sheet
+                if (source === 'web' && this.syncService) {
+                    return this.syncService.queueAuditRecord(record);
+                }
+            })
+            .catch(error => {
+                console.error('Failed to record audit entry:', error);
+                this.displayErrorMessage(this.t('app.couldNotRecordAudit', { error: error.message }));
+            });
+    }
+
+    async showEntryHistory(entryId) {
+        if (!this.auditLog) return;
+        
+        const records = await this.auditLog.getEntryHistory(entryId);
+        const entry = this.findEntry(entryId) || (records.length > 0 ? (records[0].after || records[0].before) : null);
+        const body = document.getElementById('entry-history-body');
+        
+        const actionBadges = { create: 'success', edit: 'primary', delete: 'danger' };
+        body.innerHTML = `
+            ${entry ? `<h6>${this.escapeHtml(this.describeEntry(entry))} <small class="text-muted">(${this.escapeHtml(this.getStoreName(entry.storeId))})</small></h6>` : ''}
+            ${records.length === 0 ? `<p class="text-muted mb-0">${this.t('app.noRecordedChanges')}</p>` : `
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>${this.t('app.historyWhen')}</th>
+                                <th>${this.t('app.historyAction')}</th>
+                                <th>${this.t('app.historyUser')}</th>
+                                <th>${this.t('ui.reason')}</th>
+                                <th>${this.t('app.historyChanges')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${records.map(record => `
+                                <tr>
+                                    <td>${this.translator.formatDateTime(record.timestamp)}</td>
+                                    <td><span class="badge bg-${actionBadges[record.action]}">${this.t(`audit.action.${record.action}`)}</span></td>
+                                    <td>${this.escapeHtml(record.user)}</td>
+                                    <td>
+                                        ${this.auditLog.describeReason(record.reasonCode)}
+                                        ${record.note ? `<br><small class="text-muted">${this.escapeHtml(record.note)}</small>` : ''}
+                                    </td>
+                                    <td><small>${record.action === 'edit' ? this.escapeHtml(this.auditLog.formatChanges(record)) : ''}</small></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('entryHistoryModal')).show();
+    }
+
+    async exportAuditLog() {
+        if (!this.auditLog) return;
+        
+        const dateFrom = document.getElementById('report-date-from').value;
+        const dateTo = document.getElementById('report-date-to').value;
+        const records = await this.auditLog.getRecords(dateFrom, dateTo, this.appSettings.currentStoreId);
+        
+        if (records.length === 0) {
+            this.displayInfoMessage(this.t('app.noAuditRecords'));
+            return;
+        }
+        
+        this.downloadCSV(this.auditLog.toCSV(records), `audit_log_${dateFrom}_to_${dateTo}.csv`);
+    }
+
+    runReconciliation() {
+        if (!this.reconciliation) {
+            this.displayErrorMessage(this.t('app.reconciliationUnavailable'));
+            return;
+        }
+        
+        const results = this.reconciliation.runFullReconciliation(
+            this.getScopedSalesData('all'),
+            this.appSettings.currentStoreId
+        );
+        this.displayReconciliationResults(results);
+        this.updateReconciliationStatus(results);
+        this.syncDiscrepancyCases(results);
+    }
+
+    displayReconciliationResults(results) {
+        const container = document.getElementById('reconciliation-results');
+        
+        container.innerHTML = `
+            <div class="reconciliation-item ${results.overall.status}">
+                <h6>${this.t('recon.overallStatus')}</h6>
+                <div class="value">${this.t(`status.${results.overall.status}`).toUpperCase()}</div>
+                <div class="difference">${this.t('recon.totalDifference', { amount: this.formatCurrency(results.overall.totalDifference) })}</div>
+            </div>
+            
+            <div class="reconciliation-item">
+                <h6>${this.t('recon.totalSales')}</h6>
+                <div class="value">${this.formatCurrency(results.totals.totalSales)}</div>
+                <div class="difference">
+                    ${this.t('recon.cashCard', { cash: this.formatCurrency(results.totals.cashSales), card: this.formatCurrency(results.totals.cardSales) })}
+                    ${results.totals.otherTenderSales ? ` | ${this.t('recon.otherTenders', { amount: this.formatCurrency(results.totals.otherTenderSales) })}` : ''}
+                </div>
+            </div>
+            
+            <div class="reconciliation-item">
+                <h6>${this.t('recon.cashPosition')}</h6>
+                <div class="value">${this.formatCurrency(results.totals.actualCashPosition)}</div>
+                <div class="difference">${this.t('recon.expected', { amount: this.formatCurrency(results.totals.expectedCash) })}</div>
+            </div>
+            
+            <div class="reconciliation-item">
+                <h6>${this.t('recon.discrepancies')}</h6>
+                <div class="value">${results.discrepancies.length}</div>
+                <div class="difference">${this.t('recon.flaggedHelp')}</div>
+            </div>
+        `;
+        
+        if (results.discrepancies.length > 0) {
+            container.innerHTML += `
+                <div class="reconciliation-item discrepancy">
+                    <h6>${this.t('recon.flaggedEntries')}</h6>
+                    <div class="discrepancy-list">
+                        ${results.discrepancies.map(d => `
+                            <div class="mb-2">
+                                <strong>${this.escapeHtml(d.registerNumber)}</strong> ${this.t('recon.shiftOn', { shift: d.shiftNumber, date: this.formatDate(d.date) })}
+                                ${results.storeId === 'all' ? `&middot; ${this.escapeHtml(this.getStoreName(d.storeId))}` : ''}
+                                ${d.cashierId ? `&middot; ${this.t('recon.cashier', { cashier: this.escapeHtml(d.cashierId) })}` : ''}
+                                <br>
+                                <small>${this.t('recon.difference', { amount: this.formatCurrency(d.cashDifference) })}</small>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        const anomalies = (results.validationErrors || []).filter(error => error.type === 'anomaly');
+        if (anomalies.length > 0) {
+            container.innerHTML += `
+                <div class="reconciliation-item anomalies">
+                    <h6>${this.t('recon.unusualActivity')}</h6>
+                    <small class="text-muted">${this.t('recon.unusualActivityHelp')}</small>
+                    <div class="table-responsive">
+                        <table class="table table-sm mb-0">
+                            <thead>
+                                <tr>
+                                    <th>${this.t('ui.date')}</th>
+                                    <th>${this.t('ui.register')}</th>
+                                    <th>${this.t('recon.measure')}</th>
+                                    <th>${this.t('recon.value')}</th>
+                                    <th>${this.t('recon.usualRange')}</th>
+                                    <th>${this.t('recon.score')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${anomalies.map(anomaly => `
+                                    <tr title="${this.escapeHtml(anomaly.description)}">
+                                        <td>${this.translator.formatWeekday(anomaly.date, 'short')} ${this.formatDate(anomaly.date)}</td>
+                                        <td>${this.escapeHtml(anomaly.registerNumber)}${results.storeId === 'all' ? ` &middot; ${this.escapeHtml(this.getStoreName(anomaly.storeId))}` : ''}</td>
+                                        <td>${this.t(`anomaly.metric.${anomaly.metric}`)}</td>
+                                        <td class="${anomaly.severity === 'high' ? 'text-danger' : 'text-warning'}">
+                                            ${this.formatAnomalyValue(anomaly.metric, anomaly.value)}
+                                        </td>
+                                        <td>
+                                            ${this.t('recon.range', {
+                                                lower: this.formatAnomalyValue(anomaly.metric, anomaly.lower),
+                                                upper: this.formatAnomalyValue(anomaly.metric, anomaly.upper)
+                                            })}
+                                            <br><small class="text-muted">${this.t(anomaly.score > 0 ? 'recon.above' : 'recon.below', {
+                                                amount: this.formatAnomalyValue(anomaly.metric, anomaly.outOfRangeBy)
+                                            })}</small>
+                                        </td>
+                                        <td>${anomaly.score > 0 ? '+' : ''}${anomaly.score}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        }
+        
+        if (results.cardSettlement && results.cardSettlement.summary.batchCount > 0) {
+            const settlement = results.cardSettlement.summary;
+            container.innerHTML += `
+                <div class="reconciliation-item ${settlement.varianceDays > 0 || settlement.unmatchedBatches > 0 ? 'discrepancy' : ''}">
+                    <h6>${this.t('recon.cardSettlement')}</h6>
+                    <div class="value">${this.formatCurrency(settlement.netDifference)}</div>
+                    <div class="difference">
+                        ${this.t('recon.registerDaysMatch', { matched: settlement.matchedDays, total: settlement.matchedDays + settlement.varianceDays })}
+                        ${settlement.unmatchedBatches > 0 ? `&middot; ${this.t('recon.unmatchedBatches', { count: settlement.unmatchedBatches })}` : ''}
+                    </div>
+                </div>
+            `;
+        }
+        
+        if (results.deposits && results.deposits.summary.depositCount > 0) {
+            const deposits = results.deposits.summary;
+            container.innerHTML += `
+                <div class="reconciliation-item ${deposits.missing > 0 ? 'discrepancy' : ''}">
+                    <h6>${this.t('recon.bankDeposits')}</h6>
+                    <div class="value">${deposits.matched + deposits.adjusted} / ${deposits.depositCount}</div>
+                    <div class="difference">
+                        ${this.t('recon.inTransit', { amount: this.formatCurrency(deposits.inTransitAmount) })}
+                        &middot; ${this.t('recon.missing', { amount: this.formatCurrency(deposits.missingAmount) })}
+                        ${deposits.adjusted > 0 ? `&middot; ${this.t('recon.bankAdjusted', { amount: this.formatCurrency(deposits.adjustmentTotal) })}` : ''}
+                    </div>
+                </div>
+            `;
+        }
+        
+        if (results.safe && results.safe.summary.countCount > 0) {
+            const safe = results.safe.summary;
+            container.innerHTML += `
+                <div class="reconciliation-item ${safe.discrepancyCount > 0 ? 'discrepancy' : ''}">
+                    <h6>${this.t('recon.safe')}</h6>
+                    <div class="value">${this.formatCurrency(safe.expectedBalance)}</div>
+                    <div class="difference">
+                        ${this.t('recon.expectedInSafe')}
+                        &middot; ${this.t('recon.countsOff', { count: safe.discrepancyCount, amount: this.formatCurrency(safe.netDifference) })}
+                    </div>
+                </div>
+            `;
+        }
+        
+        const multiShiftDays = (results.registerDays || []).filter(day => day.shiftCount > 1);
+        if (multiShiftDays.length > 0) {
+            container.innerHTML += `
+                <div class="reconciliation-item register-days">
+                    <h6>${this.t('recon.registerDayTotals')}</h6>
+                    <div class="table-responsive">
+                        <table class="table table-sm mb-0">
+                            <thead>
+                                <tr>
+                                    <th>${this.t('ui.date')}</th>
+                                    <th>${this.t('ui.register')}</th>
+                                    <th>${this.t('recon.shifts')}</th>
+                                    <th>${this.t('recon.shiftDifferences')}</th>
+                                    <th>${this.t('recon.handoffGaps')}</th>
+                                    <th>${this.t('recon.dayDifference')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${multiShiftDays.map(day => `
+                                    <tr>
+                                        <td>${this.formatDate(day.date)}</td>
+                                        <td>${this.escapeHtml(day.registerNumber)}</td>
+                                        <td>${day.shiftCount}</td>
+                                        <td>${this.formatCurrency(day.totals.shiftCashDifference)}</td>
+                                        <td class="${Math.abs(day.totals.handoffDifference) < 0.01 ? 'text-success' : 'text-warning'}">
+                                            ${this.formatCurrency(day.totals.handoffDifference)}
+                                        </td>
+                                        <td class="${day.status === 'discrepancy' ? 'text-danger' : 'text-success'}">
+                                            ${this.formatCurrency(day.totals.cashDifference)}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        }
+        
+        if (results.stores && results.stores.length > 1) {
+            container.innerHTML += `
+                <div class="reconciliation-item store-rollup">
+                    ${this.renderStoreRollupTable(results.stores)}
+                </div>
+            `;
+        }
+    }
+
+    formatAnomalyValue(metric, value) {
+        return AnomalyDetector.METRICS[metric].unit === 'percent' ? this.translator.formatPercent(value) : this.formatCurrency(value);
+    }
+
+    async syncDiscrepancyCases(results) {
+        if (!this.caseManager) return;
+        
+        const reconciledEntryIds = this.reconciliation
+            .filterByStore(this.getScopedSalesData('all'), results.storeId)
+            .map(entry => entry.id);
+        
+        try {
+            const summary = await this.caseManager.syncCases(results.discrepancies, reconciledEntryIds);
+            this.renderCaseList();
+            
+            if (summary.created > 0 || summary.reopened > 0) {
+                this.displayInfoMessage(this.t(summary.reopened > 0 ? 'app.casesOpenedReopened' : 'app.casesOpened', {
+                    created: summary.created,
+                    reopened: summary.reopened
+                }));
+            }
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotSaveCases', { error: error.message }));
+        }
+    }
+
+    renderCaseStatusOptions() {
+        const options = Object.entries(CaseManager.STATUSES).map(([value, label]) => `
+            <option value="${value}">${label}</option>
+        `).join('');
+        
+        document.getElementById('case-status-filter').innerHTML =
+            '<option value="active">Open &amp; Investigating</option>' + options + '<option value="all">All Cases</option>';
+        document.getElementById('case-status').innerHTML = options;
+    }
+
+    renderCaseList() {
+        const container = document.getElementById('case-list');
+        if (!container || !this.caseManager) return;
+        
+        const storeId = this.appSettings.currentStoreId;
+        const cases = this.caseManager.filterCases({
+            status: document.getElementById('case-status-filter').value,
+            assignee: document.getElementById('case-assignee-filter').value,
+            severity: document.getElementById('case-severity-filter').value,
+            storeId: storeId
+        });
+        
+        const counts = this.caseManager.getStatusCounts(storeId);
+        document.getElementById('case-counts').textContent =
+            `${counts.open} open, ${counts.investigating} investigating`;
+        
+        if (cases.length === 0) {
+            container.innerHTML = `
+                <p class="text-center text-muted mb-0">
+                    <i class="fas fa-inbox me-1"></i>
+                    No cases match these filters.
+                </p>
+            `;
+            return;
+        }
+        
+        const statusBadges = { open: 'danger', investigating: 'warning', resolved: 'success', written_off: 'secondary' };
+        const today = new Date().toISOString().split('T')[0];
+        
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            ${storeId === 'all' ? '<th>Store</th>' : ''}
+                            <th>Register</th>
+                            <th>Cashier</th>
+                            <th>Difference</th>
+                            <th>Severity</th>
+                            <th>Status</th>
+                            <th>Assignee</th>
+                            <th>Due</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cases.map(c => `
+                            <tr>
+                                <td>${this.formatDate(c.date)}</td>
+                                ${storeId === 'all' ? `<td>${this.escapeHtml(this.getStoreName(c.storeId))}</td>` : ''}
+                                <td>${this.escapeHtml(c.registerNumber)} <small class="text-muted">S${c.shiftNumber || 1}</small></td>
+                                <td>${c.cashierId ? this.escapeHtml(c.cashierId) : '<span class="text-muted">-</span>'}</td>
+                                <td class="${c.cashDifference < 0 ? 'text-danger' : ''}">${this.formatCurrency(c.cashDifference || 0)}</td>
+                                <td><span class="badge bg-${c.severity === 'high' ? 'danger' : c.severity === 'medium' ? 'warning' : 'info'}">${c.severity}</span></td>
+                                <td>
+                                    <span class="badge bg-${statusBadges[c.status]}">${CaseManager.STATUSES[c.status]}</span>
+                                    ${c.stillFlagged ? '' : '<br><small class="text-success">No longer flagged</small>'}
+                                </td>
+                                <td>${c.assignee ? this.escapeHtml(c.assignee) : '<span class="text-muted">Unassigned</span>'}</td>
+                                <td class="${!this.caseManager.isClosed(c) && c.dueDate < today ? 'text-danger' : ''}">${this.formatDate(c.dueDate)}</td>
+                                <td>
+                                    <button class="btn btn-sm btn-outline-primary" onclick="app.showCase('${c.caseId}')">
+                                        <i class="fas fa-folder-open"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    showCase(caseId) {
+        const caseRecord = this.caseManager.getCase(caseId);
+        if (!caseRecord) return;
+        
+        document.getElementById('case-id').value = caseId;
+        document.getElementById('case-status').value = caseRecord.status;
+        document.getElementById('case-assignee').value = caseRecord.assignee;
+        document.getElementById('case-resolution-amount').value =
+            caseRecord.resolutionAmount !== null ? caseRecord.resolutionAmount : '';
+        document.getElementById('case-note').value = '';
+        document.getElementById('case-user').value = this.appSettings.auditUser || '';
+        
+        // Notes and status changes, newest first
+        const timeline = [
+            ...caseRecord.notes.map(note => ({ ...note, kind: 'note' })),
+            ...caseRecord.statusHistory.map(change => ({ ...change, kind: 'status' }))
+        ].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        
+        document.getElementById('case-details').innerHTML = `
+            <h6>
+                ${this.formatDate(caseRecord.date)} - ${this.escapeHtml(caseRecord.registerNumber)}, Shift ${caseRecord.shiftNumber || 1}
+                <small class="text-muted">(${this.escapeHtml(this.getStoreName(caseRecord.storeId))})</small>
+            </h6>
+            <p class="mb-2">
+                Cash difference: <strong>${this.formatCurrency(caseRecord.cashDifference || 0)}</strong>
+                ${caseRecord.cashierId ? `&middot; Cashier ${this.escapeHtml(caseRecord.cashierId)}` : ''}
+                &middot; Due ${this.formatDate(caseRecord.dueDate)}
+            </p>
+            <ul class="mb-3">
+                ${caseRecord.issues.map(issue => `
+                    <li><span class="badge bg-light text-dark">${issue.severity}</span> ${this.escapeHtml(issue.description)}</li>
+                `).join('')}
+            </ul>
+            <h6>Activity</h6>
+            <ul class="list-unstyled small mb-0">
+                ${timeline.map(item => `
+                    <li class="mb-1">
+                        <span class="text-muted">${this.translator.formatDateTime(item.timestamp)} &middot; ${this.escapeHtml(item.kind === 'note' ? item.author : item.by)}</span><br>
+                        ${item.kind === 'status' ?
+                            `<i class="fas fa-exchange-alt me-1"></i>Status set to <strong>${CaseManager.STATUSES[item.status]}</strong>${item.comment ? ` - ${this.escapeHtml(item.comment)}` : ''}` :
+                            `<i class="fas fa-sticky-note me-1"></i>${item.text}`}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('caseModal')).show();
+    }
+
+    async saveCaseUpdate() {
+        const caseId = document.getElementById('case-id').value;
+        const user = document.getElementById('case-user').value.trim();
+        const changes = {
+            status: document.getElementById('case-status').value,
+            assignee: document.getElementById('case-assignee').value,
+            resolutionAmount: document.getElementById('case-resolution-amount').value,
+            note: document.getElementById('case-note').value
+        };
+        
+        try {
+            await this.caseManager.updateCase(caseId, changes, user);
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        this.appSettings.auditUser = user;
+        this.saveSettings();
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('caseModal')).hide();
+        this.renderCaseList();
+        this.displaySuccessMessage(this.t('app.caseUpdated'));
+    }
+
+    renderCardSettlements() {
+        const report = document.getElementById('card-settlement-report');
+        const settlements = this.reconciliation && this.reconciliation.cardSettlements;
+        if (!report || !settlements) return;
+        
+        const storeId = this.appSettings.currentStoreId;
+        const imports = settlements.getImports(storeId);
+        document.getElementById('settlement-imports').innerHTML = imports.length === 0 ?
+            '<p class="text-muted small mb-0">No settlement files imported. Import your processor\'s batch report to check card sales.</p>' : `
+            <ul class="list-unstyled small mb-0">
+                ${imports.slice(0, 5).map((fileImport, index) => `
+                    <li class="mb-1">
+                        <i class="fas fa-file-csv text-muted me-1"></i>
+                        <strong>${this.escapeHtml(fileImport.fileName || 'Settlement file')}</strong>
+                        ${storeId === 'all' ? `(${this.escapeHtml(this.getStoreName(fileImport.storeId))})` : ''}
+                        &middot; ${fileImport.batchCount} batch(es), ${this.formatCurrency(fileImport.amount)},
+                        ${this.formatDate(fileImport.firstDate)}${fileImport.lastDate !== fileImport.firstDate ? ` to ${this.formatDate(fileImport.lastDate)}` : ''}
+                        <span class="text-muted">&middot; imported ${this.translator.formatDateTime(fileImport.importedAt)}</span>
+                        <button type="button" class="btn btn-sm btn-link text-danger p-0 ms-1" onclick="app.deleteSettlementImport(${index})" title="Remove this import">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        
+        const storeIds = storeId === 'all' ? this.appSettings.stores.map(store => store.id) : [storeId];
+        const result = settlements.matchBatches(this.getScopedSalesData(), storeIds);
+        const variances = result.matches.filter(day => day.status !== 'matched');
+        const showStore = storeId === 'all';
+        
+        document.getElementById('card-settlement-summary').textContent = result.summary.batchCount > 0 ?
+            `${result.summary.matchedDays} of ${result.matches.length} register-days match` : '';
+        
+        if (result.summary.batchCount === 0) {
+            report.innerHTML = '';
+            return;
+        }
+        
+        report.innerHTML = `
+            <h6 class="small fw-bold">Card Variances</h6>
+            ${variances.length === 0 ? '<p class="text-success small">Card sales match the settled batches for every register-day.</p>' : `
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Register</th>
+                                <th>Card Sales</th>
+                                <th>Settled</th>
+                                <th>Difference</th>
+                                <th>Batches</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${variances.map(day => `
+                                <tr>
+                                    <td>${this.formatDate(day.date)}</td>
+                                    <td>${this.escapeHtml(day.registerNumber || 'All registers')}${showStore ? ` &middot; ${this.escapeHtml(this.getStoreName(day.storeId))}` : ''}</td>
+                                    <td>${this.formatCurrency(day.recordedCardSales)}</td>
+                                    <td>${day.status === 'unsettled' ? '<span class="text-muted">Not settled</span>' : this.formatCurrency(day.settledAmount)}</td>
+                                    <td class="${Math.abs(day.difference) > this.getCashThreshold() ? 'text-danger' : 'text-warning'}">
+                                        ${this.formatCurrency(day.difference)}
+                                    </td>
+                                    <td><small>${this.escapeHtml(day.batches.map(batch => batch.batchId).join(', '))}</small></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+            
+            ${result.unmatchedBatches.length > 0 ? `
+                <h6 class="small fw-bold">Unmatched Batches</h6>
+                <p class="text-muted small mb-1">Settled by the processor, but there is no sales entry for the register and date.</p>
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Batch</th>
+                                <th>Sale Date</th>
+                                <th>Terminal</th>
+                                <th>Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.unmatchedBatches.map(batch => `
+                                <tr>
+                                    <td>${this.escapeHtml(batch.batchId)}</td>
+                                    <td>${this.formatDate(batch.saleDate)}</td>
+                                    <td>${this.escapeHtml(batch.terminalId || 'Store total')}${showStore ? ` &middot; ${this.escapeHtml(this.getStoreName(batch.storeId))}` : ''}</td>
+                                    <td>${this.formatCurrency(batch.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+            
+            ${result.lateBatches.length > 0 ? `
+                <h6 class="small fw-bold">Settled on a Different Day</h6>
+                <div class="table-responsive">
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>Batch</th>
+                                <th>Register</th>
+                                <th>Sale Date</th>
+                                <th>Settled</th>
+                                <th>Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.lateBatches.map(batch => `
+                                <tr>
+                                    <td>${this.escapeHtml(batch.batchId)}</td>
+                                    <td>${this.escapeHtml(batch.registerNumber || 'All registers')}</td>
+                                    <td>${this.formatDate(batch.saleDate)}</td>
+                                    <td>
+                                        ${this.formatDate(batch.settlementDate)}
+                                        <small class="${batch.daysLate > 1 || batch.daysLate < 0 ? 'text-warning' : 'text-muted'}">
+                                            (${batch.daysLate > 0 ? '+' : ''}${batch.daysLate} day${Math.abs(batch.daysLate) === 1 ? '' : 's'})
+                                        </small>
+                                    </td>
+                                    <td>${this.formatCurrency(batch.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    async importSettlementFile() {
+        const settlements = this.reconciliation && this.reconciliation.cardSettlements;
+        const fileInput = document.getElementById('settlement-file');
+        const file = fileInput.files[0];
+        if (!settlements) return;
+        
+        if (!file) {
+            this.displayErrorMessage(this.t('app.chooseSettlementFile'));
+            return;
+        }
+        
+        let result;
+        try {
+            result = await settlements.importBatches(await file.text(), {
+                storeId: this.appSettings.currentStoreId,
+                registers: this.registerRoster ? this.registerRoster.registers : [],
+                fileName: file.name
+            });
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotImportFile', { file: file.name, error: error.message }));
+            return;
+        }
+        
+        fileInput.value = '';
+        this.renderCardSettlements();
+        this.updateDashboard();
+        
+        const message = this.t(result.replaced > 0 ? 'app.batchesImportedReplaced' : 'app.batchesImported', {
+            imported: result.imported,
+            replaced: result.replaced
+        });
+        if (result.errors.length > 0) {
+            this.displayErrorMessage(this.t('app.rowsSkipped', {
+                message: message,
+                count: result.errors.length,
+                errors: result.errors.slice(0, 3).map(error => error.message).join('; ') + (result.errors.length > 3 ? '; ...' : '')
+            }));
+        } else {
+            this.displaySuccessMessage(this.t('app.runForCardVariances', { message: message }));
+        }
+    }
+
+    async deleteSettlementImport(index) {
+        const settlements = this.reconciliation.cardSettlements;
+        const fileImport = settlements.getImports(this.appSettings.currentStoreId)[index];
+        if (!fileImport || !confirm(this.t('app.removeSettlementImportConfirm', {
+            count: fileImport.batchCount,
+            file: fileImport.fileName || this.t('app.thisFile')
+        }))) {
+            return;
+        }
+        
+        try {
+            await settlements.deleteImport(fileImport.storeId, fileImport.fileName, fileImport.importedAt);
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotRemoveImport', { error: error.message }));
+            return;
+        }
+        
+        this.renderCardSettlements();
+        this.updateDashboard();
+        this.displaySuccessMessage(this.t('app.settlementImportRemoved'));
+    }
+
+    async previewSalesImport() {
+        const fileInput = document.getElementById('sales-import-file');
+        const file = fileInput.files[0];
+        if (!this.salesImporter) return;
+        
+        if (!file) {
+            this.displayErrorMessage(this.t('import.chooseFile'));
+            return;
+        }
+        
+        let rows;
+        try {
+            await this.salesImporter.ready;
+            rows = this.salesImporter.readEntries(await file.text(), {
+                storeId: this.appSettings.currentStoreId,
+                stores: this.appSettings.stores,
+                registers: this.registerRoster ? this.registerRoster.registers : []
+            });
+        } catch (error) {
+            this.displayErrorMessage(this.t('import.couldNotRead', { file: file.name, error: error.message }));
+            return;
+        }
+        
+        // Rows are checked as the entry form and reconciliation would check them
+        rows.forEach(row => {
+            row.warnings = [];
+            if (!row.entry) return;
+            
+            this.addCalculatedFields(row.entry);
+            row.duplicate = this.salesImporter.findDuplicate(row.entry, this.salesDataByStore[row.entry.storeId] || []);
+            row.errors.push(...this.checkImportedEntry(row.entry, row.duplicate));
+            if (this.reconciliation) {
+                const validation = this.reconciliation.validateSingleEntry(row.entry);
+                row.errors.push(...validation.errors);
+                row.warnings.push(...validation.warnings);
+            }
+            if (row.errors.length > 0) {
+                row.entry = null;
+            }
+        });
+        
+        this.pendingImport = { fileName: file.name, rows: rows };
+        this.renderSalesImportPreview();
+    }
+
+    checkImportedEntry(entry, duplicate) {
         const errors = [];
+        if (this.registerRoster) {
+            const register = this.registerRoster.getRegister(entry.registerNumber);
+            if (!register) {
+                errors.push(this.t('validation.registerNotOnRoster', { register: entry.registerNumber }));
+            } else if (!this.registerRoster.isActiveOn(register, entry.date)) {
+                errors.push(this.t('validation.registerNotInService', { register: this.registerRoster.describe(register.id) }));
+            }
+        }
         
-        // Required field validation
-        if (!data.date) errors.push('Transaction date is required');
-        if (!data.registerNumber) errors.push('Register number is required');
-        if (data.openingCash < 0) errors.push('Opening cash cannot be negative');
-        if (data.cashSales < 0) errors.push('Cash sales cannot be negative');
-        if (data.cardSales < 0) errors.push('Card sales cannot be negative');
-        if (data.closingCash < 0) errors.push('Closing cash cannot be negative');
+        // Imports cannot unlock closed periods
+        if (this.periodCloses && (this.periodCloses.isLocked(entry) || (duplicate && this.periodCloses.isLocked(duplicate)))) {
+            errors.push(this.t('import.closedPeriod'));
+        }
+        return errors;
+    }
+
+    renderSalesImportPreview() {
+        const container = document.getElementById('sales-import-preview');
+        const rows = this.pendingImport.rows;
+        const ready = rows.filter(row => row.entry && !row.duplicate).length;
+        const duplicates = rows.filter(row => row.entry && row.duplicate).length;
+        const rejected = rows.filter(row => !row.entry).length;
         
-        // Business logic validation
-        const expectedCash = data.openingCash + data.cashSales - data.returnsRefunds - data.cashDrops;
-        const cashDifference = Math.abs(data.closingCash - expectedCash);
+        container.innerHTML = `
+            <div class="row g-2 mb-2 small">
+                <div class="col-4"><span class="text-muted">${this.t('import.new')}:</span> ${ready}</div>
+                <div class="col-4"><span class="text-muted">${this.t('import.duplicates')}:</span> ${duplicates}</div>
+                <div class="col-4"><span class="text-muted">${this.t('import.rejected')}:</span> <span class="${rejected > 0 ? 'text-danger fw-bold' : ''}">${rejected}</span></div>
+            </div>
+            ${duplicates > 0 ? `
+                <div class="mb-2 small">
+                    <span class="me-2">${this.t('import.duplicateAction')}</span>
+                    <div class="form-check form-check-inline">
+                        <input class="form-check-input" type="radio" name="sales-import-duplicates" id="sales-import-skip" value="skip" checked>
+                        <label class="form-check-label" for="sales-import-skip">${this.t('import.skip')}</label>
+                    </div>
+                    <div class="form-check form-check-inline">
+                        <input class="form-check-input" type="radio" name="sales-import-duplicates" id="sales-import-overwrite" value="overwrite">
+                        <label class="form-check-label" for="sales-import-overwrite">${this.t('import.overwrite')}</label>
+                    </div>
+                </div>
+            ` : ''}
+            <div class="table-responsive import-preview mb-2">
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr>
+                            <th>${this.t('import.line')}</th>
+                            <th>${this.t('returns.date')}</th>
+                            <th>${this.t('returns.register')}</th>
+                            <th>${this.t('returns.cashier')}</th>
+                            <th class="text-end">${this.t('returns.totalSales')}</th>
+                            <th class="text-end">${this.t('import.difference')}</th>
+                            <th>${this.t('import.result')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => this.renderSalesImportRow(row)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="text-end">
+                <button type="button" class="btn btn-sm btn-outline-secondary" onclick="app.cancelSalesImport()">${this.t('ui.cancel')}</button>
+                <button type="button" class="btn btn-sm btn-primary" onclick="app.commitSalesImport()" ${ready + duplicates === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-check me-1"></i>${this.t('import.commit')}
+                </button>
+            </div>
+        `;
+    }
+
+    renderSalesImportRow(row) {
+        const entry = row.entry;
+        const badge = !entry ? `<span class="badge bg-danger">${this.t('import.rejectedBadge')}</span>` :
+            row.duplicate ? `<span class="badge bg-warning text-dark">${this.t('import.duplicateBadge')}</span>` :
+            `<span class="badge bg-success">${this.t('import.newBadge')}</span>`;
+        const messages = [
+            ...row.errors.map(error => `<div class="text-danger">${this.escapeHtml(error)}</div>`),
+            ...row.warnings.map(warning => `<div class="text-warning">${this.escapeHtml(warning)}</div>`)
+        ].join('');
         
-        if (cashDifference > 10) {
-            errors.push(`Large cash discrepancy detected: $${cashDifference.toFixed(2)}`);
+        return `
+            <tr>
+                <td>${row.line}</td>
+                <td>${entry ? this.formatDate(entry.date) : ''}</td>
+                <td>${entry ? `${this.escapeHtml(entry.registerNumber)} <small class="text-muted">${this.t('app.shiftShort', { shift: entry.shiftNumber })}</small>` : ''}</td>
+                <td>${entry ? this.escapeHtml(entry.cashierId) : ''}</td>
+                <td class="text-end">${entry ? this.formatCurrency(entry.totalSales) : ''}</td>
+                <td class="text-end">${entry ? this.formatCurrency(entry.cashDifference) : ''}</td>
+                <td class="small">${badge}${messages}</td>
+            </tr>
+        `;
+    }
+
+    cancelSalesImport() {
+        this.pendingImport = null;
+        document.getElementById('sales-import-preview').innerHTML = '';
+    }
+
+    commitSalesImport() {
+        if (!this.pendingImport) return;
+        
+        const { fileName, rows } = this.pendingImport;
+        const overwrite = document.getElementById('sales-import-overwrite')?.checked;
+        const result = { imported: 0, overwritten: 0, skipped: 0, rejected: rows.filter(row => !row.entry) };
+        
+        rows.filter(row => row.entry).forEach(row => {
+            if (row.duplicate && !overwrite) {
+                result.skipped++;
+                return;
+            }
+            
+            const audit = {
+                reasonCode: 'bulk_import',
+                note: this.t('import.auditNote', { file: fileName, line: row.line }),
+                user: this.appSettings.auditUser || row.entry.cashierId
+            };
+            // An overwritten entry keeps its ID, as an edit would
+            if (row.duplicate) {
+                row.entry.id = row.duplicate.id;
+                result.overwritten++;
+            } else {
+                result.imported++;
+            }
+            this.saveSalesEntry(row.entry, row.duplicate, audit);
+        });
+        
+        this.pendingImport = null;
+        document.getElementById('sales-import-file').value = '';
+        this.renderSalesImportResult(fileName, result);
+        this.loadRecentEntries();
+        this.updateDashboard();
+        this.displaySuccessMessage(this.t('import.done', { imported: result.imported, overwritten: result.overwritten }));
+    }
+
+    renderSalesImportResult(fileName, result) {
+        document.getElementById('sales-import-preview').innerHTML = `
+            <div class="alert ${result.rejected.length > 0 ? 'alert-warning' : 'alert-success'} small mb-0">
+                <strong>${this.escapeHtml(fileName)}</strong>:
+                ${this.t('import.summary', {
+                    imported: result.imported,
+                    overwritten: result.overwritten,
+                    skipped: result.skipped,
+                    rejected: result.rejected.length
+                })}
+                ${result.rejected.length > 0 ? `
+                    <ul class="mb-0 mt-1">
+                        ${result.rejected.map(row => `<li>${this.t('import.line')} ${row.line}: ${this.escapeHtml(row.errors.join('; '))}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    getColumnMapping(source) {
+        const reconciliation = this.reconciliation || {};
+        const sources = {
+            sales: {
+                manager: this.salesImporter,
+                fields: typeof SalesImporter !== 'undefined' ? SalesImporter.FIELDS : {},
+                title: 'Sales File Columns',
+                help: 'Enter the column headings used in your sales spreadsheet. The defaults match the CSV export. ' +
+                    'Leave the store column blank to import into the store you are viewing.'
+            },
+            settlement: {
+                manager: reconciliation.cardSettlements,
+                fields: typeof CardSettlementManager !== 'undefined' ? CardSettlementManager.FIELDS : {},
+                title: 'Settlement File Columns',
+                help: 'Enter the column headings used in your processor\'s settlement report. Leave the terminal column blank ' +
+                    'if batches are settled for the whole store rather than per register.'
+            },
+            statement: {
+                manager: reconciliation.bankDeposits,
+                fields: typeof BankDepositManager !== 'undefined' ? BankDepositManager.FIELDS : {},
+                title: 'Bank Statement Columns',
+                help: 'Enter the column headings used in your bank\'s CSV statement. If credits and debits are in separate ' +
+                    'columns, use the credit column for the amount. OFX statements do not need columns.'
+            }
+        };
+        return sources[source];
+    }
+
+    showColumnMapping(source) {
+        const columnMapping = this.getColumnMapping(source);
+        if (!columnMapping || !columnMapping.manager) return;
+        
+        const mapping = columnMapping.manager.mapping;
+        document.getElementById('column-mapping-source').value = source;
+        document.getElementById('column-mapping-title').textContent = columnMapping.title;
+        document.getElementById('column-mapping-help').textContent = columnMapping.help;
+        document.getElementById('column-mapping-fields').innerHTML = Object.entries(columnMapping.fields)
+            .map(([field, definition]) => `
+                <div class="mb-3">
+                    <label for="mapping-${field}" class="form-label">${definition.label}${definition.required ? '' : ' <small class="text-muted">(optional)</small>'}</label>
+                    <input type="text" class="form-control" id="mapping-${field}" data-field="${field}"
+                        value="${mapping[field] || ''}" ${definition.required ? 'required' : ''}>
+                </div>
+            `).join('');
+        document.getElementById('mapping-dateFormat').innerHTML = Object.entries(CsvReader.DATE_FORMATS)
+            .map(([format, example]) => `
+                <option value="${format}" ${format === mapping.dateFormat ? 'selected' : ''}>${format} (e.g. ${example})</option>
+            `).join('');
+        document.getElementById('mapping-decimalSeparator').innerHTML = Object.entries(CsvReader.DECIMAL_SEPARATORS)
+            .map(([separator, example]) => `
+                <option value="${separator}" ${separator === (mapping.decimalSeparator || '.') ? 'selected' : ''}>${example}</option>
+            `).join('');
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('columnMappingModal')).show();
+    }
+
+    async saveColumnMapping() {
+        const columnMapping = this.getColumnMapping(document.getElementById('column-mapping-source').value);
+        const fields = {
+            dateFormat: document.getElementById('mapping-dateFormat').value,
+            decimalSeparator: document.getElementById('mapping-decimalSeparator').value
+        };
+        document.querySelectorAll('#column-mapping-fields [data-field]').forEach(input => {
+            fields[input.dataset.field] = input.value;
+        });
+        
+        try {
+            await columnMapping.manager.saveMapping(fields);
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
+        }
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('columnMappingModal')).hide();
+        this.displaySuccessMessage(this.t('app.columnsSaved', { title: columnMapping.title }));
+    }
+
+    renderBankDeposits() {
+        const report = document.getElementById('bank-deposit-report');
+        const bankDeposits = this.reconciliation && this.reconciliation.bankDeposits;
+        if (!report || !bankDeposits) return;
+        
+        const storeId = this.appSettings.currentStoreId;
+        const storeIds = storeId === 'all' ? this.appSettings.stores.map(store => store.id) : [storeId];
+        const result = bankDeposits.matchDeposits(this.getScopedSalesData(), {
+            storeIds: storeIds,
+            transitDays: this.getSettings().depositTransitDays
+        });
+        const summary = result.summary;
+        const showStore = storeId === 'all';
+        const statusBadges = { matched: 'bg-success', adjusted: 'bg-warning text-dark', in_transit: 'bg-info text-dark', missing: 'bg-danger' };
+        
+        document.getElementById('bank-deposit-summary').textContent = summary.depositCount > 0 ?
+            `${summary.matched + summary.adjusted} of ${summary.depositCount} deposits on the statement` : '';
+        
+        const undepositedTotal = result.undepositedDrops.reduce((sum, entry) => sum + entry.cashDrops, 0);
+        report.innerHTML = `
+            ${summary.depositCount === 0 ? '<p class="text-muted small">No deposits recorded. Record each deposit bag with the cash drops it contains.</p>' : `
+                <div class="row g-2 mb-2 small">
+                    <div class="col-4"><span class="text-muted">In transit:</span> ${summary.inTransit} (${this.formatCurrency(summary.inTransitAmount)})</div>
+                    <div class="col-4"><span class="text-muted">Missing:</span> <span class="${summary.missing > 0 ? 'text-danger fw-bold' : ''}">${summary.missing} (${this.formatCurrency(summary.missingAmount)})</span></div>
+                    <div class="col-4"><span class="text-muted">Bank adjustments:</span> ${summary.adjusted} (${this.formatCurrency(summary.adjustmentTotal)})</div>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle">
+                        <thead>
+                            <tr>
+                                <th>Bag</th>
+                                <th>Deposited</th>
+                                <th>Amount</th>
+                                <th>Bank Credit</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.deposits.slice().reverse().map(deposit => `
+                                <tr>
+                                    <td>
+                                        ${this.escapeHtml(deposit.bagNumber)}${showStore ? ` <small class="text-muted">${this.escapeHtml(this.getStoreName(deposit.storeId))}</small>` : ''}
+                                        <br><small class="text-muted">${deposit.drops.length} drop(s)${Math.abs(deposit.dropDifference) >= 0.01 ?
+                                            `, <span class="text-warning">${this.formatCurrency(deposit.dropDifference)} vs drops</span>` : ''}</small>
+                                    </td>
+                                    <td>${this.formatDate(deposit.depositDate)}</td>
+                                    <td>${this.formatCurrency(deposit.amount)}</td>
+                                    <td>
+                                        ${deposit.line ? `
+                                            ${this.formatCurrency(deposit.line.amount)} on ${this.formatDate(deposit.line.date)}
+                                            ${deposit.status === 'adjusted' ? `<br><small class="text-warning">Adjusted ${this.formatCurrency(deposit.adjustment)}</small>` : ''}
+                                            ${deposit.matchType === 'manual' ? `
+                                                <button type="button" class="btn btn-sm btn-link p-0 ms-1" onclick="app.matchDeposit('${deposit.depositId}', '')" title="Undo this match">
+                                                    <i class="fas fa-unlink"></i>
+                                                </button>
+                                            ` : ''}
+                                        ` : result.unmatchedCredits.some(line => line.storeId === deposit.storeId) ? `
+                                            <select class="form-select form-select-sm" onchange="app.matchDeposit('${deposit.depositId}', this.value)">
+                                                <option value="">Match to a credit...</option>
+                                                ${result.unmatchedCredits.filter(line => line.storeId === deposit.storeId).map(line => `
+                                                    <option value="${line.lineId}">${this.formatDate(line.date)} ${this.formatCurrency(line.amount)} ${this.escapeHtml(line.description)}</option>
+                                                `).join('')}
+                                            </select>
+                                        ` : '<span class="text-muted">-</span>'}
+                                    </td>
+                                    <td>
+                                        <span class="badge ${statusBadges[deposit.status]}">${BankDepositManager.STATUSES[deposit.status]}</span>
+                                        ${deposit.line ? '' : `<br><small class="text-muted">${deposit.daysOutstanding} day(s)</small>`}
+                                    </td>
+                                    <td>
+                                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="app.deleteDeposit('${deposit.depositId}')" title="Delete deposit">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+            
+            ${result.unmatchedCredits.length > 0 ? `
+                <h6 class="small fw-bold">Unmatched Statement Credits</h6>
+                <ul class="small mb-3">
+                    ${result.unmatchedCredits.map(line => `
+                        <li>${this.formatDate(line.date)} ${this.formatCurrency(line.amount)} ${this.escapeHtml(line.description)}${line.reference ? ` (${this.escapeHtml(line.reference)})` : ''}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            
+            ${result.undepositedDrops.length > 0 ? `
+                <h6 class="small fw-bold">Drops Not Yet Deposited</h6>
+                <p class="small mb-0">
+                    ${result.undepositedDrops.length} drop(s) totalling ${this.formatCurrency(undepositedTotal)},
+                    oldest ${this.formatDate(result.undepositedDrops[0].date)}
+                </p>
+            ` : ''}
+        `;
+    }
+
+    async importStatementFile() {
+        const bankDeposits = this.reconciliation && this.reconciliation.bankDeposits;
+        const fileInput = document.getElementById('statement-file');
+        const file = fileInput.files[0];
+        if (!bankDeposits) return;
+        
+        if (!file) {
+            this.displayErrorMessage(this.t('app.chooseStatementFile'));
+            return;
+        }
+        
+        let result;
+        try {
+            result = await bankDeposits.importStatement(await file.text(), {
+                storeId: this.appSettings.currentStoreId,
+                fileName: file.name
+            });
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotImportFile', { file: file.name, error: error.message }));
+            return;
         }
         
-        // Display validation results
-        this.displayValidationResults(errors);
+        fileInput.value = '';
+        this.renderBankDeposits();
         
-        return errors.length === 0;
+        const message = this.t(result.replaced > 0 ? 'app.creditsImportedReplaced' : 'app.creditsImported', {
+            imported: result.imported,
+            replaced: result.replaced
+        });
+        if (result.errors.length > 0) {
+            this.displayErrorMessage(this.t('app.rowsSkipped', {
+                message: message,
+                count: result.errors.length,
+                errors: result.errors.slice(0, 3).map(error => error.message).join('; ') + (result.errors.length > 3 ? '; ...' : '')
+            }));
+        } else {
+            this.displaySuccessMessage(message);
+        }
     }
 
-    displayValidationResults(errors) {
-        const container = document.getElementById('validation-messages');
-        container.innerHTML = '';
+    showDepositForm() {
+        const bankDeposits = this.reconciliation && this.reconciliation.bankDeposits;
+        if (!bankDeposits) return;
         
-        if (errors.length === 0) {
-            container.innerHTML = `
-                <div class="alert alert-success">
-                    <i class="fas fa-check-circle me-1"></i>
-                    All validation checks passed. Data is ready to save.
-                </div>
-            `;
-        } else {
-            const errorHtml = errors.map(error => `
-                <div class="alert alert-danger">
-                    <i class="fas fa-exclamation-triangle me-1"></i>
-                    ${error}
+        if (this.appSettings.currentStoreId === 'all') {
+            this.displayErrorMessage(this.t('app.chooseStoreForDeposit'));
+            return;
+        }
+        
+        const drops = bankDeposits.getUndepositedDrops(this.getScopedSalesData());
+        document.getElementById('deposit-form').reset();
+        document.getElementById('deposit-date').value = new Date().toISOString().split('T')[0];
+        delete document.getElementById('deposit-amount').dataset.edited;
+        document.getElementById('deposit-drops').innerHTML = drops.length === 0 ?
+            '<p class="text-muted small mb-0">Every cash drop is already in a deposit.</p>' :
+            drops.map(entry => `
+                <div class="form-check">
+                    <input type="checkbox" class="form-check-input deposit-drop" id="deposit-drop-${entry.id}" value="${entry.id}" data-amount="${entry.cashDrops}">
+                    <label class="form-check-label" for="deposit-drop-${entry.id}">
+                        ${this.formatDate(entry.date)} &middot; ${this.escapeHtml(entry.registerNumber)} shift ${entry.shiftNumber || 1}
+                        ${entry.cashierId ? `&middot; ${this.escapeHtml(entry.cashierId)}` : ''} &middot; <strong>${this.formatCurrency(entry.cashDrops)}</strong>
+                    </label>
                 </div>
             `).join('');
-            container.innerHTML = errorHtml;
-        }
+        this.updateDepositDropTotal();
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('depositModal')).show();
     }
 
-    validateSalesData() {
-        const formData = this.collectSalesFormData();
+    updateDepositDropTotal() {
+        const checked = [...document.querySelectorAll('#deposit-drops .deposit-drop:checked')];
+        const total = checked.reduce((sum, input) => sum + parseFloat(input.dataset.amount), 0);
         
-        // Real-time validation feedback
-        const openingCash = formData.openingCash;
-        const cashSales = formData.cashSales;
-        const returnsRefunds = formData.returnsRefunds;
-        const cashDrops = formData.cashDrops;
-        const closingCash = formData.closingCash;
-        
-        const expectedCash = openingCash + cashSales - returnsRefunds - cashDrops;
-        const difference = closingCash - expectedCash;
+        document.getElementById('deposit-drop-total').textContent = checked.length > 0 ?
+            `Drops selected: ${this.formatCurrency(total)}` : '';
+        // The bag usually holds exactly the drops, so the amount follows them until it is typed in
+        const amountInput = document.getElementById('deposit-amount');
+        if (!amountInput.dataset.edited) {
+            amountInput.value = checked.length > 0 ? total.toFixed(2) : '';
+        }
+    }
+
+    async saveDeposit() {
+        const bankDeposits = this.reconciliation.bankDeposits;
         
-        // Update expected cash display
-        this.updateExpectedCashDisplay(expectedCash, difference);
+        try {
+            const deposit = await bankDeposits.recordDeposit({
+                storeId: this.appSettings.currentStoreId,
+                bagNumber: document.getElementById('deposit-bag-number').value,
+                depositDate: document.getElementById('deposit-date').value,
+                amount: document.getElementById('deposit-amount').value,
+                dropEntryIds: [...document.querySelectorAll('#deposit-drops .deposit-drop:checked')].map(input => input.value),
+                note: document.getElementById('deposit-note').value
+            }, this.getScopedSalesData());
+            
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('depositModal')).hide();
+            this.renderBankDeposits();
+            this.renderSafe();
+            this.displaySuccessMessage(this.t('app.depositRecorded', { bag: deposit.bagNumber }));
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+        }
     }
 
-    updateExpectedCashDisplay(expectedCash, difference) {
-        // Create or update expected cash indicator
-        let indicator = document.getElementById('expected-cash-indicator');
-        if (!indicator) {
-            indicator = document.createElement('div');
-            indicator.id = 'expected-cash-indicator';
-            indicator.className = 'mt-2 p-2 rounded';
-            document.getElementById('closing-cash').parentNode.appendChild(indicator);
+    async deleteDeposit(depositId) {
+        const deposit = this.reconciliation.bankDeposits.deposits.find(d => d.depositId === depositId);
+        if (!deposit || !confirm(this.t('app.deleteDepositConfirm', { bag: deposit.bagNumber }))) {
+            return;
         }
         
-        const absOfDifference = Math.abs(difference);
-        let statusClass = 'bg-light';
-        let statusText = 'Enter closing cash to see comparison';
+        try {
+            await this.reconciliation.bankDeposits.deleteDeposit(depositId);
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotDeleteDeposit', { error: error.message }));
+            return;
+        }
         
-        if (expectedCash > 0) {
-            if (absOfDifference === 0) {
-                statusClass = 'bg-success text-white';
-                statusText = `Perfect match! Expected: $${expectedCash.toFixed(2)}`;
-            } else if (absOfDifference <= 5) {
-                statusClass = 'bg-warning text-dark';
-                statusText = `Small difference: $${difference.toFixed(2)} (Expected: $${expectedCash.toFixed(2)})`;
-            } else {
-                statusClass = 'bg-danger text-white';
-                statusText = `Large discrepancy: $${difference.toFixed(2)} (Expected: $${expectedCash.toFixed(2)})`;
-            }
+        this.renderBankDeposits();
+        this.renderSafe();
+        this.displaySuccessMessage(this.t('app.depositDeleted', { bag: deposit.bagNumber }));
+    }
+
+    async matchDeposit(depositId, lineId) {
+        try {
+            await this.reconciliation.bankDeposits.setMatch(depositId, lineId);
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+            return;
         }
         
-        indicator.className = `mt-2 p-2 rounded ${statusClass}`;
-        indicator.innerHTML = `
-            <small>
-                <i class="fas fa-calculator me-1"></i>
-                ${statusText}
-            </small>
-        `;
+        this.renderBankDeposits();
     }
 
-    saveSalesEntry(data) {
-        // Add calculated fields
-        data.totalSales = data.cashSales + data.cardSales;
-        data.expectedCash = data.openingCash + data.cashSales - data.returnsRefunds - data.cashDrops;
-        data.cashDifference = data.closingCash - data.expectedCash;
-        data.status = Math.abs(data.cashDifference) <= 5 ? 'balanced' : 'discrepancy';
+    renderSafe() {
+        const report = document.getElementById('safe-report');
+        const safeLedger = this.reconciliation && this.reconciliation.safeLedger;
+        if (!report || !safeLedger) return;
         
-        this.salesData.push(data);
-        this.saveToLocalStorage();
+        const storeId = this.appSettings.currentStoreId;
+        const storeIds = storeId === 'all' ? this.appSettings.stores.map(store => store.id) : [storeId];
+        const result = safeLedger.reconcile(this.getScopedSalesData(), {
+            storeIds: storeIds,
+            threshold: this.getCashThreshold()
+        });
+        const summary = result.summary;
         
-        // Trigger reconciliation update
-        if (this.reconciliation) {
-            this.reconciliation.addSalesData(data);
-        }
+        document.getElementById('safe-summary').textContent = summary.countCount > 0 ?
+            `Expected in safe: ${this.formatCurrency(summary.expectedBalance)}` : '';
+        
+        report.innerHTML = result.stores.map(store => `
+            ${storeId === 'all' ? `<h6 class="fw-bold">${this.escapeHtml(this.getStoreName(store.storeId))}</h6>` : ''}
+            ${!store.lastCount ? `
+                <p class="text-muted small">The safe has not been counted. Count it to set the opening balance; later counts are checked against it.</p>
+            ` : `
+                <div class="row g-2 mb-2 small">
+                    <div class="col-4"><span class="text-muted">Last count:</span> ${this.formatCurrency(store.lastCount.countedAmount)} on ${this.formatDate(store.lastCount.date)}</div>
+                    <div class="col-4"><span class="text-muted">Movements since:</span> ${this.formatCurrency(store.expectedBalance - store.lastCount.countedAmount)}</div>
+                    <div class="col-4"><span class="text-muted">Expected now:</span> <strong>${this.formatCurrency(store.expectedBalance)}</strong></div>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle">
+                        <thead>
+                            <tr>
+                                <th>Count</th>
+                                <th>In / Out</th>
+                                <th>Expected</th>
+                                <th>Counted</th>
+                                <th>Difference</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${store.counts.slice(-10).reverse().map(count => `
+                                <tr>
+                                    <td>
+                                        ${this.formatDate(count.date)}
+                                        <br><small class="text-muted">${this.escapeHtml(count.countedBy)}${count.note ? ` - ${this.escapeHtml(count.note)}` : ''}</small>
+                                    </td>
+                                    <td>${count.status === 'opening' ? '-' : `+${this.formatCurrency(count.cashIn)} / -${this.formatCurrency(count.cashOut)}`}</td>
+                                    <td>${count.status === 'opening' ? '<span class="text-muted">Opening</span>' : this.formatCurrency(count.expected)}</td>
+                                    <td>${this.formatCurrency(count.countedAmount)}</td>
+                                    <td class="${count.status === 'discrepancy' ? 'text-danger fw-bold' : count.difference !== 0 ? 'text-warning' : 'text-success'}">
+                                        ${count.status === 'opening' ? '-' : this.formatCurrency(count.difference)}
+                                    </td>
+                                    <td>
+                                        <button type="button" class="btn btn-sm btn-outline-danger" onclick="app.deleteSafeCount('${count.countId}')" title="Delete count">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+            ${store.movementsSinceCount.length > 0 ? `
+                <h6 class="small fw-bold">${store.lastCount ? 'Movements Since the Last Count' : 'Movements'}</h6>
+                <ul class="list-unstyled small mb-3">
+                    ${store.movementsSinceCount.map(movement => `
+                        <li>
+                            ${this.formatDate(movement.date)} &middot; ${SafeLedger.TYPES[movement.type].label}: ${this.escapeHtml(movement.description)}
+                            <span class="${movement.amount < 0 ? 'text-danger' : 'text-success'}">${movement.amount > 0 ? '+' : ''}${this.formatCurrency(movement.amount)}</span>
+                            ${movement.transactionId ? `
+                                <button type="button" class="btn btn-sm btn-link text-danger p-0 ms-1" onclick="app.deleteSafeTransaction('${movement.transactionId}')" title="Delete movement">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `).join('');
     }
 
-    loadRecentEntries() {
-        const tbody = document.getElementById('recent-entries-body');
-        const recentEntries = this.salesData.slice(-5).reverse();
+    showSafeTransactionForm() {
+        if (!this.reconciliation || !this.reconciliation.safeLedger) return;
         
-        if (recentEntries.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="5" class="text-center text-muted">
-                        <i class="fas fa-inbox me-1"></i>
-                        No entries yet. Add your first sales record above.
-                    </td>
-                </tr>
-            `;
+        if (this.appSettings.currentStoreId === 'all') {
+            this.displayErrorMessage(this.t('app.chooseStoreForSafe'));
             return;
         }
         
-        tbody.innerHTML = recentEntries.map(entry => `
-            <tr>
-                <td>${this.formatDate(entry.date)}</td>
-                <td>${entry.registerNumber}</td>
-                <td>$${entry.totalSales.toFixed(2)}</td>
-                <td>
-                    <span class="status-indicator ${entry.status}">
-                        <i class="fas fa-${entry.status === 'balanced' ? 'check' : 'exclamation-triangle'} me-1"></i>
-                        ${entry.status === 'balanced' ? 'Balanced' : 'Discrepancy'}
-                    </span>
-                </td>
-                <td>
-                    <button class="btn btn-sm btn-outline-primary" onclick="app.editEntry('${entry.id}')">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-outline-danger" onclick="app.deleteEntry('${entry.id}')">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </td>
-            </tr>
-        `).join('');
+        document.getElementById('safe-transaction-form').reset();
+        document.getElementById('safe-transaction-type').innerHTML = Object.entries(SafeLedger.TYPES)
+            .filter(([, definition]) => !definition.automatic)
+            .map(([type, definition]) => `
+                <option value="${type}">${definition.label} (${definition.direction > 0 ? 'into' : 'out of'} the safe)</option>
+            `).join('');
+        document.getElementById('safe-transaction-date').value = new Date().toISOString().split('T')[0];
+        this.updateSafeTransactionRegister();
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('safeTransactionModal')).show();
     }
 
-    editEntry(entryId) {
-        const entry = this.salesData.find(e => e.id === entryId);
-        if (entry) {
-            // Populate form with entry data
-            document.getElementById('transaction-date').value = entry.date;
-            document.getElementById('register-number').value = entry.registerNumber;
-            document.getElementById('opening-cash').value = entry.openingCash;
-            document.getElementById('cash-sales').value = entry.cashSales;
-            document.getElementById('card-sales').value = entry.cardSales;
-            document.getElementById('returns-refunds').value = entry.returnsRefunds;
-            document.getElementById('cash-drops').value = entry.cashDrops;
-            document.getElementById('closing-cash').value = entry.closingCash;
-            
-            // Remove the original entry
-            this.deleteEntry(entryId, false);
-            
-            this.displayInfoMessage('Entry loaded for editing. Make changes and save.');
+    updateSafeTransactionRegister() {
+        const definition = SafeLedger.TYPES[document.getElementById('safe-transaction-type').value];
+        const needsRegister = !!(definition && definition.register);
+        const select = document.getElementById('safe-transaction-register');
+        
+        document.getElementById('safe-transaction-register-group').classList.toggle('d-none', !needsRegister);
+        select.required = needsRegister;
+        if (needsRegister && this.registerRoster) {
+            const date = document.getElementById('safe-transaction-date').value;
+            select.innerHTML = this.registerRoster.getRegistersFor(this.appSettings.currentStoreId, date || null)
+                .map(register => `<option value="${register.id}">${this.escapeHtml(this.registerRoster.describe(register.id))}</option>`)
+                .join('');
         }
     }
 
-    deleteEntry(entryId, confirm = true) {
-        if (confirm && !window.confirm('Are you sure you want to delete this entry?')) {
+    async saveSafeTransaction() {
+        const type = document.getElementById('safe-transaction-type').value;
+        
+        try {
+            await this.reconciliation.safeLedger.recordTransaction({
+                storeId: this.appSettings.currentStoreId,
+                type: type,
+                date: document.getElementById('safe-transaction-date').value,
+                amount: document.getElementById('safe-transaction-amount').value,
+                registerNumber: SafeLedger.TYPES[type] && SafeLedger.TYPES[type].register ?
+                    document.getElementById('safe-transaction-register').value : '',
+                reference: document.getElementById('safe-transaction-reference').value,
+                note: document.getElementById('safe-transaction-note').value
+            });
+        } catch (error) {
+            this.displayErrorMessage(error.message);
             return;
         }
         
-        this.salesData = this.salesData.filter(e => e.id !== entryId);
-        this.saveToLocalStorage();
-        this.loadRecentEntries();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('safeTransactionModal')).hide();
+        this.renderSafe();
         this.updateDashboard();
+        this.displaySuccessMessage(this.t('app.safeMovementRecorded', { movement: SafeLedger.TYPES[type].label }));
+    }
+
+    async deleteSafeTransaction(transactionId) {
+        if (!confirm(this.t('app.deleteSafeMovementConfirm'))) return;
         
-        if (confirm) {
-            this.displaySuccessMessage('Entry deleted successfully.');
+        try {
+            await this.reconciliation.safeLedger.deleteTransaction(transactionId);
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotDeleteMovement', { error: error.message }));
+            return;
         }
+        
+        this.renderSafe();
+        this.updateDashboard();
+        this.displaySuccessMessage(this.t('app.safeMovementDeleted'));
     }
 
-    runReconciliation() {
-        if (!this.reconciliation) {
-            this.displayErrorMessage('Reconciliation engine not available.');
+    showSafeCountForm() {
+        if (!this.reconciliation || !this.reconciliation.safeLedger) return;
+        
+        if (this.appSettings.currentStoreId === 'all') {
+            this.displayErrorMessage(this.t('app.chooseStoreForSafeCount'));
             return;
         }
         
-        const results = this.reconciliation.runFullReconciliation(this.salesData);
-        this.displayReconciliationResults(results);
-        this.updateReconciliationStatus(results);
+        document.getElementById('safe-count-form').reset();
+        document.getElementById('safe-count-date').value = new Date().toISOString().split('T')[0];
+        this.fillDenominationCounts('safe-count-denominations', null);
+        this.updateSafeCountExpected();
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('safeCountModal')).show();
     }
 
-    displayReconciliationResults(results) {
-        const container = document.getElementById('reconciliation-results');
+    updateSafeCountExpected() {
+        const storeId = this.appSettings.currentStoreId;
+        const date = document.getElementById('safe-count-date').value;
+        const safeLedger = this.reconciliation.safeLedger;
+        // Expected balance from the last count before this date (a recount replaces that day's count)
+        const previous = safeLedger.counts
+            .filter(count => count.storeId === storeId && count.date < date)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .pop();
         
-        container.innerHTML = `
-            <div class="reconciliation-item ${results.overall.status}">
-                <h6>Overall Status</h6>
-                <div class="value">${results.overall.status.toUpperCase()}</div>
-                <div class="difference">Total Difference: $${results.overall.totalDifference.toFixed(2)}</div>
-            </div>
-            
-            <div class="reconciliation-item">
-                <h6>Total Sales</h6>
-                <div class="value">$${results.totals.totalSales.toFixed(2)}</div>
-                <div class="difference">Cash: $${results.totals.cashSales.toFixed(2)} | Card: $${results.totals.cardSales.toFixed(2)}</div>
-            </div>
-            
-            <div class="reconciliation-item">
-                <h6>Cash Position</h6>
-                <div class="value">$${results.totals.totalCashPosition.toFixed(2)}</div>
-                <div class="difference">Expected: $${results.totals.expectedCash.toFixed(2)}</div>
-            </div>
+        let text = '';
+        if (previous) {
+            const movements = safeLedger.getMovements(this.getScopedSalesData(storeId), storeId)
+                .filter(movement => movement.date > previous.date && movement.date <= date);
+            const expected = movements.reduce((sum, movement) => sum + movement.amount, previous.countedAmount);
+            text = `Expected: ${this.formatCurrency(expected)}`;
+        } else if (date) {
+            text = 'First count: sets the opening balance';
+        }
+        document.getElementById('safe-count-expected').textContent = text;
+    }
+
+    async saveSafeCount() {
+        try {
+            const count = await this.reconciliation.safeLedger.recordCount({
+                storeId: this.appSettings.currentStoreId,
+                date: document.getElementById('safe-count-date').value,
+                amount: document.getElementById('safe-count-amount').value,
+                counts: this.collectDenominationCounts('safe-count-denominations'),
+                countedBy: document.getElementById('safe-count-by').value,
+                note: document.getElementById('safe-count-note').value
+            });
             
-            <div class="reconciliation-item">
-                <h6>Discrepancies</h6>
-                <div class="value">${results.discrepancies.length}</div>
-                <div class="difference">Flagged entries requiring attention</div>
-            </div>
-        `;
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('safeCountModal')).hide();
+            this.renderSafe();
+            this.updateDashboard();
+            this.displaySuccessMessage(this.t('app.safeCountSaved', { amount: this.formatCurrency(count.countedAmount) }));
+        } catch (error) {
+            this.displayErrorMessage(error.message);
+        }
+    }
+
+    async deleteSafeCount(countId) {
+        const count = this.reconciliation.safeLedger.counts.find(c => c.countId === countId);
+        if (!count || !confirm(this.t('app.deleteSafeCountConfirm', { date: this.formatDate(count.date) }))) return;
         
-        if (results.discrepancies.length > 0) {
-            container.innerHTML += `
-                <div class="reconciliation-item discrepancy">
-                    <h6>Flagged Entries</h6>
-                    <div class="discrepancy-list">
-                        ${results.discrepancies.map(d => `
-                            <div class="mb-2">
-                                <strong>${d.registerNumber}</strong> (${this.formatDate(d.date)})
-                                <br>
-                                <small>Difference: $${d.cashDifference.toFixed(2)}</small>
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-            `;
+        try {
+            await this.reconciliation.safeLedger.deleteCount(countId);
+        } catch (error) {
+            this.displayErrorMessage(this.t('app.couldNotDeleteCount', { error: error.message }));
+            return;
         }
+        
+        this.renderSafe();
+        this.updateDashboard();
+        this.displaySuccessMessage(this.t('app.safeCountDeleted'));
     }
 
     updateReconciliationStatus(results) {
@@ -385,28 +4147,28 @@ class SalesReconciliationApp {
         switch (status) {
             case 'balanced':
                 statusBadge = 'bg-success';
-                statusText = 'All reconciliation checks passed';
+                statusText = this.t('recon.status.balanced');
                 break;
             case 'warning':
                 statusBadge = 'bg-warning';
-                statusText = 'Minor discrepancies detected';
+                statusText = this.t('recon.status.warning');
                 break;
             case 'discrepancy':
                 statusBadge = 'bg-danger';
-                statusText = 'Significant discrepancies require attention';
+                statusText = this.t('recon.status.discrepancy');
                 break;
             default:
                 statusBadge = 'bg-secondary';
-                statusText = 'Ready to reconcile';
+                statusText = this.t('ui.readyToReconcile');
         }
         
         statusContainer.innerHTML = `
             <div class="status-item">
-                <span class="badge ${statusBadge}">${status.toUpperCase()}</span>
+                <span class="badge ${statusBadge}">${this.t(`status.${status}`).toUpperCase()}</span>
                 <span class="ms-2">${statusText}</span>
             </div>
             <div class="mt-2 text-muted">
-                <small>Last reconciliation: ${new Date().toLocaleString()}</small>
+                <small>${this.t('app.lastReconciliation', { time: this.translator.formatDateTime(new Date()) })}</small>
             </div>
         `;
     }
@@ -417,17 +4179,17 @@ class SalesReconciliationApp {
         );
         
         if (discrepancies.length === 0) {
-            this.displaySuccessMessage('No significant discrepancies found.');
+            this.displaySuccessMessage(this.t('app.noSignificantDiscrepancies'));
             return;
         }
         
         const flaggedHtml = discrepancies.map(entry => `
             <div class="alert alert-warning">
-                <strong>${entry.registerNumber}</strong> - ${this.formatDate(entry.date)}
+                <strong>${this.escapeHtml(entry.registerNumber)}</strong> - ${this.formatDate(entry.date)}
                 <br>
-                Cash difference: $${entry.cashDifference.toFixed(2)}
+                Cash difference: ${this.formatCurrency(entry.cashDifference)}
                 <br>
-                <small>Expected: $${entry.expectedCash.toFixed(2)}, Actual: $${entry.closingCash.toFixed(2)}</small>
+                <small>Expected: ${this.formatCurrency(entry.expectedCash)}, Actual: ${this.formatCurrency(entry.closingCash + (entry.foreignCashValue || 0))}</small>
             </div>
         `).join('');
         
@@ -445,7 +4207,7 @@ class SalesReconciliationApp {
 
     sendEmailReport() {
         if (!this.emailService) {
-            this.displayErrorMessage('Email service not available.');
+            this.displayErrorMessage(this.t('app.emailUnavailable'));
             return;
         }
         
@@ -453,12 +4215,36 @@ class SalesReconciliationApp {
         this.emailService.sendReconciliationReport(reportData);
     }
 
+    sendWeeklyReport() {
+        if (!this.emailService) {
+            this.displayErrorMessage(this.t('app.emailUnavailable'));
+            return;
+        }
+        
+        const today = new Date();
+        const weekAgo = new Date(today);
+        weekAgo.setDate(weekAgo.getDate() - 6);
+        
+        const reportData = this.generateReportData(
+            'weekly',
+            weekAgo.toISOString().split('T')[0],
+            today.toISOString().split('T')[0]
+        );
+        this.emailService.sendWeeklySummary(reportData);
+    }
+
     exportData() {
         const exportData = {
             salesData: this.salesData,
             reconciliationData: this.reconciliationData,
+            taxSummary: this.salesTax.summarize(this.salesData),
+            tenderSales: this.tenders.summarize(this.salesData, this.getTenderTypes()),
+            returnsSummary: this.refunds.summarize(this.salesData),
+            pettyCashSummary: this.pettyCash.summarize(this.salesData),
             exportDate: new Date().toISOString(),
-            storeName: this.appSettings.storeName
+            storeId: this.appSettings.currentStoreId,
+            storeName: this.appSettings.storeName,
+            stores: this.appSettings.stores
         };
         
         const blob = new Blob([JSON.stringify(exportData, null, 2)], {
@@ -474,7 +4260,7 @@ class SalesReconciliationApp {
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
         
-        this.displaySuccessMessage('Data exported successfully.');
+        this.displaySuccessMessage(this.t('app.dataExported'));
     }
 
     generateReport() {
@@ -494,12 +4280,14 @@ class SalesReconciliationApp {
         const filteredData = this.salesData.filter(entry => 
             entry.date >= fromDate && entry.date <= toDate
         );
+        const storeId = this.appSettings.currentStoreId;
         
         const summary = {
             totalEntries: filteredData.length,
             totalSales: filteredData.reduce((sum, entry) => sum + entry.totalSales, 0),
             totalCashSales: filteredData.reduce((sum, entry) => sum + entry.cashSales, 0),
             totalCardSales: filteredData.reduce((sum, entry) => sum + entry.cardSales, 0),
+            totalOtherTenderSales: filteredData.reduce((sum, entry) => sum + (entry.otherTenderSales || 0), 0),
             totalDiscrepancies: filteredData.filter(entry => Math.abs(entry.cashDifference) > 5).length,
             avgDiscrepancy: filteredData.length > 0 ? 
                 filteredData.reduce((sum, entry) => sum + Math.abs(entry.cashDifference), 0) / filteredData.length : 0
@@ -507,8 +4295,16 @@ class SalesReconciliationApp {
         
         return {
             type,
+            storeId,
+            storeName: this.getStoreName(storeId),
             period: { from: fromDate, to: toDate },
             summary,
+            stores: this.reconciliation ? this.reconciliation.calculateStoreRollup(filteredData) : [],
+            scorecards: this.reconciliation ? this.reconciliation.buildCashierScorecards(filteredData) : [],
+            taxSummary: this.salesTax.summarize(filteredData),
+            tenderSales: this.tenders.summarize(filteredData, this.getTenderTypes()),
+            returnsSummary: this.refunds.summarize(filteredData),
+            pettyCashSummary: this.pettyCash.summarize(filteredData),
             entries: filteredData,
             generatedAt: new Date().toISOString()
         };
@@ -522,6 +4318,7 @@ class SalesReconciliationApp {
                 <div class="card-header">
                     <h6>
                         ${reportData.type.charAt(0).toUpperCase() + reportData.type.slice(1)} Report
+                        &mdash; ${this.escapeHtml(reportData.storeName)}
                         (${this.formatDate(reportData.period.from)} - ${this.formatDate(reportData.period.to)})
                     </h6>
                 </div>
@@ -529,7 +4326,7 @@ class SalesReconciliationApp {
                     <div class="row mb-4">
                         <div class="col-md-3">
                             <div class="text-center">
-                                <h4 class="text-primary">$${reportData.summary.totalSales.toFixed(2)}</h4>
+                                <h4 class="text-primary">${this.formatCurrency(reportData.summary.totalSales)}</h4>
                                 <small class="text-muted">Total Sales</small>
                             </div>
                         </div>
@@ -547,20 +4344,34 @@ class SalesReconciliationApp {
                         </div>
                         <div class="col-md-3">
                             <div class="text-center">
-                                <h4 class="text-info">$${reportData.summary.avgDiscrepancy.toFixed(2)}</h4>
+                                <h4 class="text-info">${this.formatCurrency(reportData.summary.avgDiscrepancy)}</h4>
                                 <small class="text-muted">Avg Discrepancy</small>
                             </div>
                         </div>
                     </div>
                     
+                    ${reportData.stores.length > 1 ? this.renderStoreRollupTable(reportData.stores) : ''}
+                    
+                    ${reportData.type === 'cashiers' ? this.renderCashierScorecards(reportData.scorecards) : ''}
+                    
+                    ${reportData.type === 'tax' ? this.renderTaxSummary(reportData.taxSummary, reportData.storeId) : ''}
+                    
+                    ${reportData.type === 'returns' ? this.renderReturnsSummary(reportData.returnsSummary, reportData.storeId) : ''}
+                    
+                    ${reportData.type === 'petty-cash' ? this.renderPettyCashSummary(reportData.pettyCashSummary, reportData.storeId) : ''}
+                    
                     <div class="table-responsive">
                         <table class="table table-striped">
                             <thead>
                                 <tr>
                                     <th>Date</th>
+                                    ${reportData.storeId === 'all' ? '<th>Store</th>' : ''}
                                     <th>Register</th>
+                                    <th>Shift</th>
+                                    <th>Cashier</th>
                                     <th>Cash Sales</th>
                                     <th>Card Sales</th>
+                                    <th>Other Tenders</th>
                                     <th>Total Sales</th>
                                     <th>Cash Difference</th>
                                     <th>Status</th>
@@ -570,17 +4381,21 @@ class SalesReconciliationApp {
                                 ${reportData.entries.map(entry => `
                                     <tr>
                                         <td>${this.formatDate(entry.date)}</td>
-                                        <td>${entry.registerNumber}</td>
-                                        <td>$${entry.cashSales.toFixed(2)}</td>
-                                        <td>$${entry.cardSales.toFixed(2)}</td>
-                                        <td>$${entry.totalSales.toFixed(2)}</td>
+                                        ${reportData.storeId === 'all' ? `<td>${this.escapeHtml(this.getStoreName(entry.storeId))}</td>` : ''}
+                                        <td>${this.escapeHtml(entry.registerNumber)}</td>
+                                        <td>${entry.shiftNumber || 1}</td>
+                                        <td>${this.escapeHtml(entry.cashierId || '-')}</td>
+                                        <td>${this.formatCurrency(entry.cashSales)}</td>
+                                        <td>${this.formatCurrency(entry.cardSales)}</td>
+                                        <td>${this.formatCurrency(entry.otherTenderSales || 0)}</td>
+                                        <td>${this.formatCurrency(entry.totalSales)}</td>
                                         <td class="${entry.cashDifference === 0 ? 'text-success' : 
-                                                     Math.abs(entry.cashDifference) <= 5 ? 'text-warning' : 'text-danger'}">
-                                            $${entry.cashDifference.toFixed(2)}
+                                                     Math.abs(entry.cashDifference) <= this.getCashThreshold() ? 'text-warning' : 'text-danger'}">
+                                            ${this.formatCurrency(entry.cashDifference)}
                                         </td>
                                         <td>
                                             <span class="status-indicator ${entry.status}">
-                                                ${entry.status === 'balanced' ? 'Balanced' : 'Discrepancy'}
+                                                ${this.t(`status.${entry.status}`)}
                                             </span>
                                         </td>
                                     </tr>
@@ -602,15 +4417,355 @@ class SalesReconciliationApp {
         `;
     }
 
+    renderStoreRollupTable(stores) {
+        return `
+            <h6 class="mb-2"><i class="fas fa-store me-1"></i>Store Roll-up</h6>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Store</th>
+                            <th>Entries</th>
+                            <th>Total Sales</th>
+                            <th>Discrepancies</th>
+                            <th>Accuracy</th>
+                            <th>Net Variance</th>
+                            <th>Absolute Variance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stores.map(store => `
+                            <tr>
+                                <td>${this.escapeHtml(this.getStoreName(store.storeId))}</td>
+                                <td>${store.totalEntries}</td>
+                                <td>${this.formatCurrency(store.totalSales)}</td>
+                                <td>${store.totalDiscrepancies}</td>
+                                <td>${store.reconciliationAccuracy.toFixed(1)}%</td>
+                                <td class="${Math.abs(store.netCashVariance) <= this.getCashThreshold() ? 'text-success' : 'text-danger'}">
+                                    ${this.formatCurrency(store.netCashVariance)}
+                                </td>
+                                <td>${this.formatCurrency(store.absoluteCashVariance)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderTaxSummary(taxSummary, storeId) {
+        const amountCells = summary => `
+            <td>${this.formatCurrency(summary.taxableSales)}</td>
+            <td>${this.formatCurrency(summary.taxCollected)}</td>
+            <td>${this.formatCurrency(summary.expectedTax)}</td>
+            <td class="${Math.abs(summary.difference) <= this.getTaxTolerance() * summary.entries ? 'text-success' : 'text-danger'}">
+                ${this.formatCurrency(summary.difference)}
+            </td>
+        `;
+        
+        return `
+            <h6 class="mb-2"><i class="fas fa-percent me-1"></i>${this.t('tax.byRate')}</h6>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>${this.t('tax.rate')}</th>
+                            <th>${this.t('tax.entries')}</th>
+                            <th>${this.t('tax.taxableSales')}</th>
+                            <th>${this.t('tax.taxCollected')}</th>
+                            <th>${this.t('tax.taxDue')}</th>
+                            <th>${this.t('tax.difference')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${taxSummary.byRate.length === 0 ? `<tr><td colspan="6" class="text-muted">${this.t('tax.noTaxRecorded')}</td></tr>` : ''}
+                        ${taxSummary.byRate.map(rate => `
+                            <tr>
+                                <td>${this.escapeHtml(rate.name)} ${this.translator.formatPercent(rate.rate, SalesTaxCalculator.getRateDecimals(rate.rate))}</td>
+                                <td>${rate.entries}</td>
+                                ${amountCells(rate)}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h6 class="mb-2"><i class="fas fa-cash-register me-1"></i>${this.t('tax.byRegister')}</h6>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            ${storeId === 'all' ? `<th>${this.t('tax.store')}</th>` : ''}
+                            <th>${this.t('tax.register')}</th>
+                            <th>${this.t('tax.entries')}</th>
+                            <th>${this.t('tax.exemptSales')}</th>
+                            <th>${this.t('tax.taxableSales')}</th>
+                            <th>${this.t('tax.taxCollected')}</th>
+                            <th>${this.t('tax.taxDue')}</th>
+                            <th>${this.t('tax.difference')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${[...taxSummary.byRegister, { ...taxSummary.totals, registerNumber: this.t('tax.total'), total: true }].map(register => `
+                            <tr class="${register.total ? 'fw-bold' : ''}">
+                                ${storeId === 'all' ? `<td>${register.total ? '' : this.escapeHtml(this.getStoreName(register.storeId))}</td>` : ''}
+                                <td>${this.escapeHtml(register.registerNumber)}</td>
+                                <td>${register.entries}</td>
+                                <td>${this.formatCurrency(register.exemptSales)}</td>
+                                ${amountCells(register)}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderReturnsSummary(returnsSummary, storeId) {
+        const maxReturns = this.reconciliation ? this.reconciliation.reconciliationRules.maxReturnsPercentage : 100;
+        const rateCells = summary => `
+            <td>${summary.entries}</td>
+            <td>${this.formatCurrency(summary.totalSales)}</td>
+            <td>${this.formatCurrency(summary.returnsRefunds)}</td>
+            <td>${this.formatCurrency(summary.drawerRefunds)}</td>
+            <td>${summary.refundCount}</td>
+            <td class="${summary.returnRate > maxReturns ? 'text-danger' : ''}">${this.translator.formatPercent(summary.returnRate)}</td>
+        `;
+        const rateHeaders = `
+            <th>${this.t('returns.entries')}</th>
+            <th>${this.t('returns.totalSales')}</th>
+            <th>${this.t('returns.refunds')}</th>
+            <th>${this.t('returns.drawerRefunds')}</th>
+            <th>${this.t('returns.refundCount')}</th>
+            <th>${this.t('returns.returnRate')}</th>
+        `;
+        const table = (icon, title, firstHeaders, rows, firstCells) => `
+            <h6 class="mb-2"><i class="fas ${icon} me-1"></i>${title}</h6>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm">
+                    <thead><tr>${firstHeaders}${rateHeaders}</tr></thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr class="${row.total ? 'fw-bold' : ''}">${firstCells(row)}${rateCells(row)}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        const total = { ...returnsSummary.totals, total: true };
+        
+        return `
+            ${table('fa-cash-register', this.t('returns.byRegister'),
+                `${storeId === 'all' ? `<th>${this.t('returns.store')}</th>` : ''}<th>${this.t('returns.register')}</th>`,
+                [...returnsSummary.byRegister, total],
+                row => `${storeId === 'all' ? `<td>${row.total ? '' : this.escapeHtml(this.getStoreName(row.storeId))}</td>` : ''}
+                    <td>${row.total ? this.t('returns.total') : this.escapeHtml(row.registerNumber)}</td>`)}
+            ${table('fa-user', this.t('returns.byCashier'), `<th>${this.t('returns.cashier')}</th>`,
+                returnsSummary.byCashier, row => `<td>${this.escapeHtml(row.cashierId || '-')}</td>`)}
+            ${table('fa-calendar-day', this.t('returns.byDay'), `<th>${this.t('returns.date')}</th>`,
+                returnsSummary.byDay, row => `<td>${this.formatDate(row.date)}</td>`)}
+            <div class="row">
+                <div class="col-md-6">
+                    <h6 class="mb-2"><i class="fas fa-wallet me-1"></i>${this.t('returns.byTender')}</h6>
+                    <table class="table table-sm mb-4">
+                        <tbody>
+                            ${returnsSummary.byTender.length === 0 ? `<tr><td class="text-muted">${this.t('returns.noRefunds')}</td></tr>` : ''}
+                            ${returnsSummary.byTender.map(tender => `
+                                <tr>
+                                    <td>${tender.name.toLowerCase() === 'cash' ? this.t('dashboard.cash') : tender.name.toLowerCase() === 'card' ? this.t('app.card') : this.escapeHtml(tender.name)}</td>
+                                    <td>${tender.drawer ? `<i class="fas fa-cash-register text-muted" title="${this.t('app.inDrawer')}"></i>` : ''}</td>
+                                    <td class="text-end">${this.formatCurrency(tender.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="col-md-6">
+                    <h6 class="mb-2"><i class="fas fa-tags me-1"></i>${this.t('returns.topReasons')}</h6>
+                    <table class="table table-sm mb-4">
+                        <tbody>
+                            ${returnsSummary.topReasons.length === 0 ? `<tr><td class="text-muted">${this.t('returns.noReasons')}</td></tr>` : ''}
+                            ${returnsSummary.topReasons.map(reason => `
+                                <tr>
+                                    <td>${this.t(`refund.reason.${reason.code}`)}</td>
+                                    <td class="text-end">${reason.count}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    renderPettyCashSummary(pettyCashSummary, storeId) {
+        const totals = pettyCashSummary.totals;
+        if (totals.items === 0) {
+            return `<p class="text-muted">${this.t('pettyCash.none')}</p>`;
+        }
+        
+        return `
+            <div class="row text-center mb-4">
+                <div class="col-md-3">
+                    <div class="text-muted small">${this.t('pettyCash.paidOuts')}</div>
+                    <div class="fw-bold">${this.formatCurrency(totals.paidOuts)}</div>
+                </div>
+                <div class="col-md-3">
+                    <div class="text-muted small">${this.t('pettyCash.paidIns')}</div>
+                    <div class="fw-bold">${this.formatCurrency(totals.paidIns)}</div>
+                </div>
+                <div class="col-md-3">
+                    <div class="text-muted small">${this.t('pettyCash.net')}</div>
+                    <div class="fw-bold ${totals.net < 0 ? 'text-danger' : ''}">${this.formatCurrency(totals.net)}</div>
+                </div>
+                <div class="col-md-3">
+                    <div class="text-muted small">${this.t('pettyCash.unreceipted')}</div>
+                    <div class="fw-bold ${totals.unreceipted > 0 ? 'text-warning' : ''}">${totals.unreceipted}</div>
+                </div>
+            </div>
+            <div class="row">
+                <div class="col-md-6">
+                    <h6 class="mb-2"><i class="fas fa-tags me-1"></i>${this.t('pettyCash.byCategory')}</h6>
+                    <table class="table table-sm mb-4">
+                        <tbody>
+                            ${pettyCashSummary.byCategory.map(category => `
+                                <tr>
+                                    <td>${this.t(`pettyCash.${category.direction}`)}</td>
+                                    <td>${this.t(`pettyCash.category.${category.category}`)}</td>
+                                    <td>${category.items}</td>
+                                    <td class="text-end">${this.formatCurrency(category.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="col-md-6">
+                    <h6 class="mb-2"><i class="fas fa-cash-register me-1"></i>${this.t('pettyCash.byRegister')}</h6>
+                    <table class="table table-sm mb-4">
+                        <thead>
+                            <tr>
+                                ${storeId === 'all' ? `<th>${this.t('returns.store')}</th>` : ''}
+                                <th>${this.t('returns.register')}</th>
+                                <th class="text-end">${this.t('pettyCash.paidOuts')}</th>
+                                <th class="text-end">${this.t('pettyCash.paidIns')}</th>
+                                <th class="text-end">${this.t('pettyCash.net')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${pettyCashSummary.byRegister.map(register => `
+                                <tr>
+                                    ${storeId === 'all' ? `<td>${this.escapeHtml(this.getStoreName(register.storeId))}</td>` : ''}
+                                    <td>${this.escapeHtml(register.registerNumber)}</td>
+                                    <td class="text-end">${this.formatCurrency(register.paidOuts)}</td>
+                                    <td class="text-end">${this.formatCurrency(register.paidIns)}</td>
+                                    <td class="text-end">${this.formatCurrency(register.net)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <h6 class="mb-2"><i class="fas fa-receipt me-1"></i>${this.t('pettyCash.items')}</h6>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>${this.t('returns.date')}</th>
+                            ${storeId === 'all' ? `<th>${this.t('returns.store')}</th>` : ''}
+                            <th>${this.t('returns.register')}</th>
+                            <th>${this.t('returns.cashier')}</th>
+                            <th>${this.t('pettyCash.type')}</th>
+                            <th>${this.t('pettyCash.category')}</th>
+                            <th>${this.t('pettyCash.receipt')}</th>
+                            <th>${this.t('pettyCash.approvedBy')}</th>
+                            <th class="text-end">${this.t('pettyCash.amount')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pettyCashSummary.items.map(item => `
+                            <tr>
+                                <td>${this.formatDate(item.date)}</td>
+                                ${storeId === 'all' ? `<td>${this.escapeHtml(this.getStoreName(item.storeId))}</td>` : ''}
+                                <td>${this.escapeHtml(item.registerNumber)}</td>
+                                <td>${this.escapeHtml(item.cashierId || '-')}</td>
+                                <td>${this.t(`pettyCash.${item.direction}`)}</td>
+                                <td>${this.t(`pettyCash.category.${item.category}`)}</td>
+                                <td>${item.receipt ? this.escapeHtml(item.receipt) : (item.direction === 'out' ? `<span class="badge bg-warning text-dark">${this.t('pettyCash.noReceipt')}</span>` : '-')}</td>
+                                <td>${this.escapeHtml(item.approvedBy)}</td>
+                                <td class="text-end">${this.formatCurrency(item.amount)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getTaxTolerance() {
+        return this.reconciliation ? this.reconciliation.reconciliationRules.taxTolerance : 0;
+    }
+
+    renderCashierScorecards(scorecards) {
+        if (scorecards.length === 0) {
+            return '<p class="text-muted">No cashier activity in this period.</p>';
+        }
+        
+        return `
+            <h6 class="mb-2"><i class="fas fa-user-check me-1"></i>Cashier Scorecards</h6>
+            <div class="row mb-4">
+                ${scorecards.map(card => `
+                    <div class="col-md-4">
+                        <div class="reconciliation-item mb-3 ${card.discrepancyCount === 0 ? 'balanced' : 'discrepancy'}">
+                            <h6>Cashier ${this.escapeHtml(card.cashierId)}</h6>
+                            <div class="value">${this.formatCurrency(card.netOverShort)}</div>
+                            <div class="difference">
+                                Net over/short &middot; ${card.discrepancyCount} discrepanc${card.discrepancyCount === 1 ? 'y' : 'ies'}
+                                in ${card.totalEntries} count${card.totalEntries === 1 ? '' : 's'} (${card.accuracy.toFixed(1)}% accurate)
+                            </div>
+                            <small class="text-muted d-block mt-2">
+                                Over: ${this.formatCurrency(card.totalOver)} | Short: ${this.formatCurrency(card.totalShort)}
+                            </small>
+                            ${card.worstIncidents.length > 0 ? `
+                                <div class="mt-2">
+                                    <small><strong>Worst incidents</strong></small>
+                                    ${card.worstIncidents.map(incident => `
+                                        <small class="d-block">
+                                            ${this.formatDate(incident.date)} &middot; ${this.escapeHtml(incident.registerNumber)} shift ${incident.shiftNumber}:
+                                            <span class="text-danger">${this.formatCurrency(incident.cashDifference)}</span>
+                                        </small>
+                                    `).join('')}
+                                </div>
+                            ` : ''}
+                            ${card.trend.length > 1 ? `
+                                <div class="mt-2">
+                                    <small><strong>Weekly trend</strong></small>
+                                    ${card.trend.map(week => `
+                                        <small class="d-block">
+                                            Week of ${this.formatDate(week.weekStart)}: ${this.formatCurrency(week.netOverShort)}
+                                            (${week.discrepancies}/${week.entries} flagged)
+                                        </small>
+                                    `).join('')}
+                                </div>
+                            ` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     exportReport(reportType) {
         const reportData = this.generateReportData(reportType);
         const csv = this.convertToCSV(reportData.entries);
         
+        this.downloadCSV(csv, `${reportType}_report_${new Date().toISOString().split('T')[0]}.csv`);
+    }
+
+    downloadCSV(csv, fileName) {
         const blob = new Blob([csv], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${reportType}_report_${new Date().toISOString().split('T')[0]}.csv`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -618,14 +4773,33 @@ class SalesReconciliationApp {
     }
 
     convertToCSV(data) {
-        const headers = ['Date', 'Register', 'Opening Cash', 'Cash Sales', 'Card Sales', 'Returns', 'Cash Drops', 'Closing Cash', 'Difference', 'Status'];
+        // A column for each other tender type, plus any only found on older entries
+        const tenders = this.tenders.summarize(data, this.getTenderTypes()).filter(tender => !['cash', 'card'].includes(tender.key));
+        const headers = ['Date', 'Store', 'Register', 'Shift', 'Cashier', 'Opening Cash', 'Cash Sales', 'Card Sales',
+            ...tenders.map(tender => `"${tender.name.replace(/"/g, '""')}"`), 'Total Sales',
+            'Taxable Sales', 'Exempt Sales', 'Tax Collected', 'Returns', 'Drawer Refunds', 'Refund Count', 'Paid Outs', 'Paid Ins', 'Cash Drops', 'Closing Cash', 'Difference', 'Status'];
         const rows = data.map(entry => [
             entry.date,
+            entry.storeId,
             entry.registerNumber,
+            entry.shiftNumber || 1,
+            entry.cashierId || '',
             entry.openingCash,
             entry.cashSales,
             entry.cardSales,
+            ...tenders.map(tender => {
+                const taken = (entry.tenders || []).find(t => t.name.toLowerCase() === tender.key);
+                return taken ? taken.amount : 0;
+            }),
+            entry.totalSales,
+            entry.taxableSales || 0,
+            entry.exemptSales || 0,
+            entry.taxCollected || 0,
             entry.returnsRefunds,
+            RefundCalculator.getDrawerRefunds(entry),
+            entry.refundCount || 0,
+            entry.paidOuts || 0,
+            entry.paidIns || 0,
             entry.cashDrops,
             entry.closingCash,
             entry.cashDifference,
@@ -646,6 +4820,9 @@ class SalesReconciliationApp {
             case '#reports':
                 this.loadReportsData();
                 break;
+            case '#settings':
+                this.renderSettingsForm();
+                break;
         }
     }
 
@@ -657,6 +4834,10 @@ class SalesReconciliationApp {
     }
 
     loadReconciliationData() {
+        this.renderCardSettlements();
+        this.renderBankDeposits();
+        this.renderSafe();
+        
         // Update reconciliation tab with latest data
         if (this.reconciliation) {
             const results = this.reconciliation.getLatestResults();
@@ -677,6 +4858,22 @@ class SalesReconciliationApp {
         document.getElementById('sales-form').reset();
         const today = new Date().toISOString().split('T')[0];
         document.getElementById('transaction-date').value = today;
+        this.renderRegisterOptions('');
+        document.getElementById('opening-cash').readOnly = false;
+        document.getElementById('closing-cash').readOnly = false;
+        this.updateForeignCashValues([]);
+        this.renderTaxInputs();
+        this.renderTenderInputs();
+        this.renderRefundInputs();
+        this.renderPettyCashItems();
+        
+        // Leave edit mode, locking the entry again if it needed an unlock
+        if (this.editingEntryId && this.periodCloses) {
+            this.periodCloses.relock(this.editingEntryId);
+        }
+        this.editingEntryId = null;
+        document.getElementById('editing-banner').classList.add('d-none');
+        this.setTranslatedText(document.getElementById('save-entry-label'), 'ui.saveEntry');
         
         // Clear expected cash indicator
         const indicator = document.getElementById('expected-cash-indicator');
@@ -687,21 +4884,21 @@ class SalesReconciliationApp {
 
     updateCurrentDate() {
         const now = new Date();
-        document.getElementById('current-date').textContent = now.toLocaleDateString();
+        document.getElementById('current-date').textContent = this.translator.formatDate(now);
         
         // Update last updated time
         setInterval(() => {
-            document.getElementById('last-updated').textContent = new Date().toLocaleTimeString();
+            document.getElementById('last-updated').textContent = this.translator.formatTime(new Date());
         }, 60000);
     }
 
     autoSave() {
-        this.saveToLocalStorage();
+        this.saveSettings();
         // Show brief auto-save indicator
         const indicator = document.createElement('div');
         indicator.className = 'position-fixed top-0 end-0 m-3 alert alert-success';
         indicator.style.zIndex = '9999';
-        indicator.innerHTML = '<i class="fas fa-check me-1"></i>Auto-saved';
+        indicator.innerHTML = `<i class="fas fa-check me-1"></i>${this.t('app.autoSaved')}`;
         document.body.appendChild(indicator);
         
         setTimeout(() => {
@@ -709,22 +4906,41 @@ class SalesReconciliationApp {
         }, 2000);
     }
 
-    saveToLocalStorage() {
-        localStorage.setItem('salesData', JSON.stringify(this.salesData));
-        localStorage.setItem('reconciliationData', JSON.stringify(this.reconciliationData));
-        localStorage.setItem('appSettings', JSON.stringify(this.appSettings));
+    saveSettings() {
+        // Entries are written individually as they change; only settings are saved here
+        return this.persist(store => Promise.all([
+            store.putSetting('reconciliationData', this.reconciliationData),
+            store.putSetting('appSettings', this.appSettings)
+        ]));
     }
 
     // Utility methods
     formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString();
+        return this.translator.formatDate(dateString);
+    }
+
+    describeEntry(entry) {
+        return this.t('app.editingEntry', {
+            date: this.formatDate(entry.date),
+            register: entry.registerNumber,
+            shift: entry.shiftNumber || 1
+        });
+    }
+
+    setTranslatedText(element, key) {
+        // translatePage redraws the element from its key when the language changes
+        element.dataset.i18n = key;
+        element.textContent = this.t(key);
     }
 
     formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: this.appSettings.currency
-        }).format(amount);
+        return this.currency.format(amount);
+    }
+
+    escapeHtml(value) {
+        // Names, notes and imported file contents are shown in HTML built from template strings
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
     }
 
     displaySuccessMessage(message) {
@@ -745,7 +4961,7 @@ class SalesReconciliationApp {
         toast.style.zIndex = '9999';
         toast.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'} me-1"></i>
-            ${message}
+            ${this.escapeHtml(message)}
             <button type="button" class="btn-close" onclick="this.parentElement.remove()"></button>
         `;
         
@@ -0,0 +1,250 @@
+/**
+ * Audit Log for Sales & Cash Reconciliation System
+ * Append-only record of every entry create, edit and delete
+ */
+
+class AuditLog {
+    constructor(dataStore = null, currency = null, translator = null) {
+        this.dataStore = dataStore;
+        this.currency = currency;
+        this.translator = translator || new Translator();
+    }
+
+    /**
+     * Append a change record. Records are only ever added, never updated or deleted.
+     */
+    async record({ action, before = null, after = null, reasonCode, note = '', user, source = 'web' }) {
+        if (!AuditLog.ACTIONS.includes(action)) {
+            throw new Error(`Unknown audit action: ${action}`);
+        }
+        if (!AuditLog.REASON_CODES.includes(reasonCode)) {
+            throw new Error(`A valid reason code is required (got "${reasonCode}")`);
+        }
+        if (reasonCode === 'other' && !note.trim()) {
+            throw new Error('A note is required when the reason is "Other"');
+        }
+        if (!user || !user.trim()) {
+            throw new Error('The user making the change is required');
+        }
+
+        const entry = after || before;
+        const record = {
+            recordId: this.generateRecordId(),
+            entryId: entry.id,
+            storeId: entry.storeId || '',
+            action: action,
+            reasonCode: reasonCode,
+            note: note.trim(),
+            user: user.trim(),
+            source: source,
+            timestamp: new Date().toISOString(),
+            before: before ? this.snapshot(before) : null,
+            after: after ? this.snapshot(after) : null,
+            changes: this.diff(before, after)
+        };
+
+        if (this.dataStore) {
+            await this.dataStore.add('auditLog', record);
+        }
+
+        return record;
+    }
+
+    /**
+     * Unique across devices, so records mirrored to the sheet can be deduplicated
+     */
+    generateRecordId() {
+        return `AUD_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Copy an entry without its sync bookkeeping
+     */
+    snapshot(entry) {
+        const { sync, ...values } = entry;
+        return JSON.parse(JSON.stringify(values));
+    }
+
+    /**
+     * List tracked fields that differ between two versions of an entry
+     */
+    diff(before, after) {
+        // Entries saved before a field existed lack it, which is the same as leaving it empty
+        const isEmpty = value => value === undefined || value === '' ||
+            (value !== null && typeof value === 'object' && Object.keys(value).length === 0);
+        const read = (entry, key) => entry && !isEmpty(entry[key]) ? entry[key] : null;
+
+        return AuditLog.TRACKED_FIELDS
+            .map(field => ({
+                field: field.key,
+                label: field.label,
+                before: read(before, field.key),
+                after: read(after, field.key)
+            }))
+            .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+    }
+
+    /**
+     * Get every record for one entry, oldest first
+     */
+    async getEntryHistory(entryId) {
+        if (!this.dataStore) return [];
+
+        const records = await this.dataStore.getAllByIndex('auditLog', 'entryId', entryId);
+        return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Get records made between two dates (inclusive), optionally for one store
+     */
+    async getRecords(dateFrom, dateTo, storeId = 'all') {
+        if (!this.dataStore) return [];
+
+        const range = IDBKeyRange.bound(dateFrom, `${dateTo}T23:59:59.999Z`);
+        const records = await this.dataStore.getAllByIndex('auditLog', 'timestamp', range);
+        return storeId === 'all' ? records : records.filter(record => record.storeId === storeId);
+    }
+
+    /**
+     * Get the display label for a reason code
+     */
+    describeReason(reasonCode) {
+        return AuditLog.REASON_CODES.includes(reasonCode) ? this.translator.t(`audit.reason.${reasonCode}`) : reasonCode;
+    }
+
+    /**
+     * Format a record's changes, e.g. "Cash Sales: 50 → 60"
+     */
+    formatChanges(record) {
+        const format = (field, value) => {
+            if (value === null || value === undefined) return '(none)';
+            if (field && field.format) return field.format(value) || '(none)';
+            return typeof value === 'object' ? this.formatCounts(value) : value;
+        };
+
+        return record.changes
+            .map(change => {
+                const field = AuditLog.TRACKED_FIELDS.find(tracked => tracked.key === change.field);
+                return `${change.label}: ${format(field, change.before)} → ${format(field, change.after)}`;
+            })
+            .join('; ');
+    }
+
+    /**
+     * Format a denomination count compactly for the change list
+     */
+    formatCounts(counts) {
+        if (typeof CashCounter !== 'undefined') {
+            return new CashCounter(this.currency).formatCounts(counts) || '(none)';
+        }
+        return JSON.stringify(counts);
+    }
+
+    /**
+     * Convert records to CSV for export
+     */
+    toCSV(records) {
+        const headers = ['Record ID', 'Timestamp', 'Entry ID', 'Store', 'Action', 'Reason', 'Note', 'User', 'Source', 'Changes'];
+        const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+        const rows = records.map(record => [
+            record.recordId,
+            record.timestamp,
+            record.entryId,
+            record.storeId,
+            record.action,
+            this.describeReason(record.reasonCode),
+            record.note,
+            record.user,
+            record.source,
+            this.formatChanges(record)
+        ].map(escape));
+
+        return [headers.map(escape), ...rows].map(row => row.join(',')).join('\n');
+    }
+}
+
+AuditLog.ACTIONS = ['create', 'edit', 'delete'];
+
+// Reason codes recorded with each change (mirrored in CONFIG.AUDIT_REASON_CODES in Code.gs)
+// Labels are translated under audit.reason.<code>
+AuditLog.REASON_CODES = [
+    'initial_entry',
+    'count_correction',
+    'data_entry_error',
+    'late_cash_drop',
+    'wrong_register',
+    'duplicate_entry',
+    'manager_adjustment',
+    'sheet_edit',
+    'bulk_import',
+    'other'
+];
+
+// Reasons users can pick when editing or deleting an entry
+AuditLog.SELECTABLE_REASONS = [
+    'count_correction',
+    'data_entry_error',
+    'late_cash_drop',
+    'wrong_register',
+    'duplicate_entry',
+    'manager_adjustment',
+    'other'
+];
+
+// Entry fields compared between versions. Fields holding lists give a format for the change list.
+AuditLog.TRACKED_FIELDS = [
+    { key: 'storeId', label: 'Store' },
+    { key: 'date', label: 'Date' },
+    { key: 'registerNumber', label: 'Register' },
+    { key: 'shiftNumber', label: 'Shift' },
+    { key: 'cashierId', label: 'Cashier' },
+    { key: 'openingCash', label: 'Opening Cash' },
+    { key: 'cashSales', label: 'Cash Sales' },
+    { key: 'cardSales', label: 'Card Sales' },
+    { key: 'returnsRefunds', label: 'Returns & Refunds' },
+    { key: 'cashDrops', label: 'Cash Drops' },
+    { key: 'closingCash', label: 'Closing Cash' },
+    { key: 'openingCount', label: 'Opening Count' },
+    { key: 'closingCount', label: 'Closing Count' },
+    {
+        key: 'foreignCash',
+        label: 'Foreign Cash',
+        format: foreignCash => foreignCash.map(tender => `${tender.currency} ${tender.amount} @ ${tender.rate}`).join(', ')
+    },
+    {
+        key: 'taxLines',
+        label: 'Tax',
+        format: taxLines => taxLines.map(line => `${line.name} @ ${line.rate}%: ${line.taxableSales} / ${line.taxCollected}`).join(', ')
+    },
+    { key: 'exemptSales', label: 'Exempt Sales' },
+    {
+        key: 'tenders',
+        label: 'Other Tenders',
+        format: lines => lines.map(line => `${line.name}${line.drawer ? ' (in drawer)' : ''}: ${line.amount}`).join(', ')
+    },
+    { key: 'otherTenderSales', label: 'Other Tender Sales' },
+    {
+        key: 'refunds',
+        label: 'Refunds',
+        format: lines => lines.map(line => `${line.name}${line.drawer ? ' (in drawer)' : ''}: ${line.amount}`).join(', ')
+    },
+    { key: 'refundCount', label: 'Refund Count' },
+    {
+        key: 'refundReasons',
+        label: 'Refund Reasons',
+        format: reasons => Object.keys(reasons).map(code => `${code} ${reasons[code]}`).join(', ')
+    },
+    {
+        key: 'pettyCash',
+        label: 'Petty Cash',
+        format: items => items.map(item => `${item.direction} ${item.category} ${item.amount}`).join(', ')
+    },
+    { key: 'paidOuts', label: 'Paid Outs' },
+    { key: 'paidIns', label: 'Paid Ins' }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLog;
+}
@@ -0,0 +1,444 @@
+/**
+ * Bank Deposit Manager for Sales & Cash Reconciliation System
+ * Tracks cash drops into deposit bags and matches deposits to credits on imported bank statements
+ */
+
+class BankDepositManager {
+    constructor(dataStore = null) {
+        this.dataStore = dataStore;
+        this.deposits = [];
+        this.statementLines = [];
+        this.csvReader = new CsvReader();
+        // Banks name their CSV columns differently, so the columns are mapped to statement fields
+        this.mapping = { ...BankDepositManager.DEFAULT_MAPPING };
+        this.ready = this.loadDeposits();
+    }
+
+    /**
+     * Load deposits, statement lines and the statement column mapping from the data store
+     */
+    async loadDeposits() {
+        if (!this.dataStore) return;
+
+        try {
+            this.deposits = await this.dataStore.getAll('bankDeposits');
+            this.statementLines = await this.dataStore.getAll('bankStatementLines');
+            const savedMapping = await this.dataStore.getSetting('bankStatementMapping');
+            if (savedMapping) {
+                this.mapping = { ...this.mapping, ...savedMapping };
+            }
+        } catch (error) {
+            console.error('Failed to load bank deposits:', error);
+        }
+    }
+
+    /**
+     * Record a deposit bag and the cash drops it contains
+     */
+    async recordDeposit({ storeId, bagNumber, depositDate, amount, dropEntryIds = [], note = '' }, entries) {
+        await this.ready;
+
+        const deposit = {
+            depositId: `DEP_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            storeId: storeId,
+            bagNumber: String(bagNumber || '').trim(),
+            depositDate: depositDate || '',
+            amount: amount === '' || amount === undefined ? NaN : Math.round(parseFloat(amount) * 100) / 100,
+            drops: [],
+            note: String(note || '').trim(),
+            matchedLineId: null,
+            createdAt: new Date().toISOString()
+        };
+
+        const errors = [];
+        if (!storeId || storeId === 'all') errors.push('Choose a single store before recording a deposit.');
+        if (!deposit.bagNumber) errors.push('Bag number is required.');
+        if (this.deposits.some(d => d.storeId === storeId && d.bagNumber.toLowerCase() === deposit.bagNumber.toLowerCase())) {
+            errors.push(`Bag ${deposit.bagNumber} is already recorded.`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(deposit.depositDate)) errors.push('Deposit date is required.');
+        if (isNaN(deposit.amount) || deposit.amount <= 0) errors.push('Deposit amount must be more than zero.');
+        if (dropEntryIds.length === 0) errors.push('Choose the cash drops in this bag.');
+
+        const depositedIds = this.getDepositedEntryIds();
+        dropEntryIds.forEach(entryId => {
+            const entry = entries.find(e => e.id === entryId);
+            if (!entry || !(entry.cashDrops > 0)) {
+                errors.push(`Entry ${entryId} has no cash drop.`);
+            } else if (depositedIds.has(entryId)) {
+                errors.push(`The ${entry.registerNumber} drop on ${entry.date} is already in another bag.`);
+            } else if (entry.date > deposit.depositDate) {
+                errors.push(`The ${entry.registerNumber} drop on ${entry.date} is after the deposit date.`);
+            } else {
+                deposit.drops.push({ entryId: entry.id, registerNumber: entry.registerNumber, date: entry.date, amount: entry.cashDrops });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.deposits.push(deposit);
+        await this.saveDeposit(deposit);
+        return deposit;
+    }
+
+    /**
+     * Delete a deposit, freeing its drops for another bag
+     */
+    async deleteDeposit(depositId) {
+        this.deposits = this.deposits.filter(deposit => deposit.depositId !== depositId);
+        if (this.dataStore) {
+            await this.dataStore.delete('bankDeposits', depositId);
+        }
+    }
+
+    /**
+     * Match a deposit to a statement credit by hand, e.g. when the bank adjusted the amount
+     * and the statement does not show the bag number. A null line ID goes back to automatic matching.
+     */
+    async setMatch(depositId, lineId) {
+        const deposit = this.deposits.find(d => d.depositId === depositId);
+        if (!deposit) {
+            throw new Error(`Deposit ${depositId} not found.`);
+        }
+        if (lineId && !this.statementLines.some(line => line.lineId === lineId && line.storeId === deposit.storeId)) {
+            throw new Error('That statement line is not on this store\'s statement.');
+        }
+
+        deposit.matchedLineId = lineId || null;
+        await this.saveDeposit(deposit);
+        return deposit;
+    }
+
+    /**
+     * Persist a deposit
+     */
+    async saveDeposit(deposit) {
+        if (!this.dataStore) return;
+
+        try {
+            await this.dataStore.put('bankDeposits', deposit);
+        } catch (error) {
+            console.error('Failed to save bank deposit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the column mapping used for future CSV statement imports
+     */
+    async saveMapping(fields) {
+        const mapping = { ...this.mapping };
+        Object.keys(BankDepositManager.FIELDS).forEach(field => {
+            if (fields[field] !== undefined) {
+                mapping[field] = String(fields[field]).trim();
+            }
+        });
+        if (fields.dateFormat !== undefined) {
+            mapping.dateFormat = fields.dateFormat;
+        }
+        if (fields.decimalSeparator !== undefined) {
+            mapping.decimalSeparator = fields.decimalSeparator;
+        }
+
+        const errors = this.csvReader.validateMapping(BankDepositManager.FIELDS, mapping);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.mapping = mapping;
+        if (this.dataStore) {
+            await this.dataStore.putSetting('bankStatementMapping', mapping);
+        }
+        return mapping;
+    }
+
+    /**
+     * Read credits from a bank statement, as OFX or as CSV using the column mapping.
+     * Debits are skipped; rows that cannot be read are returned as errors.
+     */
+    readStatement(text, { storeId, mapping = this.mapping } = {}) {
+        const transactions = /<OFX>/i.test(text) ? this.readOFX(text) : this.readCSV(text, mapping);
+        const lines = [];
+        const seen = new Map();
+
+        transactions.records.forEach(record => {
+            if (record.amount <= 0) return;
+
+            // Identical credits on one day are told apart by their order in the file
+            const key = record.reference || `${record.date}|${record.amount.toFixed(2)}|${record.description}`;
+            const occurrence = (seen.get(key) || 0) + 1;
+            seen.set(key, occurrence);
+
+            lines.push({
+                lineId: `${storeId}|${key}|${occurrence}`,
+                storeId: storeId,
+                date: record.date,
+                amount: record.amount,
+                description: record.description,
+                reference: record.reference
+            });
+        });
+
+        return { lines: lines, errors: transactions.errors };
+    }
+
+    /**
+     * Read transactions from CSV text using the column mapping
+     */
+    readCSV(text, mapping) {
+        const records = [];
+        const errors = [];
+
+        this.csvReader.readRecords(text, BankDepositManager.FIELDS, mapping, 'bank statement').forEach(({ line, values }) => {
+            // Banks with separate debit and credit columns leave the credit blank on debits
+            if (!values.amount) return;
+
+            const date = this.csvReader.parseDate(values.date, mapping.dateFormat);
+            const amount = this.csvReader.parseAmount(values.amount, mapping.decimalSeparator);
+            const rowErrors = [];
+            if (!date) rowErrors.push(`date "${values.date}" is not a ${mapping.dateFormat} date`);
+            if (amount === null) rowErrors.push(`amount "${values.amount}" is not a number`);
+
+            if (rowErrors.length > 0) {
+                errors.push({ line: line, message: `Line ${line}: ${rowErrors.join(', ')}` });
+                return;
+            }
+
+            records.push({ date: date, amount: amount, description: values.description, reference: values.reference });
+        });
+
+        return { records: records, errors: errors };
+    }
+
+    /**
+     * Read transactions from an OFX statement. Older OFX files leave their tags unclosed,
+     * so each value is read up to the next tag or line break.
+     */
+    readOFX(text) {
+        const records = [];
+        const errors = [];
+        const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+        const read = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        if (blocks.length === 0) {
+            throw new Error('The OFX statement has no transactions.');
+        }
+
+        blocks.forEach((block, index) => {
+            const posted = read(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+            const date = posted ? this.csvReader.parseDate(`${posted[1]}-${posted[2]}-${posted[3]}`) : null;
+            const amount = this.csvReader.parseAmount(read(block, 'TRNAMT'));
+
+            if (!date || amount === null) {
+                errors.push({ line: index + 1, message: `Transaction ${index + 1}: date or amount could not be read` });
+                return;
+            }
+
+            records.push({
+                date: date,
+                amount: amount,
+                description: [read(block, 'NAME'), read(block, 'MEMO')].filter(Boolean).join(' '),
+                reference: read(block, 'FITID')
+            });
+        });
+
+        return { records: records, errors: errors };
+    }
+
+    /**
+     * Import a bank statement for a store. Lines imported before are replaced, so overlapping statements are safe.
+     */
+    async importStatement(text, { storeId, fileName = '' }) {
+        await this.ready;
+
+        if (!storeId || storeId === 'all') {
+            throw new Error('Choose a single store before importing a bank statement.');
+        }
+
+        const { lines, errors } = this.readStatement(text, { storeId: storeId });
+        const importedAt = new Date().toISOString();
+        let replaced = 0;
+
+        lines.forEach(line => {
+            line.fileName = fileName;
+            line.importedAt = importedAt;
+
+            const index = this.statementLines.findIndex(existing => existing.lineId === line.lineId);
+            if (index >= 0) {
+                this.statementLines[index] = line;
+                replaced++;
+            } else {
+                this.statementLines.push(line);
+            }
+        });
+
+        if (this.dataStore && lines.length > 0) {
+            await this.dataStore.putAll('bankStatementLines', lines);
+        }
+
+        return { imported: lines.length - replaced, replaced: replaced, errors: errors };
+    }
+
+    /**
+     * Get the IDs of entries whose drops are in a recorded deposit
+     */
+    getDepositedEntryIds() {
+        return new Set(this.deposits.reduce((ids, deposit) => ids.concat(deposit.drops.map(drop => drop.entryId)), []));
+    }
+
+    /**
+     * Entries with cash drops that are not in any deposit
+     */
+    getUndepositedDrops(salesData) {
+        const depositedIds = this.getDepositedEntryIds();
+        return salesData
+            .filter(entry => entry.cashDrops > 0 && !depositedIds.has(entry.id))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.registerNumber.localeCompare(b.registerNumber) ||
+                (a.shiftNumber || 1) - (b.shiftNumber || 1));
+    }
+
+    /**
+     * Match deposits to statement credits. Hand matches come first, then a credit that mentions
+     * the bag number, then a credit for the same amount within MATCH_WINDOW_DAYS of the deposit.
+     * Unmatched deposits are in transit until the statement runs more than transitDays past the
+     * deposit date, after which they are missing. For a store with no statement imported, today
+     * stands in for the statement date.
+     */
+    matchDeposits(salesData, { storeIds = null, transitDays = BankDepositManager.DEFAULT_TRANSIT_DAYS } = {}) {
+        const stores = storeIds || [...new Set(salesData.map(entry => entry.storeId))];
+        const deposits = this.deposits
+            .filter(deposit => stores.includes(deposit.storeId))
+            .sort((a, b) => a.depositDate.localeCompare(b.depositDate));
+        const lines = this.statementLines.filter(line => stores.includes(line.storeId));
+        const usedLineIds = new Set();
+        const matched = new Map();
+
+        const take = (deposit, line, matchType) => {
+            usedLineIds.add(line.lineId);
+            matched.set(deposit.depositId, { line: line, matchType: matchType });
+        };
+        const candidates = deposit => lines.filter(line => line.storeId === deposit.storeId && !usedLineIds.has(line.lineId) &&
+            line.date >= deposit.depositDate);
+
+        deposits.filter(deposit => deposit.matchedLineId).forEach(deposit => {
+            const line = lines.find(l => l.lineId === deposit.matchedLineId);
+            if (line) take(deposit, line, 'manual');
+        });
+
+        deposits.filter(deposit => !matched.has(deposit.depositId)).forEach(deposit => {
+            const bagPattern = new RegExp(`(^|[^A-Za-z0-9])${deposit.bagNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^A-Za-z0-9])`, 'i');
+            const line = candidates(deposit).find(l => bagPattern.test(`${l.description} ${l.reference}`));
+            if (line) take(deposit, line, 'bag');
+        });
+
+        deposits.filter(deposit => !matched.has(deposit.depositId)).forEach(deposit => {
+            const line = candidates(deposit)
+                .filter(l => Math.abs(l.amount - deposit.amount) < 0.01 &&
+                    this.daysBetween(deposit.depositDate, l.date) <= BankDepositManager.MATCH_WINDOW_DAYS)
+                .sort((a, b) => a.date.localeCompare(b.date))[0];
+            if (line) take(deposit, line, 'amount');
+        });
+
+        // Deposits are only missing once the store's statement runs past their transit time
+        const today = new Date().toISOString().split('T')[0];
+        const statementDates = {};
+        lines.forEach(line => {
+            if (!statementDates[line.storeId] || line.date > statementDates[line.storeId]) {
+                statementDates[line.storeId] = line.date;
+            }
+        });
+
+        const results = deposits.map(deposit => {
+            const match = matched.get(deposit.depositId);
+            const dropTotal = Math.round(deposit.drops.reduce((sum, drop) => sum + drop.amount, 0) * 100) / 100;
+            const statementDate = statementDates[deposit.storeId] || null;
+            const result = {
+                ...deposit,
+                dropTotal: dropTotal,
+                dropDifference: Math.round((deposit.amount - dropTotal) * 100) / 100,
+                line: match ? match.line : null,
+                matchType: match ? match.matchType : null,
+                adjustment: match ? Math.round((match.line.amount - deposit.amount) * 100) / 100 : 0,
+                statementDate: statementDate,
+                daysOutstanding: match ? 0 : this.daysBetween(deposit.depositDate, statementDate || today)
+            };
+
+            if (match) {
+                result.status = Math.abs(result.adjustment) >= 0.01 ? 'adjusted' : 'matched';
+            } else {
+                result.status = result.daysOutstanding > transitDays ? 'missing' : 'in_transit';
+            }
+            return result;
+        });
+
+        const unmatchedCredits = lines
+            .filter(line => !usedLineIds.has(line.lineId))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+        const byStatus = status => results.filter(deposit => deposit.status === status);
+
+        return {
+            deposits: results,
+            unmatchedCredits: unmatchedCredits,
+            undepositedDrops: this.getUndepositedDrops(salesData.filter(entry => stores.includes(entry.storeId))),
+            summary: {
+                depositCount: results.length,
+                statementLineCount: lines.length,
+                matched: byStatus('matched').length,
+                adjusted: byStatus('adjusted').length,
+                adjustmentTotal: sum(byStatus('adjusted'), 'adjustment'),
+                inTransit: byStatus('in_transit').length,
+                inTransitAmount: sum(byStatus('in_transit'), 'amount'),
+                missing: byStatus('missing').length,
+                missingAmount: sum(byStatus('missing'), 'amount')
+            }
+        };
+    }
+
+    /**
+     * Whole days from one YYYY-MM-DD date to another
+     */
+    daysBetween(fromDate, toDate) {
+        return Math.round((new Date(toDate + 'T00:00:00Z') - new Date(fromDate + 'T00:00:00Z')) / 86400000);
+    }
+}
+
+// Statement fields read from a CSV bank statement
+BankDepositManager.FIELDS = {
+    date: { label: 'Date', required: true },
+    amount: { label: 'Credit amount', required: true },
+    description: { label: 'Description', required: false },
+    reference: { label: 'Reference', required: false }
+};
+
+BankDepositManager.DEFAULT_MAPPING = {
+    date: 'Date',
+    amount: 'Amount',
+    description: 'Description',
+    reference: 'Reference',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.'
+};
+
+// Days a deposit may take to reach the statement before it is missing
+BankDepositManager.DEFAULT_TRANSIT_DAYS = 3;
+
+// Days after the deposit date an equal credit is accepted as the deposit
+BankDepositManager.MATCH_WINDOW_DAYS = 10;
+
+BankDepositManager.STATUSES = {
+    matched: 'Matched',
+    adjusted: 'Bank adjusted',
+    in_transit: 'In transit',
+    missing: 'Missing'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankDepositManager;
+}
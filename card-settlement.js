@@ -0,0 +1,350 @@
+/**
+ * Card Settlement Manager for Sales & Cash Reconciliation System
+ * Imports card processor settlement reports and matches their batches to the card sales entered for each register-day
+ */
+
+class CardSettlementManager {
+    constructor(dataStore = null) {
+        this.dataStore = dataStore;
+        this.batches = [];
+        this.csvReader = new CsvReader();
+        // Processors name their columns differently, so the CSV columns are mapped to batch fields
+        this.mapping = { ...CardSettlementManager.DEFAULT_MAPPING };
+        this.ready = this.loadSettlements();
+    }
+
+    /**
+     * Load imported batches and the column mapping from the data store
+     */
+    async loadSettlements() {
+        if (!this.dataStore) return;
+
+        try {
+            this.batches = await this.dataStore.getAll('cardSettlements');
+            const savedMapping = await this.dataStore.getSetting('cardSettlementMapping');
+            if (savedMapping) {
+                this.mapping = { ...this.mapping, ...savedMapping };
+            }
+        } catch (error) {
+            console.error('Failed to load card settlements:', error);
+        }
+    }
+
+    /**
+     * Save the column mapping used for future imports
+     */
+    async saveMapping(fields) {
+        const mapping = { ...this.mapping };
+        Object.keys(CardSettlementManager.FIELDS).forEach(field => {
+            if (fields[field] !== undefined) {
+                mapping[field] = String(fields[field]).trim();
+            }
+        });
+        if (fields.dateFormat !== undefined) {
+            mapping.dateFormat = fields.dateFormat;
+        }
+        if (fields.decimalSeparator !== undefined) {
+            mapping.decimalSeparator = fields.decimalSeparator;
+        }
+
+        const errors = this.csvReader.validateMapping(CardSettlementManager.FIELDS, mapping);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.mapping = mapping;
+        if (this.dataStore) {
+            await this.dataStore.putSetting('cardSettlementMapping', mapping);
+        }
+        return mapping;
+    }
+
+    /**
+     * Read batches from settlement CSV text using the column mapping.
+     * Rows that cannot be read are returned as errors with their line number.
+     */
+    readBatches(text, { storeId, registers = [], mapping = this.mapping } = {}) {
+        const batches = [];
+        const errors = [];
+
+        this.csvReader.readRecords(text, CardSettlementManager.FIELDS, mapping, 'settlement file').forEach(({ line, values }) => {
+            const rowErrors = [];
+            const saleDate = this.csvReader.parseDate(values.saleDate, mapping.dateFormat);
+            const settlementDate = values.settlementDate ? this.csvReader.parseDate(values.settlementDate, mapping.dateFormat) : null;
+            const amount = this.csvReader.parseAmount(values.amount, mapping.decimalSeparator);
+
+            if (!values.batchId) rowErrors.push('batch ID is missing');
+            if (!saleDate) rowErrors.push(`sale date "${values.saleDate}" is not a ${mapping.dateFormat} date`);
+            if (values.settlementDate && !settlementDate) rowErrors.push(`settlement date "${values.settlementDate}" is not a ${mapping.dateFormat} date`);
+            if (amount === null) rowErrors.push(`amount "${values.amount}" is not a number`);
+
+            if (rowErrors.length > 0) {
+                errors.push({ line: line, message: `Line ${line}: ${rowErrors.join(', ')}` });
+                return;
+            }
+
+            const registerNumber = this.resolveRegister(values.registerNumber, registers);
+            batches.push({
+                settlementId: `${storeId}|${registerNumber}|${values.batchId}`,
+                batchId: values.batchId,
+                storeId: storeId,
+                registerNumber: registerNumber,
+                terminalId: values.registerNumber,
+                saleDate: saleDate,
+                settlementDate: settlementDate || saleDate,
+                amount: amount,
+                transactionCount: values.transactionCount ? parseInt(values.transactionCount, 10) || 0 : null
+            });
+        });
+
+        return { batches: batches, errors: errors };
+    }
+
+    /**
+     * Import a settlement file for a store. Batches imported before are replaced, so a file can be re-imported.
+     */
+    async importBatches(text, { storeId, registers = [], fileName = '' }) {
+        await this.ready;
+
+        if (!storeId || storeId === 'all') {
+            throw new Error('Choose a single store before importing a settlement file.');
+        }
+
+        const { batches, errors } = this.readBatches(text, { storeId: storeId, registers: registers });
+        const importedAt = new Date().toISOString();
+        let replaced = 0;
+
+        batches.forEach(batch => {
+            batch.fileName = fileName;
+            batch.importedAt = importedAt;
+
+            const index = this.batches.findIndex(existing => existing.settlementId === batch.settlementId);
+            if (index >= 0) {
+                this.batches[index] = batch;
+                replaced++;
+            } else {
+                this.batches.push(batch);
+            }
+        });
+
+        if (this.dataStore && batches.length > 0) {
+            await this.dataStore.putAll('cardSettlements', batches);
+        }
+
+        return { imported: batches.length - replaced, replaced: replaced, errors: errors };
+    }
+
+    /**
+     * Delete every batch imported from a file
+     */
+    async deleteImport(storeId, fileName, importedAt) {
+        const removed = this.batches.filter(batch =>
+            batch.storeId === storeId && batch.fileName === fileName && batch.importedAt === importedAt);
+        this.batches = this.batches.filter(batch => !removed.includes(batch));
+
+        if (this.dataStore) {
+            for (const batch of removed) {
+                await this.dataStore.delete('cardSettlements', batch.settlementId);
+            }
+        }
+        return removed.length;
+    }
+
+    /**
+     * List imported files for a store, newest first
+     */
+    getImports(storeId = 'all') {
+        const imports = new Map();
+
+        this.batches
+            .filter(batch => storeId === 'all' || batch.storeId === storeId)
+            .forEach(batch => {
+                const key = `${batch.storeId}|${batch.fileName}|${batch.importedAt}`;
+                if (!imports.has(key)) {
+                    imports.set(key, {
+                        storeId: batch.storeId,
+                        fileName: batch.fileName,
+                        importedAt: batch.importedAt,
+                        batchCount: 0,
+                        amount: 0,
+                        firstDate: batch.saleDate,
+                        lastDate: batch.saleDate
+                    });
+                }
+
+                const fileImport = imports.get(key);
+                fileImport.batchCount++;
+                fileImport.amount += batch.amount;
+                if (batch.saleDate < fileImport.firstDate) fileImport.firstDate = batch.saleDate;
+                if (batch.saleDate > fileImport.lastDate) fileImport.lastDate = batch.saleDate;
+            });
+
+        return [...imports.values()].sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+    }
+
+    /**
+     * Match batches to the card sales entered for each register-day.
+     * Batches without a terminal are matched to the store's total for the day.
+     * Days with card sales but no batch count as unsettled, within the dates the imported files cover.
+     */
+    matchBatches(salesData, storeIds = null) {
+        const stores = storeIds || [...new Set(salesData.map(entry => entry.storeId))];
+        const batches = this.batches.filter(batch => stores.includes(batch.storeId));
+        const registerDays = this.buildRegisterDays(salesData.filter(entry => stores.includes(entry.storeId)));
+        const days = new Map();
+        const unmatchedBatches = [];
+
+        // Days settled as a store total are compared as a whole rather than register by register
+        const storeSettledDays = new Set(batches
+            .filter(batch => !batch.registerNumber)
+            .map(batch => `${batch.storeId}|${batch.saleDate}`));
+
+        const getDay = (storeId, registerNumber, date) => {
+            const key = `${storeId}|${registerNumber || ''}|${date}`;
+            if (!days.has(key)) {
+                const recorded = registerDays.filter(day => day.storeId === storeId && day.date === date &&
+                    (!registerNumber || day.registerNumber === registerNumber));
+                days.set(key, {
+                    storeId: storeId,
+                    registerNumber: registerNumber || null,
+                    date: date,
+                    entryIds: recorded.reduce((ids, day) => ids.concat(day.entryIds), []),
+                    recordedCardSales: recorded.reduce((sum, day) => sum + day.cardSales, 0),
+                    settledAmount: 0,
+                    batches: []
+                });
+            }
+            return days.get(key);
+        };
+
+        batches.forEach(batch => {
+            const hasSales = registerDays.some(day => day.storeId === batch.storeId && day.date === batch.saleDate &&
+                (!batch.registerNumber || day.registerNumber === batch.registerNumber));
+            if (!hasSales || (batch.registerNumber && storeSettledDays.has(`${batch.storeId}|${batch.saleDate}`))) {
+                unmatchedBatches.push(batch);
+                return;
+            }
+
+            const day = getDay(batch.storeId, batch.registerNumber, batch.saleDate);
+            day.settledAmount += batch.amount;
+            day.batches.push(batch);
+        });
+
+        // Card sales with nothing settled, on dates the imports cover
+        registerDays
+            .filter(day => day.cardSales > 0)
+            .filter(day => this.isCovered(batches, day.storeId, day.date))
+            .forEach(day => {
+                const storeSettled = storeSettledDays.has(`${day.storeId}|${day.date}`);
+                getDay(day.storeId, storeSettled ? null : day.registerNumber, day.date);
+            });
+
+        const matches = [...days.values()].map(day => {
+            day.settledAmount = Math.round(day.settledAmount * 100) / 100;
+            day.difference = Math.round((day.settledAmount - day.recordedCardSales) * 100) / 100;
+            day.entryId = day.entryIds[day.entryIds.length - 1] || null;
+            day.status = day.batches.length === 0 ? 'unsettled' :
+                Math.abs(day.difference) < 0.01 ? 'matched' : 'variance';
+            return day;
+        }).sort((a, b) => a.date.localeCompare(b.date) || (a.registerNumber || '').localeCompare(b.registerNumber || ''));
+
+        const lateBatches = batches
+            .filter(batch => batch.settlementDate && batch.settlementDate !== batch.saleDate)
+            .map(batch => ({ ...batch, daysLate: this.daysBetween(batch.saleDate, batch.settlementDate) }))
+            .sort((a, b) => b.daysLate - a.daysLate || a.saleDate.localeCompare(b.saleDate));
+
+        return {
+            matches: matches,
+            unmatchedBatches: unmatchedBatches.sort((a, b) => a.saleDate.localeCompare(b.saleDate)),
+            lateBatches: lateBatches,
+            summary: {
+                batchCount: batches.length,
+                settledAmount: batches.reduce((sum, batch) => sum + batch.amount, 0),
+                recordedCardSales: matches.reduce((sum, day) => sum + day.recordedCardSales, 0),
+                matchedDays: matches.filter(day => day.status === 'matched').length,
+                varianceDays: matches.filter(day => day.status !== 'matched').length,
+                netDifference: matches.reduce((sum, day) => sum + day.difference, 0),
+                unmatchedBatches: unmatchedBatches.length,
+                lateBatches: lateBatches.length
+            }
+        };
+    }
+
+    /**
+     * Total each register's card sales for the day
+     */
+    buildRegisterDays(salesData) {
+        const registerDays = new Map();
+
+        salesData.forEach(entry => {
+            const key = `${entry.storeId}|${entry.registerNumber}|${entry.date}`;
+            if (!registerDays.has(key)) {
+                registerDays.set(key, {
+                    storeId: entry.storeId,
+                    registerNumber: entry.registerNumber,
+                    date: entry.date,
+                    entryIds: [],
+                    cardSales: 0
+                });
+            }
+
+            const day = registerDays.get(key);
+            day.entryIds.push(entry.id);
+            day.cardSales += entry.cardSales || 0;
+        });
+
+        return [...registerDays.values()];
+    }
+
+    /**
+     * Check whether a store's imported batches span a date
+     */
+    isCovered(batches, storeId, date) {
+        const dates = batches.filter(batch => batch.storeId === storeId).map(batch => batch.saleDate);
+        return dates.length > 0 && date >= dates.reduce((a, b) => a < b ? a : b) && date <= dates.reduce((a, b) => a > b ? a : b);
+    }
+
+    /**
+     * Match a terminal value to a register on the roster by ID or name; unknown values are kept as they are
+     */
+    resolveRegister(value, registers) {
+        if (!value) return '';
+
+        const needle = value.toLowerCase();
+        const register = registers.find(r => r.id.toLowerCase() === needle || (r.name || '').toLowerCase() === needle);
+        return register ? register.id : value.toUpperCase();
+    }
+
+    /**
+     * Whole days from one YYYY-MM-DD date to another
+     */
+    daysBetween(fromDate, toDate) {
+        return Math.round((new Date(toDate + 'T00:00:00Z') - new Date(fromDate + 'T00:00:00Z')) / 86400000);
+    }
+}
+
+// Batch fields read from the settlement file
+CardSettlementManager.FIELDS = {
+    batchId: { label: 'Batch ID', required: true },
+    registerNumber: { label: 'Terminal or register', required: false },
+    saleDate: { label: 'Sale date', required: true },
+    settlementDate: { label: 'Settlement date', required: false },
+    amount: { label: 'Settled sales amount', required: true },
+    transactionCount: { label: 'Transaction count', required: false }
+};
+
+CardSettlementManager.DEFAULT_MAPPING = {
+    batchId: 'Batch ID',
+    registerNumber: 'Terminal ID',
+    saleDate: 'Batch Date',
+    settlementDate: 'Settlement Date',
+    amount: 'Sales Amount',
+    transactionCount: 'Transaction Count',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CardSettlementManager;
+}
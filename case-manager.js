@@ -0,0 +1,300 @@
+/**
+ * Case Manager for Sales & Cash Reconciliation System
+ * Turns flagged discrepancies into persistent cases that are tracked until resolved
+ */
+
+class CaseManager {
+    constructor(dataStore = null) {
+        this.dataStore = dataStore;
+        this.cases = [];
+        this.ready = this.loadCases();
+    }
+
+    /**
+     * Load saved cases from the data store
+     */
+    async loadCases() {
+        if (!this.dataStore) return;
+
+        try {
+            this.cases = await this.dataStore.getAll('discrepancyCases');
+        } catch (error) {
+            console.error('Failed to load discrepancy cases:', error);
+        }
+    }
+
+    /**
+     * Open or update a case for each discrepancy from a reconciliation run.
+     * Cases are keyed by entry, so re-running never duplicates them.
+     */
+    async syncCases(discrepancies, reconciledEntryIds = []) {
+        await this.ready;
+
+        const now = new Date().toISOString();
+        const summary = { created: 0, updated: 0, reopened: 0, cleared: 0 };
+        const changed = [];
+        const flaggedIds = new Set(discrepancies.map(d => d.entryId));
+
+        discrepancies.forEach(discrepancy => {
+            const existing = this.getCaseForEntry(discrepancy.entryId);
+
+            if (!existing) {
+                const newCase = this.createCase(discrepancy, now);
+                this.cases.push(newCase);
+                changed.push(newCase);
+                summary.created++;
+                return;
+            }
+
+            const amountChanged = Math.abs((existing.cashDifference || 0) - (discrepancy.cashDifference || 0)) >= 0.01;
+            const issuesChanged = this.describeIssueTypes(existing.issues) !== this.describeIssueTypes(discrepancy.issues);
+
+            existing.lastDetectedAt = now;
+            changed.push(existing);
+            if (!amountChanged && !issuesChanged && existing.stillFlagged) return;
+
+            // A closed case comes back if the entry was changed and is still off
+            if (this.isClosed(existing) && (amountChanged || issuesChanged)) {
+                this.addStatusChange(existing, 'open', 'system', 'Reopened: discrepancy changed after the case was closed', now);
+                existing.resolvedAt = null;
+                summary.reopened++;
+            } else {
+                summary.updated++;
+            }
+
+            Object.assign(existing, {
+                cashDifference: discrepancy.cashDifference,
+                issues: this.copyIssues(discrepancy.issues),
+                severity: discrepancy.overallSeverity,
+                cashierId: discrepancy.cashierId,
+                stillFlagged: true,
+                updatedAt: now
+            });
+        });
+
+        // Active cases whose entry no longer flags are marked, but only a person closes them
+        this.cases
+            .filter(c => !this.isClosed(c) && c.stillFlagged)
+            .filter(c => reconciledEntryIds.includes(c.entryId) && !flaggedIds.has(c.entryId))
+            .forEach(c => {
+                c.stillFlagged = false;
+                c.updatedAt = now;
+                changed.push(c);
+                summary.cleared++;
+            });
+
+        await this.saveCases(changed);
+        return summary;
+    }
+
+    /**
+     * Build a new open case from a discrepancy
+     */
+    createCase(discrepancy, now) {
+        return {
+            caseId: `CASE-${discrepancy.entryId}`,
+            entryId: discrepancy.entryId,
+            storeId: discrepancy.storeId,
+            date: discrepancy.date,
+            registerNumber: discrepancy.registerNumber,
+            shiftNumber: discrepancy.shiftNumber,
+            cashierId: discrepancy.cashierId,
+            cashDifference: discrepancy.cashDifference,
+            issues: this.copyIssues(discrepancy.issues),
+            severity: discrepancy.overallSeverity,
+            status: 'open',
+            assignee: '',
+            notes: [],
+            resolutionAmount: null,
+            dueDate: this.calculateDueDate(discrepancy.overallSeverity, now),
+            stillFlagged: true,
+            statusHistory: [{ status: 'open', by: 'system', comment: 'Flagged by reconciliation', timestamp: now }],
+            createdAt: now,
+            updatedAt: now,
+            lastDetectedAt: now,
+            resolvedAt: null
+        };
+    }
+
+    /**
+     * Keep only the fields of an issue a case needs
+     */
+    copyIssues(issues) {
+        return issues.map(issue => ({
+            type: issue.type,
+            severity: issue.severity,
+            amount: issue.amount !== undefined ? issue.amount : null,
+            ruleId: issue.ruleId || null,
+            description: issue.description
+        }));
+    }
+
+    /**
+     * Summarize issue types for change detection
+     */
+    describeIssueTypes(issues) {
+        return (issues || []).map(issue => issue.ruleId ? `${issue.type}:${issue.ruleId}` : issue.type).sort().join(',');
+    }
+
+    /**
+     * High severity cases are due the next day, others within a few days or a week
+     */
+    calculateDueDate(severity, now) {
+        const days = { high: 1, medium: 3, low: 7 }[severity] || 7;
+        const dueDate = new Date(now);
+        dueDate.setDate(dueDate.getDate() + days);
+        return dueDate.toISOString().split('T')[0];
+    }
+
+    /**
+     * Change a case's status, assignee or resolution amount, and/or add a note
+     */
+    async updateCase(caseId, changes, user) {
+        const caseRecord = this.getCase(caseId);
+        if (!caseRecord) {
+            throw new Error(`Case ${caseId} not found`);
+        }
+
+        const errors = this.validateUpdate(caseRecord, changes, user);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        const now = new Date().toISOString();
+
+        if (changes.assignee !== undefined) {
+            caseRecord.assignee = changes.assignee.trim();
+        }
+        if (changes.resolutionAmount !== undefined && changes.resolutionAmount !== null && changes.resolutionAmount !== '') {
+            caseRecord.resolutionAmount = parseFloat(changes.resolutionAmount);
+        }
+        if (changes.note && changes.note.trim()) {
+            caseRecord.notes.push({ text: changes.note.trim(), author: user.trim(), timestamp: now });
+        }
+        if (changes.status && changes.status !== caseRecord.status) {
+            this.addStatusChange(caseRecord, changes.status, user.trim(), changes.note ? changes.note.trim() : '', now);
+            caseRecord.resolvedAt = this.isClosed(caseRecord) ? now : null;
+        }
+
+        caseRecord.updatedAt = now;
+        await this.saveCases([caseRecord]);
+        return caseRecord;
+    }
+
+    /**
+     * Check a case update, returning error messages
+     */
+    validateUpdate(caseRecord, changes, user) {
+        const errors = [];
+
+        if (!user || !user.trim()) {
+            errors.push('Your name or employee ID is required.');
+        }
+        if (changes.status && !CaseManager.STATUSES[changes.status]) {
+            errors.push(`Unknown status: ${changes.status}.`);
+        }
+
+        const closing = changes.status && CaseManager.CLOSED_STATUSES.includes(changes.status) &&
+            !CaseManager.CLOSED_STATUSES.includes(caseRecord.status);
+        if (closing) {
+            const amount = changes.resolutionAmount !== undefined && changes.resolutionAmount !== '' ?
+                changes.resolutionAmount : caseRecord.resolutionAmount;
+            if (amount === null || amount === undefined || isNaN(parseFloat(amount))) {
+                errors.push('A resolution amount is required to close a case.');
+            }
+            if (!changes.note || !changes.note.trim()) {
+                errors.push('A note explaining the outcome is required to close a case.');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Record a status change in the case history
+     */
+    addStatusChange(caseRecord, status, by, comment, timestamp) {
+        caseRecord.status = status;
+        caseRecord.statusHistory.push({ status: status, by: by, comment: comment, timestamp: timestamp });
+    }
+
+    /**
+     * Persist changed cases
+     */
+    async saveCases(cases) {
+        if (!this.dataStore || cases.length === 0) return;
+
+        try {
+            await this.dataStore.putAll('discrepancyCases', cases);
+        } catch (error) {
+            console.error('Failed to save discrepancy cases:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a case by ID
+     */
+    getCase(caseId) {
+        return this.cases.find(c => c.caseId === caseId) || null;
+    }
+
+    /**
+     * Get the case for a sales entry
+     */
+    getCaseForEntry(entryId) {
+        return this.cases.find(c => c.entryId === entryId) || null;
+    }
+
+    /**
+     * Check whether a case is resolved or written off
+     */
+    isClosed(caseRecord) {
+        return CaseManager.CLOSED_STATUSES.includes(caseRecord.status);
+    }
+
+    /**
+     * Filter cases for the case list. Status 'active' means open or investigating.
+     */
+    filterCases({ status = 'active', assignee = '', severity = 'all', storeId = 'all' } = {}) {
+        const assigneeFilter = assignee.trim().toLowerCase();
+        const severityOrder = { high: 3, medium: 2, low: 1 };
+
+        return this.cases
+            .filter(c => status === 'all' ||
+                (status === 'active' ? !this.isClosed(c) : c.status === status))
+            .filter(c => !assigneeFilter ||
+                (assigneeFilter === 'unassigned' ? !c.assignee : (c.assignee || '').toLowerCase().includes(assigneeFilter)))
+            .filter(c => severity === 'all' || c.severity === severity)
+            .filter(c => storeId === 'all' || c.storeId === storeId)
+            .sort((a, b) => (severityOrder[b.severity] - severityOrder[a.severity]) ||
+                a.dueDate.localeCompare(b.dueDate));
+    }
+
+    /**
+     * Count cases by status
+     */
+    getStatusCounts(storeId = 'all') {
+        const counts = { open: 0, investigating: 0, resolved: 0, written_off: 0 };
+        this.cases
+            .filter(c => storeId === 'all' || c.storeId === storeId)
+            .forEach(c => {
+                counts[c.status]++;
+            });
+        return counts;
+    }
+}
+
+CaseManager.STATUSES = {
+    open: 'Open',
+    investigating: 'Investigating',
+    resolved: 'Resolved',
+    written_off: 'Written Off'
+};
+
+CaseManager.CLOSED_STATUSES = ['resolved', 'written_off'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseManager;
+}
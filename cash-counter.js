@@ -0,0 +1,296 @@
+/**
+ * Cash Counter for Sales & Cash Reconciliation System
+ * Handles denomination-level drawer counts and float comparison
+ */
+
+class CashCounter {
+    constructor(currency = null, translator = null) {
+        // Shared with the app, so a currency change switches the denominations straight away
+        this.currency = currency || new CurrencyFormatter();
+        this.translator = translator || new Translator();
+    }
+
+    /**
+     * Get the bills, coins and rolls of the store's currency
+     */
+    getDenominations() {
+        return CashCounter.DENOMINATIONS[this.currency.code] || [];
+    }
+
+    /**
+     * Get a denomination's display label. Amounts such as "$20" read the same in every language;
+     * names such as "Quarter Roll" are translated.
+     */
+    getLabel(denomination) {
+        return denomination.labelKey ? this.translator.t(denomination.labelKey) : denomination.label;
+    }
+
+    /**
+     * Get the standard opening float for the store's currency
+     */
+    getDefaultFloat() {
+        return { ...(CashCounter.DEFAULT_FLOATS[this.currency.code] || {}) };
+    }
+
+    /**
+     * Calculate the cash total of a denomination count
+     */
+    calculateTotal(counts) {
+        if (!counts) return 0;
+
+        // Work in cents to avoid floating point drift on coins
+        const totalCents = this.getDenominations().reduce((sum, denomination) => {
+            const quantity = parseInt(counts[denomination.key], 10) || 0;
+            return sum + quantity * Math.round(denomination.value * 100);
+        }, 0);
+
+        return totalCents / 100;
+    }
+
+    /**
+     * Keep only known denominations with positive whole quantities
+     */
+    normalizeCounts(counts) {
+        const normalized = {};
+        if (!counts) return normalized;
+
+        this.getDenominations().forEach(denomination => {
+            const quantity = parseInt(counts[denomination.key], 10) || 0;
+            if (quantity > 0) {
+                normalized[denomination.key] = quantity;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Check whether any denomination has been counted
+     */
+    hasCounts(counts) {
+        return Object.keys(this.normalizeCounts(counts)).length > 0;
+    }
+
+    /**
+     * Compare an actual count against an expected count, per denomination
+     */
+    compareCounts(actualCounts, expectedCounts) {
+        const actual = this.normalizeCounts(actualCounts);
+        const expected = this.normalizeCounts(expectedCounts);
+        const variances = [];
+
+        this.getDenominations().forEach(denomination => {
+            const actualQuantity = actual[denomination.key] || 0;
+            const expectedQuantity = expected[denomination.key] || 0;
+
+            if (actualQuantity !== expectedQuantity) {
+                const difference = actualQuantity - expectedQuantity;
+                variances.push({
+                    denomination: denomination.key,
+                    label: this.getLabel(denomination),
+                    expected: expectedQuantity,
+                    actual: actualQuantity,
+                    difference: difference,
+                    amount: Math.round(difference * denomination.value * 100) / 100
+                });
+            }
+        });
+
+        return variances;
+    }
+
+    /**
+     * Format a count for display, e.g. "$20 x 5, $1 x 12"
+     */
+    formatCounts(counts) {
+        const normalized = this.normalizeCounts(counts);
+
+        return this.getDenominations()
+            .filter(denomination => normalized[denomination.key])
+            .map(denomination => `${this.getLabel(denomination)} x ${normalized[denomination.key]}`)
+            .join(', ');
+    }
+
+    /**
+     * Get denominations grouped by type (bill, coin, roll)
+     */
+    getDenominationsByType() {
+        return this.getDenominations().reduce((groups, denomination) => {
+            groups[denomination.type] = groups[denomination.type] || [];
+            groups[denomination.type].push(denomination);
+            return groups;
+        }, {});
+    }
+}
+
+// Bills are keyed by their value in whole units and coins and rolls by their coin's value in the smallest unit,
+// so the keys stay the same for as long as the currency does
+CashCounter.DENOMINATIONS = {
+    USD: [
+        { key: 'bill_100', label: '$100', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '$50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '$20', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: '$10', value: 10.00, type: 'bill' },
+        { key: 'bill_5', label: '$5', value: 5.00, type: 'bill' },
+        { key: 'bill_1', label: '$1', value: 1.00, type: 'bill' },
+        { key: 'coin_25', label: '25¢', value: 0.25, type: 'coin' },
+        { key: 'coin_10', label: '10¢', value: 0.10, type: 'coin' },
+        { key: 'coin_5', label: '5¢', value: 0.05, type: 'coin' },
+        { key: 'coin_1', label: '1¢', value: 0.01, type: 'coin' },
+        { key: 'roll_25', labelKey: 'denomination.quarterRoll', value: 10.00, type: 'roll' },
+        { key: 'roll_10', labelKey: 'denomination.dimeRoll', value: 5.00, type: 'roll' },
+        { key: 'roll_5', labelKey: 'denomination.nickelRoll', value: 2.00, type: 'roll' },
+        { key: 'roll_1', labelKey: 'denomination.pennyRoll', value: 0.50, type: 'roll' }
+    ],
+    CAD: [
+        { key: 'bill_100', label: '$100', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '$50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '$20', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: '$10', value: 10.00, type: 'bill' },
+        { key: 'bill_5', label: '$5', value: 5.00, type: 'bill' },
+        { key: 'coin_200', label: '$2', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '$1', value: 1.00, type: 'coin' },
+        { key: 'coin_25', label: '25¢', value: 0.25, type: 'coin' },
+        { key: 'coin_10', label: '10¢', value: 0.10, type: 'coin' },
+        { key: 'coin_5', label: '5¢', value: 0.05, type: 'coin' },
+        { key: 'roll_200', labelKey: 'denomination.toonieRoll', value: 50.00, type: 'roll' },
+        { key: 'roll_100', labelKey: 'denomination.loonieRoll', value: 25.00, type: 'roll' },
+        { key: 'roll_25', labelKey: 'denomination.quarterRoll', value: 10.00, type: 'roll' },
+        { key: 'roll_10', labelKey: 'denomination.dimeRoll', value: 5.00, type: 'roll' },
+        { key: 'roll_5', labelKey: 'denomination.nickelRoll', value: 2.00, type: 'roll' }
+    ],
+    EUR: [
+        { key: 'bill_200', label: '200 €', value: 200.00, type: 'bill' },
+        { key: 'bill_100', label: '100 €', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '50 €', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '20 €', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: '10 €', value: 10.00, type: 'bill' },
+        { key: 'bill_5', label: '5 €', value: 5.00, type: 'bill' },
+        { key: 'coin_200', label: '2 €', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '1 €', value: 1.00, type: 'coin' },
+        { key: 'coin_50', label: '50 c', value: 0.50, type: 'coin' },
+        { key: 'coin_20', label: '20 c', value: 0.20, type: 'coin' },
+        { key: 'coin_10', label: '10 c', value: 0.10, type: 'coin' },
+        { key: 'coin_5', label: '5 c', value: 0.05, type: 'coin' },
+        { key: 'coin_2', label: '2 c', value: 0.02, type: 'coin' },
+        { key: 'coin_1', label: '1 c', value: 0.01, type: 'coin' }
+    ],
+    GBP: [
+        { key: 'bill_50', label: '£50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '£20', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: '£10', value: 10.00, type: 'bill' },
+        { key: 'bill_5', label: '£5', value: 5.00, type: 'bill' },
+        { key: 'coin_200', label: '£2', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '£1', value: 1.00, type: 'coin' },
+        { key: 'coin_50', label: '50p', value: 0.50, type: 'coin' },
+        { key: 'coin_20', label: '20p', value: 0.20, type: 'coin' },
+        { key: 'coin_10', label: '10p', value: 0.10, type: 'coin' },
+        { key: 'coin_5', label: '5p', value: 0.05, type: 'coin' },
+        { key: 'coin_2', label: '2p', value: 0.02, type: 'coin' },
+        { key: 'coin_1', label: '1p', value: 0.01, type: 'coin' }
+    ],
+    AUD: [
+        { key: 'bill_100', label: '$100', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '$50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '$20', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: '$10', value: 10.00, type: 'bill' },
+        { key: 'bill_5', label: '$5', value: 5.00, type: 'bill' },
+        { key: 'coin_200', label: '$2', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '$1', value: 1.00, type: 'coin' },
+        { key: 'coin_50', label: '50c', value: 0.50, type: 'coin' },
+        { key: 'coin_20', label: '20c', value: 0.20, type: 'coin' },
+        { key: 'coin_10', label: '10c', value: 0.10, type: 'coin' },
+        { key: 'coin_5', label: '5c', value: 0.05, type: 'coin' }
+    ],
+    NZD: [
+        { key: 'bill_100', label: '$100', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '$50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '$20', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: '$10', value: 10.00, type: 'bill' },
+        { key: 'bill_5', label: '$5', value: 5.00, type: 'bill' },
+        { key: 'coin_200', label: '$2', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '$1', value: 1.00, type: 'coin' },
+        { key: 'coin_50', label: '50c', value: 0.50, type: 'coin' },
+        { key: 'coin_20', label: '20c', value: 0.20, type: 'coin' },
+        { key: 'coin_10', label: '10c', value: 0.10, type: 'coin' }
+    ],
+    CHF: [
+        { key: 'bill_200', label: 'CHF 200', value: 200.00, type: 'bill' },
+        { key: 'bill_100', label: 'CHF 100', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: 'CHF 50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: 'CHF 20', value: 20.00, type: 'bill' },
+        { key: 'bill_10', label: 'CHF 10', value: 10.00, type: 'bill' },
+        { key: 'coin_500', label: 'CHF 5', value: 5.00, type: 'coin' },
+        { key: 'coin_200', label: 'CHF 2', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: 'CHF 1', value: 1.00, type: 'coin' },
+        { key: 'coin_50', label: '50 Rp.', value: 0.50, type: 'coin' },
+        { key: 'coin_20', label: '20 Rp.', value: 0.20, type: 'coin' },
+        { key: 'coin_10', label: '10 Rp.', value: 0.10, type: 'coin' },
+        { key: 'coin_5', label: '5 Rp.', value: 0.05, type: 'coin' }
+    ],
+    MXN: [
+        { key: 'bill_1000', label: '$1000', value: 1000.00, type: 'bill' },
+        { key: 'bill_500', label: '$500', value: 500.00, type: 'bill' },
+        { key: 'bill_200', label: '$200', value: 200.00, type: 'bill' },
+        { key: 'bill_100', label: '$100', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '$50', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '$20', value: 20.00, type: 'bill' },
+        { key: 'coin_1000', label: '$10', value: 10.00, type: 'coin' },
+        { key: 'coin_500', label: '$5', value: 5.00, type: 'coin' },
+        { key: 'coin_200', label: '$2', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '$1', value: 1.00, type: 'coin' },
+        { key: 'coin_50', label: '50¢', value: 0.50, type: 'coin' }
+    ],
+    SEK: [
+        { key: 'bill_1000', label: '1000 kr', value: 1000.00, type: 'bill' },
+        { key: 'bill_500', label: '500 kr', value: 500.00, type: 'bill' },
+        { key: 'bill_200', label: '200 kr', value: 200.00, type: 'bill' },
+        { key: 'bill_100', label: '100 kr', value: 100.00, type: 'bill' },
+        { key: 'bill_50', label: '50 kr', value: 50.00, type: 'bill' },
+        { key: 'bill_20', label: '20 kr', value: 20.00, type: 'bill' },
+        { key: 'coin_1000', label: '10 kr', value: 10.00, type: 'coin' },
+        { key: 'coin_500', label: '5 kr', value: 5.00, type: 'coin' },
+        { key: 'coin_200', label: '2 kr', value: 2.00, type: 'coin' },
+        { key: 'coin_100', label: '1 kr', value: 1.00, type: 'coin' }
+    ],
+    JPY: [
+        { key: 'bill_10000', label: '¥10000', value: 10000, type: 'bill' },
+        { key: 'bill_5000', label: '¥5000', value: 5000, type: 'bill' },
+        { key: 'bill_1000', label: '¥1000', value: 1000, type: 'bill' },
+        { key: 'coin_500', label: '¥500', value: 500, type: 'coin' },
+        { key: 'coin_100', label: '¥100', value: 100, type: 'coin' },
+        { key: 'coin_50', label: '¥50', value: 50, type: 'coin' },
+        { key: 'coin_10', label: '¥10', value: 10, type: 'coin' },
+        { key: 'coin_5', label: '¥5', value: 5, type: 'coin' },
+        { key: 'coin_1', label: '¥1', value: 1, type: 'coin' }
+    ]
+};
+
+// Standard opening float issued to each drawer, by currency; currencies without one are not compared to a float
+CashCounter.DEFAULT_FLOATS = {
+    // $117.50
+    USD: { bill_20: 2, bill_10: 2, bill_5: 4, bill_1: 20, roll_25: 1, roll_10: 1, roll_5: 1, roll_1: 1 },
+    // $122.00
+    CAD: { bill_20: 2, bill_10: 2, bill_5: 4, roll_100: 1, roll_25: 1, roll_10: 1, roll_5: 1 },
+    // 108.50 €
+    EUR: { bill_10: 4, bill_5: 6, coin_200: 10, coin_100: 10, coin_50: 10, coin_20: 10, coin_10: 10, coin_5: 10 },
+    // £88.50
+    GBP: { bill_10: 4, bill_5: 6, coin_100: 10, coin_50: 10, coin_20: 10, coin_10: 10, coin_5: 10 },
+    // $105.50
+    AUD: { bill_10: 4, bill_5: 6, coin_200: 10, coin_100: 10, coin_50: 4, coin_20: 10, coin_10: 10, coin_5: 10 },
+    // $106.00
+    NZD: { bill_10: 4, bill_5: 6, coin_200: 10, coin_100: 10, coin_50: 4, coin_20: 10, coin_10: 20 },
+    // CHF 108.50
+    CHF: { bill_10: 5, coin_500: 4, coin_200: 10, coin_100: 10, coin_50: 10, coin_20: 10, coin_10: 10, coin_5: 10 },
+    // $585.00
+    MXN: { bill_50: 4, bill_20: 10, coin_1000: 10, coin_500: 10, coin_200: 10, coin_100: 10, coin_50: 10 },
+    // 1080 kr
+    SEK: { bill_100: 5, bill_50: 4, bill_20: 10, coin_1000: 10, coin_500: 10, coin_200: 10, coin_100: 10 },
+    // ¥27770
+    JPY: { bill_1000: 20, coin_500: 10, coin_100: 20, coin_50: 10, coin_10: 20, coin_5: 10, coin_1: 20 }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CashCounter;
+}
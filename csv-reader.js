@@ -0,0 +1,174 @@
+/**
+ * CSV Reader for Sales & Cash Reconciliation System
+ * Reads exported files (settlement reports, bank statements) whose columns are mapped to fields by name
+ */
+
+class CsvReader {
+    /**
+     * Split CSV text into rows of cells, allowing quoted cells with commas, quotes and line breaks
+     */
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines and the byte order mark some exports start with
+        if (rows.length > 0) {
+            rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+        }
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Read each row's mapped columns as trimmed text, with its line number in the file.
+     * Throws if the file is empty or a required column is missing.
+     */
+    readRecords(text, fields, mapping, fileLabel = 'file') {
+        const rows = this.parse(text);
+        if (rows.length < 2) {
+            throw new Error(`The ${fileLabel} has no rows below its headings.`);
+        }
+
+        const headers = rows[0].map(header => header.trim().toLowerCase());
+        const columns = {};
+        const missing = [];
+        Object.entries(fields).forEach(([field, definition]) => {
+            const columnName = (mapping[field] || '').trim();
+            const index = columnName ? headers.indexOf(columnName.toLowerCase()) : -1;
+            if (index >= 0) {
+                columns[field] = index;
+            } else if (columnName && definition.required) {
+                missing.push(columnName);
+            }
+        });
+        if (missing.length > 0) {
+            throw new Error(`Column(s) not found in the ${fileLabel}: ${missing.join(', ')}. ` +
+                `Columns in the file: ${rows[0].map(header => header.trim()).join(', ')}.`);
+        }
+
+        return rows.slice(1).map((cells, index) => {
+            const values = {};
+            Object.keys(fields).forEach(field => {
+                values[field] = columns[field] === undefined ? '' : (cells[columns[field]] || '').trim();
+            });
+            return { line: index + 2, values: values };
+        });
+    }
+
+    /**
+     * Check a column mapping, returning error messages
+     */
+    validateMapping(fields, mapping) {
+        const errors = Object.entries(fields)
+            .filter(([field, definition]) => definition.required && !mapping[field])
+            .map(([, definition]) => `A column for ${definition.label.toLowerCase()} is required.`);
+        if (!CsvReader.DATE_FORMATS[mapping.dateFormat]) {
+            errors.push(`Unknown date format: ${mapping.dateFormat}`);
+        }
+        if (mapping.decimalSeparator && !CsvReader.DECIMAL_SEPARATORS[mapping.decimalSeparator]) {
+            errors.push(`Unknown decimal separator: ${mapping.decimalSeparator}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Read a date in the mapped format as YYYY-MM-DD, ignoring any time of day. Returns null if unreadable.
+     */
+    parseDate(value, dateFormat = 'YYYY-MM-DD') {
+        const text = (value || '').trim().split(/[ T]/)[0];
+        let year;
+        let month;
+        let day;
+
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        const slashed = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+        if (iso) {
+            [, year, month, day] = iso.map(Number);
+        } else if (slashed && dateFormat !== 'YYYY-MM-DD') {
+            const [, first, second, yearPart] = slashed;
+            year = Number(yearPart.length === 2 ? `20${yearPart}` : yearPart);
+            month = Number(dateFormat === 'DD/MM/YYYY' ? second : first);
+            day = Number(dateFormat === 'DD/MM/YYYY' ? first : second);
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Read an amount such as "1,234.50", "$12.00" or "(3.25)", or "1.234,50" when the decimal separator is a comma.
+     * Returns null if unreadable, including amounts such as "12,50" that do not fit the decimal separator,
+     * rather than guessing which separator was meant.
+     */
+    parseAmount(value, decimalSeparator = '.') {
+        let text = (value || '').trim();
+        const parenthesized = /^\(.*\)$/.test(text);
+        if (parenthesized) text = text.slice(1, -1).trim();
+
+        // A currency symbol may come before or after the number, with a minus sign before or after the symbol
+        const match = text.match(/^(-?)\s*\p{Sc}?\s*(-?)\s*([\d.,]+)\s*\p{Sc}?$/u);
+        if (!match || [parenthesized, match[1], match[2]].filter(Boolean).length > 1) return null;
+
+        const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+        const number = match[3];
+        const pattern = new RegExp(`^(\\d+|\\d{1,3}(\\${groupSeparator}\\d{3})+)?(\\${decimalSeparator}\\d+)?$`);
+        if (!/\d/.test(number) || !pattern.test(number)) return null;
+
+        const amount = parseFloat(number.split(groupSeparator).join('').replace(decimalSeparator, '.'));
+        return (parenthesized || match[1] || match[2] ? -1 : 1) * Math.round(amount * 100) / 100;
+    }
+}
+
+CsvReader.DATE_FORMATS = {
+    'YYYY-MM-DD': '2024-03-31',
+    'MM/DD/YYYY': '03/31/2024',
+    'DD/MM/YYYY': '31/03/2024'
+};
+
+// Decimal separators amounts may use, with an example amount for each
+CsvReader.DECIMAL_SEPARATORS = {
+    '.': '1,234.50',
+    ',': '1.234,50'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvReader;
+}
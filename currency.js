@@ -0,0 +1,143 @@
+/**
+ * Currency Formatter for Sales & Cash Reconciliation System
+ * Formats and rounds amounts in the store's currency and converts foreign cash into it
+ */
+
+class CurrencyFormatter {
+    constructor(settings = {}, locale = 'en-US') {
+        this.locale = locale;
+        this.configure(settings);
+    }
+
+    /**
+     * Apply currency settings. Anything left unset follows the currency's usual conventions.
+     */
+    configure(settings = {}) {
+        const code = String(settings.currency || 'USD').toUpperCase();
+        const defaults = CurrencyFormatter.getDefaults(code);
+        const pick = key => settings[key] === undefined || settings[key] === null || settings[key] === '' ?
+            defaults[key] : settings[key];
+
+        this.code = code;
+        this.currencySymbol = String(pick('currencySymbol'));
+        this.symbolPosition = pick('symbolPosition');
+        this.decimalPlaces = Number(pick('decimalPlaces'));
+        this.cashRounding = Number(pick('cashRounding'));
+        return this;
+    }
+
+    /**
+     * Get the settings in effect, in the shape they are saved in
+     */
+    getSettings() {
+        return {
+            currency: this.code,
+            currencySymbol: this.currencySymbol,
+            symbolPosition: this.symbolPosition,
+            decimalPlaces: this.decimalPlaces,
+            cashRounding: this.cashRounding
+        };
+    }
+
+    /**
+     * Use a language's digit grouping and decimal separator, e.g. "1.234,50" for es-ES
+     */
+    setLocale(locale) {
+        this.locale = locale || 'en-US';
+        return this;
+    }
+
+    /**
+     * Get a copy with the same currency settings for another language
+     */
+    forLocale(locale) {
+        return new CurrencyFormatter(this.getSettings(), locale);
+    }
+
+    /**
+     * Format an amount with its symbol, e.g. "$1,234.50" or "1,234.50 €".
+     * Amounts in another currency are formatted by that currency's conventions.
+     */
+    format(amount, code = this.code) {
+        const settings = code === this.code ? this : CurrencyFormatter.getDefaults(code);
+        const value = Number(amount) || 0;
+        const number = this.formatNumber(Math.abs(value), settings.decimalPlaces);
+        const sign = value < 0 && Number(number.replace(/[^\d]/g, '')) !== 0 ? '-' : '';
+
+        // Letter symbols such as CHF are kept apart from the number
+        const symbol = settings.currencySymbol;
+        return settings.symbolPosition === 'after' ?
+            `${sign}${number} ${symbol}` :
+            `${sign}${symbol}${/[A-Za-z]$/.test(symbol) ? ' ' : ''}${number}`;
+    }
+
+    /**
+     * Format an amount without a symbol, e.g. "1,234.50"
+     */
+    formatNumber(amount, decimalPlaces = this.decimalPlaces) {
+        return (Number(amount) || 0).toLocaleString(this.locale, {
+            minimumFractionDigits: decimalPlaces,
+            maximumFractionDigits: decimalPlaces
+        });
+    }
+
+    /**
+     * Round an amount to the currency's decimal places
+     */
+    round(amount) {
+        const factor = Math.pow(10, this.decimalPlaces);
+        // toPrecision drops floating point noise such as 1.005 * 100 = 100.49999999999999
+        return Math.round(Number(((Number(amount) || 0) * factor).toPrecision(12))) / factor;
+    }
+
+    /**
+     * Round an amount to the smallest unit handled in cash, e.g. 0.05 where pennies are not used
+     */
+    roundCash(amount) {
+        const increment = this.cashRounding > 0 ? this.cashRounding : Math.pow(10, -this.decimalPlaces);
+        return this.round(Math.round(Number(((Number(amount) || 0) / increment).toPrecision(12))) * increment);
+    }
+
+    /**
+     * Convert a foreign amount to the store's currency at a rate given in store currency per foreign unit
+     */
+    convert(amount, rate) {
+        return this.round((Number(amount) || 0) * rate);
+    }
+
+    /**
+     * Symbol, placement, decimal places and cash rounding usually used for a currency
+     */
+    static getDefaults(code) {
+        return CurrencyFormatter.CURRENCIES[code] || {
+            currencySymbol: code,
+            symbolPosition: 'before',
+            decimalPlaces: 2,
+            cashRounding: 0
+        };
+    }
+}
+
+// Conventions for common currencies; a cash rounding of 0 means amounts are paid to the smallest unit
+CurrencyFormatter.CURRENCIES = {
+    USD: { name: 'US Dollar', currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 },
+    CAD: { name: 'Canadian Dollar', currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.05 },
+    EUR: { name: 'Euro', currencySymbol: '€', symbolPosition: 'after', decimalPlaces: 2, cashRounding: 0 },
+    GBP: { name: 'Pound Sterling', currencySymbol: '£', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 },
+    AUD: { name: 'Australian Dollar', currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.05 },
+    NZD: { name: 'New Zealand Dollar', currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.10 },
+    CHF: { name: 'Swiss Franc', currencySymbol: 'CHF', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0.05 },
+    MXN: { name: 'Mexican Peso', currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2, cashRounding: 0 },
+    SEK: { name: 'Swedish Krona', currencySymbol: 'kr', symbolPosition: 'after', decimalPlaces: 2, cashRounding: 1 },
+    JPY: { name: 'Japanese Yen', currencySymbol: '¥', symbolPosition: 'before', decimalPlaces: 0, cashRounding: 0 }
+};
+
+CurrencyFormatter.SYMBOL_POSITIONS = {
+    before: 'Before the amount',
+    after: 'After the amount'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyFormatter;
+}
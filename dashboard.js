@@ -6,6 +6,18 @@
 class DashboardManager {
     constructor(initialData = []) {
         this.salesData = initialData;
+        this.stores = [];
+        this.registerRoster = null;
+        this.cardSettlements = null;
+        this.safeLedger = null;
+        this.tenderTypes = [];
+        this.currency = new CurrencyFormatter();
+        this.translator = new Translator();
+        this.currentStoreId = 'all';
+        this.settings = {
+            cashDiscrepancyThreshold: 5.00,
+            largeDiscrepancyThreshold: 50.00
+        };
         this.charts = {};
         this.updateIntervals = {};
         
@@ -78,9 +90,7 @@ class DashboardManager {
                     y: {
                         beginAtZero: true,
                         ticks: {
-                            callback: function(value) {
-                                return '$' + value.toFixed(0);
-                            }
+                            callback: value => this.currency.format(value)
                         }
                     },
                     x: {
@@ -138,6 +148,95 @@ class DashboardManager {
         });
     }
 
+    /**
+     * Set the known stores used to label the roll-up view
+     */
+    setStores(stores) {
+        this.stores = stores || [];
+    }
+
+    /**
+     * Set the register roster and the store in view, used to work out which registers should report
+     */
+    setRegisterRoster(registerRoster, storeId) {
+        this.registerRoster = registerRoster;
+        this.currentStoreId = storeId || 'all';
+    }
+
+    /**
+     * Set the imported card settlements that card sales are checked against
+     */
+    setCardSettlements(cardSettlements) {
+        this.cardSettlements = cardSettlements;
+    }
+
+    /**
+     * Set the safe ledger whose balances are shown
+     */
+    setSafeLedger(safeLedger) {
+        this.safeLedger = safeLedger;
+    }
+
+    /**
+     * Set the tender types taken besides cash and card, each a slice of the payment chart
+     */
+    setTenderTypes(tenderTypes) {
+        this.tenderTypes = tenderTypes || [];
+        this.updatePaymentChart(this.salesData);
+    }
+
+    /**
+     * Set the currency formatter amounts are shown with
+     */
+    setCurrency(currency) {
+        this.currency = currency;
+    }
+
+    /**
+     * Set the translator labels and dates are shown with, and relabel the charts
+     */
+    setTranslator(translator) {
+        this.translator = translator;
+        this.translateCharts();
+    }
+
+    /**
+     * Write chart titles and series names in the current language
+     */
+    translateCharts() {
+        const t = key => this.translator.t(key);
+
+        if (this.charts.salesChart) {
+            const datasets = this.charts.salesChart.data.datasets;
+            datasets[0].label = t('dashboard.dailySales');
+            datasets[1].label = t('dashboard.cashSales');
+            datasets[2].label = t('dashboard.cardSales');
+            this.charts.salesChart.options.plugins.title.text = t('dashboard.salesTrend');
+            this.charts.salesChart.update('none');
+        }
+
+        if (this.charts.paymentChart) {
+            this.charts.paymentChart.data.labels = this.calculatePaymentTotals(this.getTodayData())
+                .map(total => this.getTenderLabel(total));
+            this.charts.paymentChart.options.plugins.title.text = t('dashboard.paymentMethods');
+            this.charts.paymentChart.update('none');
+        }
+    }
+
+    /**
+     * Set the discrepancy thresholds the dashboard reports with
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    /**
+     * Format an amount in the configured currency
+     */
+    formatCurrency(amount) {
+        return this.currency.format(amount);
+    }
+
     /**
      * Update all dashboard metrics
      */
@@ -146,8 +245,12 @@ class DashboardManager {
         
         const todayData = this.getTodayData();
         const metrics = this.calculateMetrics(todayData);
+        this.addRegisterCoverage(metrics, todayData);
         
         this.updateMetricCards(metrics);
+        this.updateStoreRollup(this.calculateStoreRollup(todayData));
+        this.updateCardSettlement(salesData);
+        this.updateSafeBalance(salesData);
         this.updateCharts(salesData);
     }
 
@@ -170,21 +273,24 @@ class DashboardManager {
             registersActive: new Set(),
             averageTransaction: 0,
             cashRecoveryNeeded: 0,
+            netCashVariance: 0,
             reconciliationAccuracy: 100
         };
 
         if (todayData.length === 0) {
+            metrics.registersActive = 0;
             return metrics;
         }
 
         // Calculate totals
         todayData.forEach(entry => {
             metrics.totalSalesToday += entry.totalSales || (entry.cashSales + entry.cardSales);
-            metrics.registersActive.add(entry.registerNumber);
+            metrics.registersActive.add(`${entry.storeId}-${entry.registerNumber}`);
+            metrics.netCashVariance += entry.cashDifference || 0;
             
             // Check if reconciled (difference within threshold)
             const cashDiff = Math.abs(entry.cashDifference || 0);
-            if (cashDiff <= 5) {
+            if (cashDiff <= this.settings.cashDiscrepancyThreshold) {
                 metrics.cashReconciled += entry.closingCash || 0;
             } else {
                 metrics.discrepanciesCount++;
@@ -203,6 +309,174 @@ class DashboardManager {
         return metrics;
     }
 
+    /**
+     * Compare the registers that reported today with those the roster expects
+     */
+    addRegisterCoverage(metrics, todayData) {
+        if (!this.registerRoster) return metrics;
+
+        const today = new Date().toISOString().split('T')[0];
+        const storeIds = this.currentStoreId === 'all' ? this.stores.map(store => store.id) : [this.currentStoreId];
+        const expected = this.registerRoster.getExpectedRegisters(storeIds, today);
+
+        metrics.registersExpected = expected.length;
+        metrics.missingRegisters = expected.filter(register => !todayData.some(entry =>
+            entry.storeId === register.storeId && entry.registerNumber === register.registerNumber));
+
+        return metrics;
+    }
+
+    /**
+     * Calculate metrics separately for each store in the data
+     */
+    calculateStoreRollup(data) {
+        const storeGroups = data.reduce((groups, entry) => {
+            const storeId = entry.storeId || 'unassigned';
+            groups[storeId] = groups[storeId] || [];
+            groups[storeId].push(entry);
+            return groups;
+        }, {});
+
+        return Object.keys(storeGroups).sort().map(storeId => ({
+            storeId: storeId,
+            storeName: this.getStoreName(storeId),
+            ...this.calculateMetrics(storeGroups[storeId])
+        }));
+    }
+
+    /**
+     * Get display name for a store ID
+     */
+    getStoreName(storeId) {
+        const store = this.stores.find(s => s.id === storeId);
+        return store ? store.name : storeId;
+    }
+
+    /**
+     * Escape text such as store names and register numbers for use in HTML
+     */
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    /**
+     * Update store roll-up table (shown only when several stores are in view)
+     */
+    updateStoreRollup(storeMetrics) {
+        const card = document.getElementById('store-rollup-card');
+        const tbody = document.getElementById('store-rollup-body');
+        if (!card || !tbody) return;
+
+        card.classList.toggle('d-none', storeMetrics.length < 2);
+
+        tbody.innerHTML = storeMetrics.map(store => `
+            <tr>
+                <td>${this.escapeHtml(store.storeName)}</td>
+                <td>${this.formatCurrency(store.totalSalesToday)}</td>
+                <td>${store.discrepanciesCount}</td>
+                <td>${store.reconciliationAccuracy.toFixed(1)}%</td>
+                <td class="${Math.abs(store.netCashVariance) <= this.settings.cashDiscrepancyThreshold ? 'text-success' : 'text-danger'}">
+                    ${this.formatCurrency(store.netCashVariance)}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Update the card settlement table with the last 7 days' card variances and unmatched batches
+     * (shown once a settlement file has been imported)
+     */
+    updateCardSettlement(salesData) {
+        const card = document.getElementById('card-settlement-card');
+        const tbody = document.getElementById('card-settlement-body');
+        if (!card || !tbody) return;
+
+        const since = this.getLast7DaysData([])[0].date;
+        const report = this.cardSettlements ? this.cardSettlements.matchBatches(salesData) : null;
+        card.classList.toggle('d-none', !report || report.summary.batchCount === 0);
+        if (!report) return;
+
+        const days = report.matches.filter(day => day.date >= since);
+        const variances = days.filter(day => day.status !== 'matched');
+        const unmatched = report.unmatchedBatches.filter(batch => batch.saleDate >= since);
+
+        document.getElementById('card-settlement-totals').textContent =
+            `${days.length - variances.length} of ${days.length} register-days match` +
+            (unmatched.length > 0 ? `, ${unmatched.length} unmatched batch(es)` : '');
+
+        if (variances.length === 0 && unmatched.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-success">Card sales match the settled batches.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = variances.map(day => `
+            <tr>
+                <td>${this.translator.formatDate(day.date)}</td>
+                <td>${this.escapeHtml(day.registerNumber || this.translator.t('dashboard.allRegisters'))}${this.currentStoreId === 'all' ? ` &middot; ${this.escapeHtml(this.getStoreName(day.storeId))}` : ''}</td>
+                <td>${this.formatCurrency(day.recordedCardSales)}</td>
+                <td>${day.status === 'unsettled' ? '<span class="text-muted">Not settled</span>' : this.formatCurrency(day.settledAmount)}</td>
+                <td class="${Math.abs(day.difference) > this.settings.cashDiscrepancyThreshold ? 'text-danger' : 'text-warning'}">
+                    ${this.formatCurrency(day.difference)}
+                </td>
+            </tr>
+        `).join('') + unmatched.map(batch => `
+            <tr>
+                <td>${batch.saleDate}</td>
+                <td>${this.escapeHtml(batch.registerNumber || this.translator.t('dashboard.allRegisters'))}${this.currentStoreId === 'all' ? ` &middot; ${this.escapeHtml(this.getStoreName(batch.storeId))}` : ''}</td>
+                <td><span class="text-muted">No entry</span></td>
+                <td>${this.formatCurrency(batch.amount)}</td>
+                <td class="text-danger">Batch ${batch.batchId} unmatched</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Update the safe balance table with each store's last count and expected balance
+     * (shown once a safe has been counted)
+     */
+    updateSafeBalance(salesData) {
+        const card = document.getElementById('safe-balance-card');
+        const tbody = document.getElementById('safe-balance-body');
+        if (!card || !tbody) return;
+
+        const storeIds = this.currentStoreId === 'all' ? this.stores.map(store => store.id) : [this.currentStoreId];
+        const report = this.safeLedger ? this.safeLedger.reconcile(salesData, {
+            storeIds: storeIds,
+            threshold: this.settings.cashDiscrepancyThreshold
+        }) : null;
+        card.classList.toggle('d-none', !report || report.summary.countCount === 0);
+        if (!report) return;
+
+        document.getElementById('safe-balance-total').textContent = `Expected in safe: ${this.formatCurrency(report.summary.expectedBalance)}`;
+
+        tbody.innerHTML = report.stores.map(store => {
+            const count = store.lastCount;
+            if (!count) {
+                return `
+                    <tr>
+                        <td>${this.escapeHtml(this.getStoreName(store.storeId))}</td>
+                        <td colspan="5" class="text-muted">Not counted yet</td>
+                    </tr>
+                `;
+            }
+
+            const netMovements = store.expectedBalance - count.countedAmount;
+            return `
+                <tr>
+                    <td>${this.escapeHtml(this.getStoreName(store.storeId))}</td>
+                    <td>${count.date}</td>
+                    <td>${this.formatCurrency(count.countedAmount)}</td>
+                    <td class="${count.status === 'discrepancy' ? 'text-danger' : 'text-success'}">
+                        ${count.status === 'opening' ? '<span class="text-muted">Opening count</span>' : this.formatCurrency(count.difference)}
+                    </td>
+                    <td>${this.formatCurrency(netMovements)}</td>
+                    <td><strong>${this.formatCurrency(store.expectedBalance)}</strong></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
     /**
      * Update metric cards with new values
      */
@@ -216,8 +490,12 @@ class DashboardManager {
         // Discrepancies Count
         this.updateMetricCard('discrepancies-count', metrics.discrepanciesCount, 'number');
         
-        // Registers Active
-        this.updateMetricCard('registers-active', metrics.registersActive, 'number');
+        // Registers Active, out of those expected to report when the roster is known
+        if (metrics.registersExpected !== undefined) {
+            this.updateMetricCard('registers-active', `${metrics.registersActive} / ${metrics.registersExpected}`, 'text');
+        } else {
+            this.updateMetricCard('registers-active', metrics.registersActive, 'number');
+        }
     }
 
     /**
@@ -230,7 +508,7 @@ class DashboardManager {
         let formattedValue;
         switch (format) {
             case 'currency':
-                formattedValue = '$' + value.toFixed(2);
+                formattedValue = this.formatCurrency(value);
                 break;
             case 'percentage':
                 formattedValue = value.toFixed(1) + '%';
@@ -323,8 +601,8 @@ class DashboardManager {
 
         last7Days.forEach(day => {
             // Format date for display
-            const date = new Date(day.date);
-            const label = date.toLocaleDateString('en-US', { 
+            const date = this.translator.toDate(day.date);
+            const label = date.toLocaleDateString(this.translator.intlLocale, { 
                 month: 'short', 
                 day: 'numeric' 
             });
@@ -354,24 +632,38 @@ class DashboardManager {
 
         const todayData = this.getTodayData();
         const paymentTotals = this.calculatePaymentTotals(todayData);
-
-        this.charts.paymentChart.data.datasets[0].data = [
-            paymentTotals.cash,
-            paymentTotals.card
-        ];
+        const chart = this.charts.paymentChart;
+        const colors = DashboardManager.PAYMENT_COLORS;
+
+        // One slice per tender, so the chart follows the tender types in use
+        chart.data.labels = paymentTotals.map(total => this.getTenderLabel(total));
+        chart.data.datasets[0].data = paymentTotals.map(total => total.amount);
+        chart.data.datasets[0].backgroundColor = paymentTotals.map((total, index) => colors[index % colors.length]);
+        chart.data.datasets[0].borderColor = paymentTotals.map(() => '#ffffff');
         
-        this.charts.paymentChart.update('active');
+        chart.update('active');
     }
 
     /**
-     * Calculate payment method totals
+     * Calculate sales by tender: cash, card, then the other tender types
      */
     calculatePaymentTotals(todayData) {
-        return todayData.reduce((totals, entry) => {
-            totals.cash += entry.cashSales || 0;
-            totals.card += entry.cardSales || 0;
-            return totals;
-        }, { cash: 0, card: 0 });
+        if (typeof TenderCalculator === 'undefined') {
+            return [
+                { key: 'cash', name: 'Cash', drawer: true, amount: todayData.reduce((sum, entry) => sum + (entry.cashSales || 0), 0) },
+                { key: 'card', name: 'Card', drawer: false, amount: todayData.reduce((sum, entry) => sum + (entry.cardSales || 0), 0) }
+            ];
+        }
+        return new TenderCalculator(this.currency).summarize(todayData, this.tenderTypes);
+    }
+
+    /**
+     * Name a tender in the current language; other tender types keep the name they were given
+     */
+    getTenderLabel(total) {
+        if (total.key === 'cash') return this.translator.t('dashboard.cash');
+        if (total.key === 'card') return this.translator.t('dashboard.card');
+        return total.name;
     }
 
     /**
@@ -400,13 +692,13 @@ class DashboardManager {
         // Update current time display
         const timeElements = document.querySelectorAll('.current-time');
         timeElements.forEach(element => {
-            element.textContent = now.toLocaleTimeString();
+            element.textContent = this.translator.formatTime(now);
         });
 
         // Update last updated timestamp
         const lastUpdatedElement = document.getElementById('last-updated');
         if (lastUpdatedElement) {
-            lastUpdatedElement.textContent = now.toLocaleTimeString();
+            lastUpdatedElement.textContent = this.translator.formatTime(now);
         }
     }
 
@@ -415,7 +707,7 @@ class DashboardManager {
      */
     generateDashboardReport() {
         const todayData = this.getTodayData();
-        const metrics = this.calculateMetrics(todayData);
+        const metrics = this.addRegisterCoverage(this.calculateMetrics(todayData), todayData);
         const last7DaysData = this.getLast7DaysData(this.salesData);
 
         const report = {
@@ -424,7 +716,8 @@ class DashboardManager {
                 totalSalesToday: metrics.totalSalesToday,
                 reconciliationAccuracy: metrics.reconciliationAccuracy,
                 discrepanciesCount: metrics.discrepanciesCount,
-                registersActive: metrics.registersActive
+                registersActive: metrics.registersActive,
+                registersExpected: metrics.registersExpected
             },
             trends: {
                 weeklyTrend: this.calculateWeeklyTrend(last7DaysData),
@@ -476,16 +769,12 @@ class DashboardManager {
      */
     calculatePaymentDistribution(todayData) {
         const totals = this.calculatePaymentTotals(todayData);
-        const totalSales = totals.cash + totals.card;
+        const totalSales = totals.reduce((sum, total) => sum + total.amount, 0);
 
-        if (totalSales === 0) {
-            return { cash: 0, card: 0 };
-        }
-
-        return {
-            cash: (totals.cash / totalSales) * 100,
-            card: (totals.card / totalSales) * 100
-        };
+        return totals.reduce((distribution, total) => {
+            distribution[total.key] = totalSales === 0 ? 0 : (total.amount / totalSales) * 100;
+            return distribution;
+        }, {});
     }
 
     /**
@@ -513,14 +802,24 @@ class DashboardManager {
         }
 
         // Cash recovery needed alert
-        if (metrics.cashRecoveryNeeded > 50) {
+        if (metrics.cashRecoveryNeeded > this.settings.largeDiscrepancyThreshold) {
             alerts.push({
                 type: 'critical',
-                message: `Cash recovery needed: $${metrics.cashRecoveryNeeded.toFixed(2)}`,
+                message: `Cash recovery needed: ${this.formatCurrency(metrics.cashRecoveryNeeded)}`,
                 action: 'Investigate cash shortfalls immediately'
             });
         }
 
+        // Registers on the roster that have not reported
+        if (todayData.length > 0 && metrics.missingRegisters && metrics.missingRegisters.length > 0) {
+            alerts.push({
+                type: 'info',
+                message: `${metrics.missingRegisters.length} register(s) have not reported today: ` +
+                    metrics.missingRegisters.map(register => register.registerNumber).join(', '),
+                action: 'Enter the missing register counts'
+            });
+        }
+
         // No sales alert
         if (todayData.length === 0) {
             alerts.push({
@@ -589,6 +888,9 @@ class DashboardManager {
     }
 }
 
+// Slice colors of the payment chart, in tender order
+DashboardManager.PAYMENT_COLORS = ['#198754', '#0d6efd', '#ffc107', '#6f42c1', '#fd7e14', '#20c997', '#d63384', '#6c757d'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DashboardManager;
@@ -0,0 +1,351 @@
+/**
+ * Data Store for Sales & Cash Reconciliation System
+ * IndexedDB-backed storage shared by all modules, with versioned schema migrations
+ */
+
+class DataStore {
+    constructor(databaseName = 'salesReconciliation', migrations = DataStore.MIGRATIONS) {
+        this.databaseName = databaseName;
+        this.migrations = migrations;
+        this.db = null;
+        this.openPromise = null;
+        this.importedLocalStorageKeys = [];
+    }
+
+    /**
+     * Check whether the browser provides IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Get the schema version the migrations bring the database to
+     */
+    get version() {
+        return Math.max(...this.migrations.map(migration => migration.version));
+    }
+
+    /**
+     * Open the database, running any pending migrations
+     */
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!DataStore.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+
+                this.migrations
+                    .filter(migration => migration.version > event.oldVersion)
+                    .sort((a, b) => a.version - b.version)
+                    .forEach(migration => migration.migrate(db, transaction, this));
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Imported data is committed, so the old copies can go
+                this.importedLocalStorageKeys.forEach(key => localStorage.removeItem(key));
+                this.importedLocalStorageKeys = [];
+
+                // Let another tab upgrade the schema
+                this.db.onversionchange = () => this.db.close();
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Data store upgrade blocked by another open tab'));
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Run a request inside a transaction and resolve with its result
+     */
+    async run(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            // Request errors bubble here before transaction.error is set
+            transaction.onerror = (event) => reject(event.target.error || transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+            const request = callback(transaction);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+        });
+    }
+
+    /**
+     * Get a single record by key
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+    }
+
+    /**
+     * Get all records in a store
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+    }
+
+    /**
+     * Get all records matching an index query (a key or IDBKeyRange)
+     */
+    getAllByIndex(storeName, indexName, query) {
+        return this.run(storeName, 'readonly', tx => tx.objectStore(storeName).index(indexName).getAll(query));
+    }
+
+    /**
+     * Insert a new record, failing if the key already exists
+     */
+    add(storeName, value) {
+        return this.run(storeName, 'readwrite', tx => tx.objectStore(storeName).add(value));
+    }
+
+    /**
+     * Insert or replace a record
+     */
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', tx => tx.objectStore(storeName).put(value));
+    }
+
+    /**
+     * Insert or replace several records in one transaction
+     */
+    putAll(storeName, values) {
+        return this.run(storeName, 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    /**
+     * Delete a record by key
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', tx => tx.objectStore(storeName).delete(key));
+    }
+
+    /**
+     * Delete every record whose index value falls in a key range
+     */
+    deleteByIndex(storeName, indexName, range) {
+        return this.run(storeName, 'readwrite', tx => {
+            const request = tx.objectStore(storeName).index(indexName).openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * Read a value from the settings store
+     */
+    async getSetting(key) {
+        const record = await this.get('settings', key);
+        return record ? record.value : null;
+    }
+
+    /**
+     * Write a value to the settings store
+     */
+    putSetting(key, value) {
+        return this.put('settings', { key: key, value: value });
+    }
+
+    /**
+     * Read and parse a localStorage key during migration, marking it for removal
+     */
+    readLocalStorage(key) {
+        if (typeof localStorage === 'undefined') return null;
+
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            if (value !== null) {
+                this.importedLocalStorageKeys.push(key);
+            }
+            return value;
+        } catch (error) {
+            console.error(`Skipping unreadable localStorage key ${key}:`, error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Schema migrations, applied in order for versions newer than the stored database
+ */
+DataStore.MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create object stores and indexes',
+        migrate(db) {
+            const salesEntries = db.createObjectStore('salesEntries', { keyPath: 'id' });
+            salesEntries.createIndex('date', 'date');
+            salesEntries.createIndex('registerNumber', 'registerNumber');
+            salesEntries.createIndex('status', 'status');
+            salesEntries.createIndex('storeId', 'storeId');
+
+            const history = db.createObjectStore('reconciliationHistory', { keyPath: 'id', autoIncrement: true });
+            history.createIndex('timestamp', 'timestamp');
+            history.createIndex('storeId', 'storeId');
+
+            const sentEmails = db.createObjectStore('sentEmails', { keyPath: 'id', autoIncrement: true });
+            sentEmails.createIndex('timestamp', 'timestamp');
+
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 2,
+        description: 'Import existing localStorage data',
+        migrate(db, transaction, dataStore) {
+            if (typeof localStorage === 'undefined') return;
+
+            const settings = transaction.objectStore('settings');
+            ['appSettings', 'emailSettings', 'reconciliationRules', 'reconciliationData'].forEach(key => {
+                const value = dataStore.readLocalStorage(key);
+                if (value !== null) {
+                    settings.put({ key: key, value: value });
+                }
+            });
+
+            // Sales entries were kept per store, or in a single list before multi-store support
+            const appSettings = JSON.parse(localStorage.getItem('appSettings')) || {};
+            const defaultStoreId = appSettings.stores && appSettings.stores.length > 0 ?
+                appSettings.stores[0].id : 'STORE001';
+            const salesEntries = transaction.objectStore('salesEntries');
+            const salesDataKeys = Object.keys(localStorage).filter(key => key === 'salesData' || key.startsWith('salesData:'));
+
+            salesDataKeys.forEach(key => {
+                const keyStoreId = key.includes(':') ? key.split(':')[1] : defaultStoreId;
+                (dataStore.readLocalStorage(key) || []).forEach(entry => {
+                    salesEntries.put({ ...entry, storeId: entry.storeId || keyStoreId });
+                });
+            });
+
+            const history = transaction.objectStore('reconciliationHistory');
+            (dataStore.readLocalStorage('reconciliationHistory') || []).forEach(result => {
+                history.add(result);
+            });
+
+            const sentEmails = transaction.objectStore('sentEmails');
+            (dataStore.readLocalStorage('sentEmails') || []).forEach(email => {
+                sentEmails.add(email);
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Add Google Sheets sync queue and conflicts',
+        migrate(db) {
+            const syncQueue = db.createObjectStore('syncQueue', { keyPath: 'queueId', autoIncrement: true });
+            syncQueue.createIndex('entryId', 'entryId');
+
+            db.createObjectStore('syncConflicts', { keyPath: 'entryId' });
+        }
+    },
+    {
+        version: 4,
+        description: 'Add append-only audit log and its sync outbox',
+        migrate(db) {
+            const auditLog = db.createObjectStore('auditLog', { keyPath: 'recordId' });
+            auditLog.createIndex('entryId', 'entryId');
+            auditLog.createIndex('timestamp', 'timestamp');
+
+            db.createObjectStore('auditOutbox', { keyPath: 'recordId' });
+        }
+    },
+    {
+        version: 5,
+        description: 'Add discrepancy cases',
+        migrate(db) {
+            const cases = db.createObjectStore('discrepancyCases', { keyPath: 'caseId' });
+            cases.createIndex('entryId', 'entryId', { unique: true });
+            cases.createIndex('status', 'status');
+            cases.createIndex('storeId', 'storeId');
+        }
+    },
+    {
+        version: 6,
+        description: 'Add day, week and month period closes',
+        migrate(db) {
+            const closes = db.createObjectStore('periodCloses', { keyPath: 'closeId' });
+            closes.createIndex('storeId', 'storeId');
+            closes.createIndex('startDate', 'startDate');
+        }
+    },
+    {
+        version: 7,
+        description: 'Add imported card settlement batches',
+        migrate(db) {
+            const settlements = db.createObjectStore('cardSettlements', { keyPath: 'settlementId' });
+            settlements.createIndex('storeId', 'storeId');
+            settlements.createIndex('saleDate', 'saleDate');
+        }
+    },
+    {
+        version: 8,
+        description: 'Add bank deposits and imported bank statement lines',
+        migrate(db) {
+            const deposits = db.createObjectStore('bankDeposits', { keyPath: 'depositId' });
+            deposits.createIndex('storeId', 'storeId');
+            deposits.createIndex('depositDate', 'depositDate');
+
+            const statementLines = db.createObjectStore('bankStatementLines', { keyPath: 'lineId' });
+            statementLines.createIndex('storeId', 'storeId');
+            statementLines.createIndex('date', 'date');
+        }
+    },
+    {
+        version: 9,
+        description: 'Add the safe ledger and safe counts',
+        migrate(db) {
+            const transactions = db.createObjectStore('safeTransactions', { keyPath: 'transactionId' });
+            transactions.createIndex('storeId', 'storeId');
+            transactions.createIndex('date', 'date');
+
+            const counts = db.createObjectStore('safeCounts', { keyPath: 'countId' });
+            counts.createIndex('storeId', 'storeId');
+            counts.createIndex('date', 'date');
+        }
+    },
+    {
+        version: 10,
+        description: 'Add daily exchange rates for foreign cash',
+        migrate(db) {
+            const rates = db.createObjectStore('exchangeRates', { keyPath: 'rateId' });
+            rates.createIndex('date', 'date');
+            rates.createIndex('currency', 'currency');
+        }
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataStore;
+}
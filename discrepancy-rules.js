@@ -0,0 +1,382 @@
+/**
+ * Discrepancy Rules for Sales & Cash Reconciliation System
+ * Store-specific checks authored by managers, run alongside the built-in reconciliation checks
+ */
+
+class DiscrepancyRules {
+    constructor(dataStore = null, currency = null) {
+        this.dataStore = dataStore;
+        this.currency = currency || new CurrencyFormatter();
+        // Every change to the rules is a new version; earlier versions are kept for restoring
+        this.ruleSet = { version: 0, updatedAt: null, updatedBy: '', rules: [], history: [] };
+        this.ready = this.loadRules();
+    }
+
+    /**
+     * Load saved rules from the data store
+     */
+    async loadRules() {
+        if (!this.dataStore) return;
+
+        try {
+            const savedRules = await this.dataStore.getSetting('discrepancyRules');
+            if (savedRules) {
+                this.ruleSet = { ...this.ruleSet, ...savedRules };
+            }
+        } catch (error) {
+            console.error('Failed to load discrepancy rules:', error);
+        }
+    }
+
+    /**
+     * Get the current rules
+     */
+    getRules() {
+        return this.ruleSet.rules;
+    }
+
+    /**
+     * Get a rule by ID
+     */
+    getRule(ruleId) {
+        return this.ruleSet.rules.find(rule => rule.id === ruleId) || null;
+    }
+
+    /**
+     * Next free ID in the RULE001, RULE002, ... sequence
+     */
+    nextRuleId() {
+        let nextNumber = this.ruleSet.rules.length + 1;
+        while (this.getRule(`RULE${String(nextNumber).padStart(3, '0')}`)) {
+            nextNumber++;
+        }
+        return `RULE${String(nextNumber).padStart(3, '0')}`;
+    }
+
+    /**
+     * Add a rule, returning it
+     */
+    async addRule(fields, user) {
+        const now = new Date().toISOString();
+        const rule = this.normalize({ ...fields, id: this.nextRuleId() });
+
+        const errors = this.validate(rule);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        rule.revision = 1;
+        rule.updatedAt = now;
+        rule.updatedBy = user;
+        await this.commit([...this.ruleSet.rules, rule], user, `Added ${rule.id}`);
+        return rule;
+    }
+
+    /**
+     * Change a rule's definition, returning the new revision
+     */
+    async updateRule(ruleId, fields, user) {
+        const existing = this.getRule(ruleId);
+        if (!existing) {
+            throw new Error(`Rule ${ruleId} not found.`);
+        }
+
+        const rule = this.normalize({ ...existing, ...fields, id: existing.id });
+        const errors = this.validate(rule);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        rule.revision = (existing.revision || 1) + 1;
+        rule.updatedAt = new Date().toISOString();
+        rule.updatedBy = user;
+        await this.commit(this.ruleSet.rules.map(r => r.id === ruleId ? rule : r), user, `Updated ${rule.id}`);
+        return rule;
+    }
+
+    /**
+     * Turn a rule on or off without changing its definition
+     */
+    async setEnabled(ruleId, enabled, user) {
+        return this.updateRule(ruleId, { enabled: enabled }, user);
+    }
+
+    /**
+     * Remove a rule. Earlier versions still hold it.
+     */
+    async deleteRule(ruleId, user) {
+        if (!this.getRule(ruleId)) {
+            throw new Error(`Rule ${ruleId} not found.`);
+        }
+
+        await this.commit(this.ruleSet.rules.filter(rule => rule.id !== ruleId), user, `Deleted ${ruleId}`);
+    }
+
+    /**
+     * Bring back the rules as they were at an earlier version, as a new version
+     */
+    async restoreVersion(version, user) {
+        const snapshot = this.ruleSet.history.find(h => h.version === version);
+        if (!snapshot) {
+            throw new Error(`Rules version ${version} is not in the history.`);
+        }
+
+        await this.commit(snapshot.rules.map(rule => ({ ...rule })), user, `Restored version ${version}`);
+    }
+
+    /**
+     * Save a new version of the rules, keeping the current one in the history
+     */
+    async commit(rules, user, summary) {
+        if (!user || !user.trim()) {
+            throw new Error('Your name or employee ID is required to change rules.');
+        }
+
+        const previous = this.ruleSet;
+        const history = previous.version > 0 ? [
+            {
+                version: previous.version,
+                updatedAt: previous.updatedAt,
+                updatedBy: previous.updatedBy,
+                summary: previous.summary || '',
+                rules: previous.rules
+            },
+            ...previous.history
+        ].slice(0, DiscrepancyRules.MAX_HISTORY) : previous.history;
+
+        this.ruleSet = {
+            version: previous.version + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: user.trim(),
+            summary: summary,
+            rules: rules,
+            history: history
+        };
+
+        if (!this.dataStore) return;
+
+        try {
+            await this.dataStore.putSetting('discrepancyRules', this.ruleSet);
+        } catch (error) {
+            console.error('Failed to save discrepancy rules:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Trim and convert form values
+     */
+    normalize(fields) {
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            enabled: fields.enabled !== false,
+            severity: fields.severity || 'medium',
+            storeId: fields.storeId || '',
+            match: fields.match === 'any' ? 'any' : 'all',
+            conditions: (fields.conditions || []).map(condition => {
+                const field = DiscrepancyRules.FIELDS[condition.field];
+                const isNumber = field && field.type === 'number';
+                return {
+                    field: condition.field,
+                    operator: condition.operator,
+                    value: isNumber && condition.value !== '' ? parseFloat(condition.value) : String(condition.value || '').trim()
+                };
+            }),
+            message: String(fields.message || '').trim(),
+            revision: fields.revision,
+            updatedAt: fields.updatedAt,
+            updatedBy: fields.updatedBy
+        };
+    }
+
+    /**
+     * Check a rule's definition, returning error messages
+     */
+    validate(rule) {
+        const errors = [];
+
+        if (!rule.name) {
+            errors.push('Rule name is required.');
+        }
+        if (!DiscrepancyRules.SEVERITIES.includes(rule.severity)) {
+            errors.push('Severity must be high, medium or low.');
+        }
+        if (!rule.message) {
+            errors.push('A message is required.');
+        }
+        if (rule.conditions.length === 0) {
+            errors.push('A rule needs at least one condition.');
+        }
+
+        rule.conditions.forEach((condition, index) => {
+            const field = DiscrepancyRules.FIELDS[condition.field];
+            const operator = DiscrepancyRules.OPERATORS[condition.operator];
+            const label = `Condition ${index + 1}`;
+
+            if (!field) {
+                errors.push(`${label}: unknown field.`);
+                return;
+            }
+            if (!operator || !operator.types.includes(field.type)) {
+                errors.push(`${label}: "${operator ? operator.label : condition.operator}" does not apply to ${field.label}.`);
+                return;
+            }
+            if (field.type === 'number' && (typeof condition.value !== 'number' || isNaN(condition.value))) {
+                errors.push(`${label}: ${field.label} must be compared with a number.`);
+            } else if (field.type === 'text' && !condition.value) {
+                errors.push(`${label}: a value is required.`);
+            } else if (['multipleOf', 'notMultipleOf'].includes(condition.operator) && condition.value <= 0) {
+                errors.push(`${label}: the multiple must be more than zero.`);
+            }
+        });
+
+        const unknownPlaceholders = (rule.message.match(/\{(\w+)\}/g) || [])
+            .map(placeholder => placeholder.slice(1, -1))
+            .filter(key => !DiscrepancyRules.FIELDS[key]);
+        if (unknownPlaceholders.length > 0) {
+            errors.push(`Unknown placeholder(s) in message: ${unknownPlaceholders.join(', ')}.`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Run the enabled rules for an entry's store, returning an issue for each that flags it
+     */
+    evaluate(entry) {
+        return this.ruleSet.rules
+            .filter(rule => rule.enabled && (!rule.storeId || rule.storeId === entry.storeId))
+            .filter(rule => this.matches(rule, entry))
+            .map(rule => ({
+                type: 'custom_rule',
+                ruleId: rule.id,
+                ruleVersion: this.ruleSet.version,
+                severity: rule.severity,
+                description: this.formatMessage(rule.message, entry)
+            }));
+    }
+
+    /**
+     * Check whether an entry meets all (or any) of a rule's conditions
+     */
+    matches(rule, entry) {
+        const results = rule.conditions.map(condition => this.testCondition(condition, entry));
+        return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+    }
+
+    /**
+     * Test one condition against an entry
+     */
+    testCondition(condition, entry) {
+        const operator = DiscrepancyRules.OPERATORS[condition.operator];
+        const value = this.getFieldValue(entry, condition.field);
+        if (!operator || value === undefined || value === null) return false;
+
+        return operator.test(value, condition.value);
+    }
+
+    /**
+     * Read a field, including the derived ones
+     */
+    getFieldValue(entry, fieldKey) {
+        switch (fieldKey) {
+            case 'absCashDifference':
+                return Math.abs(entry.cashDifference || 0);
+            case 'returnsPercentage':
+                return entry.totalSales > 0 ? (entry.returnsRefunds / entry.totalSales) * 100 : 0;
+            case 'shiftNumber':
+                return entry.shiftNumber || 1;
+            case 'taxableSales':
+            case 'exemptSales':
+            case 'taxCollected':
+                // Entries recorded before tax tracking have no tax fields
+                return entry[fieldKey] || 0;
+            case 'otherTenderSales':
+                // Nor do entries recorded before other tenders were taken
+                return entry.otherTenderSales || 0;
+            case 'drawerRefunds':
+                return typeof RefundCalculator !== 'undefined' ? RefundCalculator.getDrawerRefunds(entry) : entry.returnsRefunds || 0;
+            case 'refundCount':
+            case 'paidOuts':
+            case 'paidIns':
+                return entry[fieldKey] || 0;
+            default:
+                return entry[fieldKey];
+        }
+    }
+
+    /**
+     * Fill a message template's {field} placeholders from an entry
+     */
+    formatMessage(template, entry) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+            const field = DiscrepancyRules.FIELDS[key];
+            if (!field) return placeholder;
+
+            const value = this.getFieldValue(entry, key);
+            if (value === undefined || value === null) return '';
+            if (field.amount) return this.currency.format(value);
+            return field.type === 'number' && field.decimals !== undefined ? Number(value).toFixed(field.decimals) : String(value);
+        });
+    }
+
+    /**
+     * Describe a condition, e.g. "Card Sales is over 5000"
+     */
+    describeCondition(condition) {
+        const field = DiscrepancyRules.FIELDS[condition.field];
+        const operator = DiscrepancyRules.OPERATORS[condition.operator];
+        return `${field ? field.label : condition.field} ${operator ? operator.label : condition.operator} ${condition.value}`;
+    }
+}
+
+DiscrepancyRules.SEVERITIES = ['high', 'medium', 'low'];
+
+// Versions kept for restoring
+DiscrepancyRules.MAX_HISTORY = 25;
+
+// Entry fields rules can test and use as message placeholders; amounts are shown in the store currency
+DiscrepancyRules.FIELDS = {
+    storeId: { label: 'Store', type: 'text' },
+    registerNumber: { label: 'Register', type: 'text' },
+    cashierId: { label: 'Cashier', type: 'text' },
+    shiftNumber: { label: 'Shift', type: 'number', decimals: 0 },
+    openingCash: { label: 'Opening Cash', type: 'number', amount: true },
+    cashSales: { label: 'Cash Sales', type: 'number', amount: true },
+    cardSales: { label: 'Card Sales', type: 'number', amount: true },
+    otherTenderSales: { label: 'Other Tender Sales', type: 'number', amount: true },
+    totalSales: { label: 'Total Sales', type: 'number', amount: true },
+    returnsRefunds: { label: 'Returns & Refunds', type: 'number', amount: true },
+    drawerRefunds: { label: 'Refunds from Drawer', type: 'number', amount: true },
+    refundCount: { label: 'Number of Refunds', type: 'number', decimals: 0 },
+    paidOuts: { label: 'Paid-Outs', type: 'number', amount: true },
+    paidIns: { label: 'Paid-Ins', type: 'number', amount: true },
+    cashDrops: { label: 'Cash Drops', type: 'number', amount: true },
+    taxableSales: { label: 'Taxable Sales', type: 'number', amount: true },
+    exemptSales: { label: 'Exempt Sales', type: 'number', amount: true },
+    taxCollected: { label: 'Tax Collected', type: 'number', amount: true },
+    closingCash: { label: 'Closing Cash', type: 'number', amount: true },
+    expectedCash: { label: 'Expected Cash', type: 'number', amount: true },
+    cashDifference: { label: 'Cash Difference', type: 'number', amount: true },
+    absCashDifference: { label: 'Cash Difference (either way)', type: 'number', amount: true },
+    returnsPercentage: { label: 'Returns % of Sales', type: 'number', decimals: 1 }
+};
+
+// Amounts are compared to the nearest cent so floating point noise does not flag entries
+DiscrepancyRules.OPERATORS = {
+    equals: { label: 'is', types: ['text', 'number'], test: (a, b) => typeof a === 'number' ? Math.abs(a - b) < 0.005 : String(a).toUpperCase() === String(b).toUpperCase() },
+    notEquals: { label: 'is not', types: ['text', 'number'], test: (a, b) => typeof a === 'number' ? Math.abs(a - b) >= 0.005 : String(a).toUpperCase() !== String(b).toUpperCase() },
+    greaterThan: { label: 'is over', types: ['number'], test: (a, b) => a > b },
+    greaterThanOrEqual: { label: 'is at least', types: ['number'], test: (a, b) => a >= b },
+    lessThan: { label: 'is under', types: ['number'], test: (a, b) => a < b },
+    lessThanOrEqual: { label: 'is at most', types: ['number'], test: (a, b) => a <= b },
+    multipleOf: { label: 'is a multiple of', types: ['number'], test: (a, b) => Math.abs(Math.round(a / b) * b - a) < 0.005 },
+    notMultipleOf: { label: 'is not a multiple of', types: ['number'], test: (a, b) => Math.abs(Math.round(a / b) * b - a) >= 0.005 },
+    contains: { label: 'contains', types: ['text'], test: (a, b) => String(a).toUpperCase().includes(String(b).toUpperCase()) }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiscrepancyRules;
+}
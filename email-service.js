@@ -4,24 +4,40 @@
  */
 
 class EmailService {
-    constructor() {
-        this.emailSettings = JSON.parse(localStorage.getItem('emailSettings')) || {
-            managerEmail: '',
-            adminEmail: '',
-            autoNotifications: true,
-            dailyReportTime: '18:00',
-            discrepancyThreshold: 50.00
-        };
+    constructor(dataStore = null, currency = null, translator = null) {
+        this.dataStore = dataStore;
+        this.currency = currency || new CurrencyFormatter();
+        // Messages shown here follow the app's language; emails follow each recipient's
+        this.translator = translator || new Translator();
+        this.emailSettings = { ...EmailService.DEFAULT_SETTINGS };
+        this.ready = this.loadEmailSettings();
         
         this.emailTemplates = {
             reconciliation: this.getReconciliationTemplate(),
             discrepancy: this.getDiscrepancyTemplate(),
-            daily: this.getDailyReportTemplate()
+            daily: this.getDailyReportTemplate(),
+            weekly: this.getWeeklyReportTemplate()
         };
         
         this.initializeEmailService();
     }
 
+    /**
+     * Load saved email settings from the data store
+     */
+    async loadEmailSettings() {
+        if (!this.dataStore) return;
+
+        try {
+            const savedSettings = await this.dataStore.getSetting('emailSettings');
+            if (savedSettings) {
+                this.emailSettings = { ...this.emailSettings, ...savedSettings };
+            }
+        } catch (error) {
+            console.error('Failed to load email settings:', error);
+        }
+    }
+
     /**
      * Initialize email service
      */
@@ -39,29 +55,28 @@ class EmailService {
      */
     async sendReconciliationReport(reportData) {
         try {
-            const emailData = {
-                to: this.emailSettings.managerEmail || 'manager@store.com',
-                cc: this.emailSettings.adminEmail || 'admin@store.com',
-                subject: `Daily Reconciliation Report - ${reportData.period?.from || new Date().toISOString().split('T')[0]}`,
-                htmlBody: this.generateReconciliationEmailBody(reportData),
-                attachments: []
-            };
+            const date = reportData.period?.from || new Date().toISOString().split('T')[0];
+            const attachments = [];
 
             // Add CSV attachment if available
             if (reportData.entries && reportData.entries.length > 0) {
                 const csvContent = this.generateCSVAttachment(reportData.entries);
-                emailData.attachments.push({
+                attachments.push({
                     fileName: `reconciliation_${reportData.period?.from || 'today'}.csv`,
                     content: csvContent,
                     mimeType: 'text/csv'
                 });
             }
 
-            const result = await this.sendEmail(emailData);
+            const result = await this.sendLocalizedEmail((translator, currency) => ({
+                subject: `${translator.t('email.reconciliationReport')} - ${reportData.storeName ? reportData.storeName + ' - ' : ''}${translator.formatDate(date)}`,
+                htmlBody: this.generateReconciliationEmailBody(reportData, translator, currency),
+                attachments: attachments
+            }));
             
             if (result.success) {
-                this.showEmailModal('Reconciliation Report Sent', 
-                    `Report has been sent to ${emailData.to}`, 'success');
+                this.showEmailModal(this.translator.t('email.reportSent'), 
+                    this.translator.t('email.reportSentTo', { to: result.to }), 'success');
             } else {
                 throw new Error(result.error);
             }
@@ -69,8 +84,8 @@ class EmailService {
             return result;
         } catch (error) {
             console.error('Failed to send reconciliation report:', error);
-            this.showEmailModal('Email Failed', 
-                `Failed to send report: ${error.message}`, 'error');
+            this.showEmailModal(this.translator.t('email.failed'), 
+                this.translator.t('email.failedReport', { error: error.message }), 'error');
             return { success: false, error: error.message };
         }
     }
@@ -88,19 +103,15 @@ class EmailService {
                 return { success: true, skipped: true };
             }
 
-            const emailData = {
-                to: this.emailSettings.managerEmail || 'manager@store.com',
-                cc: this.emailSettings.adminEmail || 'admin@store.com',
-                subject: `🚨 Cash Discrepancy Alert - $${totalDiscrepancy.toFixed(2)}`,
-                htmlBody: this.generateDiscrepancyEmailBody(discrepancies, totalDiscrepancy),
+            const result = await this.sendLocalizedEmail((translator, currency) => ({
+                subject: `🚨 ${translator.t('email.discrepancyAlert')} - ${currency.format(totalDiscrepancy)}`,
+                htmlBody: this.generateDiscrepancyEmailBody(discrepancies, totalDiscrepancy, translator, currency),
                 priority: 'high'
-            };
-
-            const result = await this.sendEmail(emailData);
+            }));
             
             if (result.success) {
-                this.showEmailModal('Discrepancy Alert Sent', 
-                    `Alert has been sent to management`, 'warning');
+                this.showEmailModal(this.translator.t('email.alertSent'), 
+                    this.translator.t('email.alertSentToManagement'), 'warning');
             } else {
                 throw new Error(result.error);
             }
@@ -108,8 +119,8 @@ class EmailService {
             return result;
         } catch (error) {
             console.error('Failed to send discrepancy alert:', error);
-            this.showEmailModal('Email Failed', 
-                `Failed to send alert: ${error.message}`, 'error');
+            this.showEmailModal(this.translator.t('email.failed'), 
+                this.translator.t('email.failedAlert', { error: error.message }), 'error');
             return { success: false, error: error.message };
         }
     }
@@ -119,17 +130,14 @@ class EmailService {
      */
     async sendDailySummary(summaryData) {
         try {
-            const emailData = {
-                to: this.emailSettings.managerEmail || 'manager@store.com',
-                subject: `Daily Sales Summary - ${summaryData.date}`,
-                htmlBody: this.generateDailySummaryEmailBody(summaryData)
-            };
-
-            const result = await this.sendEmail(emailData);
+            const result = await this.sendLocalizedEmail((translator, currency) => ({
+                subject: `${translator.t('email.dailySummary')} - ${translator.formatDate(summaryData.date)}`,
+                htmlBody: this.generateDailySummaryEmailBody(summaryData, translator, currency)
+            }), false);
             
             if (result.success) {
-                this.showEmailModal('Daily Summary Sent', 
-                    `Summary has been sent to management`, 'info');
+                this.showEmailModal(this.translator.t('email.dailySent'), 
+                    this.translator.t('email.summarySentToManagement'), 'info');
             }
 
             return result;
@@ -139,6 +147,94 @@ class EmailService {
         }
     }
 
+    /**
+     * Send weekly summary email with cashier scorecards
+     */
+    async sendWeeklySummary(reportData) {
+        try {
+            const attachments = [];
+            if (reportData.entries && reportData.entries.length > 0) {
+                attachments.push({
+                    fileName: `weekly_${reportData.period.from}_${reportData.period.to}.csv`,
+                    content: this.generateCSVAttachment(reportData.entries),
+                    mimeType: 'text/csv'
+                });
+            }
+
+            const result = await this.sendLocalizedEmail((translator, currency) => ({
+                subject: `${translator.t('email.weeklySummary')} - ${translator.t('email.period', {
+                    from: translator.formatDate(reportData.period.from),
+                    to: translator.formatDate(reportData.period.to)
+                })}`,
+                htmlBody: this.generateWeeklySummaryEmailBody(reportData, translator, currency),
+                attachments: attachments
+            }));
+            
+            if (result.success) {
+                this.showEmailModal(this.translator.t('email.weeklySent'), 
+                    this.translator.t('email.summarySentTo', { to: result.to }), 'success');
+            } else {
+                throw new Error(result.error);
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Failed to send weekly summary:', error);
+            this.showEmailModal(this.translator.t('email.failed'), 
+                this.translator.t('email.failedWeekly', { error: error.message }), 'error');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Group recipients by the language they read email in, so each gets one email in their language.
+     * Within a group the manager is addressed and the admin copied; an admin on their own is addressed.
+     */
+    getRecipientGroups(includeAdmin = true) {
+        const recipients = [
+            { email: this.emailSettings.managerEmail || 'manager@store.com', locale: this.emailSettings.managerLocale, cc: false }
+        ];
+        if (includeAdmin) {
+            recipients.push({ email: this.emailSettings.adminEmail || 'admin@store.com', locale: this.emailSettings.adminLocale, cc: true });
+        }
+
+        const groups = new Map();
+        recipients.forEach(recipient => {
+            const locale = this.translator.forLocale(recipient.locale).locale;
+            const group = groups.get(locale) || { locale: locale, to: [], cc: [] };
+            group[recipient.cc ? 'cc' : 'to'].push(recipient.email);
+            groups.set(locale, group);
+        });
+
+        return [...groups.values()].map(group => group.to.length > 0 ? group : { ...group, to: group.cc, cc: [] });
+    }
+
+    /**
+     * Send one email per recipient language, built by buildEmail(translator, currency) in that language
+     */
+    async sendLocalizedEmail(buildEmail, includeAdmin = true) {
+        const results = [];
+        for (const group of this.getRecipientGroups(includeAdmin)) {
+            const translator = this.translator.forLocale(group.locale);
+            const emailData = {
+                ...buildEmail(translator, this.currency.forLocale(translator.intlLocale)),
+                to: group.to.join(','),
+                cc: group.cc.join(',')
+            };
+            results.push({ ...(await this.sendEmail(emailData)), to: emailData.to });
+        }
+
+        const failed = results.find(result => !result.success);
+        return failed || { ...results[0], to: results.map(result => result.to).join(', '), emailCount: results.length };
+    }
+
+    /**
+     * Fill in a template's {{t:key}} text in a recipient's language
+     */
+    localizeTemplate(template, translator = this.translator) {
+        return template.replace(/\{\{t:([\w.]+)\}\}/g, (match, key) => translator.t(key));
+    }
+
     /**
      * Send email (handles both Google Apps Script and web environments)
      */
@@ -186,13 +282,13 @@ class EmailService {
         await new Promise(resolve => setTimeout(resolve, 1000));
         
         // Store sent email for demonstration
-        const sentEmails = JSON.parse(localStorage.getItem('sentEmails')) || [];
-        sentEmails.push({
-            ...emailData,
-            timestamp: new Date().toISOString(),
-            messageId: Date.now().toString()
-        });
-        localStorage.setItem('sentEmails', JSON.stringify(sentEmails));
+        if (this.dataStore) {
+            await this.dataStore.put('sentEmails', {
+                ...emailData,
+                timestamp: new Date().toISOString(),
+                messageId: Date.now().toString()
+            });
+        }
         
         return { 
             success: true, 
@@ -204,68 +300,106 @@ class EmailService {
     /**
      * Generate reconciliation email body
      */
-    generateReconciliationEmailBody(reportData) {
-        const template = this.emailTemplates.reconciliation;
+    generateReconciliationEmailBody(reportData, translator = this.translator, currency = this.currency) {
+        const template = this.localizeTemplate(this.emailTemplates.reconciliation, translator);
         
         return template
-            .replace('{{DATE}}', reportData.period?.from || new Date().toISOString().split('T')[0])
-            .replace('{{TOTAL_SALES}}', '$' + (reportData.summary?.totalSales || 0).toFixed(2))
+            .replace('{{DATE}}', translator.formatDate(reportData.period?.from || new Date().toISOString().split('T')[0]))
+            .replace('{{TOTAL_SALES}}', currency.format((reportData.summary?.totalSales || 0)))
             .replace('{{TOTAL_ENTRIES}}', reportData.summary?.totalEntries || 0)
             .replace('{{DISCREPANCIES}}', reportData.summary?.totalDiscrepancies || 0)
-            .replace('{{ACCURACY}}', (reportData.summary?.reconciliationAccuracy || 100).toFixed(1) + '%')
-            .replace('{{CASH_VARIANCE}}', '$' + (reportData.summary?.avgDiscrepancy || 0).toFixed(2))
-            .replace('{{ENTRIES_TABLE}}', this.generateEntriesTable(reportData.entries || []))
-            .replace('{{TIMESTAMP}}', new Date().toLocaleString());
+            .replace('{{ACCURACY}}', translator.formatPercent(reportData.summary?.reconciliationAccuracy || 100))
+            .replace('{{CASH_VARIANCE}}', currency.format((reportData.summary?.avgDiscrepancy || 0)))
+            .replace('{{ENTRIES_TABLE}}', this.generateEntriesTable(reportData.entries || [], translator, currency))
+            .replace('{{TIMESTAMP}}', translator.formatDateTime(new Date()));
     }
 
     /**
      * Generate discrepancy email body
      */
-    generateDiscrepancyEmailBody(discrepancies, totalAmount) {
-        const template = this.emailTemplates.discrepancy;
+    generateDiscrepancyEmailBody(discrepancies, totalAmount, translator = this.translator, currency = this.currency) {
+        const template = this.localizeTemplate(this.emailTemplates.discrepancy, translator);
         
         return template
-            .replace('{{TOTAL_AMOUNT}}', '$' + totalAmount.toFixed(2))
+            .replace('{{TOTAL_AMOUNT}}', currency.format(totalAmount))
             .replace('{{DISCREPANCY_COUNT}}', discrepancies.length)
-            .replace('{{DISCREPANCIES_TABLE}}', this.generateDiscrepanciesTable(discrepancies))
-            .replace('{{TIMESTAMP}}', new Date().toLocaleString());
+            .replace('{{DISCREPANCIES_TABLE}}', this.generateDiscrepanciesTable(discrepancies, translator, currency))
+            .replace('{{TIMESTAMP}}', translator.formatDateTime(new Date()));
     }
 
     /**
      * Generate daily summary email body
      */
-    generateDailySummaryEmailBody(summaryData) {
-        const template = this.emailTemplates.daily;
+    generateDailySummaryEmailBody(summaryData, translator = this.translator, currency = this.currency) {
+        const template = this.localizeTemplate(this.emailTemplates.daily, translator);
         
         return template
-            .replace('{{DATE}}', summaryData.date)
-            .replace('{{TOTAL_SALES}}', '$' + summaryData.totalSales.toFixed(2))
-            .replace('{{CASH_SALES}}', '$' + summaryData.cashSales.toFixed(2))
-            .replace('{{CARD_SALES}}', '$' + summaryData.cardSales.toFixed(2))
+            .replace('{{DATE}}', translator.formatDate(summaryData.date))
+            .replace('{{TOTAL_SALES}}', currency.format(summaryData.totalSales))
+            .replace('{{CASH_SALES}}', currency.format(summaryData.cashSales))
+            .replace('{{CARD_SALES}}', currency.format(summaryData.cardSales))
             .replace('{{TRANSACTIONS}}', summaryData.totalTransactions)
-            .replace('{{ACCURACY}}', summaryData.reconciliationAccuracy.toFixed(1) + '%')
+            .replace('{{ACCURACY}}', translator.formatPercent(summaryData.reconciliationAccuracy))
             .replace('{{DISCREPANCIES}}', summaryData.discrepanciesCount)
-            .replace('{{TIMESTAMP}}', new Date().toLocaleString());
+            .replace('{{TIMESTAMP}}', translator.formatDateTime(new Date()));
+    }
+
+    /**
+     * Generate weekly summary email body
+     */
+    generateWeeklySummaryEmailBody(reportData, translator = this.translator, currency = this.currency) {
+        const template = this.localizeTemplate(this.emailTemplates.weekly, translator);
+        
+        return template
+            .replace('{{DATE_FROM}}', translator.formatDate(reportData.period.from))
+            .replace('{{DATE_TO}}', translator.formatDate(reportData.period.to))
+            .replace('{{TOTAL_SALES}}', currency.format((reportData.summary?.totalSales || 0)))
+            .replace('{{TOTAL_ENTRIES}}', reportData.summary?.totalEntries || 0)
+            .replace('{{DISCREPANCIES}}', reportData.summary?.totalDiscrepancies || 0)
+            .replace('{{SCORECARDS_TABLE}}', this.generateScorecardsTable(reportData.scorecards || [], translator, currency))
+            .replace('{{TIMESTAMP}}', translator.formatDateTime(new Date()));
+    }
+
+    /**
+     * Generate cashier scorecards table for email
+     */
+    generateScorecardsTable(scorecards, translator = this.translator, currency = this.currency) {
+        if (scorecards.length === 0) {
+            return `<tr><td colspan="5" style="text-align: center; color: #666;">${translator.t('email.noCashierActivity')}</td></tr>`;
+        }
+
+        return scorecards.map(card => `
+            <tr>
+                <td>${card.cashierId}</td>
+                <td>${card.discrepancyCount} / ${card.totalEntries}</td>
+                <td style="color: ${Math.abs(card.netOverShort) <= 5 ? '#28a745' : '#dc3545'};">
+                    ${currency.format(card.netOverShort)}
+                </td>
+                <td>${card.worstIncidents.map(incident =>
+                    `${translator.formatDate(incident.date)} ${incident.registerNumber}: ${currency.format(incident.cashDifference)}`).join('<br>') || '-'}</td>
+                <td>${card.trend.map(week => `${currency.format(week.netOverShort)}`).join(' &rarr; ') || '-'}</td>
+            </tr>
+        `).join('');
     }
 
     /**
      * Generate entries table for email
      */
-    generateEntriesTable(entries) {
+    generateEntriesTable(entries, translator = this.translator, currency = this.currency) {
         if (entries.length === 0) {
-            return '<tr><td colspan="6" style="text-align: center; color: #666;">No entries for this period</td></tr>';
+            return `<tr><td colspan="6" style="text-align: center; color: #666;">${translator.t('email.noEntries')}</td></tr>`;
         }
 
         return entries.map(entry => `
             <tr>
-                <td>${entry.date}</td>
+                <td>${translator.formatDate(entry.date)}</td>
                 <td>${entry.registerNumber}</td>
-                <td>$${entry.cashSales.toFixed(2)}</td>
-                <td>$${entry.cardSales.toFixed(2)}</td>
-                <td>$${entry.totalSales.toFixed(2)}</td>
+                <td>${currency.format(entry.cashSales)}</td>
+                <td>${currency.format(entry.cardSales)}</td>
+                <td>${currency.format(entry.totalSales)}</td>
                 <td style="color: ${entry.cashDifference === 0 ? '#28a745' : 
                     Math.abs(entry.cashDifference) <= 5 ? '#ffc107' : '#dc3545'};">
-                    $${entry.cashDifference.toFixed(2)}
+                    ${currency.format(entry.cashDifference)}
                 </td>
             </tr>
         `).join('');
@@ -274,13 +408,13 @@ class EmailService {
     /**
      * Generate discrepancies table for email
      */
-    generateDiscrepanciesTable(discrepancies) {
+    generateDiscrepanciesTable(discrepancies, translator = this.translator, currency = this.currency) {
         return discrepancies.map(d => `
             <tr>
-                <td>${d.date}</td>
+                <td>${translator.formatDate(d.date)}</td>
                 <td>${d.registerNumber}</td>
-                <td style="color: #dc3545; font-weight: bold;">$${d.cashDifference.toFixed(2)}</td>
-                <td>${d.issues?.map(issue => issue.description).join(', ') || 'Cash discrepancy'}</td>
+                <td style="color: #dc3545; font-weight: bold;">${currency.format(d.cashDifference)}</td>
+                <td>${d.issues?.map(issue => issue.description).join(', ') || translator.t('email.cashDiscrepancy')}</td>
             </tr>
         `).join('');
     }
@@ -289,15 +423,36 @@ class EmailService {
      * Generate CSV attachment
      */
     generateCSVAttachment(entries) {
-        const headers = ['Date', 'Register', 'Cash Sales', 'Card Sales', 'Total Sales', 'Cash Difference', 'Status'];
+        // Column headings are in English, so the counter keeps its default translator
+        const cashCounter = typeof CashCounter !== 'undefined' ? new CashCounter(this.currency) : null;
+        const denominations = cashCounter ? cashCounter.getDenominations() : [];
+        // A column for each other tender the entries were taken in
+        const tenders = typeof TenderCalculator !== 'undefined' ?
+            new TenderCalculator(this.currency).summarize(entries).filter(tender => !['cash', 'card'].includes(tender.key)) : [];
+        const headers = [
+            'Date', 'Store', 'Register', 'Shift', 'Cashier', 'Cash Sales', 'Card Sales',
+            ...tenders.map(tender => `"${tender.name.replace(/"/g, '""')}"`),
+            'Total Sales', 'Cash Difference', 'Status',
+            ...denominations.map(d => `Open ${cashCounter.getLabel(d)}`),
+            ...denominations.map(d => `Close ${cashCounter.getLabel(d)}`)
+        ];
         const rows = entries.map(entry => [
             entry.date,
+            entry.storeId || '',
             entry.registerNumber,
-            entry.cashSales.toFixed(2),
-            entry.cardSales.toFixed(2),
-            entry.totalSales.toFixed(2),
-            entry.cashDifference.toFixed(2),
-            entry.status
+            entry.shiftNumber || 1,
+            entry.cashierId || '',
+            entry.cashSales.toFixed(this.currency.decimalPlaces),
+            entry.cardSales.toFixed(this.currency.decimalPlaces),
+            ...tenders.map(tender => {
+                const taken = (entry.tenders || []).find(t => t.name.toLowerCase() === tender.key);
+                return (taken ? taken.amount : 0).toFixed(this.currency.decimalPlaces);
+            }),
+            entry.totalSales.toFixed(this.currency.decimalPlaces),
+            entry.cashDifference.toFixed(this.currency.decimalPlaces),
+            entry.status,
+            ...denominations.map(d => (entry.openingCount && entry.openingCount[d.key]) || 0),
+            ...denominations.map(d => (entry.closingCount && entry.closingCount[d.key]) || 0)
         ]);
         
         return [headers, ...rows].map(row => row.join(',')).join('\n');
@@ -325,7 +480,7 @@ class EmailService {
                     <i class="fas fa-${iconClass} fa-2x me-3"></i>
                     <div>
                         <p class="mb-0">${message}</p>
-                        <small class="text-muted">Sent at ${new Date().toLocaleString()}</small>
+                        <small class="text-muted">${this.translator.t('email.sentAt', { time: this.translator.formatDateTime(new Date()) })}</small>
                     </div>
                 </div>
             `;
@@ -399,7 +554,10 @@ class EmailService {
      */
     updateEmailSettings(newSettings) {
         this.emailSettings = { ...this.emailSettings, ...newSettings };
-        localStorage.setItem('emailSettings', JSON.stringify(this.emailSettings));
+        if (this.dataStore) {
+            this.dataStore.putSetting('emailSettings', this.emailSettings)
+                .catch(error => console.error('Failed to save email settings:', error));
+        }
     }
 
     /**
@@ -449,39 +607,39 @@ class EmailService {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>📊 Daily Reconciliation Report</h1>
-                        <p>Sales & Cash Reconciliation Summary for {{DATE}}</p>
+                        <h1>📊 {{t:email.reconciliationReport}}</h1>
+                        <p>{{t:email.reconciliationIntro}}</p>
                     </div>
                     
                     <div class="metrics">
                         <div class="metric">
                             <div class="metric-value">{{TOTAL_SALES}}</div>
-                            <div class="metric-label">Total Sales</div>
+                            <div class="metric-label">{{t:email.totalSales}}</div>
                         </div>
                         <div class="metric">
                             <div class="metric-value">{{TOTAL_ENTRIES}}</div>
-                            <div class="metric-label">Transactions</div>
+                            <div class="metric-label">{{t:email.transactions}}</div>
                         </div>
                         <div class="metric">
                             <div class="metric-value">{{DISCREPANCIES}}</div>
-                            <div class="metric-label">Discrepancies</div>
+                            <div class="metric-label">{{t:email.discrepancies}}</div>
                         </div>
                         <div class="metric">
                             <div class="metric-value">{{ACCURACY}}</div>
-                            <div class="metric-label">Accuracy</div>
+                            <div class="metric-label">{{t:email.accuracy}}</div>
                         </div>
                     </div>
                     
-                    <h3>Transaction Details</h3>
+                    <h3>{{t:email.transactionDetails}}</h3>
                     <table>
                         <thead>
                             <tr>
-                                <th>Date</th>
-                                <th>Register</th>
-                                <th>Cash Sales</th>
-                                <th>Card Sales</th>
-                                <th>Total Sales</th>
-                                <th>Cash Difference</th>
+                                <th>{{t:email.date}}</th>
+                                <th>{{t:email.register}}</th>
+                                <th>{{t:email.cashSales}}</th>
+                                <th>{{t:email.cardSales}}</th>
+                                <th>{{t:email.totalSales}}</th>
+                                <th>{{t:email.cashDifference}}</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -490,8 +648,8 @@ class EmailService {
                     </table>
                     
                     <div class="footer">
-                        <p>Generated automatically by Sales Reconciliation System at {{TIMESTAMP}}</p>
-                        <p>Please review any discrepancies and take appropriate action.</p>
+                        <p>{{t:email.generatedAt}}</p>
+                        <p>{{t:email.reviewDiscrepancies}}</p>
                     </div>
                 </div>
             </body>
@@ -518,22 +676,22 @@ class EmailService {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>🚨 Cash Discrepancy Alert</h1>
-                        <h2>Total Discrepancy: {{TOTAL_AMOUNT}}</h2>
+                        <h1>🚨 {{t:email.discrepancyAlert}}</h1>
+                        <h2>{{t:email.totalDiscrepancy}}</h2>
                     </div>
                     
                     <div class="alert">
-                        <strong>Immediate Attention Required:</strong> {{DISCREPANCY_COUNT}} discrepancies detected that exceed the threshold.
+                        <strong>{{t:email.immediateAttention}}</strong> {{t:email.discrepanciesExceed}}
                     </div>
                     
-                    <h3>Discrepancy Details</h3>
+                    <h3>{{t:email.discrepancyDetails}}</h3>
                     <table>
                         <thead>
                             <tr>
-                                <th>Date</th>
-                                <th>Register</th>
-                                <th>Cash Difference</th>
-                                <th>Issue Description</th>
+                                <th>{{t:email.date}}</th>
+                                <th>{{t:email.register}}</th>
+                                <th>{{t:email.cashDifference}}</th>
+                                <th>{{t:email.issueDescription}}</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -542,8 +700,8 @@ class EmailService {
                     </table>
                     
                     <div class="footer">
-                        <p>Alert generated at {{TIMESTAMP}}</p>
-                        <p><strong>Action Required:</strong> Please investigate these discrepancies immediately and take corrective action.</p>
+                        <p>{{t:email.alertGeneratedAt}}</p>
+                        <p><strong>{{t:email.actionRequired}}</strong> {{t:email.investigateImmediately}}</p>
                     </div>
                 </div>
             </body>
@@ -571,41 +729,107 @@ class EmailService {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>📈 Daily Sales Summary</h1>
-                        <p>Sales performance report for {{DATE}}</p>
+                        <h1>📈 {{t:email.dailySummary}}</h1>
+                        <p>{{t:email.dailyIntro}}</p>
                     </div>
                     
                     <div class="metric-row">
                         <div class="metric">
                             <div class="metric-value">{{TOTAL_SALES}}</div>
-                            <div class="metric-label">Total Sales</div>
+                            <div class="metric-label">{{t:email.totalSales}}</div>
                         </div>
                         <div class="metric">
                             <div class="metric-value">{{TRANSACTIONS}}</div>
-                            <div class="metric-label">Transactions</div>
+                            <div class="metric-label">{{t:email.transactions}}</div>
                         </div>
                     </div>
                     
                     <div class="metric-row">
                         <div class="metric">
                             <div class="metric-value">{{CASH_SALES}}</div>
-                            <div class="metric-label">Cash Sales</div>
+                            <div class="metric-label">{{t:email.cashSales}}</div>
                         </div>
                         <div class="metric">
                             <div class="metric-value">{{CARD_SALES}}</div>
-                            <div class="metric-label">Card Sales</div>
+                            <div class="metric-label">{{t:email.cardSales}}</div>
                         </div>
                     </div>
                     
                     <div class="summary">
-                        <h4>Reconciliation Summary</h4>
-                        <p><strong>Accuracy:</strong> {{ACCURACY}}</p>
-                        <p><strong>Discrepancies:</strong> {{DISCREPANCIES}}</p>
+                        <h4>{{t:email.reconciliationSummary}}</h4>
+                        <p><strong>{{t:email.accuracy}}:</strong> {{ACCURACY}}</p>
+                        <p><strong>{{t:email.discrepancies}}:</strong> {{DISCREPANCIES}}</p>
+                    </div>
+                    
+                    <div class="footer">
+                        <p>{{t:email.reportGeneratedAt}}</p>
+                        <p>{{t:email.automatedDailySummary}}</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+
+    getWeeklyReportTemplate() {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
+                    .container { max-width: 800px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                    .header { background-color: #6f42c1; color: white; padding: 20px; margin: -30px -30px 30px -30px; border-radius: 8px 8px 0 0; }
+                    .metric { display: inline-block; margin: 10px 20px 10px 0; padding: 15px; background-color: #f8f9fa; border-radius: 6px; min-width: 120px; text-align: center; }
+                    .metric-value { font-size: 24px; font-weight: bold; color: #6f42c1; }
+                    .metric-label { font-size: 12px; color: #6c757d; text-transform: uppercase; }
+                    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+                    th, td { padding: 12px; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+                    th { background-color: #f8f9fa; font-weight: 600; }
+                    .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6; font-size: 12px; color: #6c757d; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>📅 {{t:email.weeklySummary}}</h1>
+                        <p>{{t:email.weeklyPeriod}}</p>
+                    </div>
+                    
+                    <div class="metrics">
+                        <div class="metric">
+                            <div class="metric-value">{{TOTAL_SALES}}</div>
+                            <div class="metric-label">{{t:email.totalSales}}</div>
+                        </div>
+                        <div class="metric">
+                            <div class="metric-value">{{TOTAL_ENTRIES}}</div>
+                            <div class="metric-label">{{t:email.transactions}}</div>
+                        </div>
+                        <div class="metric">
+                            <div class="metric-value">{{DISCREPANCIES}}</div>
+                            <div class="metric-label">{{t:email.discrepancies}}</div>
+                        </div>
                     </div>
                     
+                    <h3>{{t:email.cashierScorecards}}</h3>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>{{t:email.cashier}}</th>
+                                <th>{{t:email.discrepancies}}</th>
+                                <th>{{t:email.netOverShort}}</th>
+                                <th>{{t:email.worstIncidents}}</th>
+                                <th>{{t:email.weeklyTrend}}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {{SCORECARDS_TABLE}}
+                        </tbody>
+                    </table>
+                    
                     <div class="footer">
-                        <p>Report generated at {{TIMESTAMP}}</p>
-                        <p>Automated daily summary from Sales Reconciliation System</p>
+                        <p>{{t:email.generatedAt}}</p>
+                        <p>{{t:email.followUpCashiers}}</p>
                     </div>
                 </div>
             </body>
@@ -614,6 +838,17 @@ class EmailService {
     }
 }
 
+EmailService.DEFAULT_SETTINGS = {
+    managerEmail: '',
+    adminEmail: '',
+    autoNotifications: true,
+    dailyReportTime: '18:00',
+    discrepancyThreshold: 50.00,
+    // Language each recipient reads email in
+    managerLocale: 'en',
+    adminLocale: 'en'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = EmailService;
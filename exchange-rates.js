@@ -0,0 +1,89 @@
+/**
+ * Exchange Rate Manager for Sales & Cash Reconciliation System
+ * Keeps the day's rate for each foreign currency accepted as cash
+ */
+
+class ExchangeRateManager {
+    constructor(dataStore = null) {
+        this.dataStore = dataStore;
+        this.rates = [];
+        this.ready = this.loadRates();
+    }
+
+    /**
+     * Load recorded exchange rates from the data store
+     */
+    async loadRates() {
+        if (!this.dataStore) return;
+
+        try {
+            this.rates = await this.dataStore.getAll('exchangeRates');
+        } catch (error) {
+            console.error('Failed to load exchange rates:', error);
+        }
+    }
+
+    /**
+     * Record the rate for a currency on a day, in store currency per foreign unit.
+     * Recording a rate again for the same day replaces it.
+     */
+    async setRate({ date, currency, rate }, baseCurrency) {
+        await this.ready;
+
+        const record = {
+            rateId: `${date}|${String(currency || '').toUpperCase()}`,
+            date: date || '',
+            currency: String(currency || '').trim().toUpperCase(),
+            rate: rate === '' || rate === undefined ? NaN : Number(rate),
+            updatedAt: new Date().toISOString()
+        };
+
+        const errors = [];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date)) errors.push('Date is required.');
+        if (!/^[A-Z]{3}$/.test(record.currency)) errors.push('Currency must be a three-letter code.');
+        if (record.currency === baseCurrency) errors.push(`${record.currency} is the store currency.`);
+        if (!isFinite(record.rate) || record.rate <= 0) errors.push('Rate must be more than zero.');
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.rates = this.rates.filter(r => r.rateId !== record.rateId).concat(record);
+        if (this.dataStore) {
+            await this.dataStore.put('exchangeRates', record);
+        }
+        return record;
+    }
+
+    /**
+     * Delete a recorded rate
+     */
+    async deleteRate(rateId) {
+        this.rates = this.rates.filter(rate => rate.rateId !== rateId);
+        if (this.dataStore) {
+            await this.dataStore.delete('exchangeRates', rateId);
+        }
+    }
+
+    /**
+     * Get a currency's rate for a day, or null if none was recorded
+     */
+    getRate(currency, date) {
+        const record = this.rates.find(rate => rate.currency === currency && rate.date === date);
+        return record ? record.rate : null;
+    }
+
+    /**
+     * Get the most recent rates first
+     */
+    getRates(limit = 30) {
+        return [...this.rates]
+            .sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency))
+            .slice(0, limit);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExchangeRateManager;
+}
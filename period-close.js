@@ -0,0 +1,250 @@
+/**
+ * Period Close Manager for Sales & Cash Reconciliation System
+ * Locks reconciled days, weeks and months so reported numbers cannot change without a manager unlock
+ */
+
+class PeriodCloseManager {
+    constructor(dataStore = null, translator = null) {
+        this.dataStore = dataStore;
+        this.translator = translator || new Translator();
+        this.closes = [];
+        // Unlocks granted in this session, by entry ID; each allows one save or delete
+        this.sessionUnlocks = new Map();
+        this.ready = this.loadCloses();
+    }
+
+    /**
+     * Load saved closes from the data store
+     */
+    async loadCloses() {
+        if (!this.dataStore) return;
+
+        try {
+            this.closes = await this.dataStore.getAll('periodCloses');
+        } catch (error) {
+            console.error('Failed to load period closes:', error);
+        }
+    }
+
+    /**
+     * Get the first and last date of the day, week (Monday to Sunday) or month containing a date
+     */
+    getPeriodRange(type, date) {
+        if (type === 'day') {
+            return { startDate: date, endDate: date };
+        }
+
+        const day = new Date(date + 'T00:00:00Z');
+        let start;
+        let end;
+
+        if (type === 'week') {
+            start = new Date(day);
+            start.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+            end = new Date(start);
+            end.setUTCDate(start.getUTCDate() + 6);
+        } else if (type === 'month') {
+            start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+            end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+        } else {
+            throw new Error(`Unknown period type: ${type}`);
+        }
+
+        return {
+            startDate: start.toISOString().split('T')[0],
+            endDate: end.toISOString().split('T')[0]
+        };
+    }
+
+    /**
+     * Close a period. A day close locks the registers that reported that day;
+     * week and month closes lock every register.
+     */
+    async closePeriod({ type, date, storeId, entries, closedBy, summary = null }) {
+        await this.ready;
+
+        if (!closedBy || !closedBy.trim()) {
+            throw new Error(this.translator.t('period.closedByRequired'));
+        }
+
+        const range = this.getPeriodRange(type, date);
+        const closeId = `${type}:${storeId}:${range.startDate}`;
+        const existing = this.closes.find(c => c.closeId === closeId);
+        if (existing) {
+            throw new Error(this.translator.t('period.alreadyClosed', {
+                period: this.describeType(type),
+                range: this.describeRange(existing)
+            }));
+        }
+
+        const periodEntries = entries.filter(entry => this.coversDate(range, entry.date) &&
+            (storeId === 'all' || entry.storeId === storeId));
+        if (type === 'day' && periodEntries.length === 0) {
+            throw new Error(this.translator.t('period.noEntries'));
+        }
+
+        const close = {
+            closeId: closeId,
+            type: type,
+            storeId: storeId,
+            startDate: range.startDate,
+            endDate: range.endDate,
+            registers: type === 'day' ? [...new Set(periodEntries.map(entry => entry.registerNumber))].sort() : null,
+            entryCount: periodEntries.length,
+            summary: summary,
+            closedBy: closedBy.trim(),
+            closedAt: new Date().toISOString(),
+            unlocks: [],
+            syncedAt: null
+        };
+
+        this.closes.push(close);
+        await this.saveClose(close);
+        return close;
+    }
+
+    /**
+     * Check whether a close's date range includes a date
+     */
+    coversDate(close, date) {
+        return date >= close.startDate && date <= close.endDate;
+    }
+
+    /**
+     * Get the closes that lock an entry's store, date and register
+     */
+    findClosesFor(entry) {
+        return this.closes.filter(close =>
+            (close.storeId === 'all' || close.storeId === entry.storeId) &&
+            this.coversDate(close, entry.date) &&
+            (!close.registers || close.registers.includes(entry.registerNumber)));
+    }
+
+    /**
+     * Check whether an entry is locked and not unlocked for this session
+     */
+    isLocked(entry) {
+        const unlocked = this.sessionUnlocks.get(entry.id) || [];
+        return this.findClosesFor(entry).some(close => !unlocked.includes(close.closeId));
+    }
+
+    /**
+     * Unlock an entry for one change, logging the manager and reason on every close that locks it
+     */
+    async unlockEntry(entry, manager, reason) {
+        const errors = [];
+        if (!manager || !manager.trim()) errors.push(this.translator.t('period.managerRequired'));
+        if (!reason || !reason.trim()) errors.push(this.translator.t('period.reasonRequired'));
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        const closes = this.findClosesFor(entry);
+        const now = new Date().toISOString();
+        // One ID across the closes, so the sheet can log the synced change under it without duplicating it
+        const unlockId = `UNL_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+        closes.forEach(close => {
+            close.unlocks.push({
+                unlockId: unlockId,
+                entryId: entry.id,
+                date: entry.date,
+                registerNumber: entry.registerNumber,
+                manager: manager.trim(),
+                reason: reason.trim(),
+                timestamp: now
+            });
+            close.syncedAt = null;
+        });
+
+        const unlocked = this.sessionUnlocks.get(entry.id) || [];
+        this.sessionUnlocks.set(entry.id, [...unlocked, ...closes.map(close => close.closeId)]);
+
+        for (const close of closes) {
+            await this.saveClose(close);
+        }
+        return closes;
+    }
+
+    /**
+     * Get the unlock an entry is open for in this session, to send with its change to the sheet
+     */
+    getSessionUnlock(entryId) {
+        if (!this.sessionUnlocks.has(entryId)) return null;
+
+        const unlock = this.closes
+            .flatMap(close => close.unlocks)
+            .filter(u => u.entryId === entryId)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .pop();
+        return unlock ? { unlockId: unlock.unlockId, manager: unlock.manager, reason: unlock.reason } : null;
+    }
+
+    /**
+     * Lock an entry again once its unlocked change is saved or abandoned
+     */
+    relock(entryId) {
+        this.sessionUnlocks.delete(entryId);
+    }
+
+    /**
+     * Persist a close
+     */
+    async saveClose(close) {
+        if (!this.dataStore) return;
+
+        try {
+            await this.dataStore.put('periodCloses', close);
+        } catch (error) {
+            console.error('Failed to save period close:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that the sheet has a close, unless it changed again since it was sent
+     */
+    async markSynced(closeId, sentUnlockCount, syncedAt) {
+        const close = this.closes.find(c => c.closeId === closeId);
+        if (!close || close.unlocks.length !== sentUnlockCount) return;
+
+        close.syncedAt = syncedAt;
+        await this.saveClose(close);
+    }
+
+    /**
+     * Get closes for a store, newest period first
+     */
+    getCloses(storeId = 'all') {
+        return this.closes
+            .filter(close => storeId === 'all' || close.storeId === storeId || close.storeId === 'all')
+            .sort((a, b) => b.startDate.localeCompare(a.startDate) || b.closedAt.localeCompare(a.closedAt));
+    }
+
+    /**
+     * Get the display label for a period type, e.g. "Week"
+     */
+    describeType(type) {
+        return PeriodCloseManager.TYPES[type] ? this.translator.t(PeriodCloseManager.TYPES[type]) : type;
+    }
+
+    /**
+     * Describe a close's date range, e.g. "2024-03-04 to 2024-03-10"
+     */
+    describeRange(close) {
+        return close.startDate === close.endDate ? close.startDate :
+            this.translator.t('period.range', { start: close.startDate, end: close.endDate });
+    }
+}
+
+// Translation keys for the period types
+PeriodCloseManager.TYPES = {
+    day: 'ui.day',
+    week: 'ui.week',
+    month: 'ui.month'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PeriodCloseManager;
+}
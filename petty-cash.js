@@ -0,0 +1,125 @@
+/**
+ * Petty Cash Calculator for Sales & Cash Reconciliation System
+ * Totals the cash paid out of and into drawers for expenses, vendors and top-ups
+ */
+
+class PettyCashCalculator {
+    constructor(currency = null) {
+        this.currency = currency || new CurrencyFormatter();
+    }
+
+    /**
+     * Build an entry's petty cash fields from its itemized paid-outs and paid-ins
+     */
+    buildPettyCashFields(items) {
+        const pettyCash = (items || [])
+            .map(item => ({
+                direction: item.direction === 'in' ? 'in' : 'out',
+                category: String(item.category || '').trim(),
+                amount: this.currency.round(item.amount),
+                receipt: String(item.receipt || '').trim(),
+                approvedBy: String(item.approvedBy || '').trim().toUpperCase()
+            }))
+            .filter(item => item.amount !== 0 || item.receipt || item.approvedBy);
+
+        const total = direction => this.currency.round(pettyCash
+            .filter(item => item.direction === direction)
+            .reduce((sum, item) => sum + item.amount, 0));
+
+        return {
+            pettyCash: pettyCash,
+            paidOuts: total('out'),
+            paidIns: total('in')
+        };
+    }
+
+    /**
+     * Check an entry's paid-outs and paid-ins, returning the problems found as
+     * { index, problem } where problem is amount, category or approver
+     */
+    findInvalidItems(pettyCash) {
+        const problems = [];
+        pettyCash.forEach((item, index) => {
+            const categories = item.direction === 'in' ? PettyCashCalculator.PAID_IN_CATEGORIES : PettyCashCalculator.PAID_OUT_CATEGORIES;
+            if (!(item.amount > 0)) problems.push({ index: index, problem: 'amount' });
+            if (!categories.includes(item.category)) problems.push({ index: index, problem: 'category' });
+            if (!item.approvedBy) problems.push({ index: index, problem: 'approver' });
+        });
+        return problems;
+    }
+
+    /**
+     * Total paid-outs and paid-ins for a period, by category and by register, with every item listed
+     */
+    summarize(entries) {
+        const totals = { entries: 0, items: 0, paidOuts: 0, paidIns: 0, net: 0, unreceipted: 0 };
+        const byCategory = new Map();
+        const byRegister = new Map();
+        const items = [];
+
+        entries.forEach(entry => {
+            const pettyCash = entry.pettyCash || [];
+            if (pettyCash.length === 0) return;
+
+            const registerKey = `${entry.storeId || ''}|${entry.registerNumber}`;
+            const register = byRegister.get(registerKey) ||
+                { storeId: entry.storeId || '', registerNumber: entry.registerNumber, items: 0, paidOuts: 0, paidIns: 0, net: 0 };
+            totals.entries++;
+
+            pettyCash.forEach(item => {
+                const field = item.direction === 'in' ? 'paidIns' : 'paidOuts';
+                const categoryKey = `${item.direction}|${item.category}`;
+                const category = byCategory.get(categoryKey) ||
+                    { direction: item.direction, category: item.category, items: 0, amount: 0 };
+
+                category.items++;
+                category.amount += item.amount;
+                byCategory.set(categoryKey, category);
+                [totals, register].forEach(summary => {
+                    summary.items++;
+                    summary[field] += item.amount;
+                });
+                if (item.direction === 'out' && !item.receipt) {
+                    totals.unreceipted++;
+                }
+                items.push({
+                    ...item,
+                    entryId: entry.id,
+                    date: entry.date,
+                    storeId: entry.storeId || '',
+                    registerNumber: entry.registerNumber,
+                    cashierId: entry.cashierId || ''
+                });
+            });
+            byRegister.set(registerKey, register);
+        });
+
+        // Paid-outs take cash from the drawer and paid-ins add to it
+        const finish = summary => {
+            summary.paidOuts = this.currency.round(summary.paidOuts);
+            summary.paidIns = this.currency.round(summary.paidIns);
+            summary.net = this.currency.round(summary.paidIns - summary.paidOuts);
+            return summary;
+        };
+
+        return {
+            totals: finish(totals),
+            byCategory: [...byCategory.values()]
+                .map(category => ({ ...category, amount: this.currency.round(category.amount) }))
+                .sort((a, b) => a.direction.localeCompare(b.direction) || b.amount - a.amount),
+            byRegister: [...byRegister.values()].map(finish)
+                .sort((a, b) => a.storeId.localeCompare(b.storeId) || String(a.registerNumber).localeCompare(String(b.registerNumber))),
+            items: items.sort((a, b) => a.date.localeCompare(b.date) || String(a.registerNumber).localeCompare(String(b.registerNumber)))
+        };
+    }
+}
+
+// What cash is paid out of the drawer for, and taken into it for
+// (mirrored in CONFIG.PETTY_CASH_CATEGORIES in Code.gs)
+PettyCashCalculator.PAID_OUT_CATEGORIES = ['delivery', 'cod_vendor', 'supplies', 'repairs', 'meals', 'other'];
+PettyCashCalculator.PAID_IN_CATEGORIES = ['float_top_up', 'account_payment', 'vendor_refund', 'other'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PettyCashCalculator;
+}
@@ -4,27 +4,89 @@
  */
 
 class ReconciliationEngine {
-    constructor() {
-        this.reconciliationRules = {
-            cashDiscrepancyThreshold: 5.00,
-            largeDiscrepancyThreshold: 50.00,
-            maxReturnsPercentage: 10.0,
-            minOpeningCash: 100.00
-        };
+    constructor(dataStore = null, currency = null, translator = null) {
+        // Shared with the app, so currency and language changes apply to messages straight away
+        this.currency = currency || new CurrencyFormatter();
+        this.translator = translator || new Translator();
+        this.reconciliationRules = { ...ReconciliationEngine.DEFAULT_RULES };
         
+        this.cashCounter = typeof CashCounter !== 'undefined' ? new CashCounter(this.currency, this.translator) : null;
+        this.salesTax = typeof SalesTaxCalculator !== 'undefined' ? new SalesTaxCalculator(this.currency) : null;
+        this.tenders = typeof TenderCalculator !== 'undefined' ? new TenderCalculator(this.currency) : null;
+        this.tenderTypes = [];
+        this.registers = [];
+        this.entryHistory = [];
+        this.discrepancyRules = typeof DiscrepancyRules !== 'undefined' ? new DiscrepancyRules(dataStore, this.currency) : null;
+        this.anomalyDetector = typeof AnomalyDetector !== 'undefined' ? new AnomalyDetector({}, this.currency, this.translator) : null;
+        this.cardSettlements = typeof CardSettlementManager !== 'undefined' ? new CardSettlementManager(dataStore) : null;
+        this.bankDeposits = typeof BankDepositManager !== 'undefined' ? new BankDepositManager(dataStore) : null;
+        this.safeLedger = typeof SafeLedger !== 'undefined' ? new SafeLedger(dataStore, this.bankDeposits, this.currency) : null;
         this.lastResults = null;
-        this.reconciliationHistory = JSON.parse(localStorage.getItem('reconciliationHistory')) || [];
+        this.dataStore = dataStore;
+        this.reconciliationHistory = [];
+        this.ready = Promise.all([
+            this.loadReconciliationRules(),
+            this.discrepancyRules && this.discrepancyRules.ready,
+            this.cardSettlements && this.cardSettlements.ready,
+            this.bankDeposits && this.bankDeposits.ready,
+            this.safeLedger && this.safeLedger.ready
+        ]);
+        this.loadReconciliationHistory();
+    }
+
+    /**
+     * Load saved reconciliation rules from the data store
+     */
+    async loadReconciliationRules() {
+        if (!this.dataStore) return;
+
+        try {
+            const savedRules = await this.dataStore.getSetting('reconciliationRules');
+            if (savedRules) {
+                // The expected float follows the store's currency, so a float saved by earlier versions is dropped
+                const { expectedFloat, ...rules } = savedRules;
+                this.reconciliationRules = { ...this.reconciliationRules, ...rules };
+            }
+        } catch (error) {
+            console.error('Failed to load reconciliation rules:', error);
+        }
+    }
+
+    /**
+     * Load saved reconciliation history from the data store
+     */
+    async loadReconciliationHistory() {
+        if (!this.dataStore) return;
+
+        try {
+            const history = await this.dataStore.getAll('reconciliationHistory');
+            // Keep any results recorded while history was loading
+            this.reconciliationHistory = history.concat(this.reconciliationHistory);
+        } catch (error) {
+            console.error('Failed to load reconciliation history:', error);
+        }
     }
 
     /**
-     * Run full reconciliation on sales data
+     * Run full reconciliation on sales data, for one store or across all stores
      */
-    runFullReconciliation(salesData) {
+    runFullReconciliation(salesData, storeId = 'all') {
+        const scopedData = this.filterByStore(salesData, storeId);
         const results = {
             timestamp: new Date().toISOString(),
-            totals: this.calculateTotals(salesData),
-            discrepancies: this.findDiscrepancies(salesData),
-            validationErrors: this.validateBusinessRules(salesData),
+            storeId: storeId,
+            totals: this.calculateTotals(scopedData),
+            discrepancies: this.findDiscrepancies(scopedData),
+            validationErrors: this.validateBusinessRules(scopedData),
+            registerDays: this.reconcileShifts(scopedData),
+            stores: this.calculateStoreRollup(scopedData),
+            cardSettlement: this.cardSettlements ? this.cardSettlements.matchBatches(scopedData) : null,
+            deposits: this.bankDeposits ? this.bankDeposits.matchDeposits(scopedData, {
+                transitDays: this.reconciliationRules.depositTransitDays
+            }) : null,
+            safe: this.safeLedger ? this.safeLedger.reconcile(scopedData, {
+                threshold: this.reconciliationRules.cashDiscrepancyThreshold
+            }) : null,
             summary: {},
             overall: {}
         };
@@ -42,6 +104,50 @@ class ReconciliationEngine {
         return results;
     }
 
+    /**
+     * Limit sales data to a single store ('all' keeps every store)
+     */
+    filterByStore(salesData, storeId) {
+        if (!storeId || storeId === 'all') return salesData;
+        return salesData.filter(entry => entry.storeId === storeId);
+    }
+
+    /**
+     * Group sales data by store ID
+     */
+    groupByStore(salesData) {
+        return salesData.reduce((groups, entry) => {
+            const storeId = entry.storeId || 'unassigned';
+            groups[storeId] = groups[storeId] || [];
+            groups[storeId].push(entry);
+            return groups;
+        }, {});
+    }
+
+    /**
+     * Calculate per-store accuracy and variance for a roll-up view
+     */
+    calculateStoreRollup(salesData) {
+        const storeGroups = this.groupByStore(salesData);
+
+        return Object.keys(storeGroups).sort().map(storeId => {
+            const entries = storeGroups[storeId];
+            const totals = this.calculateTotals(entries);
+            const discrepancies = this.findDiscrepancies(entries);
+
+            return {
+                storeId: storeId,
+                totalEntries: entries.length,
+                totalSales: totals.totalSales,
+                totalDiscrepancies: discrepancies.length,
+                reconciliationAccuracy: entries.length > 0 ?
+                    ((entries.length - discrepancies.length) / entries.length) * 100 : 100,
+                netCashVariance: totals.totalCashDifference,
+                absoluteCashVariance: entries.reduce((sum, entry) => sum + Math.abs(entry.cashDifference || 0), 0)
+            };
+        });
+    }
+
     /**
      * Calculate total values from sales data
      */
@@ -51,10 +157,21 @@ class ReconciliationEngine {
             totalSales: 0,
             cashSales: 0,
             cardSales: 0,
+            otherTenderSales: 0,
+            drawerTenderSales: 0,
+            tenderSales: [],
             totalReturns: 0,
+            drawerRefunds: 0,
+            refundCount: 0,
+            paidOuts: 0,
+            paidIns: 0,
             totalCashDrops: 0,
             openingCash: 0,
             closingCash: 0,
+            foreignCashValue: 0,
+            taxableSales: 0,
+            exemptSales: 0,
+            taxCollected: 0,
             expectedCash: 0,
             actualCashPosition: 0,
             totalCashDifference: 0
@@ -64,16 +181,32 @@ class ReconciliationEngine {
             totals.totalSales += entry.totalSales || (entry.cashSales + entry.cardSales);
             totals.cashSales += entry.cashSales || 0;
             totals.cardSales += entry.cardSales || 0;
+            totals.otherTenderSales += entry.otherTenderSales || 0;
+            totals.drawerTenderSales += entry.drawerTenderSales || 0;
             totals.totalReturns += entry.returnsRefunds || 0;
+            totals.drawerRefunds += this.getDrawerRefunds(entry);
+            totals.refundCount += entry.refundCount || 0;
+            totals.paidOuts += entry.paidOuts || 0;
+            totals.paidIns += entry.paidIns || 0;
             totals.totalCashDrops += entry.cashDrops || 0;
             totals.openingCash += entry.openingCash || 0;
             totals.closingCash += entry.closingCash || 0;
+            totals.foreignCashValue += entry.foreignCashValue || 0;
+            totals.taxableSales += entry.taxableSales || 0;
+            totals.exemptSales += entry.exemptSales || 0;
+            totals.taxCollected += entry.taxCollected || 0;
             totals.totalCashDifference += entry.cashDifference || 0;
         });
 
-        // Calculate expected cash position
-        totals.expectedCash = totals.openingCash + totals.cashSales - totals.totalReturns - totals.totalCashDrops;
-        totals.actualCashPosition = totals.closingCash;
+        // Sales by tender, for the payment breakdown
+        totals.tenderSales = this.tenders ? this.tenders.summarize(salesData, this.tenderTypes) : [];
+
+        // Calculate expected cash position, including tenders such as checks that are kept in the drawer.
+        // Only refunds paid from the drawer take cash out; card refunds go back to the card.
+        totals.expectedCash = this.currency.roundCash(totals.openingCash + totals.cashSales + totals.drawerTenderSales +
+            totals.paidIns - totals.drawerRefunds - totals.paidOuts - totals.totalCashDrops);
+        // Foreign cash is counted in the drawer at the day's rate
+        totals.actualCashPosition = totals.closingCash + totals.foreignCashValue;
         totals.overallCashDifference = totals.actualCashPosition - totals.expectedCash;
 
         return totals;
@@ -84,6 +217,10 @@ class ReconciliationEngine {
      */
     findDiscrepancies(salesData) {
         const discrepancies = [];
+        const handoffs = this.findShiftHandoffs(salesData);
+        const continuity = this.findOpeningContinuity(salesData);
+        const cardVariances = this.findCardVariances(salesData);
+        const depositIssues = this.findDepositIssues(salesData);
 
         salesData.forEach(entry => {
             const issues = [];
@@ -95,54 +232,177 @@ class ReconciliationEngine {
                     type: 'cash_discrepancy',
                     severity: cashDiff > this.reconciliationRules.largeDiscrepancyThreshold ? 'high' : 'medium',
                     amount: entry.cashDifference,
-                    description: `Cash difference of $${entry.cashDifference.toFixed(2)}`
+                    description: this.translator.t('issue.cashDifference', { amount: this.currency.format(entry.cashDifference) })
                 });
             }
 
             // Returns validation
             const returnsPercentage = entry.totalSales > 0 ? (entry.returnsRefunds / entry.totalSales) * 100 : 0;
             if (returnsPercentage > this.reconciliationRules.maxReturnsPercentage) {
+                // The number of refunds and the usual reason show whether one large return or many small ones caused it
+                const topReason = typeof RefundCalculator !== 'undefined' ? RefundCalculator.getTopReason(entry) : null;
+                const details = [
+                    entry.refundCount ? this.translator.t('issue.refundCount', { count: entry.refundCount }) : '',
+                    topReason ? this.translator.t('issue.topRefundReason', { reason: this.translator.t(`refund.reason.${topReason}`) }) : ''
+                ].filter(Boolean).join(', ');
                 issues.push({
                     type: 'high_returns',
                     severity: 'medium',
                     percentage: returnsPercentage,
-                    description: `Returns are ${returnsPercentage.toFixed(1)}% of sales`
+                    refundCount: entry.refundCount || 0,
+                    topReason: topReason,
+                    description: this.translator.t('issue.highReturns', { percent: this.translator.formatPercent(returnsPercentage) }) +
+                        (details ? ` (${details})` : '')
                 });
             }
 
+            // Paid-outs need a receipt to show where the cash went
+            (entry.pettyCash || []).filter(item => item.direction === 'out' && !item.receipt).forEach(item => {
+                issues.push({
+                    type: 'unreceipted_paid_out',
+                    severity: 'low',
+                    amount: item.amount,
+                    description: this.translator.t('issue.unreceiptedPaidOut', {
+                        amount: this.currency.format(item.amount),
+                        category: this.translator.t(`pettyCash.category.${item.category}`),
+                        approver: item.approvedBy
+                    })
+                });
+            });
+
             // Opening cash validation
             if (entry.openingCash < this.reconciliationRules.minOpeningCash) {
                 issues.push({
                     type: 'low_opening_cash',
                     severity: 'low',
                     amount: entry.openingCash,
-                    description: `Opening cash below minimum ($${this.reconciliationRules.minOpeningCash})`
+                    description: this.translator.t('issue.lowOpeningCash', { amount: this.currency.format(this.reconciliationRules.minOpeningCash) })
+                });
+            }
+
+            // Opening float denomination check
+            const floatVariances = this.findFloatVariances(entry);
+            if (floatVariances.length > 0) {
+                const floatDifference = floatVariances.reduce((sum, v) => sum + v.amount, 0);
+                issues.push({
+                    type: 'float_denomination_variance',
+                    severity: Math.abs(floatDifference) > this.reconciliationRules.cashDiscrepancyThreshold ? 'medium' : 'low',
+                    amount: floatDifference,
+                    denominations: floatVariances,
+                    description: this.translator.t('issue.floatVariance', {
+                        count: floatVariances.length,
+                        denominations: floatVariances.map(v => `${v.label} (${v.difference > 0 ? '+' : ''}${v.difference})`).join(', ')
+                    })
                 });
             }
 
+            // Tax collected at each rate against the tax due on the taxable sales
+            if (this.salesTax) {
+                this.salesTax.findMismatches(entry, this.reconciliationRules.taxTolerance).forEach(line => {
+                    issues.push({
+                        type: 'tax_mismatch',
+                        severity: Math.abs(line.difference) > this.reconciliationRules.cashDiscrepancyThreshold ? 'medium' : 'low',
+                        amount: line.difference,
+                        taxName: line.name,
+                        taxRate: line.rate,
+                        description: this.translator.t('issue.taxMismatch', {
+                            name: line.name,
+                            collected: this.currency.format(line.taxCollected),
+                            taxable: this.currency.format(line.taxableSales),
+                            expected: this.currency.format(line.expectedTax),
+                            rate: this.translator.formatPercent(line.rate, SalesTaxCalculator.getRateDecimals(line.rate))
+                        })
+                    });
+                });
+            }
+
+            // Shift handoff check (opening count vs previous shift's closing count)
+            const handoff = handoffs.get(entry.id);
+            if (handoff && Math.abs(handoff.difference) >= 0.01) {
+                const handoffDiff = Math.abs(handoff.difference);
+                issues.push({
+                    type: 'shift_handoff_mismatch',
+                    severity: handoffDiff > this.reconciliationRules.largeDiscrepancyThreshold ? 'high' :
+                        handoffDiff > this.reconciliationRules.cashDiscrepancyThreshold ? 'medium' : 'low',
+                    amount: handoff.difference,
+                    previousEntryId: handoff.previousEntryId,
+                    denominations: handoff.denominations,
+                    previousCashierId: handoff.previousCashierId,
+                    description: this.translator.t('issue.shiftHandoff', {
+                        shift: handoff.shiftNumber,
+                        opening: this.currency.format(handoff.openingCash),
+                        previousShift: handoff.previousShiftNumber,
+                        closing: this.currency.format(handoff.previousClosingCash)
+                    })
+                });
+            }
+
+            // Opening cash against the register's previous close, or its assigned float
+            const opening = continuity.get(entry.id);
+            if (opening && Math.abs(opening.difference) >= 0.01) {
+                const openingDiff = Math.abs(opening.difference);
+                issues.push({
+                    type: 'opening_continuity_mismatch',
+                    severity: openingDiff > this.reconciliationRules.largeDiscrepancyThreshold ? 'high' :
+                        openingDiff > this.reconciliationRules.cashDiscrepancyThreshold ? 'medium' : 'low',
+                    amount: opening.difference,
+                    basis: opening.basis,
+                    previousEntryId: opening.previousEntryId,
+                    description: opening.basis === 'previous_close' ?
+                        this.translator.t('issue.openingContinuity', {
+                            opening: this.currency.format(opening.openingCash),
+                            expected: this.currency.format(opening.expectedOpening),
+                            date: this.translator.formatDate(opening.previousDate),
+                            closing: this.currency.format(opening.previousClosingCash)
+                        }) :
+                        this.translator.t('issue.openingFloat', {
+                            opening: this.currency.format(opening.openingCash),
+                            float: this.currency.format(opening.expectedOpening)
+                        })
+                });
+            }
+
+            // Card sales against the processor's settled batches
+            const cardVariance = cardVariances.get(entry.id);
+            if (cardVariance) {
+                issues.push(cardVariance);
+            }
+
+            // Deposits holding this entry's drop that the bank has not credited in full
+            issues.push(...(depositIssues.get(entry.id) || []));
+
             // Zero sales check
             if (entry.totalSales === 0 && entry.cashSales === 0 && entry.cardSales === 0) {
                 issues.push({
                     type: 'zero_sales',
                     severity: 'medium',
-                    description: 'No sales recorded for this entry'
+                    description: this.translator.t('issue.zeroSales')
                 });
             }
 
             // Negative values check
-            if (entry.cashSales < 0 || entry.cardSales < 0 || entry.closingCash < 0) {
+            if (entry.cashSales < 0 || entry.cardSales < 0 || entry.closingCash < 0 ||
+                (entry.tenders || []).some(tender => tender.amount < 0)) {
                 issues.push({
                     type: 'negative_values',
                     severity: 'high',
-                    description: 'Negative values detected in sales data'
+                    description: this.translator.t('issue.negativeValues')
                 });
             }
 
+            // Store rules authored by managers
+            if (this.discrepancyRules) {
+                issues.push(...this.discrepancyRules.evaluate(entry));
+            }
+
             if (issues.length > 0) {
                 discrepancies.push({
                     entryId: entry.id,
+                    storeId: entry.storeId,
                     date: entry.date,
                     registerNumber: entry.registerNumber,
+                    shiftNumber: entry.shiftNumber || 1,
+                    cashierId: entry.cashierId || null,
                     cashDifference: entry.cashDifference,
                     issues: issues,
                     overallSeverity: this.calculateOverallSeverity(issues)
@@ -156,21 +416,403 @@ class ReconciliationEngine {
         });
     }
 
+    /**
+     * Compare an entry's opening denomination count against the standard float for the store's currency
+     */
+    findFloatVariances(entry) {
+        const expectedFloat = this.cashCounter ? this.cashCounter.getDefaultFloat() : null;
+        if (!expectedFloat || !this.cashCounter.hasCounts(expectedFloat) || !this.cashCounter.hasCounts(entry.openingCount)) {
+            return [];
+        }
+
+        return this.cashCounter.compareCounts(entry.openingCount, expectedFloat);
+    }
+
+    /**
+     * Compare card sales with imported settlement batches, keyed by the last entry of each
+     * register-day (or store-day, for batches settled as a store total)
+     */
+    findCardVariances(salesData) {
+        const variances = new Map();
+        if (!this.cardSettlements) return variances;
+
+        this.cardSettlements.matchBatches(salesData).matches
+            .filter(day => day.status !== 'matched' && day.entryId)
+            .forEach(day => {
+                const difference = Math.abs(day.difference);
+                variances.set(day.entryId, {
+                    type: 'card_variance',
+                    severity: difference > this.reconciliationRules.largeDiscrepancyThreshold ? 'high' :
+                        difference > this.reconciliationRules.cashDiscrepancyThreshold ? 'medium' : 'low',
+                    amount: day.difference,
+                    recordedCardSales: day.recordedCardSales,
+                    settledAmount: day.settledAmount,
+                    batchIds: day.batches.map(batch => batch.batchId),
+                    description: this.translator.t(day.status === 'unsettled' ? 'issue.cardUnsettled' : 'issue.cardVariance', {
+                        amount: this.currency.format(day.recordedCardSales),
+                        settled: this.currency.format(day.settledAmount),
+                        recorded: this.currency.format(day.recordedCardSales),
+                        register: day.registerNumber || this.translator.t('issue.allRegisters')
+                    })
+                });
+            });
+
+        return variances;
+    }
+
+    /**
+     * Find deposits missing from the bank statement past their transit time, and deposits the
+     * bank credited a different amount for. Each is keyed by the latest entry whose drop is in the bag.
+     */
+    findDepositIssues(salesData) {
+        const issues = new Map();
+        if (!this.bankDeposits) return issues;
+
+        const entryIds = new Set(salesData.map(entry => entry.id));
+        this.bankDeposits.matchDeposits(salesData, { transitDays: this.reconciliationRules.depositTransitDays }).deposits
+            .filter(deposit => deposit.status === 'missing' ||
+                (deposit.status === 'adjusted' && Math.abs(deposit.adjustment) > this.reconciliationRules.cashDiscrepancyThreshold))
+            .forEach(deposit => {
+                const drop = deposit.drops
+                    .filter(d => entryIds.has(d.entryId))
+                    .sort((a, b) => a.date.localeCompare(b.date))
+                    .pop();
+                if (!drop) return;
+
+                const amount = deposit.status === 'missing' ? -deposit.amount : deposit.adjustment;
+                const difference = Math.abs(amount);
+                const issue = {
+                    type: deposit.status === 'missing' ? 'missing_deposit' : 'bank_adjustment',
+                    severity: difference > this.reconciliationRules.largeDiscrepancyThreshold ? 'high' :
+                        difference > this.reconciliationRules.cashDiscrepancyThreshold ? 'medium' : 'low',
+                    amount: amount,
+                    depositId: deposit.depositId,
+                    bagNumber: deposit.bagNumber,
+                    description: deposit.status === 'missing' ?
+                        this.translator.t('issue.missingDeposit', {
+                            bag: deposit.bagNumber,
+                            amount: this.currency.format(deposit.amount),
+                            date: this.translator.formatDate(deposit.depositDate),
+                            days: deposit.daysOutstanding
+                        }) :
+                        this.translator.t('issue.bankAdjustment', {
+                            credited: this.currency.format(deposit.line.amount),
+                            bag: deposit.bagNumber,
+                            amount: this.currency.format(deposit.amount)
+                        })
+                };
+                issues.set(drop.entryId, [...(issues.get(drop.entryId) || []), issue]);
+            });
+
+        return issues;
+    }
+
+    /**
+     * Group entries into register-days, with shifts in order
+     */
+    groupShiftsByRegisterDay(salesData) {
+        const registerDays = new Map();
+
+        salesData.forEach(entry => {
+            const key = `${entry.storeId}-${entry.date}-${entry.registerNumber}`;
+            if (!registerDays.has(key)) {
+                registerDays.set(key, []);
+            }
+            registerDays.get(key).push(entry);
+        });
+
+        registerDays.forEach(shifts => {
+            shifts.sort((a, b) => (a.shiftNumber || 1) - (b.shiftNumber || 1));
+        });
+
+        return registerDays;
+    }
+
+    /**
+     * Check each shift's opening count against the previous shift's closing count
+     */
+    findShiftHandoffs(salesData) {
+        const handoffs = new Map();
+
+        this.groupShiftsByRegisterDay(salesData).forEach(shifts => {
+            for (let i = 1; i < shifts.length; i++) {
+                const previous = shifts[i - 1];
+                const current = shifts[i];
+
+                // Repeated shift numbers are reported as duplicates, not handoffs
+                if ((current.shiftNumber || 1) === (previous.shiftNumber || 1)) continue;
+
+                const handoff = {
+                    entryId: current.id,
+                    previousEntryId: previous.id,
+                    cashierId: current.cashierId || null,
+                    previousCashierId: previous.cashierId || null,
+                    shiftNumber: current.shiftNumber || 1,
+                    previousShiftNumber: previous.shiftNumber || 1,
+                    openingCash: current.openingCash || 0,
+                    previousClosingCash: previous.closingCash || 0,
+                    difference: Math.round(((current.openingCash || 0) - (previous.closingCash || 0)) * 100) / 100,
+                    denominations: []
+                };
+
+                // Denomination detail when both sides of the handoff were counted
+                if (this.cashCounter && this.cashCounter.hasCounts(current.openingCount) &&
+                    this.cashCounter.hasCounts(previous.closingCount)) {
+                    handoff.denominations = this.cashCounter.compareCounts(current.openingCount, previous.closingCount);
+                }
+
+                handoffs.set(current.id, handoff);
+            }
+        });
+
+        return handoffs;
+    }
+
+    /**
+     * The opening cash expected for a register's first shift of a day: its last close on an earlier day,
+     * less floats returned to the safe after that close and plus floats issued before the opening.
+     * A register with no earlier close is expected to open with its assigned float, if it has one.
+     * The earlier close is looked up in the entry history, since the entries being checked are often
+     * only a date range or one cashier's shifts. Returns null when there is nothing to compare against.
+     */
+    findExpectedOpening({ storeId, registerNumber, date }) {
+        const previous = this.entryHistory
+            .filter(entry => entry.storeId === storeId && entry.registerNumber === registerNumber && entry.date < date)
+            .sort((a, b) => b.date.localeCompare(a.date) || (b.shiftNumber || 1) - (a.shiftNumber || 1))[0];
+
+        if (previous) {
+            const movements = this.safeLedger ?
+                this.safeLedger.getOvernightMovements(storeId, registerNumber, previous.date, date) : { returned: 0, issued: 0 };
+            return {
+                basis: 'previous_close',
+                expectedOpening: this.currency.round((previous.closingCash || 0) - movements.returned + movements.issued),
+                previousEntryId: previous.id,
+                previousDate: previous.date,
+                previousClosingCash: previous.closingCash || 0,
+                floatReturned: movements.returned,
+                floatIssued: movements.issued
+            };
+        }
+
+        const register = this.registers.find(r => r.id === registerNumber);
+        if (register && register.defaultFloat > 0) {
+            return { basis: 'float', expectedOpening: register.defaultFloat, previousEntryId: null };
+        }
+        return null;
+    }
+
+    /**
+     * Check each register-day's opening count against the opening expected from the register's previous close.
+     * Later shifts of the day are checked as shift handoffs instead.
+     */
+    findOpeningContinuity(salesData) {
+        const continuity = new Map();
+
+        this.groupShiftsByRegisterDay(salesData).forEach(shifts => {
+            const first = shifts[0];
+            const expected = this.findExpectedOpening(first);
+            if (!expected) return;
+
+            continuity.set(first.id, {
+                ...expected,
+                entryId: first.id,
+                openingCash: first.openingCash || 0,
+                difference: this.currency.round((first.openingCash || 0) - expected.expectedOpening)
+            });
+        });
+
+        return continuity;
+    }
+
+    /**
+     * Reconcile each shift and roll shifts up into register-day totals
+     */
+    reconcileShifts(salesData) {
+        const handoffs = this.findShiftHandoffs(salesData);
+        const registerDays = [];
+
+        this.groupShiftsByRegisterDay(salesData).forEach(shifts => {
+            const first = shifts[0];
+            const last = shifts[shifts.length - 1];
+            const registerDay = {
+                storeId: first.storeId,
+                date: first.date,
+                registerNumber: first.registerNumber,
+                shiftCount: shifts.length,
+                shifts: shifts.map(entry => ({
+                    entryId: entry.id,
+                    shiftNumber: entry.shiftNumber || 1,
+                    openingCash: entry.openingCash || 0,
+                    closingCash: entry.closingCash || 0,
+                    expectedCash: entry.expectedCash || 0,
+                    cashDifference: entry.cashDifference || 0,
+                    handoff: handoffs.get(entry.id) || null
+                })),
+                totals: {
+                    openingCash: first.openingCash || 0,
+                    closingCash: last.closingCash || 0,
+                    foreignCashValue: 0,
+                    cashSales: 0,
+                    cardSales: 0,
+                    drawerTenderSales: 0,
+                    totalSales: 0,
+                    totalReturns: 0,
+                    drawerRefunds: 0,
+                    paidOuts: 0,
+                    paidIns: 0,
+                    totalCashDrops: 0,
+                    shiftCashDifference: 0,
+                    handoffDifference: 0
+                }
+            };
+
+            shifts.forEach(entry => {
+                registerDay.totals.cashSales += entry.cashSales || 0;
+                registerDay.totals.cardSales += entry.cardSales || 0;
+                registerDay.totals.drawerTenderSales += entry.drawerTenderSales || 0;
+                registerDay.totals.totalSales += entry.totalSales || 0;
+                registerDay.totals.totalReturns += entry.returnsRefunds || 0;
+                registerDay.totals.drawerRefunds += this.getDrawerRefunds(entry);
+                registerDay.totals.paidOuts += entry.paidOuts || 0;
+                registerDay.totals.paidIns += entry.paidIns || 0;
+                registerDay.totals.totalCashDrops += entry.cashDrops || 0;
+                registerDay.totals.foreignCashValue += entry.foreignCashValue || 0;
+                registerDay.totals.shiftCashDifference += entry.cashDifference || 0;
+
+                const handoff = handoffs.get(entry.id);
+                if (handoff) {
+                    registerDay.totals.handoffDifference += handoff.difference;
+                }
+            });
+
+            // The drawer as a whole: first opening through last closing. Foreign cash is taken out
+            // at the end of each shift, so every shift's foreign cash adds to the day's actual cash.
+            registerDay.totals.expectedCash = this.currency.roundCash(registerDay.totals.openingCash + registerDay.totals.cashSales +
+                registerDay.totals.drawerTenderSales + registerDay.totals.paidIns - registerDay.totals.drawerRefunds -
+                registerDay.totals.paidOuts - registerDay.totals.totalCashDrops);
+            registerDay.totals.cashDifference = this.currency.round(registerDay.totals.closingCash +
+                registerDay.totals.foreignCashValue - registerDay.totals.expectedCash);
+
+            const hasHandoffGap = registerDay.shifts.some(shift => shift.handoff && Math.abs(shift.handoff.difference) >= 0.01);
+            registerDay.status = Math.abs(registerDay.totals.cashDifference) > this.reconciliationRules.cashDiscrepancyThreshold ?
+                'discrepancy' : hasHandoffGap ? 'warning' : 'balanced';
+
+            registerDays.push(registerDay);
+        });
+
+        return registerDays.sort((a, b) =>
+            a.date.localeCompare(b.date) || a.registerNumber.localeCompare(b.registerNumber)
+        );
+    }
+
+    /**
+     * Build per-cashier variance scorecards
+     */
+    buildCashierScorecards(salesData, worstIncidentLimit = 3) {
+        const cashierGroups = salesData.reduce((groups, entry) => {
+            const cashierId = entry.cashierId || 'unassigned';
+            groups[cashierId] = groups[cashierId] || [];
+            groups[cashierId].push(entry);
+            return groups;
+        }, {});
+
+        return Object.keys(cashierGroups).map(cashierId => {
+            const entries = cashierGroups[cashierId];
+            const discrepancies = this.findDiscrepancies(entries);
+            const scorecard = {
+                cashierId: cashierId,
+                totalEntries: entries.length,
+                discrepancyCount: discrepancies.length,
+                netOverShort: 0,
+                totalOver: 0,
+                totalShort: 0,
+                accuracy: 100,
+                worstIncidents: [],
+                trend: []
+            };
+
+            entries.forEach(entry => {
+                const difference = entry.cashDifference || 0;
+                scorecard.netOverShort += difference;
+                if (difference > 0) scorecard.totalOver += difference;
+                if (difference < 0) scorecard.totalShort += Math.abs(difference);
+            });
+
+            scorecard.accuracy = entries.length > 0 ?
+                ((entries.length - discrepancies.length) / entries.length) * 100 : 100;
+
+            scorecard.worstIncidents = entries
+                .filter(entry => Math.abs(entry.cashDifference || 0) > this.reconciliationRules.cashDiscrepancyThreshold)
+                .sort((a, b) => Math.abs(b.cashDifference) - Math.abs(a.cashDifference))
+                .slice(0, worstIncidentLimit)
+                .map(entry => ({
+                    entryId: entry.id,
+                    storeId: entry.storeId,
+                    date: entry.date,
+                    registerNumber: entry.registerNumber,
+                    shiftNumber: entry.shiftNumber || 1,
+                    cashDifference: entry.cashDifference
+                }));
+
+            scorecard.trend = this.calculateWeeklyVarianceTrend(entries);
+
+            return scorecard;
+        }).sort((a, b) => b.discrepancyCount - a.discrepancyCount || a.netOverShort - b.netOverShort);
+    }
+
+    /**
+     * Bucket entries by week (starting Monday) with net over/short per week
+     */
+    calculateWeeklyVarianceTrend(entries) {
+        const weeks = new Map();
+
+        entries.forEach(entry => {
+            const weekStart = this.getWeekStart(entry.date);
+            if (!weeks.has(weekStart)) {
+                weeks.set(weekStart, { weekStart: weekStart, entries: 0, discrepancies: 0, netOverShort: 0 });
+            }
+
+            const week = weeks.get(weekStart);
+            week.entries++;
+            week.netOverShort += entry.cashDifference || 0;
+            if (Math.abs(entry.cashDifference || 0) > this.reconciliationRules.cashDiscrepancyThreshold) {
+                week.discrepancies++;
+            }
+        });
+
+        return [...weeks.values()].sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+    }
+
+    /**
+     * Get the Monday of the week containing a YYYY-MM-DD date
+     */
+    getWeekStart(dateString) {
+        const date = new Date(dateString + 'T00:00:00Z');
+        const dayOffset = (date.getUTCDay() + 6) % 7;
+        date.setUTCDate(date.getUTCDate() - dayOffset);
+        return date.toISOString().split('T')[0];
+    }
+
     /**
      * Validate business rules
      */
     validateBusinessRules(salesData) {
         const validationErrors = [];
 
-        // Check for duplicate entries
+        // Check for duplicate entries (register numbers repeat across stores,
+        // and a register can have several shifts in a day)
         const dateRegisterPairs = new Map();
         salesData.forEach(entry => {
-            const key = `${entry.date}-${entry.registerNumber}`;
+            const key = `${entry.storeId}-${entry.date}-${entry.registerNumber}-${entry.shiftNumber || 1}`;
             if (dateRegisterPairs.has(key)) {
                 validationErrors.push({
                     type: 'duplicate_entry',
                     severity: 'high',
-                    description: `Duplicate entry found for ${entry.registerNumber} on ${entry.date}`,
+                    description: this.translator.t('issue.duplicateEntry', {
+                        register: entry.registerNumber,
+                        shift: entry.shiftNumber || 1,
+                        date: this.translator.formatDate(entry.date)
+                    }),
                     affectedEntries: [dateRegisterPairs.get(key), entry.id]
                 });
             } else {
@@ -189,31 +831,61 @@ class ReconciliationEngine {
                 validationErrors.push({
                     type: 'missing_dates',
                     severity: 'medium',
-                    description: `Gap in sales data between ${dates[i - 1]} and ${dates[i]}`,
+                    description: this.translator.t('issue.missingDates', {
+                        from: this.translator.formatDate(dates[i - 1]),
+                        to: this.translator.formatDate(dates[i])
+                    }),
                     daysMissing: daysDiff - 1
                 });
             }
         }
 
-        // Check for abnormal sales patterns
-        if (salesData.length >= 7) {
-            const recentSales = salesData.slice(-7);
-            const avgSales = recentSales.reduce((sum, entry) => sum + entry.totalSales, 0) / recentSales.length;
-            const stdDev = Math.sqrt(
-                recentSales.reduce((sum, entry) => sum + Math.pow(entry.totalSales - avgSales, 2), 0) / recentSales.length
-            );
+        // Check for settled card batches with no sales entry to match
+        if (this.cardSettlements) {
+            this.cardSettlements.matchBatches(salesData).unmatchedBatches.forEach(batch => {
+                validationErrors.push({
+                    type: 'unmatched_card_batch',
+                    severity: 'medium',
+                    description: this.translator.t('issue.unmatchedBatch', {
+                        batch: batch.batchId,
+                        register: batch.registerNumber || this.translator.t('issue.storeTotal'),
+                        amount: this.currency.format(batch.amount),
+                        date: this.translator.formatDate(batch.saleDate)
+                    }),
+                    batchId: batch.batchId,
+                    storeId: batch.storeId,
+                    date: batch.saleDate
+                });
+            });
+        }
 
-            recentSales.forEach(entry => {
-                if (Math.abs(entry.totalSales - avgSales) > 2 * stdDev && stdDev > 0) {
+        // Check safe counts against the previous count plus cash moved in and out since
+        if (this.safeLedger) {
+            this.safeLedger.reconcile(salesData, { threshold: this.reconciliationRules.cashDiscrepancyThreshold }).stores
+                .forEach(store => store.counts.filter(count => count.status === 'discrepancy').forEach(count => {
                     validationErrors.push({
-                        type: 'abnormal_sales',
-                        severity: 'medium',
-                        description: `Sales amount $${entry.totalSales.toFixed(2)} is unusually ${entry.totalSales > avgSales ? 'high' : 'low'}`,
-                        entryId: entry.id,
-                        date: entry.date
+                        type: 'safe_discrepancy',
+                        severity: Math.abs(count.difference) > this.reconciliationRules.largeDiscrepancyThreshold ? 'high' : 'medium',
+                        description: this.translator.t('issue.safeDiscrepancy', {
+                            counted: this.currency.format(count.countedAmount),
+                            date: this.translator.formatDate(count.date),
+                            expected: this.currency.format(count.expected),
+                            direction: this.translator.t(count.difference > 0 ? 'issue.over' : 'issue.short'),
+                            difference: this.currency.format(Math.abs(count.difference))
+                        }),
+                        amount: count.difference,
+                        countId: count.countId,
+                        storeId: count.storeId,
+                        date: count.date
                     });
-                }
-            });
+                }));
+        }
+
+        // Check for sales patterns unusual for the register and weekday
+        if (this.anomalyDetector) {
+            validationErrors.push(...this.anomalyDetector.findAnomalies(salesData, {
+                minScale: { cashDifference: this.reconciliationRules.cashDiscrepancyThreshold }
+            }));
         }
 
         return validationErrors;
@@ -267,28 +939,28 @@ class ReconciliationEngine {
         if (results.summary.highSeverityDiscrepancies > 0 || results.validationErrors.some(e => e.severity === 'high')) {
             overall.status = 'critical';
             overall.confidence = 30;
-            overall.recommendations.push('Immediate attention required for high-severity issues');
+            overall.recommendations.push(this.translator.t('recommendation.immediateAttention'));
         } else if (results.discrepancies.length > 0 || results.validationErrors.length > 0) {
             overall.status = 'warning';
             overall.confidence = 70;
-            overall.recommendations.push('Review and resolve flagged discrepancies');
+            overall.recommendations.push(this.translator.t('recommendation.reviewDiscrepancies'));
         } else if (overall.totalDifference > this.reconciliationRules.cashDiscrepancyThreshold) {
             overall.status = 'discrepancy';
             overall.confidence = 60;
-            overall.recommendations.push('Investigate cash position difference');
+            overall.recommendations.push(this.translator.t('recommendation.investigateCashPosition'));
         }
 
         // Add specific recommendations
         if (results.summary.reconciliationAccuracy < 90) {
-            overall.recommendations.push('Improve data entry procedures to increase accuracy');
+            overall.recommendations.push(this.translator.t('recommendation.improveDataEntry'));
         }
 
         if (results.summary.cashRecoveryNeeded > 0) {
-            overall.recommendations.push(`Cash recovery needed: $${results.summary.cashRecoveryNeeded.toFixed(2)}`);
+            overall.recommendations.push(this.translator.t('recommendation.cashRecovery', { amount: this.currency.format(results.summary.cashRecoveryNeeded) }));
         }
 
         if (overall.recommendations.length === 0) {
-            overall.recommendations.push('All reconciliation checks passed successfully');
+            overall.recommendations.push(this.translator.t('recommendation.allPassed'));
         }
 
         return overall;
@@ -337,28 +1009,45 @@ class ReconciliationEngine {
         // Required field validation
         if (!entry.date || !entry.registerNumber) {
             validation.hasErrors = true;
-            validation.errors.push('Date and register number are required');
+            validation.errors.push(this.translator.t('validation.dateRegisterRequired'));
+        }
+
+        if (!entry.cashierId) {
+            validation.warnings.push(this.translator.t('validation.noCashier'));
         }
 
         // Cash discrepancy validation
         const cashDiff = Math.abs(entry.cashDifference || 0);
         if (cashDiff > this.reconciliationRules.largeDiscrepancyThreshold) {
             validation.hasErrors = true;
-            validation.errors.push(`Large cash discrepancy: $${entry.cashDifference.toFixed(2)}`);
+            validation.errors.push(this.translator.t('validation.largeDiscrepancy', { amount: this.currency.format(entry.cashDifference) }));
         } else if (cashDiff > this.reconciliationRules.cashDiscrepancyThreshold) {
-            validation.warnings.push(`Cash discrepancy detected: $${entry.cashDifference.toFixed(2)}`);
+            validation.warnings.push(this.translator.t('validation.discrepancyDetected', { amount: this.currency.format(entry.cashDifference) }));
         }
 
         // Business logic validation
         if (entry.totalSales > 0) {
             const returnsPercentage = (entry.returnsRefunds / entry.totalSales) * 100;
             if (returnsPercentage > this.reconciliationRules.maxReturnsPercentage) {
-                validation.warnings.push(`High returns percentage: ${returnsPercentage.toFixed(1)}%`);
+                validation.warnings.push(this.translator.t('validation.highReturns', { percent: this.translator.formatPercent(returnsPercentage) }));
             }
         }
 
         if (entry.openingCash < this.reconciliationRules.minOpeningCash) {
-            validation.warnings.push(`Opening cash below recommended minimum`);
+            validation.warnings.push(this.translator.t('validation.lowOpeningCash'));
+        }
+
+        if (this.salesTax) {
+            this.salesTax.findMismatches(entry, this.reconciliationRules.taxTolerance).forEach(line => {
+                validation.warnings.push(this.translator.t('validation.taxMismatch', {
+                    name: line.name,
+                    difference: this.currency.format(line.difference)
+                }));
+            });
+        }
+
+        if (this.discrepancyRules) {
+            this.discrepancyRules.evaluate(entry).forEach(issue => validation.warnings.push(issue.description));
         }
 
         return validation;
@@ -367,12 +1056,13 @@ class ReconciliationEngine {
     /**
      * Get reconciliation trends over time
      */
-    getReconciliationTrends(days = 30) {
+    getReconciliationTrends(days = 30, storeId = 'all') {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days);
 
         const recentHistory = this.reconciliationHistory.filter(
-            result => new Date(result.timestamp) >= cutoffDate
+            result => new Date(result.timestamp) >= cutoffDate &&
+                (result.storeId || 'all') === storeId
         );
 
         const trends = {
@@ -404,15 +1094,17 @@ class ReconciliationEngine {
     /**
      * Generate reconciliation report
      */
-    generateReconciliationReport(salesData, format = 'summary') {
-        const results = this.runFullReconciliation(salesData);
+    generateReconciliationReport(salesData, format = 'summary', storeId = 'all') {
+        const results = this.runFullReconciliation(salesData, storeId);
+        const scopedData = this.filterByStore(salesData, storeId);
         
         const report = {
             header: {
                 title: 'Sales & Cash Reconciliation Report',
                 generatedAt: new Date().toISOString(),
-                period: this.getReportPeriod(salesData),
-                totalEntries: salesData.length
+                storeId: storeId,
+                period: this.getReportPeriod(scopedData),
+                totalEntries: scopedData.length
             },
             executive_summary: {
                 overallStatus: results.overall.status,
@@ -427,6 +1119,7 @@ class ReconciliationEngine {
                 validationErrors: results.validationErrors,
                 totals: results.totals
             } : null,
+            store_rollup: results.stores,
             recommendations: results.overall.recommendations,
             action_items: this.generateActionItems(results)
         };
@@ -444,8 +1137,21 @@ class ReconciliationEngine {
         results.discrepancies.filter(d => d.overallSeverity === 'high').forEach(discrepancy => {
             actionItems.push({
                 priority: 'high',
-                action: `Investigate ${discrepancy.registerNumber} on ${discrepancy.date}`,
-                description: `Cash difference: $${discrepancy.cashDifference.toFixed(2)}`,
+                action: this.translator.t('action.investigate', {
+                    register: discrepancy.registerNumber,
+                    date: this.translator.formatDate(discrepancy.date)
+                }),
+                description: this.translator.t('action.cashDifference', { amount: this.currency.format(discrepancy.cashDifference) }),
+                assignee: 'Store Manager',
+                dueDate: this.addDays(new Date(), 1)
+            });
+        });
+
+        results.validationErrors.filter(e => e.type === 'safe_discrepancy' && e.severity === 'high').forEach(error => {
+            actionItems.push({
+                priority: 'high',
+                action: this.translator.t('action.recountSafe', { date: this.translator.formatDate(error.date) }),
+                description: error.description,
                 assignee: 'Store Manager',
                 dueDate: this.addDays(new Date(), 1)
             });
@@ -455,8 +1161,8 @@ class ReconciliationEngine {
         if (results.summary.reconciliationAccuracy < 95) {
             actionItems.push({
                 priority: 'medium',
-                action: 'Review data entry procedures',
-                description: `Current accuracy: ${results.summary.reconciliationAccuracy.toFixed(1)}%`,
+                action: this.translator.t('action.reviewProcedures'),
+                description: this.translator.t('action.currentAccuracy', { percent: this.translator.formatPercent(results.summary.reconciliationAccuracy) }),
                 assignee: 'POS Admin',
                 dueDate: this.addDays(new Date(), 7)
             });
@@ -466,8 +1172,8 @@ class ReconciliationEngine {
         if (results.validationErrors.some(e => e.type === 'missing_dates')) {
             actionItems.push({
                 priority: 'low',
-                action: 'Complete missing sales data',
-                description: 'Gaps in daily sales records detected',
+                action: this.translator.t('action.completeMissingData'),
+                description: this.translator.t('action.gapsDetected'),
                 assignee: 'Merchandiser',
                 dueDate: this.addDays(new Date(), 14)
             });
@@ -505,12 +1211,14 @@ class ReconciliationEngine {
      * Save reconciliation history
      */
     saveReconciliationHistory(results) {
-        this.reconciliationHistory.push({
+        const record = {
             timestamp: results.timestamp,
+            storeId: results.storeId,
             summary: results.summary,
             overall: results.overall,
             totalEntries: results.totals.totalEntries
-        });
+        };
+        this.reconciliationHistory.push(record);
 
         // Keep only last 90 days of history
         const cutoffDate = new Date();
@@ -520,7 +1228,13 @@ class ReconciliationEngine {
             result => new Date(result.timestamp) >= cutoffDate
         );
 
-        localStorage.setItem('reconciliationHistory', JSON.stringify(this.reconciliationHistory));
+        if (this.dataStore) {
+            this.dataStore.put('reconciliationHistory', record)
+                .then(() => this.dataStore.deleteByIndex(
+                    'reconciliationHistory', 'timestamp', IDBKeyRange.upperBound(cutoffDate.toISOString(), true)
+                ))
+                .catch(error => console.error('Failed to save reconciliation history:', error));
+        }
     }
 
     /**
@@ -535,7 +1249,10 @@ class ReconciliationEngine {
      */
     updateReconciliationRules(newRules) {
         this.reconciliationRules = { ...this.reconciliationRules, ...newRules };
-        localStorage.setItem('reconciliationRules', JSON.stringify(this.reconciliationRules));
+        if (this.dataStore) {
+            this.dataStore.putSetting('reconciliationRules', this.reconciliationRules)
+                .catch(error => console.error('Failed to save reconciliation rules:', error));
+        }
     }
 
     /**
@@ -544,8 +1261,45 @@ class ReconciliationEngine {
     getReconciliationRules() {
         return { ...this.reconciliationRules };
     }
+
+    /**
+     * Refunds paid from the drawer, which take cash out of it
+     */
+    getDrawerRefunds(entry) {
+        return typeof RefundCalculator !== 'undefined' ? RefundCalculator.getDrawerRefunds(entry) : entry.returnsRefunds || 0;
+    }
+
+    /**
+     * Set the tender types taken besides cash and card, used to order the payment breakdown
+     */
+    setTenderTypes(tenderTypes) {
+        this.tenderTypes = tenderTypes || [];
+    }
+
+    /**
+     * Set the register roster, whose assigned floats are the expected opening for registers with no earlier close
+     */
+    setRegisters(registers) {
+        this.registers = registers || [];
+    }
+
+    /**
+     * Set every recorded entry, in which each register's previous close is looked up
+     */
+    setEntryHistory(entries) {
+        this.entryHistory = entries || [];
+    }
 }
 
+ReconciliationEngine.DEFAULT_RULES = {
+    cashDiscrepancyThreshold: 5.00,
+    largeDiscrepancyThreshold: 50.00,
+    maxReturnsPercentage: 10.0,
+    minOpeningCash: 100.00,
+    depositTransitDays: 3,
+    taxTolerance: 0.50
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ReconciliationEngine;
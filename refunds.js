@@ -0,0 +1,138 @@
+/**
+ * Refund Calculator for Sales & Cash Reconciliation System
+ * Splits refunds by the tender they were paid in and analyses return rates and reasons
+ */
+
+class RefundCalculator {
+    constructor(currency = null) {
+        this.currency = currency || new CurrencyFormatter();
+    }
+
+    /**
+     * Build an entry's refund fields from the amounts refunded in each tender, the number of
+     * refunds and how many were given for each reason. Only refunds paid from the drawer
+     * reduce the expected cash.
+     */
+    buildRefundFields(lines, refundCount = 0, reasons = {}) {
+        const refunds = (lines || [])
+            .map(line => ({
+                name: String(line.name || '').trim(),
+                drawer: Boolean(line.drawer),
+                amount: this.currency.round(line.amount)
+            }))
+            .filter(line => line.amount !== 0);
+
+        const refundReasons = {};
+        Object.keys(reasons || {}).forEach(code => {
+            const count = Number(reasons[code]) || 0;
+            if (count !== 0) {
+                refundReasons[code] = count;
+            }
+        });
+
+        return {
+            refunds: refunds,
+            returnsRefunds: this.currency.round(refunds.reduce((sum, line) => sum + line.amount, 0)),
+            drawerRefunds: this.currency.round(refunds.filter(line => line.drawer).reduce((sum, line) => sum + line.amount, 0)),
+            refundCount: Number(refundCount) || 0,
+            refundReasons: refundReasons
+        };
+    }
+
+    /**
+     * Return rate, refunds and reasons for a period: overall, by register, cashier, day and tender
+     */
+    summarize(entries) {
+        const empty = () => ({ entries: 0, totalSales: 0, returnsRefunds: 0, drawerRefunds: 0, refundCount: 0, returnRate: 0 });
+        const totals = empty();
+        const groups = { byRegister: new Map(), byCashier: new Map(), byDay: new Map() };
+        const byTender = new Map();
+        const reasons = new Map();
+        const group = (map, key, fields) => {
+            const summary = map.get(key) || { ...fields, ...empty() };
+            map.set(key, summary);
+            return summary;
+        };
+
+        entries.forEach(entry => {
+            const summaries = [
+                totals,
+                group(groups.byRegister, `${entry.storeId || ''}|${entry.registerNumber}`,
+                    { storeId: entry.storeId || '', registerNumber: entry.registerNumber }),
+                group(groups.byCashier, entry.cashierId || '', { cashierId: entry.cashierId || '' }),
+                group(groups.byDay, entry.date, { date: entry.date })
+            ];
+
+            summaries.forEach(summary => {
+                summary.entries++;
+                summary.totalSales += entry.totalSales || 0;
+                summary.returnsRefunds += entry.returnsRefunds || 0;
+                summary.drawerRefunds += RefundCalculator.getDrawerRefunds(entry);
+                summary.refundCount += entry.refundCount || 0;
+            });
+
+            RefundCalculator.getRefunds(entry).forEach(line => {
+                const tender = group(byTender, line.name.toLowerCase(), { name: line.name, drawer: line.drawer });
+                tender.amount = (tender.amount || 0) + line.amount;
+            });
+
+            Object.keys(entry.refundReasons || {}).forEach(code => {
+                reasons.set(code, (reasons.get(code) || 0) + entry.refundReasons[code]);
+            });
+        });
+
+        const finish = summary => {
+            ['totalSales', 'returnsRefunds', 'drawerRefunds'].forEach(key => {
+                summary[key] = this.currency.round(summary[key]);
+            });
+            summary.returnRate = summary.totalSales > 0 ? (summary.returnsRefunds / summary.totalSales) * 100 : 0;
+            return summary;
+        };
+        const byRate = (a, b) => b.returnRate - a.returnRate;
+
+        return {
+            totals: finish(totals),
+            byRegister: [...groups.byRegister.values()].map(finish).sort(byRate),
+            byCashier: [...groups.byCashier.values()].map(finish).sort(byRate),
+            byDay: [...groups.byDay.values()].map(finish).sort((a, b) => a.date.localeCompare(b.date)),
+            byTender: [...byTender.values()]
+                .map(tender => ({ name: tender.name, drawer: tender.drawer, amount: this.currency.round(tender.amount) }))
+                .sort((a, b) => b.amount - a.amount),
+            topReasons: [...reasons.entries()]
+                .map(([code, count]) => ({ code: code, count: count }))
+                .sort((a, b) => b.count - a.count)
+        };
+    }
+
+    /**
+     * The reason given for most of an entry's refunds, or null when none were recorded
+     */
+    static getTopReason(entry) {
+        const reasons = entry.refundReasons || {};
+        return Object.keys(reasons).sort((a, b) => reasons[b] - reasons[a])[0] || null;
+    }
+
+    /**
+     * Refunds paid from the drawer. Entries recorded before refunds were split by tender
+     * paid every refund from the drawer.
+     */
+    static getDrawerRefunds(entry) {
+        return entry.refunds ? entry.drawerRefunds || 0 : entry.returnsRefunds || 0;
+    }
+
+    /**
+     * An entry's refunds by tender, treating those recorded before the split as cash
+     */
+    static getRefunds(entry) {
+        if (entry.refunds) return entry.refunds;
+        return entry.returnsRefunds ? [{ name: 'Cash', drawer: true, amount: entry.returnsRefunds }] : [];
+    }
+}
+
+// Reasons a refund can be recorded with (mirrored in CONFIG.REFUND_REASON_CODES in Code.gs)
+RefundCalculator.REASON_CODES = ['damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'price_adjustment', 'other'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RefundCalculator;
+}
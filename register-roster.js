@@ -0,0 +1,173 @@
+/**
+ * Register Roster for Sales & Cash Reconciliation System
+ * Managed list of registers with their location, default float and active dates
+ */
+
+class RegisterRoster {
+    constructor(registers = []) {
+        // Shared with the app settings, so changes are saved with them
+        this.registers = registers;
+    }
+
+    /**
+     * The roster used before registers were configurable
+     */
+    static createDefaultRegisters() {
+        return [1, 2, 3].map(number => ({
+            id: `REG${String(number).padStart(3, '0')}`,
+            name: `Register ${number}`,
+            storeId: '',
+            location: '',
+            defaultFloat: 0,
+            activeFrom: '',
+            activeTo: ''
+        }));
+    }
+
+    /**
+     * Next free ID in the REG001, REG002, ... sequence
+     */
+    nextRegisterId() {
+        let nextNumber = this.registers.length + 1;
+        while (this.getRegister(`REG${String(nextNumber).padStart(3, '0')}`)) {
+            nextNumber++;
+        }
+        return `REG${String(nextNumber).padStart(3, '0')}`;
+    }
+
+    /**
+     * Add a register, returning it
+     */
+    addRegister(fields) {
+        const register = this.normalize({ id: fields.id || this.nextRegisterId(), ...fields });
+
+        const errors = this.validate(register);
+        if (this.getRegister(register.id)) {
+            errors.push(`Register ${register.id} already exists.`);
+        }
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.registers.push(register);
+        return register;
+    }
+
+    /**
+     * Change a register's name or attributes. IDs never change because entries refer to them.
+     */
+    updateRegister(registerId, fields) {
+        const register = this.getRegister(registerId);
+        if (!register) {
+            throw new Error(`Register ${registerId} not found.`);
+        }
+
+        const updated = this.normalize({ ...register, ...fields, id: register.id });
+        const errors = this.validate(updated);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        Object.assign(register, updated);
+        return register;
+    }
+
+    /**
+     * Retire a register after its last trading day. It stays on the roster for past entries.
+     */
+    retireRegister(registerId, lastDate) {
+        const register = this.getRegister(registerId);
+        if (!register) {
+            throw new Error(`Register ${registerId} not found.`);
+        }
+        if (register.activeTo && register.activeTo <= lastDate) {
+            throw new Error(`${this.describe(registerId)} is already retired.`);
+        }
+
+        return this.updateRegister(registerId, { activeTo: lastDate });
+    }
+
+    /**
+     * Trim and convert form values
+     */
+    normalize(fields) {
+        return {
+            id: String(fields.id || '').trim().toUpperCase(),
+            name: String(fields.name || '').trim(),
+            storeId: fields.storeId || '',
+            location: String(fields.location || '').trim(),
+            defaultFloat: fields.defaultFloat === '' || fields.defaultFloat === undefined ? 0 : parseFloat(fields.defaultFloat),
+            activeFrom: fields.activeFrom || '',
+            activeTo: fields.activeTo || ''
+        };
+    }
+
+    /**
+     * Check a register's fields, returning error messages
+     */
+    validate(register) {
+        const errors = [];
+
+        if (!/^[A-Z0-9_-]+$/.test(register.id)) {
+            errors.push('Register ID may only contain letters, numbers, dashes and underscores.');
+        }
+        if (!register.name) {
+            errors.push('Register name is required.');
+        }
+        if (isNaN(register.defaultFloat) || register.defaultFloat < 0) {
+            errors.push('Default float must be zero or more.');
+        }
+        if (register.activeFrom && register.activeTo && register.activeTo < register.activeFrom) {
+            errors.push('The last active date cannot be before the first.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get a register by ID
+     */
+    getRegister(registerId) {
+        return this.registers.find(register => register.id === registerId) || null;
+    }
+
+    /**
+     * Check whether a register is in service on a date
+     */
+    isActiveOn(register, date) {
+        return (!register.activeFrom || register.activeFrom <= date) &&
+            (!register.activeTo || register.activeTo >= date);
+    }
+
+    /**
+     * Registers used by a store (registers without a store belong to every store),
+     * optionally only those in service on a date
+     */
+    getRegistersFor(storeId, date = null) {
+        return this.registers
+            .filter(register => storeId === 'all' || !register.storeId || register.storeId === storeId)
+            .filter(register => !date || this.isActiveOn(register, date));
+    }
+
+    /**
+     * The store and register pairs expected to report on a date
+     */
+    getExpectedRegisters(storeIds, date) {
+        return storeIds.reduce((expected, storeId) => expected.concat(
+            this.getRegistersFor(storeId, date).map(register => ({ storeId: storeId, registerNumber: register.id }))
+        ), []);
+    }
+
+    /**
+     * Display label for a register, e.g. "Front Counter (REG001)"
+     */
+    describe(registerId) {
+        const register = this.getRegister(registerId);
+        return register ? `${register.name} (${register.id})` : registerId;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegisterRoster;
+}
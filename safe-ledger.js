@@ -0,0 +1,256 @@
+/**
+ * Safe Ledger for Sales & Cash Reconciliation System
+ * Tracks cash in and out of each store's back-office safe and reconciles periodic safe counts
+ */
+
+class SafeLedger {
+    constructor(dataStore = null, bankDeposits = null, currency = null) {
+        this.dataStore = dataStore;
+        // Bank deposits are taken out of the safe, so recorded deposit bags count as cash out
+        this.bankDeposits = bankDeposits;
+        this.cashCounter = typeof CashCounter !== 'undefined' ? new CashCounter(currency) : null;
+        this.transactions = [];
+        this.counts = [];
+        this.ready = this.loadLedger();
+    }
+
+    /**
+     * Load safe transactions and counts from the data store
+     */
+    async loadLedger() {
+        if (!this.dataStore) return;
+
+        try {
+            this.transactions = await this.dataStore.getAll('safeTransactions');
+            this.counts = await this.dataStore.getAll('safeCounts');
+        } catch (error) {
+            console.error('Failed to load safe ledger:', error);
+        }
+    }
+
+    /**
+     * Record cash moved in or out of the safe by hand (change orders and register floats).
+     * Drops and deposits are taken from sales entries and deposit bags instead.
+     */
+    async recordTransaction({ storeId, type, date, amount, registerNumber = '', reference = '', note = '' }) {
+        await this.ready;
+
+        const definition = SafeLedger.TYPES[type];
+        const transaction = {
+            transactionId: `SAFE_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            storeId: storeId,
+            type: type,
+            date: date || '',
+            amount: amount === '' || amount === undefined ? NaN : Math.round(parseFloat(amount) * 100) / 100,
+            registerNumber: String(registerNumber || '').trim(),
+            reference: String(reference || '').trim(),
+            note: String(note || '').trim(),
+            createdAt: new Date().toISOString()
+        };
+
+        const errors = [];
+        if (!storeId || storeId === 'all') errors.push('Choose a single store before recording safe cash.');
+        if (!definition || definition.automatic) errors.push(`Unknown safe transaction type: ${type}`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(transaction.date)) errors.push('Date is required.');
+        if (isNaN(transaction.amount) || transaction.amount <= 0) errors.push('Amount must be more than zero.');
+        if (definition && definition.register && !transaction.registerNumber) errors.push('Choose the register the float is for.');
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.transactions.push(transaction);
+        if (this.dataStore) {
+            await this.dataStore.put('safeTransactions', transaction);
+        }
+        return transaction;
+    }
+
+    /**
+     * Delete a transaction recorded by hand
+     */
+    async deleteTransaction(transactionId) {
+        this.transactions = this.transactions.filter(transaction => transaction.transactionId !== transactionId);
+        if (this.dataStore) {
+            await this.dataStore.delete('safeTransactions', transactionId);
+        }
+    }
+
+    /**
+     * Record a safe count, from a denomination breakdown or a total. A recount on the same day replaces the earlier count.
+     */
+    async recordCount({ storeId, date, amount, counts = null, countedBy = '', note = '' }) {
+        await this.ready;
+
+        const hasCounts = this.cashCounter && this.cashCounter.hasCounts(counts);
+        const count = {
+            countId: `${storeId}|${date}`,
+            storeId: storeId,
+            date: date || '',
+            countedAmount: hasCounts ? this.cashCounter.calculateTotal(counts) :
+                amount === '' || amount === undefined ? NaN : Math.round(parseFloat(amount) * 100) / 100,
+            counts: hasCounts ? this.cashCounter.normalizeCounts(counts) : null,
+            countedBy: String(countedBy || '').trim(),
+            note: String(note || '').trim(),
+            countedAt: new Date().toISOString()
+        };
+
+        const errors = [];
+        if (!storeId || storeId === 'all') errors.push('Choose a single store before counting the safe.');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(count.date)) errors.push('Count date is required.');
+        if (isNaN(count.countedAmount) || count.countedAmount < 0) errors.push('Counted amount cannot be negative.');
+        if (!count.countedBy) errors.push('Enter who counted the safe.');
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.counts = this.counts.filter(c => c.countId !== count.countId).concat(count);
+        if (this.dataStore) {
+            await this.dataStore.put('safeCounts', count);
+        }
+        return count;
+    }
+
+    /**
+     * Delete a safe count
+     */
+    async deleteCount(countId) {
+        this.counts = this.counts.filter(count => count.countId !== countId);
+        if (this.dataStore) {
+            await this.dataStore.delete('safeCounts', countId);
+        }
+    }
+
+    /**
+     * List a store's cash movements in date order, with amounts signed as in (+) or out (-) of the safe
+     */
+    getMovements(salesData, storeId) {
+        const drops = salesData
+            .filter(entry => entry.storeId === storeId && entry.cashDrops > 0)
+            .map(entry => ({
+                type: 'drop',
+                date: entry.date,
+                amount: entry.cashDrops,
+                registerNumber: entry.registerNumber,
+                entryId: entry.id,
+                description: `${entry.registerNumber} shift ${entry.shiftNumber || 1} drop`
+            }));
+
+        const deposits = (this.bankDeposits ? this.bankDeposits.deposits : [])
+            .filter(deposit => deposit.storeId === storeId)
+            .map(deposit => ({
+                type: 'deposit',
+                date: deposit.depositDate,
+                amount: -deposit.amount,
+                depositId: deposit.depositId,
+                description: `Deposit bag ${deposit.bagNumber}`
+            }));
+
+        const recorded = this.transactions
+            .filter(transaction => transaction.storeId === storeId)
+            .map(transaction => ({
+                type: transaction.type,
+                date: transaction.date,
+                amount: SafeLedger.TYPES[transaction.type].direction * transaction.amount,
+                registerNumber: transaction.registerNumber,
+                transactionId: transaction.transactionId,
+                description: [transaction.registerNumber, transaction.reference, transaction.note].filter(Boolean).join(' - ') ||
+                    SafeLedger.TYPES[transaction.type].label
+            }));
+
+        return drops.concat(deposits, recorded).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Cash moved between a register and the safe while the register was closed, from its close on
+     * closeDate to its opening on openDate. Floats are returned at the end of a day and issued at the start of one.
+     */
+    getOvernightMovements(storeId, registerNumber, closeDate, openDate) {
+        const total = (type, inPeriod) => Math.round(this.transactions
+            .filter(transaction => transaction.storeId === storeId && transaction.registerNumber === registerNumber &&
+                transaction.type === type && inPeriod(transaction.date))
+            .reduce((sum, transaction) => sum + transaction.amount, 0) * 100) / 100;
+
+        return {
+            returned: total('float_returned', date => date >= closeDate && date < openDate),
+            issued: total('float_issued', date => date > closeDate && date <= openDate)
+        };
+    }
+
+    /**
+     * Reconcile each safe count against the previous count plus the movements since, as drawers are
+     * reconciled against their opening cash. A count covers movements up to the end of its date,
+     * and the first count of a store only sets the opening balance.
+     */
+    reconcile(salesData, { storeIds = null, threshold = 0 } = {}) {
+        const stores = storeIds || [...new Set(salesData.map(entry => entry.storeId))];
+        const round = amount => Math.round(amount * 100) / 100;
+        const total = movements => round(movements.reduce((sum, movement) => sum + movement.amount, 0));
+
+        const results = stores.map(storeId => {
+            const movements = this.getMovements(salesData, storeId);
+            const counts = this.counts
+                .filter(count => count.storeId === storeId)
+                .sort((a, b) => a.date.localeCompare(b.date));
+
+            const reconciled = counts.map((count, index) => {
+                const previous = counts[index - 1];
+                if (!previous) {
+                    return { ...count, expected: null, difference: 0, cashIn: 0, cashOut: 0, status: 'opening' };
+                }
+
+                const period = movements.filter(movement => movement.date > previous.date && movement.date <= count.date);
+                const expected = round(previous.countedAmount + total(period));
+                const difference = round(count.countedAmount - expected);
+                return {
+                    ...count,
+                    expected: expected,
+                    difference: difference,
+                    cashIn: total(period.filter(movement => movement.amount > 0)),
+                    cashOut: -total(period.filter(movement => movement.amount < 0)),
+                    status: Math.abs(difference) <= threshold ? 'balanced' : 'discrepancy'
+                };
+            });
+
+            const lastCount = reconciled[reconciled.length - 1] || null;
+            const sinceCount = lastCount ? movements.filter(movement => movement.date > lastCount.date) : movements;
+            return {
+                storeId: storeId,
+                counts: reconciled,
+                lastCount: lastCount,
+                movementsSinceCount: sinceCount,
+                // Without a count there is no known starting balance to add movements to
+                expectedBalance: lastCount ? round(lastCount.countedAmount + total(sinceCount)) : null
+            };
+        });
+
+        const allCounts = results.reduce((list, store) => list.concat(store.counts), []);
+        const discrepancies = allCounts.filter(count => count.status === 'discrepancy');
+        return {
+            stores: results,
+            summary: {
+                countCount: allCounts.length,
+                discrepancyCount: discrepancies.length,
+                netDifference: round(discrepancies.reduce((sum, count) => sum + count.difference, 0)),
+                expectedBalance: round(results.reduce((sum, store) => sum + (store.expectedBalance || 0), 0)),
+                uncountedStores: results.filter(store => !store.lastCount).length
+            }
+        };
+    }
+}
+
+// Ways cash moves through the safe: direction is +1 into the safe and -1 out of it.
+// Automatic types come from sales entries and deposit bags; register types name the register.
+SafeLedger.TYPES = {
+    drop: { label: 'Register drop', direction: 1, automatic: true },
+    deposit: { label: 'Bank deposit', direction: -1, automatic: true },
+    change_order: { label: 'Change order received', direction: 1 },
+    float_issued: { label: 'Float issued to register', direction: -1, register: true },
+    float_returned: { label: 'Float returned from register', direction: 1, register: true }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeLedger;
+}
@@ -0,0 +1,223 @@
+/**
+ * Sales Importer for Sales & Cash Reconciliation System
+ * Reads sales entries in bulk from a CSV file, such as history from another system or days a store was offline
+ */
+
+class SalesImporter {
+    constructor(dataStore = null, currency = null, translator = null) {
+        this.dataStore = dataStore;
+        this.currency = currency || new CurrencyFormatter();
+        this.translator = translator || new Translator();
+        this.csvReader = new CsvReader();
+        // Spreadsheets name their columns differently, so the CSV columns are mapped to entry fields
+        this.mapping = { ...SalesImporter.DEFAULT_MAPPING };
+        this.ready = this.loadMapping();
+    }
+
+    /**
+     * Load the column mapping from the data store
+     */
+    async loadMapping() {
+        if (!this.dataStore) return;
+
+        try {
+            const savedMapping = await this.dataStore.getSetting('salesImportMapping');
+            if (savedMapping) {
+                this.mapping = { ...this.mapping, ...savedMapping };
+            }
+        } catch (error) {
+            console.error('Failed to load sales import columns:', error);
+        }
+    }
+
+    /**
+     * Save the column mapping used for future imports
+     */
+    async saveMapping(fields) {
+        const mapping = { ...this.mapping };
+        Object.keys(SalesImporter.FIELDS).forEach(field => {
+            if (fields[field] !== undefined) {
+                mapping[field] = String(fields[field]).trim();
+            }
+        });
+        if (fields.dateFormat !== undefined) {
+            mapping.dateFormat = fields.dateFormat;
+        }
+        if (fields.decimalSeparator !== undefined) {
+            mapping.decimalSeparator = fields.decimalSeparator;
+        }
+
+        const errors = this.csvReader.validateMapping(SalesImporter.FIELDS, mapping);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.mapping = mapping;
+        if (this.dataStore) {
+            await this.dataStore.putSetting('salesImportMapping', mapping);
+        }
+        return mapping;
+    }
+
+    /**
+     * Read entries from CSV text using the column mapping. Each row is returned with its line number,
+     * the entry read from it and the problems found; rows with problems have no entry.
+     * Rows without a store are put in the given store.
+     */
+    readEntries(text, { storeId, stores = [], registers = [], mapping = this.mapping } = {}) {
+        const idPrefix = Date.now().toString();
+        const seen = new Map();
+
+        return this.csvReader.readRecords(text, SalesImporter.FIELDS, mapping, 'sales file').map(({ line, values }, index) => {
+            const errors = [];
+            const date = this.csvReader.parseDate(values.date, mapping.dateFormat);
+            const store = this.resolveStore(values.storeId, stores);
+            const shiftNumber = values.shiftNumber ? Number(values.shiftNumber) : 1;
+            const amounts = {};
+
+            if (!date) errors.push(this.translator.t('import.error.date', { value: values.date, format: mapping.dateFormat }));
+            if (values.storeId && !store) errors.push(this.translator.t('import.error.store', { value: values.storeId }));
+            if (!values.storeId && (!storeId || storeId === 'all')) errors.push(this.translator.t('import.error.noStore'));
+            if (!values.registerNumber) errors.push(this.translator.t('import.error.register'));
+            if (!values.cashierId) errors.push(this.translator.t('import.error.cashier'));
+            if (!Number.isInteger(shiftNumber) || shiftNumber < 1) {
+                errors.push(this.translator.t('import.error.shift', { value: values.shiftNumber }));
+            }
+            SalesImporter.AMOUNT_FIELDS.forEach(field => {
+                if (!values[field] && !SalesImporter.FIELDS[field].required) {
+                    amounts[field] = 0;
+                    return;
+                }
+                amounts[field] = this.csvReader.parseAmount(values[field], mapping.decimalSeparator);
+                const label = this.translator.t(`import.field.${field}`);
+                if (amounts[field] === null) {
+                    errors.push(this.translator.t('import.error.amount', { field: label, value: values[field] }));
+                } else if (amounts[field] < 0) {
+                    errors.push(this.translator.t('import.error.negative', { field: label }));
+                }
+            });
+
+            if (errors.length > 0) {
+                return { line: line, entry: null, errors: errors };
+            }
+
+            const entry = this.buildEntry({
+                id: `${idPrefix}-${index + 1}`,
+                storeId: store ? store.id : storeId,
+                date: date,
+                registerNumber: this.resolveRegister(values.registerNumber, registers),
+                shiftNumber: shiftNumber,
+                cashierId: values.cashierId.toUpperCase(),
+                ...amounts
+            });
+
+            // The same register, day and shift twice in one file is a mistake in the file
+            const key = SalesImporter.getEntryKey(entry);
+            if (seen.has(key)) {
+                return { line: line, entry: null, errors: [this.translator.t('import.error.repeat', { line: seen.get(key) })] };
+            }
+            seen.set(key, line);
+
+            return { line: line, entry: entry, errors: [] };
+        });
+    }
+
+    /**
+     * Build an entry with the fields the entry form would give it. Refunds are not split by tender,
+     * so they are all taken as cash, as for entries recorded before the split.
+     */
+    buildEntry(fields) {
+        return {
+            ...fields,
+            openingCount: null,
+            closingCount: null,
+            foreignCash: [],
+            foreignCashValue: 0,
+            taxLines: [],
+            exemptSales: 0,
+            taxableSales: 0,
+            taxCollected: 0,
+            tenders: [],
+            otherTenderSales: 0,
+            drawerTenderSales: 0,
+            refundCount: 0,
+            refundReasons: {},
+            pettyCash: [],
+            paidOuts: 0,
+            paidIns: 0,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Find the entry already recorded for the same store, date, register and shift
+     */
+    findDuplicate(entry, entries) {
+        const key = SalesImporter.getEntryKey(entry);
+        return entries.find(existing => SalesImporter.getEntryKey(existing) === key) || null;
+    }
+
+    /**
+     * Match a store column value to a store by ID or name
+     */
+    resolveStore(value, stores) {
+        if (!value) return null;
+
+        const needle = value.toLowerCase();
+        return stores.find(store => store.id.toLowerCase() === needle || (store.name || '').toLowerCase() === needle) || null;
+    }
+
+    /**
+     * Match a register column value to a roster register by ID or name
+     */
+    resolveRegister(value, registers) {
+        const needle = value.toLowerCase();
+        const register = registers.find(r => r.id.toLowerCase() === needle || (r.name || '').toLowerCase() === needle);
+        return register ? register.id : value.toUpperCase();
+    }
+
+    /**
+     * An entry's store, date, register and shift, which only one entry may have
+     */
+    static getEntryKey(entry) {
+        return [entry.storeId, entry.date, entry.registerNumber, entry.shiftNumber || 1].join('|');
+    }
+}
+
+SalesImporter.FIELDS = {
+    date: { label: 'Date', required: true },
+    storeId: { label: 'Store', required: false },
+    registerNumber: { label: 'Register', required: true },
+    shiftNumber: { label: 'Shift', required: false },
+    cashierId: { label: 'Cashier', required: true },
+    openingCash: { label: 'Opening cash', required: true },
+    cashSales: { label: 'Cash sales', required: true },
+    cardSales: { label: 'Card sales', required: true },
+    returnsRefunds: { label: 'Returns', required: false },
+    cashDrops: { label: 'Cash drops', required: false },
+    closingCash: { label: 'Closing cash', required: true }
+};
+
+SalesImporter.AMOUNT_FIELDS = ['openingCash', 'cashSales', 'cardSales', 'returnsRefunds', 'cashDrops', 'closingCash'];
+
+// Matches the headings of the CSV export, so exported entries can be imported again
+SalesImporter.DEFAULT_MAPPING = {
+    date: 'Date',
+    storeId: 'Store',
+    registerNumber: 'Register',
+    shiftNumber: 'Shift',
+    cashierId: 'Cashier',
+    openingCash: 'Opening Cash',
+    cashSales: 'Cash Sales',
+    cardSales: 'Card Sales',
+    returnsRefunds: 'Returns',
+    cashDrops: 'Cash Drops',
+    closingCash: 'Closing Cash',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SalesImporter;
+}
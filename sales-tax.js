@@ -0,0 +1,149 @@
+/**
+ * Sales Tax Calculator for Sales & Cash Reconciliation System
+ * Checks the tax collected at each rate and totals tax by rate and register for tax reports
+ */
+
+class SalesTaxCalculator {
+    constructor(currency = null) {
+        this.currency = currency || new CurrencyFormatter();
+    }
+
+    /**
+     * Tax due on a taxable amount at a rate given in percent
+     */
+    calculateTax(taxableSales, rate) {
+        return this.currency.round((Number(taxableSales) || 0) * (Number(rate) || 0) / 100);
+    }
+
+    /**
+     * Build an entry's tax fields from the amounts entered at each rate.
+     * Each line keeps the rate it was collected at, so later rate changes do not alter old entries.
+     */
+    buildTaxFields(lines, exemptSales = 0) {
+        const taxLines = (lines || [])
+            .map(line => ({
+                name: String(line.name || '').trim(),
+                rate: Number(line.rate) || 0,
+                taxableSales: this.currency.round(line.taxableSales),
+                taxCollected: this.currency.round(line.taxCollected)
+            }))
+            .filter(line => line.taxableSales !== 0 || line.taxCollected !== 0);
+
+        return {
+            taxLines: taxLines,
+            taxableSales: this.currency.round(taxLines.reduce((sum, line) => sum + line.taxableSales, 0)),
+            exemptSales: this.currency.round(exemptSales),
+            taxCollected: this.currency.round(taxLines.reduce((sum, line) => sum + line.taxCollected, 0))
+        };
+    }
+
+    /**
+     * Compare the tax collected at each of an entry's rates with the tax due,
+     * returning the lines that differ by more than the tolerance
+     */
+    findMismatches(entry, tolerance = 0) {
+        return (entry.taxLines || [])
+            .map(line => {
+                const expectedTax = this.calculateTax(line.taxableSales, line.rate);
+                return { ...line, expectedTax: expectedTax, difference: this.currency.round(line.taxCollected - expectedTax) };
+            })
+            .filter(line => Math.abs(line.difference) > tolerance + 0.000001);
+    }
+
+    /**
+     * Total taxable sales, exempt sales and tax collected for a period, overall, by rate and by register
+     */
+    summarize(entries) {
+        const empty = () => ({ entries: 0, taxableSales: 0, exemptSales: 0, taxCollected: 0, expectedTax: 0, difference: 0 });
+        const totals = empty();
+        const byRate = new Map();
+        const byRegister = new Map();
+
+        entries.forEach(entry => {
+            const registerKey = `${entry.storeId || ''}|${entry.registerNumber}`;
+            const register = byRegister.get(registerKey) ||
+                { storeId: entry.storeId || '', registerNumber: entry.registerNumber, ...empty() };
+            const expectedTax = (entry.taxLines || []).reduce((sum, line) => sum + this.calculateTax(line.taxableSales, line.rate), 0);
+
+            [totals, register].forEach(summary => {
+                summary.entries++;
+                summary.taxableSales += entry.taxableSales || 0;
+                summary.exemptSales += entry.exemptSales || 0;
+                summary.taxCollected += entry.taxCollected || 0;
+                summary.expectedTax += expectedTax;
+            });
+            byRegister.set(registerKey, register);
+
+            // Rates are kept apart by name and percentage, so a rate change starts a new line
+            (entry.taxLines || []).forEach(line => {
+                const rateKey = `${line.name}|${line.rate}`;
+                const rate = byRate.get(rateKey) || { name: line.name, rate: line.rate, ...empty() };
+                rate.entries++;
+                rate.taxableSales += line.taxableSales;
+                rate.taxCollected += line.taxCollected;
+                rate.expectedTax += this.calculateTax(line.taxableSales, line.rate);
+                byRate.set(rateKey, rate);
+            });
+        });
+
+        const finish = summary => {
+            ['taxableSales', 'exemptSales', 'taxCollected', 'expectedTax'].forEach(key => {
+                summary[key] = this.currency.round(summary[key]);
+            });
+            summary.difference = this.currency.round(summary.taxCollected - summary.expectedTax);
+            return summary;
+        };
+
+        return {
+            totals: finish(totals),
+            byRate: [...byRate.values()].map(finish)
+                .sort((a, b) => a.name.localeCompare(b.name) || a.rate - b.rate),
+            byRegister: [...byRegister.values()].map(finish)
+                .sort((a, b) => a.storeId.localeCompare(b.storeId) || String(a.registerNumber).localeCompare(String(b.registerNumber)))
+        };
+    }
+
+    /**
+     * Read tax rates from a list or from text such as "State 6.25%, City 1%"
+     */
+    static parseRates(value) {
+        if (Array.isArray(value)) {
+            return value.map(rate => ({ name: String(rate.name || '').trim(), rate: Number(rate.rate) }));
+        }
+
+        return String(value || '').split(/[,;]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(.*?)\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+            return match ? { name: match[1].trim(), rate: Number(match[2]) } : { name: part, rate: NaN };
+        });
+    }
+
+    /**
+     * Write tax rates as text, e.g. "State 6.25%, City 1%"
+     */
+    static formatRates(rates) {
+        return (rates || []).map(rate => `${rate.name} ${rate.rate}%`).join(', ');
+    }
+
+    /**
+     * Decimal places needed to show a rate in full, e.g. 2 for 6.25%
+     */
+    static getRateDecimals(rate) {
+        const decimals = String(Number(rate) || 0).split('.')[1];
+        return decimals ? Math.min(decimals.length, 4) : 0;
+    }
+
+    /**
+     * Check a list of tax rates, returning the rates that are not usable.
+     * Names cannot contain ":" or ";", which separate tax lines in the sheet.
+     */
+    static findInvalidRates(rates) {
+        return rates.filter((rate, index) =>
+            !rate.name || /[:;]/.test(rate.name) || !isFinite(rate.rate) || rate.rate < 0 || rate.rate > 100 ||
+            rates.findIndex(other => other.name.toLowerCase() === rate.name.toLowerCase()) !== index);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SalesTaxCalculator;
+}
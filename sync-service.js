@@ -0,0 +1,538 @@
+/**
+ * Sync Service for Sales & Cash Reconciliation System
+ * Keeps browser entries and the Google Sheets backend in step, queueing changes while offline
+ */
+
+class SyncService {
+    constructor(dataStore, callbacks = {}) {
+        this.dataStore = dataStore;
+        this.onEntriesChanged = callbacks.onEntriesChanged || (() => {});
+        this.onStatusChange = callbacks.onStatusChange || (() => {});
+        this.onPeriodCloseSynced = callbacks.onPeriodCloseSynced || (() => {});
+        this.onSettingsPulled = callbacks.onSettingsPulled || (() => {});
+        this.getSettings = callbacks.getSettings || (() => null);
+        this.syncSettings = {
+            endpointUrl: '',
+            apiToken: '',
+            syncInterval: 5 // minutes
+        };
+        this.lastPulledAt = null;
+        this.lastSyncedAt = null;
+        this.registersSyncedAt = null;
+        this.settingsSyncedAt = null;
+        this.lastError = null;
+        this.isSyncing = false;
+        this.syncTimer = null;
+        this.ready = this.loadSyncSettings();
+    }
+
+    /**
+     * Load saved sync settings and the last pull position from the data store
+     */
+    async loadSyncSettings() {
+        try {
+            const savedSettings = await this.dataStore.getSetting('syncSettings');
+            if (savedSettings) {
+                this.syncSettings = { ...this.syncSettings, ...savedSettings };
+            }
+
+            const syncState = await this.dataStore.getSetting('syncState') || {};
+            this.lastPulledAt = syncState.lastPulledAt || null;
+            this.lastSyncedAt = syncState.lastSyncedAt || null;
+            this.registersSyncedAt = syncState.registersSyncedAt || null;
+            this.settingsSyncedAt = syncState.settingsSyncedAt || null;
+        } catch (error) {
+            console.error('Failed to load sync settings:', error);
+        }
+    }
+
+    /**
+     * Update sync settings
+     */
+    async updateSyncSettings(newSettings) {
+        const endpointChanged = newSettings.endpointUrl !== undefined &&
+            newSettings.endpointUrl !== this.syncSettings.endpointUrl;
+
+        this.syncSettings = { ...this.syncSettings, ...newSettings };
+        await this.dataStore.putSetting('syncSettings', this.syncSettings);
+
+        // A different spreadsheet needs a full pull, the register roster and the settings
+        if (endpointChanged) {
+            this.lastPulledAt = null;
+            this.registersSyncedAt = null;
+            this.settingsSyncedAt = null;
+            await this.saveSyncState();
+        }
+
+        this.notifyStatus();
+    }
+
+    /**
+     * Check whether a backend endpoint and token are set
+     */
+    isConfigured() {
+        return Boolean(this.syncSettings.endpointUrl && this.syncSettings.apiToken);
+    }
+
+    /**
+     * Sync now, whenever the browser comes back online, and on an interval
+     */
+    async start() {
+        await this.ready;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.syncNow());
+            window.addEventListener('offline', () => this.notifyStatus());
+        }
+
+        setInterval(() => this.syncNow(), this.syncSettings.syncInterval * 60000);
+        return this.syncNow();
+    }
+
+    /**
+     * Queue a created or edited entry for the sheet, with the manager unlock it was made under in a closed period
+     */
+    queueUpsert(entry, unlock = null) {
+        return this.enqueue({
+            type: 'upsert',
+            entryId: entry.id,
+            entry: entry,
+            baseUpdatedAt: this.getRemoteUpdatedAt(entry),
+            unlock: unlock
+        });
+    }
+
+    /**
+     * Queue a deleted entry for removal from the sheet, with the manager unlock it was made under in a closed period
+     */
+    async queueDelete(entry, unlock = null) {
+        // Entries that never reached the sheet only need their pending upsert dropped
+        if (!this.getRemoteUpdatedAt(entry)) {
+            await this.dataStore.deleteByIndex('syncQueue', 'entryId', IDBKeyRange.only(entry.id));
+            this.notifyStatus();
+            return;
+        }
+
+        return this.enqueue({
+            type: 'delete',
+            entryId: entry.id,
+            entry: null,
+            baseUpdatedAt: this.getRemoteUpdatedAt(entry),
+            unlock: unlock
+        });
+    }
+
+    /**
+     * Queue an audit record for the sheet's Audit_Log
+     */
+    async queueAuditRecord(record) {
+        await this.dataStore.put('auditOutbox', record);
+        this.scheduleSync();
+    }
+
+    /**
+     * Add a change to the queue, replacing any older change for the same entry
+     */
+    async enqueue(change) {
+        await this.dataStore.deleteByIndex('syncQueue', 'entryId', IDBKeyRange.only(change.entryId));
+        await this.dataStore.put('syncQueue', { ...change, queuedAt: new Date().toISOString() });
+
+        this.notifyStatus();
+        this.scheduleSync();
+    }
+
+    /**
+     * Sync shortly after a burst of local changes
+     */
+    scheduleSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncNow(), 2000);
+    }
+
+    /**
+     * Push queued changes, then pull sheet edits
+     */
+    async syncNow() {
+        if (!this.isConfigured() || this.isSyncing) return false;
+
+        if (!this.isOnline()) {
+            this.notifyStatus();
+            return false;
+        }
+
+        this.isSyncing = true;
+        this.notifyStatus();
+
+        try {
+            await this.pushChanges();
+            await this.pullChanges();
+
+            this.lastError = null;
+            this.lastSyncedAt = new Date().toISOString();
+            await this.saveSyncState();
+            return true;
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.lastError = error.message;
+            return false;
+        } finally {
+            this.isSyncing = false;
+            this.notifyStatus();
+        }
+    }
+
+    /**
+     * Send queued changes and audit records to the sheet
+     */
+    async pushChanges() {
+        const [changes, auditRecords, closes, appSettings] = await Promise.all([
+            this.dataStore.getAll('syncQueue'),
+            this.dataStore.getAll('auditOutbox'),
+            this.dataStore.getAll('periodCloses'),
+            this.dataStore.getSetting('appSettings')
+        ]);
+        const periodCloses = closes.filter(close => !close.syncedAt);
+
+        // The sheet's Registers list mirrors the roster, sent whenever it changes
+        const rosterUpdatedAt = appSettings && appSettings.registersUpdatedAt;
+        const registers = rosterUpdatedAt && rosterUpdatedAt !== this.registersSyncedAt ? appSettings.registers : null;
+
+        // Likewise the Settings sheet, once settings have been saved in the browser
+        const settingsUpdatedAt = appSettings && appSettings.settingsUpdatedAt;
+        const settings = settingsUpdatedAt && settingsUpdatedAt !== this.settingsSyncedAt ? this.getSettings() : null;
+
+        if (changes.length === 0 && auditRecords.length === 0 && periodCloses.length === 0 && !registers && !settings) return;
+
+        const response = await this.request('sync.push', {
+            changes: changes.map(change => ({
+                type: change.type,
+                entryId: change.entryId,
+                entry: change.entry,
+                baseUpdatedAt: change.baseUpdatedAt,
+                unlock: change.unlock || null
+            })),
+            auditRecords: auditRecords,
+            periodCloses: periodCloses.map(({ syncedAt, ...close }) => close),
+            registers: registers,
+            settings: settings
+        });
+
+        if (registers) {
+            this.registersSyncedAt = rosterUpdatedAt;
+        }
+        if (settings) {
+            this.settingsSyncedAt = settingsUpdatedAt;
+        }
+        if (registers || settings) {
+            await this.saveSyncState();
+        }
+
+        // The sheet logs audit records whether or not their change applied
+        for (const record of auditRecords) {
+            await this.dataStore.delete('auditOutbox', record.recordId);
+        }
+
+        for (const closeId of response.periodClosesApplied || []) {
+            const sent = periodCloses.find(close => close.closeId === closeId);
+            await this.onPeriodCloseSynced(closeId, sent ? sent.unlocks.length : 0, new Date().toISOString());
+        }
+
+        const upserted = [];
+        const errors = [];
+
+        for (const result of response.results) {
+            const change = changes.find(c => c.entryId === result.entryId);
+            if (!change) continue;
+
+            if (result.status === 'applied') {
+                await this.dataStore.delete('syncQueue', change.queueId);
+                if (change.type === 'upsert') {
+                    const entry = await this.markSynced(change.entryId, result.updatedAt);
+                    if (entry) upserted.push(entry);
+                }
+            } else if (result.status === 'conflict') {
+                await this.saveConflict(change, result.remote, result.closes);
+            } else {
+                errors.push(`${result.entryId}: ${result.error}${result.details ? ' (' + result.details.errors.map(e => e.message).join(', ') + ')' : ''}`);
+            }
+        }
+
+        if (upserted.length > 0) {
+            this.onEntriesChanged({ upserted: upserted, deleted: [], source: 'push' });
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Sheet rejected ${errors.length} change(s) - ${errors.join('; ')}`);
+        }
+    }
+
+    /**
+     * Record the sheet's version of a pushed entry
+     */
+    async markSynced(entryId, remoteUpdatedAt) {
+        // Changes queued while the push was in flight now build on this version
+        const pending = await this.dataStore.getAllByIndex('syncQueue', 'entryId', IDBKeyRange.only(entryId));
+        if (pending.length > 0) {
+            await this.dataStore.putAll('syncQueue', pending.map(change => ({ ...change, baseUpdatedAt: remoteUpdatedAt })));
+        }
+
+        const entry = await this.dataStore.get('salesEntries', entryId);
+        if (!entry) return null;
+
+        const syncedEntry = { ...entry, sync: { remoteUpdatedAt: remoteUpdatedAt } };
+        await this.dataStore.put('salesEntries', syncedEntry);
+        return syncedEntry;
+    }
+
+    /**
+     * Pull entries edited, added or deleted in the sheet since the last pull
+     */
+    async pullChanges() {
+        const response = await this.request('sync.pull', { since: this.lastPulledAt });
+
+        const pending = await this.dataStore.getAll('syncQueue');
+        const pendingByEntry = {};
+        pending.forEach(change => {
+            pendingByEntry[change.entryId] = change;
+        });
+
+        const localEntries = await this.dataStore.getAll('salesEntries');
+        const localById = {};
+        localEntries.forEach(entry => {
+            localById[entry.id] = entry;
+        });
+
+        const upserted = [];
+        const deleted = [];
+
+        for (const remote of response.entries) {
+            const change = pendingByEntry[remote.id];
+
+            if (change) {
+                // Both sides changed the entry, so the user decides which to keep
+                if (remote.updatedAt !== change.baseUpdatedAt) {
+                    await this.saveConflict(change, remote);
+                }
+                continue;
+            }
+
+            const entry = this.toLocalEntry(remote, localById[remote.id]);
+            await this.dataStore.put('salesEntries', entry);
+            upserted.push(entry);
+        }
+
+        // Previously synced entries missing from the sheet were deleted there
+        const remoteIds = new Set(response.entryIds);
+        for (const entry of localEntries) {
+            if (!this.getRemoteUpdatedAt(entry) || remoteIds.has(entry.id)) continue;
+
+            const change = pendingByEntry[entry.id];
+            if (change) {
+                await this.saveConflict(change, null);
+                continue;
+            }
+
+            await this.dataStore.delete('salesEntries', entry.id);
+            deleted.push(entry.id);
+        }
+
+        this.lastPulledAt = response.serverTime;
+        await this.saveSyncState();
+
+        // Settings edited in the sheet apply unless the browser has changes still to send
+        const appSettings = await this.dataStore.getSetting('appSettings');
+        const settingsUpdatedAt = appSettings && appSettings.settingsUpdatedAt;
+        if (response.settings && (!settingsUpdatedAt || settingsUpdatedAt === this.settingsSyncedAt)) {
+            await this.onSettingsPulled(response.settings);
+        }
+
+        if (upserted.length > 0 || deleted.length > 0) {
+            this.onEntriesChanged({ upserted: upserted, deleted: deleted, source: 'sheet' });
+        }
+    }
+
+    /**
+     * Convert a sheet entry to a browser entry, keeping its original creation time
+     */
+    toLocalEntry(remote, localEntry = null) {
+        const { updatedAt, ...entry } = remote;
+
+        return {
+            ...entry,
+            timestamp: (localEntry && localEntry.timestamp) || updatedAt,
+            sync: { remoteUpdatedAt: updatedAt }
+        };
+    }
+
+    /**
+     * Get the sheet version an entry was last synced at
+     */
+    getRemoteUpdatedAt(entry) {
+        return (entry && entry.sync && entry.sync.remoteUpdatedAt) || null;
+    }
+
+    /**
+     * Park a conflicting change until the user resolves it. Changes the sheet refused because
+     * its closes lock the entry carry those closes.
+     */
+    async saveConflict(change, remote, closes = null) {
+        await this.dataStore.put('syncConflicts', {
+            entryId: change.entryId,
+            localChange: change.type,
+            local: change.entry,
+            remote: remote,
+            closes: closes || null,
+            detectedAt: new Date().toISOString()
+        });
+        await this.dataStore.delete('syncQueue', change.queueId);
+    }
+
+    /**
+     * Get unresolved conflicts
+     */
+    getConflicts() {
+        return this.dataStore.getAll('syncConflicts');
+    }
+
+    /**
+     * List the fields that differ between the browser and sheet versions
+     */
+    describeConflict(conflict) {
+        if (!conflict.local || !conflict.remote) return [];
+
+        return SyncService.COMPARED_FIELDS
+            .filter(field => String(conflict.local[field.key] ?? '') !== String(conflict.remote[field.key] ?? ''))
+            .map(field => ({
+                key: field.key,
+                label: field.label,
+                local: conflict.local[field.key],
+                remote: conflict.remote[field.key]
+            }));
+    }
+
+    /**
+     * Resolve a conflict by keeping the browser ('local') or sheet ('remote') version.
+     * Keeping the browser version of an entry in a closed period needs a manager unlock.
+     */
+    async resolveConflict(entryId, resolution, unlock = null) {
+        const conflict = await this.dataStore.get('syncConflicts', entryId);
+        if (!conflict) return;
+
+        const remoteUpdatedAt = conflict.remote ? conflict.remote.updatedAt : null;
+
+        if (resolution === 'local') {
+            // Re-queue the browser's change on top of the sheet's current version
+            if (conflict.localChange === 'upsert') {
+                await this.enqueue({ type: 'upsert', entryId: entryId, entry: conflict.local, baseUpdatedAt: remoteUpdatedAt, unlock: unlock });
+            } else if (conflict.remote) {
+                await this.enqueue({ type: 'delete', entryId: entryId, entry: null, baseUpdatedAt: remoteUpdatedAt, unlock: unlock });
+            }
+        } else if (conflict.remote) {
+            const entry = this.toLocalEntry(conflict.remote, conflict.local);
+            await this.dataStore.put('salesEntries', entry);
+            this.onEntriesChanged({ upserted: [entry], deleted: [], source: 'sheet' });
+        } else {
+            await this.dataStore.delete('salesEntries', entryId);
+            this.onEntriesChanged({ upserted: [], deleted: [entryId], source: 'sheet' });
+        }
+
+        await this.dataStore.delete('syncConflicts', entryId);
+        this.notifyStatus();
+    }
+
+    /**
+     * Call the Apps Script web app
+     */
+    async request(action, payload = {}) {
+        const response = await fetch(this.syncSettings.endpointUrl, {
+            method: 'POST',
+            // A plain text body avoids the CORS preflight Apps Script cannot answer
+            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+            body: JSON.stringify({ action: action, token: this.syncSettings.apiToken, ...payload })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Sync request failed (HTTP ${response.status})`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error((result.error && result.error.message) || 'Sync request failed');
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Check whether the browser reports a network connection
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Save the last pull position
+     */
+    saveSyncState() {
+        return this.dataStore.putSetting('syncState', {
+            lastPulledAt: this.lastPulledAt,
+            lastSyncedAt: this.lastSyncedAt,
+            registersSyncedAt: this.registersSyncedAt,
+            settingsSyncedAt: this.settingsSyncedAt
+        });
+    }
+
+    /**
+     * Get a summary of the sync state for display
+     */
+    async getStatus() {
+        const [pending, conflicts] = await Promise.all([
+            this.dataStore.getAll('syncQueue'),
+            this.dataStore.getAll('syncConflicts')
+        ]);
+
+        return {
+            configured: this.isConfigured(),
+            online: this.isOnline(),
+            syncing: this.isSyncing,
+            pendingCount: pending.length,
+            conflictCount: conflicts.length,
+            lastSyncedAt: this.lastSyncedAt,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Report the current sync state to the UI
+     */
+    async notifyStatus() {
+        try {
+            this.onStatusChange(await this.getStatus());
+        } catch (error) {
+            console.error('Failed to read sync status:', error);
+        }
+    }
+}
+
+// Entry fields shown side by side when resolving a conflict
+SyncService.COMPARED_FIELDS = [
+    { key: 'storeId', label: 'Store' },
+    { key: 'date', label: 'Date' },
+    { key: 'registerNumber', label: 'Register' },
+    { key: 'shiftNumber', label: 'Shift' },
+    { key: 'cashierId', label: 'Cashier' },
+    { key: 'openingCash', label: 'Opening Cash' },
+    { key: 'cashSales', label: 'Cash Sales' },
+    { key: 'cardSales', label: 'Card Sales' },
+    { key: 'otherTenderSales', label: 'Other Tenders' },
+    { key: 'returnsRefunds', label: 'Returns & Refunds' },
+    { key: 'paidOuts', label: 'Paid-Outs' },
+    { key: 'paidIns', label: 'Paid-Ins' },
+    { key: 'cashDrops', label: 'Cash Drops' },
+    { key: 'closingCash', label: 'Closing Cash' }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncService;
+}
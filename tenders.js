@@ -0,0 +1,95 @@
+/**
+ * Tender Calculator for Sales & Cash Reconciliation System
+ * Totals the sales taken in tenders other than cash and card, such as gift cards, checks or EBT
+ */
+
+class TenderCalculator {
+    constructor(currency = null) {
+        this.currency = currency || new CurrencyFormatter();
+    }
+
+    /**
+     * Build an entry's tender fields from the amounts taken in each tender.
+     * Each tender keeps whether it went into the drawer, so later setting changes do not alter old entries.
+     */
+    buildTenderFields(amounts) {
+        const tenders = (amounts || [])
+            .map(tender => ({
+                name: String(tender.name || '').trim(),
+                drawer: Boolean(tender.drawer),
+                amount: this.currency.round(tender.amount)
+            }))
+            .filter(tender => tender.amount !== 0);
+
+        return {
+            tenders: tenders,
+            otherTenderSales: this.currency.round(tenders.reduce((sum, tender) => sum + tender.amount, 0)),
+            drawerTenderSales: this.currency.round(tenders.filter(tender => tender.drawer).reduce((sum, tender) => sum + tender.amount, 0))
+        };
+    }
+
+    /**
+     * Total sales by tender for a set of entries, cash and card first, then the configured
+     * tender types in order, then any tender only found on older entries
+     */
+    summarize(entries, tenderTypes = []) {
+        const totals = new Map();
+        const add = (key, name, drawer, amount) => {
+            const total = totals.get(key) || { key: key, name: name, drawer: drawer, amount: 0 };
+            total.amount += amount || 0;
+            totals.set(key, total);
+        };
+
+        add('cash', 'Cash', true, 0);
+        add('card', 'Card', false, 0);
+        tenderTypes.forEach(type => add(type.name.toLowerCase(), type.name, type.drawer, 0));
+
+        entries.forEach(entry => {
+            add('cash', 'Cash', true, entry.cashSales);
+            add('card', 'Card', false, entry.cardSales);
+            (entry.tenders || []).forEach(tender => add(tender.name.toLowerCase(), tender.name, tender.drawer, tender.amount));
+        });
+
+        return [...totals.values()].map(total => ({ ...total, amount: this.currency.round(total.amount) }));
+    }
+
+    /**
+     * Read tender types from a list or from text such as "Gift Card, Check (in drawer), EBT"
+     */
+    static parseTypes(value) {
+        if (Array.isArray(value)) {
+            return value.map(type => ({ name: String(type.name || '').trim(), drawer: Boolean(type.drawer) }));
+        }
+
+        return String(value || '').split(/[,;]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const drawer = TenderCalculator.DRAWER_MARK.test(part);
+            return { name: part.replace(TenderCalculator.DRAWER_MARK, '').trim(), drawer: drawer };
+        });
+    }
+
+    /**
+     * Write tender types as text, e.g. "Gift Card, Check (in drawer), EBT"
+     */
+    static formatTypes(types) {
+        return (types || []).map(type => type.drawer ? `${type.name} (in drawer)` : type.name).join(', ');
+    }
+
+    /**
+     * Check a list of tender types, returning the types that are not usable.
+     * Cash and card are always taken, so they cannot be added again, and names cannot
+     * contain ":" or ";", which separate tenders in the sheet.
+     */
+    static findInvalidTypes(types) {
+        return types.filter((type, index) =>
+            !type.name || /[:;]/.test(type.name) || ['cash', 'card'].includes(type.name.toLowerCase()) ||
+            types.findIndex(other => other.name.toLowerCase() === type.name.toLowerCase()) !== index);
+    }
+}
+
+// Marks a tender type that is kept in the cash drawer, such as checks
+TenderCalculator.DRAWER_MARK = /\s*\(\s*in drawer\s*\)$/i;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TenderCalculator;
+}
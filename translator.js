@@ -0,0 +1,1655 @@
+/**
+ * Translator for Sales & Cash Reconciliation System
+ * Looks up interface, report and email text in the chosen language and formats dates and numbers for it
+ */
+
+class Translator {
+    constructor(locale = 'en', options = {}) {
+        this.dateStyle = Translator.DATE_STYLES[options.dateStyle] ? options.dateStyle : 'medium';
+        this.setLocale(locale);
+    }
+
+    /**
+     * Switch language. Languages without a catalog fall back to English.
+     */
+    setLocale(locale) {
+        this.locale = Translator.LOCALES[locale] ? locale : 'en';
+        this.intlLocale = Translator.LOCALES[this.locale].intl;
+        return this;
+    }
+
+    /**
+     * Switch the date format used by formatDate
+     */
+    setDateStyle(dateStyle) {
+        this.dateStyle = Translator.DATE_STYLES[dateStyle] ? dateStyle : 'medium';
+        return this;
+    }
+
+    /**
+     * Get a translator for another language with the same date format, e.g. for an email recipient
+     */
+    forLocale(locale) {
+        return new Translator(locale, { dateStyle: this.dateStyle });
+    }
+
+    /**
+     * Translate a key, filling in {name} placeholders from params.
+     * Keys missing from the language fall back to English, then to the key itself.
+     */
+    t(key, params = {}) {
+        const catalog = Translator.CATALOGS[this.locale] || {};
+        const text = catalog[key] !== undefined ? catalog[key] :
+            Translator.CATALOGS.en[key] !== undefined ? Translator.CATALOGS.en[key] : key;
+
+        // Placeholders without a param are left alone, so template tokens such as {{DATE}} survive
+        return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    /**
+     * Format a date as a date only. YYYY-MM-DD strings are read as local dates, so they do not shift a day.
+     */
+    formatDate(value, dateStyle = this.dateStyle) {
+        const date = this.toDate(value);
+        if (!date) return value || '';
+
+        if (dateStyle === 'iso') {
+            return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+                .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+                .join('-');
+        }
+        return date.toLocaleDateString(this.intlLocale, Translator.DATE_STYLES[dateStyle] || Translator.DATE_STYLES.medium);
+    }
+
+    /**
+     * Format a timestamp as a date and time
+     */
+    formatDateTime(value) {
+        const date = this.toDate(value);
+        if (!date) return value || '';
+
+        return `${this.formatDate(date)} ${this.formatTime(date)}`;
+    }
+
+    /**
+     * Format the time of a timestamp, e.g. "3:45 PM" or "15:45"
+     */
+    formatTime(value) {
+        const date = this.toDate(value);
+        if (!date) return value || '';
+
+        return date.toLocaleTimeString(this.intlLocale, { hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Weekday of a date, e.g. "Monday", or "Mon" with the short format
+     */
+    formatWeekday(value, format = 'long') {
+        const date = this.toDate(value);
+        if (!date) return '';
+
+        return date.toLocaleDateString(this.intlLocale, { weekday: format });
+    }
+
+    /**
+     * Format a number with the language's separators
+     */
+    formatNumber(value, decimalPlaces = 0) {
+        return (Number(value) || 0).toLocaleString(this.intlLocale, {
+            minimumFractionDigits: decimalPlaces,
+            maximumFractionDigits: decimalPlaces
+        });
+    }
+
+    /**
+     * Format a percentage given out of 100, e.g. 97.5 as "97.5%"
+     */
+    formatPercent(value, decimalPlaces = 1) {
+        return ((Number(value) || 0) / 100).toLocaleString(this.intlLocale, {
+            style: 'percent',
+            minimumFractionDigits: decimalPlaces,
+            maximumFractionDigits: decimalPlaces
+        });
+    }
+
+    /**
+     * Read a Date, timestamp or YYYY-MM-DD string, or null if it is not a date
+     */
+    toDate(value) {
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        if (!value) return null;
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+        return isNaN(date) ? null : date;
+    }
+}
+
+// Languages with a catalog; intl is the locale used for dates and numbers
+Translator.LOCALES = {
+    en: { name: 'English', intl: 'en-US' },
+    es: { name: 'Español', intl: 'es-ES' }
+};
+
+// Date formats a user can choose; iso is formatted by hand so it reads the same in every language
+Translator.DATE_STYLES = {
+    short: { day: '2-digit', month: '2-digit', year: 'numeric' },
+    medium: { day: 'numeric', month: 'short', year: 'numeric' },
+    iso: null
+};
+
+// Text for each language. Interface keys (ui.*) match the data-i18n attributes in index.html.
+Translator.CATALOGS = {};
+
+Translator.CATALOGS.en = {
+    'ui.pageTitle': 'Daily Sales & Cash Reconciliation System',
+    'ui.appTitle': 'Daily Sales & Cash Reconciliation',
+    'ui.appSubtitle': 'Retail Point-of-Sale Support System',
+    'ui.storeLabel': 'Store:',
+    'ui.addStore': 'Add store',
+    'ui.dataEntry': 'Data Entry',
+    'ui.reconciliation': 'Reconciliation',
+    'ui.dashboard': 'Dashboard',
+    'ui.reports': 'Reports',
+    'ui.settings': 'Settings',
+    'ui.salesDataEntry': 'Sales Data Entry',
+    'ui.editing': 'Editing',
+    'ui.cancel': 'Cancel',
+    'ui.store': 'Store',
+    'ui.transactionDate': 'Transaction Date',
+    'ui.registerNumber': 'Register Number',
+    'ui.manageRegisters': 'Manage registers',
+    'ui.selectRegister': 'Select Register',
+    'ui.shift': 'Shift',
+    'ui.shift1': 'Shift 1',
+    'ui.shift2': 'Shift 2',
+    'ui.shift3': 'Shift 3',
+    'ui.cashierId': 'Cashier ID',
+    'ui.cashierIdPlaceholder': 'Employee ID of the person counting the drawer',
+    'ui.openingCash': 'Opening Cash',
+    'ui.countByDenomination': 'Count by denomination',
+    'ui.cashSales': 'Cash Sales',
+    'ui.cardSales': 'Card Sales',
+    'ui.returnsRefunds': 'Returns & Refunds',
+    'ui.cashDrops': 'Cash Drops',
+    'ui.closingCashCount': 'Closing Cash Count',
+    'ui.foreignCashInDrawer': 'Foreign Cash in Drawer',
+    'ui.foreignCashHelp': 'Counted at the day\'s exchange rate and added to the closing cash',
+    'ui.saveEntry': 'Save Entry',
+    'ui.recentEntries': 'Recent Entries',
+    'ui.date': 'Date',
+    'ui.register': 'Register',
+    'ui.totalSales': 'Total Sales',
+    'ui.status': 'Status',
+    'ui.actions': 'Actions',
+    'ui.dataValidation': 'Data Validation',
+    'ui.validationPlaceholder': 'Enter sales data above to see validation results.',
+    'ui.cashReconciliation': 'Cash Reconciliation',
+    'ui.discrepancyCases': 'Discrepancy Cases',
+    'ui.allSeverities': 'All Severities',
+    'ui.high': 'High',
+    'ui.medium': 'Medium',
+    'ui.low': 'Low',
+    'ui.assigneeFilterPlaceholder': 'Assignee or "unassigned"',
+    'ui.cardSettlements': 'Card Settlements',
+    'ui.settlementFile': 'Processor settlement report (CSV)',
+    'ui.columns': 'Columns',
+    'ui.import': 'Import',
+    'ui.bankDeposits': 'Bank Deposits',
+    'ui.statementFile': 'Bank statement (CSV or OFX)',
+    'ui.recordDeposit': 'Record Deposit',
+    'ui.safe': 'Safe',
+    'ui.recordCashMovement': 'Record Cash Movement',
+    'ui.countSafe': 'Count Safe',
+    'ui.reconciliationActions': 'Reconciliation Actions',
+    'ui.runReconciliation': 'Run Reconciliation',
+    'ui.flagDiscrepancies': 'Flag Discrepancies',
+    'ui.sendReport': 'Send Report',
+    'ui.sendWeeklySummary': 'Send Weekly Summary',
+    'ui.exportData': 'Export Data',
+    'ui.reconciliationStatus': 'Reconciliation Status',
+    'ui.pending': 'Pending',
+    'ui.readyToReconcile': 'Ready to reconcile',
+    'ui.periodClose': 'Period Close',
+    'ui.day': 'Day',
+    'ui.week': 'Week',
+    'ui.month': 'Month',
+    'ui.yourNameOrEmployeeId': 'Your name or employee ID',
+    'ui.closePeriod': 'Close Period',
+    'ui.totalSalesToday': 'Total Sales Today',
+    'ui.cashReconciled': 'Cash Reconciled',
+    'ui.discrepancies': 'Discrepancies',
+    'ui.registersActive': 'Registers Active',
+    'ui.salesTrend': 'Sales Trend (7 Days)',
+    'ui.paymentMethods': 'Payment Methods',
+    'ui.cardSettlementWeek': 'Card Settlement (7 Days)',
+    'ui.settled': 'Settled',
+    'ui.variance': 'Variance',
+    'ui.safeBalance': 'Safe Balance',
+    'ui.lastCount': 'Last Count',
+    'ui.counted': 'Counted',
+    'ui.countDifference': 'Count Difference',
+    'ui.netMovementsSince': 'Net Movements Since',
+    'ui.expectedNow': 'Expected Now',
+    'ui.storeRollUp': 'Store Roll-up (Today)',
+    'ui.accuracy': 'Accuracy',
+    'ui.netVariance': 'Net Variance',
+    'ui.generatedReports': 'Generated Reports',
+    'ui.reportType': 'Report Type',
+    'ui.dailyReconciliation': 'Daily Reconciliation',
+    'ui.weeklySummary': 'Weekly Summary',
+    'ui.monthlyOverview': 'Monthly Overview',
+    'ui.discrepanciesReport': 'Discrepancies Report',
+    'ui.cashierScorecards': 'Cashier Scorecards',
+    'ui.fromDate': 'From Date',
+    'ui.toDate': 'To Date',
+    'ui.generateReport': 'Generate Report',
+    'ui.exportAuditLog': 'Export Audit Log',
+    'ui.reconciliationRules': 'Reconciliation Rules',
+    'ui.discrepancyThreshold': 'Discrepancy Threshold',
+    'ui.discrepancyThresholdHelp': 'Differences above this are discrepancies',
+    'ui.largeDiscrepancyThreshold': 'Large Discrepancy Threshold',
+    'ui.largeDiscrepancyThresholdHelp': 'Differences above this are high severity and emailed',
+    'ui.maximumReturns': 'Maximum Returns (%)',
+    'ui.maximumReturnsHelp': 'Of total sales, before returns are flagged',
+    'ui.minimumOpeningCash': 'Minimum Opening Cash',
+    'ui.minimumOpeningCashHelp': 'Drawers opening with less are flagged',
+    'ui.depositTransitDays': 'Deposit Transit Days',
+    'ui.depositTransitDaysHelp': 'Deposits not on the bank statement after this are missing',
+    'ui.storeNotifications': 'Store & Notifications',
+    'ui.storeName': 'Store Name',
+    'ui.storeNameHelp': 'Name of the store in view',
+    'ui.managerEmail': 'Manager Email',
+    'ui.adminEmail': 'Admin Email',
+    'ui.dailyReportTime': 'Daily Report Time',
+    'ui.automaticEmailNotifications': 'Automatic email notifications',
+    'ui.currency': 'Currency',
+    'ui.storeCurrency': 'Store Currency',
+    'ui.storeCurrencyHelp': 'Amounts are reconciled in this currency',
+    'ui.symbol': 'Symbol',
+    'ui.symbolPosition': 'Symbol Position',
+    'ui.decimalPlaces': 'Decimal Places',
+    'ui.cashRounding': 'Cash Rounding',
+    'ui.smallestCashAmount': 'Smallest cash amount, e.g. 0.05; 0 for none',
+    'ui.acceptedForeignCash': 'Accepted Foreign Cash',
+    'ui.foreignCurrenciesPlaceholder': 'e.g. USD, EUR',
+    'ui.foreignCurrenciesHelp': 'Currency codes cashiers may take as cash, converted at the day\'s exchange rate',
+    'ui.resetToDefaults': 'Reset to Defaults',
+    'ui.saveSettings': 'Save Settings',
+    'ui.exchangeRates': 'Exchange Rates',
+    'ui.exchangeRatesIntro': 'Record the day\'s rate for each accepted foreign currency, in store currency per foreign unit. Foreign cash can only be entered for days with a rate.',
+    'ui.rate': 'Rate',
+    'ui.saveRate': 'Save Rate',
+    'ui.discrepancyRules': 'Discrepancy Rules',
+    'ui.discrepancyRulesIntro': 'Store rules run with the built-in checks each time reconciliation runs, e.g. card sales over 5000 on REG003, or cash drops that are not a multiple of 100. Every change is saved as a new version.',
+    'ui.changedBy': 'Changed By',
+    'ui.nameOrEmployeeId': 'Name or employee ID',
+    'ui.earlierVersions': 'Earlier Versions',
+    'ui.restore': 'Restore',
+    'ui.addRule': 'Add Rule',
+    'ui.lastUpdated': 'Last Updated:',
+    'ui.autoSave': 'Auto-save:',
+    'ui.enabled': 'Enabled',
+    'ui.sheetsSync': 'Sheets Sync:',
+    'ui.notConfigured': 'Not configured',
+    'ui.resolveSyncConflicts': 'Resolve sync conflicts',
+    'ui.conflicts': 'conflicts',
+    'ui.syncNow': 'Sync now',
+    'ui.configureSync': 'Configure sync',
+    'ui.emailNotification': 'Email Notification',
+    'ui.close': 'Close',
+    'ui.sendEmail': 'Send Email',
+    'ui.reasonForChange': 'Reason for Change',
+    'ui.reason': 'Reason',
+    'ui.note': 'Note',
+    'ui.noteRequiredForOther': 'Required when the reason is Other',
+    'ui.auditUser': 'Your Name or Employee ID',
+    'ui.auditTrailHelp': 'Changes are kept in a permanent audit trail.',
+    'ui.confirm': 'Confirm',
+    'ui.discrepancyCase': 'Discrepancy Case',
+    'ui.assignee': 'Assignee',
+    'ui.resolutionAmount': 'Resolution Amount',
+    'ui.resolutionAmountHelp': 'Required to resolve or write off',
+    'ui.saveCase': 'Save Case',
+    'ui.fileColumns': 'File Columns',
+    'ui.dateFormat': 'Date Format',
+    'ui.saveColumns': 'Save Columns',
+    'ui.bagNumber': 'Bag Number',
+    'ui.depositDate': 'Deposit Date',
+    'ui.amountInBag': 'Amount in Bag',
+    'ui.cashDropsInThisBag': 'Cash Drops in This Bag',
+    'ui.saveDeposit': 'Save Deposit',
+    'ui.safeMovementHelp': 'Register drops and deposit bags are added to the safe automatically.',
+    'ui.movement': 'Movement',
+    'ui.amount': 'Amount',
+    'ui.reference': 'Reference',
+    'ui.optional': '(optional)',
+    'ui.changeOrderPlaceholder': 'e.g. change order number',
+    'ui.saveMovement': 'Save Movement',
+    'ui.safeCountHelp': 'Count the safe after the day\'s drops and deposits. A recount on the same day replaces the earlier count.',
+    'ui.countedAmount': 'Counted Amount',
+    'ui.countedBy': 'Counted By',
+    'ui.saveCount': 'Save Count',
+    'ui.managerUnlock': 'Manager Unlock',
+    'ui.entryInClosedPeriod': 'This entry is in a closed period:',
+    'ui.approvingManager': 'Approving Manager',
+    'ui.reasonForUnlocking': 'Reason for Unlocking',
+    'ui.unlockHelp': 'The unlock allows one change and is logged on the period close.',
+    'ui.unlock': 'Unlock',
+    'ui.registerRoster': 'Register Roster',
+    'ui.id': 'ID',
+    'ui.name': 'Name',
+    'ui.location': 'Location',
+    'ui.defaultFloat': 'Default Float',
+    'ui.active': 'Active',
+    'ui.registerLocationPlaceholder': 'e.g. Front counter',
+    'ui.activeFrom': 'Active From',
+    'ui.activeTo': 'Active To',
+    'ui.addRegister': 'Add Register',
+    'ui.ruleName': 'Rule Name',
+    'ui.severity': 'Severity',
+    'ui.flagAnEntryWhen': 'Flag an entry when',
+    'ui.all': 'all',
+    'ui.any': 'any',
+    'ui.ofTheseAreTrue': 'of these are true:',
+    'ui.addCondition': 'Add Condition',
+    'ui.message': 'Message',
+    'ui.saveRule': 'Save Rule',
+    'ui.entryHistory': 'Entry History',
+    'ui.syncConflicts': 'Sync Conflicts',
+    'ui.salesTax': 'Sales Tax',
+    'ui.exemptSales': 'Exempt Sales',
+    'ui.salesTaxHelp': 'Taxable sales before tax and the tax collected at each rate, from the register\'s tax report',
+    'ui.taxRates': 'Tax Rates',
+    'ui.taxRatesPlaceholder': 'e.g. State 6.25%, City 1%',
+    'ui.taxRatesHelp': 'Name and percentage of each rate sales are taxed at; leave blank if sales are not taxed',
+    'ui.taxTolerance': 'Tax Tolerance',
+    'ui.taxToleranceHelp': 'Tax collected may differ from the rate by this much per entry',
+    'ui.salesTaxSummary': 'Sales Tax Summary',
+    'ui.otherTenders': 'Other Tenders',
+    'ui.otherTendersHelp': 'Sales taken in each tender; tenders kept in the drawer are counted in the closing cash',
+    'ui.tenders': 'Tenders',
+    'ui.tenderTypes': 'Other Tender Types',
+    'ui.tenderTypesPlaceholder': 'e.g. Gift Card, Check (in drawer), EBT',
+    'ui.tenderTypesHelp': 'Tenders taken besides cash and card; mark those kept in the cash drawer with (in drawer)',
+    'ui.cash': 'Cash',
+    'ui.refundCount': 'Number of Refunds',
+    'ui.refundsByReason': 'Refunds by reason',
+    'ui.refundsHelp': 'Refunds by the tender they were paid in; only those paid from the drawer reduce the expected cash',
+    'ui.returnsAnalysis': 'Returns Analysis',
+    'ui.paidOutsPaidIns': 'Paid-Outs & Paid-Ins',
+    'ui.addPaidOut': 'Add Paid-Out',
+    'ui.addPaidIn': 'Add Paid-In',
+    'ui.pettyCashHelp': 'Cash taken out of the drawer for expenses or put into it outside a sale, with the receipt and who approved it',
+    'ui.pettyCashReport': 'Petty Cash Report',
+    'ui.importEntries': 'Import Entries',
+    'ui.salesImportFile': 'Sales entries (CSV)',
+    'ui.preview': 'Preview',
+    'ui.decimalSeparator': 'Decimal Separator',
+    'ui.noDenominations': 'Counting by denomination is not available for {currency}; enter the total instead.',
+    'ui.language': 'Language',
+    'ui.managerLanguage': 'Manager Email Language',
+    'ui.adminLanguage': 'Admin Email Language',
+
+    'dateStyle.short': 'Short date',
+    'dateStyle.medium': 'Medium date',
+    'dateStyle.iso': 'ISO (YYYY-MM-DD)',
+
+    'status.balanced': 'Balanced',
+    'status.warning': 'Warning',
+    'status.discrepancy': 'Discrepancy',
+    'status.critical': 'Critical',
+    'status.pending': 'Pending',
+
+    'app.allStores': 'All stores',
+    'app.nowViewing': 'Now viewing {store}.',
+    'app.storageUnavailable': 'Browser storage is unavailable. Changes will not be saved.',
+    'app.couldNotSave': 'Could not save to browser storage: {error}',
+    'app.autoSaved': 'Auto-saved',
+    'app.entrySaved': 'Sales data saved successfully!',
+    'app.entryUpdated': 'Entry updated successfully!',
+    'app.entryDeleted': 'Entry deleted successfully.',
+    'app.entryLoaded': 'Entry loaded for editing. Make changes and save.',
+    'app.editCancelled': 'Edit cancelled. The entry was not changed.',
+    'app.updateEntry': 'Update Entry',
+    'app.editingEntry': '{date} - {register}, Shift {shift}',
+    'app.noEntries': 'No entries yet. Add your first sales record above.',
+    'app.closedPeriod': 'Closed period',
+    'app.history': 'History',
+    'app.shiftShort': 'S{shift}',
+    'app.settingsSaved': 'Settings saved.',
+    'app.resetSettingsConfirm': 'Reset thresholds, report time and currency settings to their defaults? Store name and emails are kept.',
+    'app.defaultsFilled': 'Defaults filled in. Save to apply them.',
+    'app.lastReconciliation': 'Last reconciliation: {time}',
+    'app.reconciliationUnavailable': 'Reconciliation engine not available.',
+    'app.allStoresView': 'All Stores',
+    'app.newStorePrompt': 'Name of the new store:',
+    'app.saveRegister': 'Save {register}',
+    'app.editRule': 'Edit {rule}',
+    'app.reasonForDeleting': 'Reason for Deleting Entry',
+    'app.reasonForEditing': 'Reason for Editing Entry',
+    'app.rulesVersion': 'Version {version} ({summary}) by {user}, {time}',
+    'app.noRulesYet': 'No rules yet',
+    'app.saved': 'Saved',
+    'app.noEarlierVersions': 'No earlier versions',
+    'app.noStoreRules': 'No store rules. Only the built-in checks run.',
+    'app.settingsSheetIgnored': 'Settings sheet ignored: {errors}.',
+    'app.settingsFromSheet': 'Settings updated from the Settings sheet.',
+    'app.languageChanged': 'Language changed to {language}.',
+    'app.taxableSales': 'Taxable sales',
+    'app.taxCollected': 'Tax collected',
+    'app.taxDue': 'Due {amount}',
+    'app.inDrawer': 'In drawer',
+    'app.card': 'Card',
+    'app.openingFromPreviousClose': 'Opening cash pre-filled from the register\'s close of {closing} on {date}.',
+    'app.openingFromShift': 'Opening cash pre-filled from shift {shift} closing count.',
+    'app.registerAdded': '{register} added.',
+    'app.registerUpdated': '{register} updated.',
+    'app.retireRegisterConfirm': 'Retire {register}? It will not be offered for dates after today. Past entries are kept.',
+    'app.registerRetired': '{register} retired.',
+    'app.ruleAdded': '{rule} added. It applies from the next reconciliation run.',
+    'app.ruleUpdated': '{rule} updated. It applies from the next reconciliation run.',
+    'app.deleteRuleConfirm': 'Delete the rule "{rule}"? Earlier versions keep a copy.',
+    'app.ruleDeleted': '{rule} deleted.',
+    'app.restoreRulesConfirm': 'Replace the current rules with version {version}? The current rules stay in the history.',
+    'app.rulesRestored': 'Rules restored from version {version}.',
+    'app.exchangeRateSaved': '{currency} rate for {date} saved.',
+    'app.deleteExchangeRateConfirm': 'Delete this exchange rate? Entries already saved keep the rate they used.',
+    'app.exchangeRateDeleted': 'Exchange rate deleted.',
+    'app.couldNotUnlock': 'Could not unlock entry: {error}',
+    'app.choosePeriodDate': 'Choose a date in the period to close.',
+    'app.unresolvedCloseConfirm': '{count} discrepancy(ies) in this period are not resolved. Close the period anyway?',
+    'app.periodClosed': '{period} {range} closed. {count} entries are now locked.',
+    'app.couldNotRecordAudit': 'Could not record audit trail: {error}',
+    'app.noAuditRecords': 'No audit records in the selected date range.',
+    'app.casesOpened': '{created} new case(s) opened.',
+    'app.casesOpenedReopened': '{created} new case(s) opened, {reopened} reopened.',
+    'app.couldNotSaveCases': 'Could not save discrepancy cases: {error}',
+    'app.caseUpdated': 'Case updated.',
+    'app.chooseSettlementFile': 'Choose a settlement CSV file to import.',
+    'app.couldNotImportFile': 'Could not import {file}: {error}',
+    'app.batchesImported': 'Imported {imported} batch(es).',
+    'app.batchesImportedReplaced': 'Imported {imported} batch(es), replaced {replaced} imported before.',
+    'app.rowsSkipped': '{message} {count} row(s) skipped: {errors}',
+    'app.runForCardVariances': '{message} Run reconciliation to flag card variances.',
+    'app.removeSettlementImportConfirm': 'Remove the {count} batch(es) imported from {file}?',
+    'app.thisFile': 'this file',
+    'app.couldNotRemoveImport': 'Could not remove the import: {error}',
+    'app.settlementImportRemoved': 'Settlement import removed.',
+    'app.columnsSaved': '{title} saved.',
+    'app.chooseStatementFile': 'Choose a bank statement file to import.',
+    'app.creditsImported': 'Imported {imported} credit(s).',
+    'app.creditsImportedReplaced': 'Imported {imported} credit(s), replaced {replaced} imported before.',
+    'app.chooseStoreForDeposit': 'Choose a single store before recording a deposit.',
+    'app.depositRecorded': 'Deposit bag {bag} recorded.',
+    'app.deleteDepositConfirm': 'Delete deposit bag {bag}? Its drops can then go in another bag.',
+    'app.couldNotDeleteDeposit': 'Could not delete the deposit: {error}',
+    'app.depositDeleted': 'Deposit bag {bag} deleted.',
+    'app.chooseStoreForSafe': 'Choose a single store before recording safe cash.',
+    'app.safeMovementRecorded': '{movement} recorded.',
+    'app.deleteSafeMovementConfirm': 'Delete this safe cash movement?',
+    'app.couldNotDeleteMovement': 'Could not delete the movement: {error}',
+    'app.safeMovementDeleted': 'Safe cash movement deleted.',
+    'app.chooseStoreForSafeCount': 'Choose a single store before counting the safe.',
+    'app.safeCountSaved': 'Safe count of {amount} saved.',
+    'app.deleteSafeCountConfirm': 'Delete the safe count of {date}?',
+    'app.couldNotDeleteCount': 'Could not delete the count: {error}',
+    'app.safeCountDeleted': 'Safe count deleted.',
+    'app.noSignificantDiscrepancies': 'No significant discrepancies found.',
+    'app.emailUnavailable': 'Email service not available.',
+    'app.dataExported': 'Data exported successfully.',
+    'app.notInService': '{register} (not in service)',
+    'app.statusRetired': 'Retired',
+    'app.statusNotYetActive': 'Not yet active',
+    'app.edit': 'Edit',
+    'app.retire': 'Retire',
+    'app.delete': 'Delete',
+    'app.allRegisters': 'All registers',
+    'app.ruleOn': 'On',
+    'app.ruleColumn': 'Rule',
+    'app.ruleFlagsWhen': 'Flags entries when',
+    'app.ruleOr': 'or',
+    'app.ruleAnd': 'and',
+    'app.ruleRevision': '{rule}, revision {revision}',
+    'app.rulePlaceholders': 'Placeholders:',
+    'app.ruleToggle': 'Enable or disable',
+    'app.removeCondition': 'Remove condition',
+    'app.noExchangeRates': 'No exchange rates recorded yet.',
+    'app.addForeignCashFirst': 'Add accepted foreign cash first',
+    'app.noRateForDate': 'No rate for this date',
+    'app.noPeriodsClosed': 'No periods closed yet.',
+    'app.periodAllStores': '(all stores)',
+    'app.periodClosedBy': 'closed by {user} {time}',
+    'app.periodCloseLine': '{period} {range}, closed by {user}',
+    'app.periodUnlockedBy': '{register} {date} unlocked by {manager}: {reason}',
+    'app.selectReason': 'Select a reason...',
+    'app.historyWhen': 'When',
+    'app.historyAction': 'Action',
+    'app.historyUser': 'User',
+    'app.historyChanges': 'Changes',
+    'app.noRecordedChanges': 'No recorded changes for this entry.',
+
+    'validation.dateRequired': 'Transaction date is required',
+    'validation.registerRequired': 'Register number is required',
+    'validation.registerNotOnRoster': 'Register {register} is not on the register roster',
+    'validation.registerNotInService': '{register} is not in service on this date',
+    'validation.cashierRequired': 'Cashier ID is required',
+    'validation.openingCashNegative': 'Opening cash cannot be negative',
+    'validation.cashSalesNegative': 'Cash sales cannot be negative',
+    'validation.cardSalesNegative': 'Card sales cannot be negative',
+    'validation.closingCashNegative': 'Closing cash cannot be negative',
+    'validation.missingExchangeRate': 'No {currency} exchange rate recorded for {date}; add it in Settings',
+    'validation.thisDate': 'this date',
+    'validation.largeDiscrepancyDetected': 'Large cash discrepancy detected: {amount}',
+    'validation.allPassed': 'All validation checks passed. Data is ready to save.',
+    'validation.dateRegisterRequired': 'Date and register number are required',
+    'validation.noCashier': 'No cashier recorded for this entry',
+    'validation.largeDiscrepancy': 'Large cash discrepancy: {amount}',
+    'validation.discrepancyDetected': 'Cash discrepancy detected: {amount}',
+    'validation.highReturns': 'High returns percentage: {percent}',
+    'validation.lowOpeningCash': 'Opening cash below recommended minimum',
+    'validation.taxNegative': 'Taxable sales, exempt sales and tax collected cannot be negative',
+    'validation.taxMismatch': '{name} tax collected is off by {difference}',
+    'validation.tenderNegative': '{tender} sales cannot be negative',
+    'validation.refundNegative': '{tender} refunds cannot be negative',
+    'validation.refundCount': 'The number of refunds and the counts by reason must be whole numbers of 0 or more',
+    'validation.refundReasonsExceedCount': 'Refunds by reason add up to more than the {count} refunds recorded',
+    'validation.pettyCash.amount': '{item} {number}: enter an amount greater than zero',
+    'validation.pettyCash.category': '{item} {number}: choose a category',
+    'validation.pettyCash.approver': '{item} {number}: enter who approved it',
+
+    'expected.enterClosing': 'Enter closing cash to see comparison',
+    'expected.perfectMatch': 'Perfect match! Expected: {expected}',
+    'expected.smallDifference': 'Small difference: {difference} (Expected: {expected})',
+    'expected.largeDiscrepancy': 'Large discrepancy: {difference} (Expected: {expected})',
+
+    'settings.storeNameRequired': 'Store name is required',
+    'settings.currencyCode': 'Currency must be a three-letter code',
+    'settings.currencySymbolRequired': 'Currency symbol is required',
+    'settings.symbolPosition': 'Symbol position must be before or after the amount',
+    'settings.decimalPlaces': 'Decimal places must be a whole number from 0 to 3',
+    'settings.cashRounding': 'Cash rounding must be zero or at least the smallest unit of the currency',
+    'settings.foreignCurrencies': 'Foreign cash must be three-letter codes other than the store currency ({codes})',
+    'settings.cashThreshold': 'Discrepancy threshold must be zero or more',
+    'settings.largeThreshold': 'Large discrepancy threshold must be above the discrepancy threshold',
+    'settings.maxReturns': 'Maximum returns must be between 0 and 100%',
+    'settings.minOpeningCash': 'Minimum opening cash must be zero or more',
+    'settings.depositTransitDays': 'Deposit transit days must be a whole number from 0 to 30',
+    'settings.managerEmail': 'Manager email is not a valid address',
+    'settings.adminEmail': 'Admin email is not a valid address',
+    'settings.emailLocale': 'Email language must be one of the available languages',
+    'settings.reportTime': 'Daily report time must be HH:MM',
+    'settings.taxRates': 'Tax rates need a name without ":" or ";" and a percentage from 0 to 100, each name used once ({rates})',
+    'settings.taxTolerance': 'Tax tolerance must be zero or more',
+    'settings.tenderTypes': 'Tender types need a name without ":" or ";" other than cash or card, each name used once ({tenders})',
+
+    'recon.overallStatus': 'Overall Status',
+    'recon.totalDifference': 'Total Difference: {amount}',
+    'recon.totalSales': 'Total Sales',
+    'recon.cashCard': 'Cash: {cash} | Card: {card}',
+    'recon.cashPosition': 'Cash Position',
+    'recon.expected': 'Expected: {amount}',
+    'recon.discrepancies': 'Discrepancies',
+    'recon.flaggedHelp': 'Flagged entries requiring attention',
+    'recon.flaggedEntries': 'Flagged Entries',
+    'recon.shiftOn': 'shift {shift} ({date})',
+    'recon.cashier': 'Cashier {cashier}',
+    'recon.difference': 'Difference: {amount}',
+    'recon.unusualActivity': 'Unusual Activity',
+    'recon.unusualActivityHelp': 'Compared with each register\'s recent history for the same weekday',
+    'recon.measure': 'Measure',
+    'recon.value': 'Value',
+    'recon.usualRange': 'Usual Range',
+    'recon.score': 'Score',
+    'recon.range': '{lower} to {upper}',
+    'recon.above': '{amount} above',
+    'recon.below': '{amount} below',
+    'recon.cardSettlement': 'Card Settlement',
+    'recon.registerDaysMatch': '{matched} of {total} register-days match',
+    'recon.unmatchedBatches': '{count} unmatched batch(es)',
+    'recon.bankDeposits': 'Bank Deposits',
+    'recon.inTransit': 'In transit: {amount}',
+    'recon.missing': 'Missing: {amount}',
+    'recon.bankAdjusted': 'Bank adjusted: {amount}',
+    'recon.safe': 'Safe',
+    'recon.expectedInSafe': 'Expected in safe',
+    'recon.countsOff': '{count} count(s) off by {amount}',
+    'recon.registerDayTotals': 'Register-Day Totals',
+    'recon.shifts': 'Shifts',
+    'recon.shiftDifferences': 'Shift Differences',
+    'recon.handoffGaps': 'Handoff Gaps',
+    'recon.dayDifference': 'Day Difference',
+    'recon.status.balanced': 'All reconciliation checks passed',
+    'recon.status.warning': 'Minor discrepancies detected',
+    'recon.status.discrepancy': 'Significant discrepancies require attention',
+    'recon.otherTenders': 'Other: {amount}',
+
+    'issue.cashDifference': 'Cash difference of {amount}',
+    'issue.highReturns': 'Returns are {percent} of sales',
+    'issue.lowOpeningCash': 'Opening cash below minimum ({amount})',
+    'issue.floatVariance': 'Opening float off in {count} denomination(s): {denominations}',
+    'issue.shiftHandoff': 'Shift {shift} opened with {opening} but shift {previousShift} closed with {closing}',
+    'issue.allRegisters': 'all registers',
+    'issue.storeTotal': 'store total',
+    'issue.cardUnsettled': 'Card sales of {amount} on {register} have no settled batch',
+    'issue.cardVariance': 'Processor settled {settled} against {recorded} card sales on {register}',
+    'issue.missingDeposit': 'Deposit bag {bag} ({amount}, {date}) is not on the bank statement after {days} days',
+    'issue.bankAdjustment': 'Bank credited {credited} for deposit bag {bag} of {amount}',
+    'issue.zeroSales': 'No sales recorded for this entry',
+    'issue.negativeValues': 'Negative values detected in sales data',
+    'issue.duplicateEntry': 'Duplicate entry found for {register} shift {shift} on {date}',
+    'issue.missingDates': 'Gap in sales data between {from} and {to}',
+    'issue.unmatchedBatch': 'Card batch {batch} ({register}, {amount}) settled for {date} has no matching sales entry',
+    'issue.safeDiscrepancy': 'Safe counted {counted} on {date} against {expected} expected ({direction} {difference})',
+    'issue.over': 'over',
+    'issue.short': 'short',
+    'issue.taxMismatch': '{name} tax collected {collected} on {taxable} of taxable sales, but {expected} is due at {rate}',
+    'issue.refundCount': '{count} refunds',
+    'issue.topRefundReason': 'mostly {reason}',
+    'issue.unreceiptedPaidOut': '{category} paid-out of {amount} approved by {approver} has no receipt',
+    'issue.openingContinuity': 'Opened at {opening}, but the register closed at {closing} on {date}, leaving {expected} for this opening',
+    'issue.openingFloat': 'Opened at {opening}, but the register\'s assigned float is {float}',
+
+    'recommendation.immediateAttention': 'Immediate attention required for high-severity issues',
+    'recommendation.reviewDiscrepancies': 'Review and resolve flagged discrepancies',
+    'recommendation.investigateCashPosition': 'Investigate cash position difference',
+    'recommendation.improveDataEntry': 'Improve data entry procedures to increase accuracy',
+    'recommendation.cashRecovery': 'Cash recovery needed: {amount}',
+    'recommendation.allPassed': 'All reconciliation checks passed successfully',
+
+    'action.investigate': 'Investigate {register} on {date}',
+    'action.cashDifference': 'Cash difference: {amount}',
+    'action.recountSafe': 'Recount the safe and review safe cash movements up to {date}',
+    'action.reviewProcedures': 'Review data entry procedures',
+    'action.currentAccuracy': 'Current accuracy: {percent}',
+    'action.completeMissingData': 'Complete missing sales data',
+    'action.gapsDetected': 'Gaps in daily sales records detected',
+
+    'anomaly.metric.totalSales': 'Total sales',
+    'anomaly.metric.cashRatio': 'Cash share of sales',
+    'anomaly.metric.returnsPercentage': 'Returns',
+    'anomaly.metric.cashDifference': 'Cash difference',
+    'anomaly.description': '{register} {metric} of {value} on {weekday} {date} is {outOfRangeBy} {direction} its usual range ({lower} to {upper}, {baseline} {median})',
+    'anomaly.above': 'above',
+    'anomaly.below': 'below',
+    'anomaly.typicalWeekday': 'typical {weekday}',
+    'anomaly.typicalDay': 'typical day, adjusted for the weekday',
+
+    'dashboard.salesTrend': 'Sales Trend (Last 7 Days)',
+    'dashboard.paymentMethods': 'Payment Methods (Today)',
+    'dashboard.allRegisters': 'All registers',
+    'dashboard.dailySales': 'Daily Sales',
+    'dashboard.cashSales': 'Cash Sales',
+    'dashboard.cardSales': 'Card Sales',
+    'dashboard.cash': 'Cash',
+    'dashboard.card': 'Card',
+
+    'email.reconciliationReport': 'Daily Reconciliation Report',
+    'email.reconciliationIntro': 'Sales & Cash Reconciliation Summary for {{DATE}}',
+    'email.discrepancyAlert': 'Cash Discrepancy Alert',
+    'email.dailySummary': 'Daily Sales Summary',
+    'email.dailyIntro': 'Sales performance report for {{DATE}}',
+    'email.weeklySummary': 'Weekly Reconciliation Summary',
+    'email.period': '{from} to {to}',
+    'email.weeklyPeriod': '{{DATE_FROM}} to {{DATE_TO}}',
+    'email.totalSales': 'Total Sales',
+    'email.transactions': 'Transactions',
+    'email.discrepancies': 'Discrepancies',
+    'email.accuracy': 'Accuracy',
+    'email.transactionDetails': 'Transaction Details',
+    'email.date': 'Date',
+    'email.register': 'Register',
+    'email.cashSales': 'Cash Sales',
+    'email.cardSales': 'Card Sales',
+    'email.cashDifference': 'Cash Difference',
+    'email.generatedAt': 'Generated automatically by Sales Reconciliation System at {{TIMESTAMP}}',
+    'email.reviewDiscrepancies': 'Please review any discrepancies and take appropriate action.',
+    'email.totalDiscrepancy': 'Total Discrepancy: {{TOTAL_AMOUNT}}',
+    'email.immediateAttention': 'Immediate Attention Required:',
+    'email.discrepanciesExceed': '{{DISCREPANCY_COUNT}} discrepancies detected that exceed the threshold.',
+    'email.discrepancyDetails': 'Discrepancy Details',
+    'email.issueDescription': 'Issue Description',
+    'email.alertGeneratedAt': 'Alert generated at {{TIMESTAMP}}',
+    'email.actionRequired': 'Action Required:',
+    'email.investigateImmediately': 'Please investigate these discrepancies immediately and take corrective action.',
+    'email.reconciliationSummary': 'Reconciliation Summary',
+    'email.reportGeneratedAt': 'Report generated at {{TIMESTAMP}}',
+    'email.automatedDailySummary': 'Automated daily summary from Sales Reconciliation System',
+    'email.cashierScorecards': 'Cashier Scorecards',
+    'email.cashier': 'Cashier',
+    'email.netOverShort': 'Net Over/Short',
+    'email.worstIncidents': 'Worst Incidents',
+    'email.weeklyTrend': 'Weekly Trend',
+    'email.followUpCashiers': 'Follow up with cashiers who show repeated shortages.',
+    'email.noEntries': 'No entries for this period',
+    'email.noCashierActivity': 'No cashier activity this week',
+    'email.cashDiscrepancy': 'Cash discrepancy',
+    'email.reportSent': 'Reconciliation Report Sent',
+    'email.reportSentTo': 'Report has been sent to {to}',
+    'email.failed': 'Email Failed',
+    'email.failedReport': 'Failed to send report: {error}',
+    'email.alertSent': 'Discrepancy Alert Sent',
+    'email.alertSentToManagement': 'Alert has been sent to management',
+    'email.failedAlert': 'Failed to send alert: {error}',
+    'email.dailySent': 'Daily Summary Sent',
+    'email.summarySentToManagement': 'Summary has been sent to management',
+    'email.weeklySent': 'Weekly Summary Sent',
+    'email.summarySentTo': 'Summary has been sent to {to}',
+    'email.failedWeekly': 'Failed to send weekly summary: {error}',
+    'email.sentAt': 'Sent at {time}',
+
+    'sync.syncing': 'Syncing...',
+    'sync.offline': 'Offline',
+    'sync.error': 'Error',
+    'sync.synced': 'Synced {time}',
+    'sync.notYetSynced': 'Not yet synced',
+    'sync.pending': '({count} pending)',
+    'sync.done': 'Synced with Google Sheets.',
+    'sync.failed': 'Sync failed: {error}',
+    'sync.offlineQueued': 'Offline. Changes will sync when the connection returns.',
+    'sync.keptLocal': 'Browser version will be sent to the sheet.',
+    'sync.keptSheet': 'Sheet version applied.',
+    'sync.conflictClosed': 'The sheet has closed this period ({closes}). Keeping the browser version needs a manager unlock.',
+    'sync.promptUrl': 'Apps Script web app URL:',
+    'sync.promptToken': 'API token (the API_TOKEN script property):',
+    'sync.noConflicts': 'No sync conflicts. Browser and sheet agree.',
+    'sync.deletedInBrowser': 'Deleted in the browser but edited in the sheet.',
+    'sync.deletedInSheet': 'Edited in the browser but deleted in the sheet.',
+    'sync.field': 'Field',
+    'sync.browser': 'Browser',
+    'sync.sheet': 'Sheet',
+    'sync.keepBrowser': 'Keep Browser Version',
+    'sync.keepSheet': 'Keep Sheet Version',
+
+    'tax.byRate': 'Tax by Rate',
+    'tax.byRegister': 'Tax by Register',
+    'tax.rate': 'Rate',
+    'tax.store': 'Store',
+    'tax.register': 'Register',
+    'tax.entries': 'Entries',
+    'tax.taxableSales': 'Taxable Sales',
+    'tax.exemptSales': 'Exempt Sales',
+    'tax.taxCollected': 'Tax Collected',
+    'tax.taxDue': 'Tax Due',
+    'tax.difference': 'Difference',
+    'tax.total': 'Total',
+    'tax.noTaxRecorded': 'No tax recorded in this period',
+
+    'refund.reason.damaged': 'Damaged or defective',
+    'refund.reason.wrong_item': 'Wrong item or size',
+    'refund.reason.not_as_described': 'Not as described',
+    'refund.reason.changed_mind': 'Changed mind',
+    'refund.reason.price_adjustment': 'Price adjustment',
+    'refund.reason.other': 'Other',
+
+    'returns.byRegister': 'Return Rate by Register',
+    'returns.byCashier': 'Return Rate by Cashier',
+    'returns.byDay': 'Return Rate by Day',
+    'returns.byTender': 'Refunds by Tender',
+    'returns.topReasons': 'Top Refund Reasons',
+    'returns.store': 'Store',
+    'returns.register': 'Register',
+    'returns.cashier': 'Cashier',
+    'returns.date': 'Date',
+    'returns.entries': 'Entries',
+    'returns.totalSales': 'Total Sales',
+    'returns.refunds': 'Refunds',
+    'returns.drawerRefunds': 'From Drawer',
+    'returns.refundCount': 'Count',
+    'returns.returnRate': 'Return Rate',
+    'returns.total': 'Total',
+    'returns.noRefunds': 'No refunds in this period',
+    'returns.noReasons': 'No refund reasons recorded',
+
+    'pettyCash.out': 'Paid-out',
+    'pettyCash.in': 'Paid-in',
+    'pettyCash.amount': 'Amount',
+    'pettyCash.receipt': 'Receipt',
+    'pettyCash.approvedBy': 'Approved by',
+    'pettyCash.remove': 'Remove',
+    'pettyCash.type': 'Type',
+    'pettyCash.category': 'Category',
+    'pettyCash.paidOuts': 'Paid-outs',
+    'pettyCash.paidIns': 'Paid-ins',
+    'pettyCash.net': 'Net',
+    'pettyCash.unreceipted': 'Paid-outs without receipt',
+    'pettyCash.noReceipt': 'No receipt',
+    'pettyCash.byCategory': 'By Category',
+    'pettyCash.byRegister': 'By Register',
+    'pettyCash.items': 'Paid-Outs and Paid-Ins',
+    'pettyCash.none': 'No paid-outs or paid-ins in this period.',
+    'pettyCash.category.delivery': 'Delivery',
+    'pettyCash.category.cod_vendor': 'Vendor paid on delivery',
+    'pettyCash.category.supplies': 'Supplies',
+    'pettyCash.category.repairs': 'Repairs',
+    'pettyCash.category.meals': 'Meals',
+    'pettyCash.category.other': 'Other',
+    'pettyCash.category.float_top_up': 'Float top-up',
+    'pettyCash.category.account_payment': 'Account payment',
+    'pettyCash.category.vendor_refund': 'Vendor refund',
+
+    'import.chooseFile': 'Choose a CSV file of sales entries to import.',
+    'import.couldNotRead': 'Could not read {file}: {error}',
+    'import.closedPeriod': 'Falls in a closed period; unlock it from the entry form instead',
+    'import.new': 'New',
+    'import.duplicates': 'Already recorded',
+    'import.rejected': 'Rejected',
+    'import.duplicateAction': 'Rows already recorded for the same store, date, register and shift:',
+    'import.skip': 'Skip',
+    'import.overwrite': 'Overwrite',
+    'import.line': 'Line',
+    'import.difference': 'Difference',
+    'import.result': 'Result',
+    'import.commit': 'Import',
+    'import.newBadge': 'New',
+    'import.duplicateBadge': 'Already recorded',
+    'import.rejectedBadge': 'Rejected',
+    'import.auditNote': 'Imported from {file}, line {line}',
+    'import.done': 'Imported {imported} new entries and overwrote {overwritten}.',
+    'import.summary': '{imported} imported, {overwritten} overwritten, {skipped} skipped as already recorded, {rejected} rejected',
+    'import.error.date': 'date "{value}" is not a {format} date',
+    'import.error.store': 'store "{value}" is not one of your stores',
+    'import.error.noStore': 'no store; choose a single store or map a store column',
+    'import.error.register': 'register is missing',
+    'import.error.cashier': 'cashier is missing',
+    'import.error.shift': 'shift "{value}" is not a whole number of 1 or more',
+    'import.error.amount': '{field} "{value}" is not a number',
+    'import.error.negative': '{field} is negative',
+    'import.error.repeat': 'repeats line {line} (same store, date, register and shift)',
+    'import.field.openingCash': 'opening cash',
+    'import.field.cashSales': 'cash sales',
+    'import.field.cardSales': 'card sales',
+    'import.field.returnsRefunds': 'returns',
+    'import.field.cashDrops': 'cash drops',
+    'import.field.closingCash': 'closing cash',
+
+    'denomination.quarterRoll': 'Quarter Roll',
+    'denomination.dimeRoll': 'Dime Roll',
+    'denomination.nickelRoll': 'Nickel Roll',
+    'denomination.pennyRoll': 'Penny Roll',
+    'denomination.toonieRoll': 'Toonie Roll',
+    'denomination.loonieRoll': 'Loonie Roll',
+    'denomination.bill': 'Bills',
+    'denomination.coin': 'Coins',
+    'denomination.roll': 'Rolls',
+
+    'audit.action.create': 'Created',
+    'audit.action.edit': 'Edited',
+    'audit.action.delete': 'Deleted',
+    'audit.reason.initial_entry': 'Initial entry',
+    'audit.reason.count_correction': 'Count correction',
+    'audit.reason.data_entry_error': 'Data entry error',
+    'audit.reason.late_cash_drop': 'Late cash drop or pickup',
+    'audit.reason.wrong_register': 'Wrong store, register or shift',
+    'audit.reason.duplicate_entry': 'Duplicate entry',
+    'audit.reason.manager_adjustment': 'Manager adjustment',
+    'audit.reason.sheet_edit': 'Changed in Google Sheets',
+    'audit.reason.bulk_import': 'Imported from a file',
+    'audit.reason.other': 'Other (see note)',
+
+    'period.range': '{start} to {end}',
+    'period.closedByRequired': 'Your name or employee ID is required to close a period.',
+    'period.alreadyClosed': '{period} {range} is already closed.',
+    'period.noEntries': 'There are no entries to close for this day.',
+    'period.managerRequired': 'The approving manager is required.',
+    'period.reasonRequired': 'A reason for unlocking is required.'
+};
+
+Translator.CATALOGS.es = {
+    'ui.pageTitle': 'Sistema de Conciliación Diaria de Ventas y Efectivo',
+    'ui.appTitle': 'Conciliación Diaria de Ventas y Efectivo',
+    'ui.appSubtitle': 'Sistema de Apoyo para Punto de Venta',
+    'ui.storeLabel': 'Tienda:',
+    'ui.addStore': 'Agregar tienda',
+    'ui.dataEntry': 'Captura de Datos',
+    'ui.reconciliation': 'Conciliación',
+    'ui.dashboard': 'Panel',
+    'ui.reports': 'Informes',
+    'ui.settings': 'Configuración',
+    'ui.salesDataEntry': 'Captura de Ventas',
+    'ui.editing': 'Editando',
+    'ui.cancel': 'Cancelar',
+    'ui.store': 'Tienda',
+    'ui.transactionDate': 'Fecha de Transacción',
+    'ui.registerNumber': 'Número de Caja',
+    'ui.manageRegisters': 'Administrar cajas',
+    'ui.selectRegister': 'Seleccione la Caja',
+    'ui.shift': 'Turno',
+    'ui.shift1': 'Turno 1',
+    'ui.shift2': 'Turno 2',
+    'ui.shift3': 'Turno 3',
+    'ui.cashierId': 'ID de Cajero',
+    'ui.cashierIdPlaceholder': 'ID de empleado de quien cuenta la caja',
+    'ui.openingCash': 'Efectivo Inicial',
+    'ui.countByDenomination': 'Contar por denominación',
+    'ui.cashSales': 'Ventas en Efectivo',
+    'ui.cardSales': 'Ventas con Tarjeta',
+    'ui.returnsRefunds': 'Devoluciones y Reembolsos',
+    'ui.cashDrops': 'Retiros de Efectivo',
+    'ui.closingCashCount': 'Conteo de Cierre',
+    'ui.foreignCashInDrawer': 'Efectivo Extranjero en Caja',
+    'ui.foreignCashHelp': 'Se cuenta al tipo de cambio del día y se suma al efectivo de cierre',
+    'ui.saveEntry': 'Guardar Registro',
+    'ui.recentEntries': 'Registros Recientes',
+    'ui.date': 'Fecha',
+    'ui.register': 'Caja',
+    'ui.totalSales': 'Ventas Totales',
+    'ui.status': 'Estado',
+    'ui.actions': 'Acciones',
+    'ui.dataValidation': 'Validación de Datos',
+    'ui.validationPlaceholder': 'Capture datos de ventas arriba para ver los resultados de validación.',
+    'ui.cashReconciliation': 'Conciliación de Efectivo',
+    'ui.discrepancyCases': 'Casos de Discrepancia',
+    'ui.allSeverities': 'Todas las Severidades',
+    'ui.high': 'Alta',
+    'ui.medium': 'Media',
+    'ui.low': 'Baja',
+    'ui.assigneeFilterPlaceholder': 'Responsable o "unassigned"',
+    'ui.cardSettlements': 'Liquidaciones de Tarjeta',
+    'ui.settlementFile': 'Informe de liquidación del procesador (CSV)',
+    'ui.columns': 'Columnas',
+    'ui.import': 'Importar',
+    'ui.bankDeposits': 'Depósitos Bancarios',
+    'ui.statementFile': 'Estado de cuenta bancario (CSV u OFX)',
+    'ui.recordDeposit': 'Registrar Depósito',
+    'ui.safe': 'Caja Fuerte',
+    'ui.recordCashMovement': 'Registrar Movimiento de Efectivo',
+    'ui.countSafe': 'Contar Caja Fuerte',
+    'ui.reconciliationActions': 'Acciones de Conciliación',
+    'ui.runReconciliation': 'Ejecutar Conciliación',
+    'ui.flagDiscrepancies': 'Marcar Discrepancias',
+    'ui.sendReport': 'Enviar Informe',
+    'ui.sendWeeklySummary': 'Enviar Resumen Semanal',
+    'ui.exportData': 'Exportar Datos',
+    'ui.reconciliationStatus': 'Estado de Conciliación',
+    'ui.pending': 'Pendiente',
+    'ui.readyToReconcile': 'Listo para conciliar',
+    'ui.periodClose': 'Cierre de Periodo',
+    'ui.day': 'Día',
+    'ui.week': 'Semana',
+    'ui.month': 'Mes',
+    'ui.yourNameOrEmployeeId': 'Su nombre o ID de empleado',
+    'ui.closePeriod': 'Cerrar Periodo',
+    'ui.totalSalesToday': 'Ventas Totales de Hoy',
+    'ui.cashReconciled': 'Efectivo Conciliado',
+    'ui.discrepancies': 'Discrepancias',
+    'ui.registersActive': 'Cajas Activas',
+    'ui.salesTrend': 'Tendencia de Ventas (7 Días)',
+    'ui.paymentMethods': 'Formas de Pago',
+    'ui.cardSettlementWeek': 'Liquidación de Tarjetas (7 Días)',
+    'ui.settled': 'Liquidado',
+    'ui.variance': 'Variación',
+    'ui.safeBalance': 'Saldo de Caja Fuerte',
+    'ui.lastCount': 'Último Conteo',
+    'ui.counted': 'Contado',
+    'ui.countDifference': 'Diferencia de Conteo',
+    'ui.netMovementsSince': 'Movimientos Netos Desde',
+    'ui.expectedNow': 'Esperado Ahora',
+    'ui.storeRollUp': 'Resumen por Tienda (Hoy)',
+    'ui.accuracy': 'Precisión',
+    'ui.netVariance': 'Variación Neta',
+    'ui.generatedReports': 'Informes Generados',
+    'ui.reportType': 'Tipo de Informe',
+    'ui.dailyReconciliation': 'Conciliación Diaria',
+    'ui.weeklySummary': 'Resumen Semanal',
+    'ui.monthlyOverview': 'Resumen Mensual',
+    'ui.discrepanciesReport': 'Informe de Discrepancias',
+    'ui.cashierScorecards': 'Evaluación de Cajeros',
+    'ui.fromDate': 'Desde',
+    'ui.toDate': 'Hasta',
+    'ui.generateReport': 'Generar Informe',
+    'ui.exportAuditLog': 'Exportar Bitácora de Auditoría',
+    'ui.reconciliationRules': 'Reglas de Conciliación',
+    'ui.discrepancyThreshold': 'Umbral de Discrepancia',
+    'ui.discrepancyThresholdHelp': 'Las diferencias mayores a este monto son discrepancias',
+    'ui.largeDiscrepancyThreshold': 'Umbral de Discrepancia Grave',
+    'ui.largeDiscrepancyThresholdHelp': 'Las diferencias mayores a este monto son de severidad alta y se notifican por correo',
+    'ui.maximumReturns': 'Devoluciones Máximas (%)',
+    'ui.maximumReturnsHelp': 'Del total de ventas, antes de marcar las devoluciones',
+    'ui.minimumOpeningCash': 'Efectivo Inicial Mínimo',
+    'ui.minimumOpeningCashHelp': 'Se marcan las cajas que abren con menos',
+    'ui.depositTransitDays': 'Días de Tránsito de Depósitos',
+    'ui.depositTransitDaysHelp': 'Los depósitos que no aparezcan en el estado de cuenta después de este plazo se consideran faltantes',
+    'ui.storeNotifications': 'Tienda y Notificaciones',
+    'ui.storeName': 'Nombre de la Tienda',
+    'ui.storeNameHelp': 'Nombre de la tienda mostrada',
+    'ui.managerEmail': 'Correo del Gerente',
+    'ui.adminEmail': 'Correo del Administrador',
+    'ui.dailyReportTime': 'Hora del Informe Diario',
+    'ui.automaticEmailNotifications': 'Notificaciones automáticas por correo',
+    'ui.currency': 'Moneda',
+    'ui.storeCurrency': 'Moneda de la Tienda',
+    'ui.storeCurrencyHelp': 'Los montos se concilian en esta moneda',
+    'ui.symbol': 'Símbolo',
+    'ui.symbolPosition': 'Posición del Símbolo',
+    'ui.decimalPlaces': 'Decimales',
+    'ui.cashRounding': 'Redondeo de Efectivo',
+    'ui.smallestCashAmount': 'Monto mínimo en efectivo, p. ej. 0.05; 0 para ninguno',
+    'ui.acceptedForeignCash': 'Efectivo Extranjero Aceptado',
+    'ui.foreignCurrenciesPlaceholder': 'p. ej. USD, EUR',
+    'ui.foreignCurrenciesHelp': 'Códigos de moneda que los cajeros pueden aceptar en efectivo, convertidos al tipo de cambio del día',
+    'ui.resetToDefaults': 'Restablecer Valores',
+    'ui.saveSettings': 'Guardar Configuración',
+    'ui.exchangeRates': 'Tipos de Cambio',
+    'ui.exchangeRatesIntro': 'Registre el tipo de cambio del día para cada moneda extranjera aceptada, en moneda de la tienda por unidad extranjera. Solo se puede capturar efectivo extranjero en días con tipo de cambio.',
+    'ui.rate': 'Tipo de cambio',
+    'ui.saveRate': 'Guardar Tipo de Cambio',
+    'ui.discrepancyRules': 'Reglas de Discrepancia',
+    'ui.discrepancyRulesIntro': 'Las reglas de la tienda se ejecutan junto con las verificaciones integradas en cada conciliación, p. ej. ventas con tarjeta mayores a 5000 en REG003, o retiros de efectivo que no son múltiplos de 100. Cada cambio se guarda como una nueva versión.',
+    'ui.changedBy': 'Modificado Por',
+    'ui.nameOrEmployeeId': 'Nombre o ID de empleado',
+    'ui.earlierVersions': 'Versiones Anteriores',
+    'ui.restore': 'Restaurar',
+    'ui.addRule': 'Agregar Regla',
+    'ui.lastUpdated': 'Última Actualización:',
+    'ui.autoSave': 'Autoguardado:',
+    'ui.enabled': 'Activado',
+    'ui.sheetsSync': 'Sincronización con Sheets:',
+    'ui.notConfigured': 'Sin configurar',
+    'ui.resolveSyncConflicts': 'Resolver conflictos de sincronización',
+    'ui.conflicts': 'conflictos',
+    'ui.syncNow': 'Sincronizar ahora',
+    'ui.configureSync': 'Configurar sincronización',
+    'ui.emailNotification': 'Notificación por Correo',
+    'ui.close': 'Cerrar',
+    'ui.sendEmail': 'Enviar Correo',
+    'ui.reasonForChange': 'Motivo del Cambio',
+    'ui.reason': 'Motivo',
+    'ui.note': 'Nota',
+    'ui.noteRequiredForOther': 'Obligatoria cuando el motivo es Otro',
+    'ui.auditUser': 'Su Nombre o ID de Empleado',
+    'ui.auditTrailHelp': 'Los cambios se conservan en una bitácora de auditoría permanente.',
+    'ui.confirm': 'Confirmar',
+    'ui.discrepancyCase': 'Caso de Discrepancia',
+    'ui.assignee': 'Responsable',
+    'ui.resolutionAmount': 'Monto de Resolución',
+    'ui.resolutionAmountHelp': 'Obligatorio para resolver o dar de baja',
+    'ui.saveCase': 'Guardar Caso',
+    'ui.fileColumns': 'Columnas del Archivo',
+    'ui.dateFormat': 'Formato de Fecha',
+    'ui.saveColumns': 'Guardar Columnas',
+    'ui.bagNumber': 'Número de Bolsa',
+    'ui.depositDate': 'Fecha de Depósito',
+    'ui.amountInBag': 'Monto en la Bolsa',
+    'ui.cashDropsInThisBag': 'Retiros de Efectivo en Esta Bolsa',
+    'ui.saveDeposit': 'Guardar Depósito',
+    'ui.safeMovementHelp': 'Los retiros de caja y las bolsas de depósito se agregan a la caja fuerte automáticamente.',
+    'ui.movement': 'Movimiento',
+    'ui.amount': 'Monto',
+    'ui.reference': 'Referencia',
+    'ui.optional': '(opcional)',
+    'ui.changeOrderPlaceholder': 'p. ej. número de pedido de cambio',
+    'ui.saveMovement': 'Guardar Movimiento',
+    'ui.safeCountHelp': 'Cuente la caja fuerte después de los retiros y depósitos del día. Un reconteo el mismo día reemplaza el conteo anterior.',
+    'ui.countedAmount': 'Monto Contado',
+    'ui.countedBy': 'Contado Por',
+    'ui.saveCount': 'Guardar Conteo',
+    'ui.managerUnlock': 'Desbloqueo del Gerente',
+    'ui.entryInClosedPeriod': 'Este registro está en un periodo cerrado:',
+    'ui.approvingManager': 'Gerente que Aprueba',
+    'ui.reasonForUnlocking': 'Motivo del Desbloqueo',
+    'ui.unlockHelp': 'El desbloqueo permite un solo cambio y queda registrado en el cierre del periodo.',
+    'ui.unlock': 'Desbloquear',
+    'ui.registerRoster': 'Catálogo de Cajas',
+    'ui.id': 'ID',
+    'ui.name': 'Nombre',
+    'ui.location': 'Ubicación',
+    'ui.defaultFloat': 'Fondo Predeterminado',
+    'ui.active': 'Activa',
+    'ui.registerLocationPlaceholder': 'p. ej. Mostrador principal',
+    'ui.activeFrom': 'Activa Desde',
+    'ui.activeTo': 'Activa Hasta',
+    'ui.addRegister': 'Agregar Caja',
+    'ui.ruleName': 'Nombre de la Regla',
+    'ui.severity': 'Severidad',
+    'ui.flagAnEntryWhen': 'Marcar un registro cuando',
+    'ui.all': 'todas',
+    'ui.any': 'cualquiera',
+    'ui.ofTheseAreTrue': 'de estas condiciones se cumplan:',
+    'ui.addCondition': 'Agregar Condición',
+    'ui.message': 'Mensaje',
+    'ui.saveRule': 'Guardar Regla',
+    'ui.entryHistory': 'Historial del Registro',
+    'ui.syncConflicts': 'Conflictos de Sincronización',
+    'ui.salesTax': 'Impuesto sobre las Ventas',
+    'ui.exemptSales': 'Ventas Exentas',
+    'ui.salesTaxHelp': 'Ventas gravadas antes de impuestos y el impuesto cobrado en cada tasa, según el reporte de impuestos de la caja',
+    'ui.taxRates': 'Tasas de Impuesto',
+    'ui.taxRatesPlaceholder': 'p. ej. Estatal 6.25%, Municipal 1%',
+    'ui.taxRatesHelp': 'Nombre y porcentaje de cada tasa con que se gravan las ventas; déjelo en blanco si las ventas no pagan impuesto',
+    'ui.taxTolerance': 'Tolerancia de Impuesto',
+    'ui.taxToleranceHelp': 'El impuesto cobrado puede diferir de la tasa en esta cantidad por registro',
+    'ui.salesTaxSummary': 'Resumen de Impuesto sobre las Ventas',
+    'ui.otherTenders': 'Otros medios de pago',
+    'ui.otherTendersHelp': 'Ventas cobradas con cada medio de pago; los que se guardan en la caja se cuentan en el efectivo de cierre',
+    'ui.tenders': 'Medios de pago',
+    'ui.tenderTypes': 'Otros medios de pago',
+    'ui.tenderTypesPlaceholder': 'p. ej. Tarjeta regalo, Cheque (in drawer), EBT',
+    'ui.tenderTypesHelp': 'Medios aceptados además de efectivo y tarjeta; marque con (in drawer) los que se guardan en la caja',
+    'ui.cash': 'Efectivo',
+    'ui.refundCount': 'Número de reembolsos',
+    'ui.refundsByReason': 'Reembolsos por motivo',
+    'ui.refundsHelp': 'Reembolsos según el medio en que se pagaron; solo los pagados desde la caja reducen el efectivo esperado',
+    'ui.returnsAnalysis': 'Análisis de devoluciones',
+    'ui.paidOutsPaidIns': 'Salidas y entradas de caja',
+    'ui.addPaidOut': 'Añadir salida',
+    'ui.addPaidIn': 'Añadir entrada',
+    'ui.pettyCashHelp': 'Efectivo sacado del cajón para gastos o ingresado fuera de una venta, con el recibo y quién lo aprobó',
+    'ui.pettyCashReport': 'Informe de caja chica',
+    'ui.importEntries': 'Importar registros',
+    'ui.salesImportFile': 'Registros de ventas (CSV)',
+    'ui.preview': 'Vista previa',
+    'ui.decimalSeparator': 'Separador Decimal',
+    'ui.noDenominations': 'El conteo por denominación no está disponible para {currency}; introduzca el total.',
+    'ui.language': 'Idioma',
+    'ui.managerLanguage': 'Idioma del Correo del Gerente',
+    'ui.adminLanguage': 'Idioma del Correo del Administrador',
+
+    'dateStyle.short': 'Fecha corta',
+    'dateStyle.medium': 'Fecha media',
+    'dateStyle.iso': 'ISO (AAAA-MM-DD)',
+
+    'status.balanced': 'Cuadrado',
+    'status.warning': 'Advertencia',
+    'status.discrepancy': 'Discrepancia',
+    'status.critical': 'Crítico',
+    'status.pending': 'Pendiente',
+
+    'app.allStores': 'Todas las tiendas',
+    'app.nowViewing': 'Ahora viendo {store}.',
+    'app.storageUnavailable': 'El almacenamiento del navegador no está disponible. Los cambios no se guardarán.',
+    'app.couldNotSave': 'No se pudo guardar en el almacenamiento del navegador: {error}',
+    'app.autoSaved': 'Guardado automático',
+    'app.entrySaved': '¡Datos de ventas guardados correctamente!',
+    'app.entryUpdated': '¡Registro actualizado correctamente!',
+    'app.entryDeleted': 'Registro eliminado correctamente.',
+    'app.entryLoaded': 'Registro cargado para edición. Haga los cambios y guarde.',
+    'app.editCancelled': 'Edición cancelada. El registro no se modificó.',
+    'app.updateEntry': 'Actualizar Registro',
+    'app.editingEntry': '{date} - {register}, Turno {shift}',
+    'app.noEntries': 'Aún no hay registros. Agregue su primer registro de ventas arriba.',
+    'app.closedPeriod': 'Periodo cerrado',
+    'app.history': 'Historial',
+    'app.shiftShort': 'T{shift}',
+    'app.settingsSaved': 'Configuración guardada.',
+    'app.resetSettingsConfirm': '¿Restablecer los umbrales, la hora del informe y la moneda a sus valores predeterminados? Se conservan el nombre de la tienda y los correos.',
+    'app.defaultsFilled': 'Valores predeterminados capturados. Guarde para aplicarlos.',
+    'app.lastReconciliation': 'Última conciliación: {time}',
+    'app.reconciliationUnavailable': 'El motor de conciliación no está disponible.',
+    'app.allStoresView': 'Todas las Tiendas',
+    'app.newStorePrompt': 'Nombre de la nueva tienda:',
+    'app.saveRegister': 'Guardar {register}',
+    'app.editRule': 'Editar {rule}',
+    'app.reasonForDeleting': 'Motivo para Eliminar el Registro',
+    'app.reasonForEditing': 'Motivo para Editar el Registro',
+    'app.rulesVersion': 'Versión {version} ({summary}) por {user}, {time}',
+    'app.noRulesYet': 'Aún no hay reglas',
+    'app.saved': 'Guardado',
+    'app.noEarlierVersions': 'No hay versiones anteriores',
+    'app.noStoreRules': 'No hay reglas de la tienda. Solo se ejecutan las verificaciones integradas.',
+    'app.settingsSheetIgnored': 'Se ignoró la hoja de configuración: {errors}.',
+    'app.settingsFromSheet': 'Configuración actualizada desde la hoja de configuración.',
+    'app.languageChanged': 'Idioma cambiado a {language}.',
+    'app.taxableSales': 'Ventas gravadas',
+    'app.taxCollected': 'Impuesto cobrado',
+    'app.taxDue': 'Debido {amount}',
+    'app.inDrawer': 'En caja',
+    'app.card': 'Tarjeta',
+    'app.openingFromPreviousClose': 'Efectivo inicial completado a partir del cierre de la caja de {closing} el {date}.',
+    'app.openingFromShift': 'Efectivo inicial completado a partir del conteo de cierre del turno {shift}.',
+    'app.registerAdded': '{register} agregada.',
+    'app.registerUpdated': '{register} actualizada.',
+    'app.retireRegisterConfirm': '¿Retirar {register}? No se ofrecerá para fechas posteriores a hoy. Los registros anteriores se conservan.',
+    'app.registerRetired': '{register} retirada.',
+    'app.ruleAdded': '{rule} agregada. Se aplica desde la próxima conciliación.',
+    'app.ruleUpdated': '{rule} actualizada. Se aplica desde la próxima conciliación.',
+    'app.deleteRuleConfirm': '¿Eliminar la regla "{rule}"? Las versiones anteriores conservan una copia.',
+    'app.ruleDeleted': '{rule} eliminada.',
+    'app.restoreRulesConfirm': '¿Reemplazar las reglas actuales por la versión {version}? Las reglas actuales quedan en el historial.',
+    'app.rulesRestored': 'Reglas restauradas desde la versión {version}.',
+    'app.exchangeRateSaved': 'Tipo de cambio de {currency} para el {date} guardado.',
+    'app.deleteExchangeRateConfirm': '¿Eliminar este tipo de cambio? Los registros ya guardados conservan el tipo que usaron.',
+    'app.exchangeRateDeleted': 'Tipo de cambio eliminado.',
+    'app.couldNotUnlock': 'No se pudo desbloquear el registro: {error}',
+    'app.choosePeriodDate': 'Elija una fecha del periodo a cerrar.',
+    'app.unresolvedCloseConfirm': '{count} discrepancia(s) de este periodo no están resueltas. ¿Cerrar el periodo de todos modos?',
+    'app.periodClosed': '{period} {range} cerrado. {count} registros quedan bloqueados.',
+    'app.couldNotRecordAudit': 'No se pudo registrar la auditoría: {error}',
+    'app.noAuditRecords': 'No hay registros de auditoría en el rango de fechas seleccionado.',
+    'app.casesOpened': 'Se abrieron {created} caso(s) nuevo(s).',
+    'app.casesOpenedReopened': 'Se abrieron {created} caso(s) nuevo(s) y se reabrieron {reopened}.',
+    'app.couldNotSaveCases': 'No se pudieron guardar los casos de discrepancia: {error}',
+    'app.caseUpdated': 'Caso actualizado.',
+    'app.chooseSettlementFile': 'Elija un archivo CSV de liquidación para importar.',
+    'app.couldNotImportFile': 'No se pudo importar {file}: {error}',
+    'app.batchesImported': 'Se importaron {imported} lote(s).',
+    'app.batchesImportedReplaced': 'Se importaron {imported} lote(s) y se reemplazaron {replaced} importados antes.',
+    'app.rowsSkipped': '{message} Se omitieron {count} fila(s): {errors}',
+    'app.runForCardVariances': '{message} Ejecute la conciliación para marcar las diferencias de tarjeta.',
+    'app.removeSettlementImportConfirm': '¿Quitar los {count} lote(s) importados de {file}?',
+    'app.thisFile': 'este archivo',
+    'app.couldNotRemoveImport': 'No se pudo quitar la importación: {error}',
+    'app.settlementImportRemoved': 'Importación de liquidación quitada.',
+    'app.columnsSaved': 'Se guardó: {title}.',
+    'app.chooseStatementFile': 'Elija un archivo de estado de cuenta bancario para importar.',
+    'app.creditsImported': 'Se importaron {imported} abono(s).',
+    'app.creditsImportedReplaced': 'Se importaron {imported} abono(s) y se reemplazaron {replaced} importados antes.',
+    'app.chooseStoreForDeposit': 'Elija una sola tienda antes de registrar un depósito.',
+    'app.depositRecorded': 'Bolsa de depósito {bag} registrada.',
+    'app.deleteDepositConfirm': '¿Eliminar la bolsa de depósito {bag}? Sus retiros podrán ir en otra bolsa.',
+    'app.couldNotDeleteDeposit': 'No se pudo eliminar el depósito: {error}',
+    'app.depositDeleted': 'Bolsa de depósito {bag} eliminada.',
+    'app.chooseStoreForSafe': 'Elija una sola tienda antes de registrar efectivo de la caja fuerte.',
+    'app.safeMovementRecorded': 'Registrado: {movement}.',
+    'app.deleteSafeMovementConfirm': '¿Eliminar este movimiento de efectivo de la caja fuerte?',
+    'app.couldNotDeleteMovement': 'No se pudo eliminar el movimiento: {error}',
+    'app.safeMovementDeleted': 'Movimiento de efectivo de la caja fuerte eliminado.',
+    'app.chooseStoreForSafeCount': 'Elija una sola tienda antes de contar la caja fuerte.',
+    'app.safeCountSaved': 'Conteo de caja fuerte de {amount} guardado.',
+    'app.deleteSafeCountConfirm': '¿Eliminar el conteo de caja fuerte del {date}?',
+    'app.couldNotDeleteCount': 'No se pudo eliminar el conteo: {error}',
+    'app.safeCountDeleted': 'Conteo de caja fuerte eliminado.',
+    'app.noSignificantDiscrepancies': 'No se encontraron discrepancias significativas.',
+    'app.emailUnavailable': 'El servicio de correo no está disponible.',
+    'app.dataExported': 'Datos exportados correctamente.',
+    'app.notInService': '{register} (fuera de servicio)',
+    'app.statusRetired': 'Retirada',
+    'app.statusNotYetActive': 'Aún no activa',
+    'app.edit': 'Editar',
+    'app.retire': 'Retirar',
+    'app.delete': 'Eliminar',
+    'app.allRegisters': 'Todas las cajas',
+    'app.ruleOn': 'Activa',
+    'app.ruleColumn': 'Regla',
+    'app.ruleFlagsWhen': 'Marca registros cuando',
+    'app.ruleOr': 'o',
+    'app.ruleAnd': 'y',
+    'app.ruleRevision': '{rule}, revisión {revision}',
+    'app.rulePlaceholders': 'Marcadores:',
+    'app.ruleToggle': 'Activar o desactivar',
+    'app.removeCondition': 'Quitar condición',
+    'app.noExchangeRates': 'Aún no se han registrado tipos de cambio.',
+    'app.addForeignCashFirst': 'Primero agregue el efectivo extranjero aceptado',
+    'app.noRateForDate': 'No hay tipo de cambio para esta fecha',
+    'app.noPeriodsClosed': 'Aún no se ha cerrado ningún periodo.',
+    'app.periodAllStores': '(todas las tiendas)',
+    'app.periodClosedBy': 'cerrado por {user} {time}',
+    'app.periodCloseLine': '{period} {range}, cerrado por {user}',
+    'app.periodUnlockedBy': '{register} {date} desbloqueado por {manager}: {reason}',
+    'app.selectReason': 'Seleccione un motivo...',
+    'app.historyWhen': 'Cuándo',
+    'app.historyAction': 'Acción',
+    'app.historyUser': 'Usuario',
+    'app.historyChanges': 'Cambios',
+    'app.noRecordedChanges': 'No hay cambios registrados para este registro.',
+
+    'validation.dateRequired': 'La fecha de transacción es obligatoria',
+    'validation.registerRequired': 'El número de caja es obligatorio',
+    'validation.registerNotOnRoster': 'La caja {register} no está en el catálogo de cajas',
+    'validation.registerNotInService': '{register} no está en servicio en esta fecha',
+    'validation.cashierRequired': 'El ID de cajero es obligatorio',
+    'validation.openingCashNegative': 'El efectivo inicial no puede ser negativo',
+    'validation.cashSalesNegative': 'Las ventas en efectivo no pueden ser negativas',
+    'validation.cardSalesNegative': 'Las ventas con tarjeta no pueden ser negativas',
+    'validation.closingCashNegative': 'El efectivo de cierre no puede ser negativo',
+    'validation.missingExchangeRate': 'No hay tipo de cambio de {currency} registrado para {date}; agréguelo en Configuración',
+    'validation.thisDate': 'esta fecha',
+    'validation.largeDiscrepancyDetected': 'Se detectó una discrepancia de efectivo grave: {amount}',
+    'validation.allPassed': 'Todas las validaciones se cumplieron. Los datos están listos para guardarse.',
+    'validation.dateRegisterRequired': 'La fecha y el número de caja son obligatorios',
+    'validation.noCashier': 'No se registró cajero para este registro',
+    'validation.largeDiscrepancy': 'Discrepancia de efectivo grave: {amount}',
+    'validation.discrepancyDetected': 'Se detectó una discrepancia de efectivo: {amount}',
+    'validation.highReturns': 'Porcentaje de devoluciones alto: {percent}',
+    'validation.lowOpeningCash': 'Efectivo inicial por debajo del mínimo recomendado',
+    'validation.taxNegative': 'Las ventas gravadas, las ventas exentas y el impuesto cobrado no pueden ser negativos',
+    'validation.taxMismatch': 'El impuesto {name} cobrado difiere en {difference}',
+    'validation.tenderNegative': 'Las ventas con {tender} no pueden ser negativas',
+    'validation.refundNegative': 'Los reembolsos con {tender} no pueden ser negativos',
+    'validation.refundCount': 'El número de reembolsos y los conteos por motivo deben ser números enteros de 0 o más',
+    'validation.refundReasonsExceedCount': 'Los reembolsos por motivo suman más que los {count} reembolsos registrados',
+    'validation.pettyCash.amount': '{item} {number}: introduzca un importe mayor que cero',
+    'validation.pettyCash.category': '{item} {number}: elija una categoría',
+    'validation.pettyCash.approver': '{item} {number}: indique quién la aprobó',
+
+    'expected.enterClosing': 'Capture el efectivo de cierre para ver la comparación',
+    'expected.perfectMatch': '¡Cuadra exactamente! Esperado: {expected}',
+    'expected.smallDifference': 'Diferencia menor: {difference} (Esperado: {expected})',
+    'expected.largeDiscrepancy': 'Discrepancia grave: {difference} (Esperado: {expected})',
+
+    'settings.storeNameRequired': 'El nombre de la tienda es obligatorio',
+    'settings.currencyCode': 'La moneda debe ser un código de tres letras',
+    'settings.currencySymbolRequired': 'El símbolo de moneda es obligatorio',
+    'settings.symbolPosition': 'La posición del símbolo debe ser antes o después del monto',
+    'settings.decimalPlaces': 'Los decimales deben ser un número entero de 0 a 3',
+    'settings.cashRounding': 'El redondeo de efectivo debe ser cero o al menos la unidad más pequeña de la moneda',
+    'settings.foreignCurrencies': 'El efectivo extranjero debe ser códigos de tres letras distintos de la moneda de la tienda ({codes})',
+    'settings.cashThreshold': 'El umbral de discrepancia debe ser cero o más',
+    'settings.largeThreshold': 'El umbral de discrepancia grave debe ser mayor que el umbral de discrepancia',
+    'settings.maxReturns': 'Las devoluciones máximas deben estar entre 0 y 100%',
+    'settings.minOpeningCash': 'El efectivo inicial mínimo debe ser cero o más',
+    'settings.depositTransitDays': 'Los días de tránsito deben ser un número entero de 0 a 30',
+    'settings.managerEmail': 'El correo del gerente no es una dirección válida',
+    'settings.adminEmail': 'El correo del administrador no es una dirección válida',
+    'settings.emailLocale': 'El idioma del correo debe ser uno de los idiomas disponibles',
+    'settings.reportTime': 'La hora del informe diario debe ser HH:MM',
+    'settings.taxRates': 'Las tasas de impuesto necesitan un nombre sin ":" ni ";" y un porcentaje de 0 a 100, cada nombre una sola vez ({rates})',
+    'settings.taxTolerance': 'La tolerancia de impuesto debe ser cero o más',
+    'settings.tenderTypes': 'Los medios de pago necesitan un nombre sin ":" ni ";" distinto de efectivo o tarjeta, cada nombre una sola vez ({tenders})',
+
+    'recon.overallStatus': 'Estado General',
+    'recon.totalDifference': 'Diferencia Total: {amount}',
+    'recon.totalSales': 'Ventas Totales',
+    'recon.cashCard': 'Efectivo: {cash} | Tarjeta: {card}',
+    'recon.cashPosition': 'Posición de Efectivo',
+    'recon.expected': 'Esperado: {amount}',
+    'recon.discrepancies': 'Discrepancias',
+    'recon.flaggedHelp': 'Registros marcados que requieren atención',
+    'recon.flaggedEntries': 'Registros Marcados',
+    'recon.shiftOn': 'turno {shift} ({date})',
+    'recon.cashier': 'Cajero {cashier}',
+    'recon.difference': 'Diferencia: {amount}',
+    'recon.unusualActivity': 'Actividad Inusual',
+    'recon.unusualActivityHelp': 'Comparado con el historial reciente de cada caja para el mismo día de la semana',
+    'recon.measure': 'Medida',
+    'recon.value': 'Valor',
+    'recon.usualRange': 'Rango Habitual',
+    'recon.score': 'Puntuación',
+    'recon.range': '{lower} a {upper}',
+    'recon.above': '{amount} por encima',
+    'recon.below': '{amount} por debajo',
+    'recon.cardSettlement': 'Liquidación de Tarjetas',
+    'recon.registerDaysMatch': '{matched} de {total} días de caja coinciden',
+    'recon.unmatchedBatches': '{count} lote(s) sin coincidencia',
+    'recon.bankDeposits': 'Depósitos Bancarios',
+    'recon.inTransit': 'En tránsito: {amount}',
+    'recon.missing': 'Faltante: {amount}',
+    'recon.bankAdjusted': 'Ajuste bancario: {amount}',
+    'recon.safe': 'Caja Fuerte',
+    'recon.expectedInSafe': 'Esperado en caja fuerte',
+    'recon.countsOff': '{count} conteo(s) con diferencia de {amount}',
+    'recon.registerDayTotals': 'Totales por Día de Caja',
+    'recon.shifts': 'Turnos',
+    'recon.shiftDifferences': 'Diferencias por Turno',
+    'recon.handoffGaps': 'Diferencias de Relevo',
+    'recon.dayDifference': 'Diferencia del Día',
+    'recon.status.balanced': 'Todas las verificaciones de conciliación se cumplieron',
+    'recon.status.warning': 'Se detectaron discrepancias menores',
+    'recon.status.discrepancy': 'Hay discrepancias importantes que requieren atención',
+    'recon.otherTenders': 'Otros: {amount}',
+
+    'issue.cashDifference': 'Diferencia de efectivo de {amount}',
+    'issue.highReturns': 'Las devoluciones son el {percent} de las ventas',
+    'issue.lowOpeningCash': 'Efectivo inicial por debajo del mínimo ({amount})',
+    'issue.floatVariance': 'Fondo inicial con diferencia en {count} denominación(es): {denominations}',
+    'issue.shiftHandoff': 'El turno {shift} abrió con {opening} pero el turno {previousShift} cerró con {closing}',
+    'issue.allRegisters': 'todas las cajas',
+    'issue.storeTotal': 'total de la tienda',
+    'issue.cardUnsettled': 'Las ventas con tarjeta de {amount} en {register} no tienen lote liquidado',
+    'issue.cardVariance': 'El procesador liquidó {settled} contra {recorded} de ventas con tarjeta en {register}',
+    'issue.missingDeposit': 'La bolsa de depósito {bag} ({amount}, {date}) no aparece en el estado de cuenta después de {days} días',
+    'issue.bankAdjustment': 'El banco abonó {credited} por la bolsa de depósito {bag} de {amount}',
+    'issue.zeroSales': 'No se registraron ventas en este registro',
+    'issue.negativeValues': 'Se detectaron valores negativos en los datos de ventas',
+    'issue.duplicateEntry': 'Registro duplicado para {register} turno {shift} el {date}',
+    'issue.missingDates': 'Faltan datos de ventas entre {from} y {to}',
+    'issue.unmatchedBatch': 'El lote de tarjeta {batch} ({register}, {amount}) liquidado para {date} no tiene registro de ventas correspondiente',
+    'issue.safeDiscrepancy': 'Caja fuerte contada con {counted} el {date} contra {expected} esperado ({direction} {difference})',
+    'issue.over': 'sobrante',
+    'issue.short': 'faltante',
+    'issue.taxMismatch': 'Se cobraron {collected} de impuesto {name} sobre {taxable} de ventas gravadas, pero se deben {expected} al {rate}',
+    'issue.refundCount': '{count} reembolsos',
+    'issue.topRefundReason': 'principalmente {reason}',
+    'issue.unreceiptedPaidOut': 'Salida de {amount} por {category} aprobada por {approver} sin recibo',
+    'issue.openingContinuity': 'Abrió con {opening}, pero la caja cerró con {closing} el {date}, dejando {expected} para esta apertura',
+    'issue.openingFloat': 'Abrió con {opening}, pero el fondo asignado de la caja es {float}',
+
+    'recommendation.immediateAttention': 'Se requiere atención inmediata para los problemas de severidad alta',
+    'recommendation.reviewDiscrepancies': 'Revise y resuelva las discrepancias marcadas',
+    'recommendation.investigateCashPosition': 'Investigue la diferencia en la posición de efectivo',
+    'recommendation.improveDataEntry': 'Mejore los procedimientos de captura para aumentar la precisión',
+    'recommendation.cashRecovery': 'Recuperación de efectivo necesaria: {amount}',
+    'recommendation.allPassed': 'Todas las verificaciones de conciliación se cumplieron correctamente',
+
+    'action.investigate': 'Investigar {register} el {date}',
+    'action.cashDifference': 'Diferencia de efectivo: {amount}',
+    'action.recountSafe': 'Volver a contar la caja fuerte y revisar sus movimientos de efectivo hasta el {date}',
+    'action.reviewProcedures': 'Revisar los procedimientos de captura',
+    'action.currentAccuracy': 'Precisión actual: {percent}',
+    'action.completeMissingData': 'Completar los datos de ventas faltantes',
+    'action.gapsDetected': 'Se detectaron huecos en los registros diarios de ventas',
+
+    'anomaly.metric.totalSales': 'Ventas totales',
+    'anomaly.metric.cashRatio': 'Proporción de ventas en efectivo',
+    'anomaly.metric.returnsPercentage': 'Devoluciones',
+    'anomaly.metric.cashDifference': 'Diferencia de efectivo',
+    'anomaly.description': '{metric} de {register} de {value} el {weekday} {date} está {outOfRangeBy} {direction} de su rango habitual ({lower} a {upper}, {baseline} {median})',
+    'anomaly.above': 'por encima',
+    'anomaly.below': 'por debajo',
+    'anomaly.typicalWeekday': '{weekday} típico',
+    'anomaly.typicalDay': 'día típico, ajustado al día de la semana',
+
+    'dashboard.salesTrend': 'Tendencia de Ventas (Últimos 7 Días)',
+    'dashboard.paymentMethods': 'Métodos de Pago (Hoy)',
+    'dashboard.allRegisters': 'Todas las cajas',
+    'dashboard.dailySales': 'Ventas Diarias',
+    'dashboard.cashSales': 'Ventas en Efectivo',
+    'dashboard.cardSales': 'Ventas con Tarjeta',
+    'dashboard.cash': 'Efectivo',
+    'dashboard.card': 'Tarjeta',
+
+    'email.reconciliationReport': 'Informe Diario de Conciliación',
+    'email.reconciliationIntro': 'Resumen de Conciliación de Ventas y Efectivo del {{DATE}}',
+    'email.discrepancyAlert': 'Alerta de Discrepancia de Efectivo',
+    'email.dailySummary': 'Resumen Diario de Ventas',
+    'email.dailyIntro': 'Informe de desempeño de ventas del {{DATE}}',
+    'email.weeklySummary': 'Resumen Semanal de Conciliación',
+    'email.period': '{from} al {to}',
+    'email.weeklyPeriod': '{{DATE_FROM}} al {{DATE_TO}}',
+    'email.totalSales': 'Ventas Totales',
+    'email.transactions': 'Transacciones',
+    'email.discrepancies': 'Discrepancias',
+    'email.accuracy': 'Precisión',
+    'email.transactionDetails': 'Detalle de Transacciones',
+    'email.date': 'Fecha',
+    'email.register': 'Caja',
+    'email.cashSales': 'Ventas en Efectivo',
+    'email.cardSales': 'Ventas con Tarjeta',
+    'email.cashDifference': 'Diferencia de Efectivo',
+    'email.generatedAt': 'Generado automáticamente por el Sistema de Conciliación de Ventas el {{TIMESTAMP}}',
+    'email.reviewDiscrepancies': 'Revise las discrepancias y tome las medidas correspondientes.',
+    'email.totalDiscrepancy': 'Discrepancia Total: {{TOTAL_AMOUNT}}',
+    'email.immediateAttention': 'Se Requiere Atención Inmediata:',
+    'email.discrepanciesExceed': 'Se detectaron {{DISCREPANCY_COUNT}} discrepancias que superan el umbral.',
+    'email.discrepancyDetails': 'Detalle de Discrepancias',
+    'email.issueDescription': 'Descripción del Problema',
+    'email.alertGeneratedAt': 'Alerta generada el {{TIMESTAMP}}',
+    'email.actionRequired': 'Acción Requerida:',
+    'email.investigateImmediately': 'Investigue estas discrepancias de inmediato y tome medidas correctivas.',
+    'email.reconciliationSummary': 'Resumen de Conciliación',
+    'email.reportGeneratedAt': 'Informe generado el {{TIMESTAMP}}',
+    'email.automatedDailySummary': 'Resumen diario automático del Sistema de Conciliación de Ventas',
+    'email.cashierScorecards': 'Evaluación de Cajeros',
+    'email.cashier': 'Cajero',
+    'email.netOverShort': 'Sobrante/Faltante Neto',
+    'email.worstIncidents': 'Peores Incidentes',
+    'email.weeklyTrend': 'Tendencia Semanal',
+    'email.followUpCashiers': 'Dé seguimiento a los cajeros con faltantes repetidos.',
+    'email.noEntries': 'No hay registros en este periodo',
+    'email.noCashierActivity': 'No hubo actividad de cajeros esta semana',
+    'email.cashDiscrepancy': 'Discrepancia de efectivo',
+    'email.reportSent': 'Informe de Conciliación Enviado',
+    'email.reportSentTo': 'El informe se envió a {to}',
+    'email.failed': 'Error al Enviar Correo',
+    'email.failedReport': 'No se pudo enviar el informe: {error}',
+    'email.alertSent': 'Alerta de Discrepancia Enviada',
+    'email.alertSentToManagement': 'La alerta se envió a la gerencia',
+    'email.failedAlert': 'No se pudo enviar la alerta: {error}',
+    'email.dailySent': 'Resumen Diario Enviado',
+    'email.summarySentToManagement': 'El resumen se envió a la gerencia',
+    'email.weeklySent': 'Resumen Semanal Enviado',
+    'email.summarySentTo': 'El resumen se envió a {to}',
+    'email.failedWeekly': 'No se pudo enviar el resumen semanal: {error}',
+    'email.sentAt': 'Enviado el {time}',
+
+    'sync.syncing': 'Sincronizando...',
+    'sync.offline': 'Sin conexión',
+    'sync.error': 'Error',
+    'sync.synced': 'Sincronizado {time}',
+    'sync.notYetSynced': 'Aún sin sincronizar',
+    'sync.pending': '({count} pendientes)',
+    'sync.done': 'Sincronizado con Google Sheets.',
+    'sync.failed': 'Falló la sincronización: {error}',
+    'sync.offlineQueued': 'Sin conexión. Los cambios se sincronizarán cuando vuelva la conexión.',
+    'sync.keptLocal': 'La versión del navegador se enviará a la hoja.',
+    'sync.keptSheet': 'Se aplicó la versión de la hoja.',
+    'sync.conflictClosed': 'La hoja ha cerrado este período ({closes}). Conservar la versión del navegador requiere el desbloqueo de un gerente.',
+    'sync.promptUrl': 'URL de la aplicación web de Apps Script:',
+    'sync.promptToken': 'Token de API (la propiedad de script API_TOKEN):',
+    'sync.noConflicts': 'No hay conflictos de sincronización. El navegador y la hoja coinciden.',
+    'sync.deletedInBrowser': 'Eliminado en el navegador pero editado en la hoja.',
+    'sync.deletedInSheet': 'Editado en el navegador pero eliminado en la hoja.',
+    'sync.field': 'Campo',
+    'sync.browser': 'Navegador',
+    'sync.sheet': 'Hoja',
+    'sync.keepBrowser': 'Conservar la Versión del Navegador',
+    'sync.keepSheet': 'Conservar la Versión de la Hoja',
+
+    'tax.byRate': 'Impuesto por Tasa',
+    'tax.byRegister': 'Impuesto por Caja',
+    'tax.rate': 'Tasa',
+    'tax.store': 'Tienda',
+    'tax.register': 'Caja',
+    'tax.entries': 'Registros',
+    'tax.taxableSales': 'Ventas Gravadas',
+    'tax.exemptSales': 'Ventas Exentas',
+    'tax.taxCollected': 'Impuesto Cobrado',
+    'tax.taxDue': 'Impuesto Debido',
+    'tax.difference': 'Diferencia',
+    'tax.total': 'Total',
+    'tax.noTaxRecorded': 'No se registró impuesto en este periodo',
+
+    'refund.reason.damaged': 'Dañado o defectuoso',
+    'refund.reason.wrong_item': 'Artículo o talla equivocada',
+    'refund.reason.not_as_described': 'No coincide con la descripción',
+    'refund.reason.changed_mind': 'Cambio de opinión',
+    'refund.reason.price_adjustment': 'Ajuste de precio',
+    'refund.reason.other': 'Otro',
+
+    'returns.byRegister': 'Tasa de devoluciones por caja',
+    'returns.byCashier': 'Tasa de devoluciones por cajero',
+    'returns.byDay': 'Tasa de devoluciones por día',
+    'returns.byTender': 'Reembolsos por medio de pago',
+    'returns.topReasons': 'Principales motivos de reembolso',
+    'returns.store': 'Tienda',
+    'returns.register': 'Caja',
+    'returns.cashier': 'Cajero',
+    'returns.date': 'Fecha',
+    'returns.entries': 'Registros',
+    'returns.totalSales': 'Ventas totales',
+    'returns.refunds': 'Reembolsos',
+    'returns.drawerRefunds': 'Desde la caja',
+    'returns.refundCount': 'Cantidad',
+    'returns.returnRate': 'Tasa de devoluciones',
+    'returns.total': 'Total',
+    'returns.noRefunds': 'No hay reembolsos en este período',
+    'returns.noReasons': 'No se registraron motivos de reembolso',
+
+    'pettyCash.out': 'Salida',
+    'pettyCash.in': 'Entrada',
+    'pettyCash.amount': 'Importe',
+    'pettyCash.receipt': 'Recibo',
+    'pettyCash.approvedBy': 'Aprobado por',
+    'pettyCash.remove': 'Quitar',
+    'pettyCash.type': 'Tipo',
+    'pettyCash.category': 'Categoría',
+    'pettyCash.paidOuts': 'Salidas',
+    'pettyCash.paidIns': 'Entradas',
+    'pettyCash.net': 'Neto',
+    'pettyCash.unreceipted': 'Salidas sin recibo',
+    'pettyCash.noReceipt': 'Sin recibo',
+    'pettyCash.byCategory': 'Por categoría',
+    'pettyCash.byRegister': 'Por caja',
+    'pettyCash.items': 'Salidas y entradas',
+    'pettyCash.none': 'No hay salidas ni entradas en este período.',
+    'pettyCash.category.delivery': 'Entrega',
+    'pettyCash.category.cod_vendor': 'Proveedor pagado contra entrega',
+    'pettyCash.category.supplies': 'Suministros',
+    'pettyCash.category.repairs': 'Reparaciones',
+    'pettyCash.category.meals': 'Comidas',
+    'pettyCash.category.other': 'Otro',
+    'pettyCash.category.float_top_up': 'Reposición de fondo',
+    'pettyCash.category.account_payment': 'Pago de cuenta',
+    'pettyCash.category.vendor_refund': 'Reembolso de proveedor',
+
+    'import.chooseFile': 'Elija un archivo CSV de registros de ventas para importar.',
+    'import.couldNotRead': 'No se pudo leer {file}: {error}',
+    'import.closedPeriod': 'Está en un período cerrado; desbloquéelo desde el formulario de registro',
+    'import.new': 'Nuevos',
+    'import.duplicates': 'Ya registrados',
+    'import.rejected': 'Rechazados',
+    'import.duplicateAction': 'Filas ya registradas para la misma tienda, fecha, caja y turno:',
+    'import.skip': 'Omitir',
+    'import.overwrite': 'Sobrescribir',
+    'import.line': 'Línea',
+    'import.difference': 'Diferencia',
+    'import.result': 'Resultado',
+    'import.commit': 'Importar',
+    'import.newBadge': 'Nuevo',
+    'import.duplicateBadge': 'Ya registrado',
+    'import.rejectedBadge': 'Rechazado',
+    'import.auditNote': 'Importado de {file}, línea {line}',
+    'import.done': 'Se importaron {imported} registros nuevos y se sobrescribieron {overwritten}.',
+    'import.summary': '{imported} importados, {overwritten} sobrescritos, {skipped} omitidos por estar ya registrados, {rejected} rechazados',
+    'import.error.date': 'la fecha "{value}" no es una fecha {format}',
+    'import.error.store': 'la tienda "{value}" no es una de sus tiendas',
+    'import.error.noStore': 'sin tienda; elija una sola tienda o asigne una columna de tienda',
+    'import.error.register': 'falta la caja',
+    'import.error.cashier': 'falta el cajero',
+    'import.error.shift': 'el turno "{value}" no es un número entero de 1 o más',
+    'import.error.amount': 'el importe de {field} "{value}" no es un número',
+    'import.error.negative': 'el importe de {field} es negativo',
+    'import.error.repeat': 'repite la línea {line} (misma tienda, fecha, caja y turno)',
+    'import.field.openingCash': 'efectivo inicial',
+    'import.field.cashSales': 'ventas en efectivo',
+    'import.field.cardSales': 'ventas con tarjeta',
+    'import.field.returnsRefunds': 'devoluciones',
+    'import.field.cashDrops': 'retiros de efectivo',
+    'import.field.closingCash': 'efectivo de cierre',
+
+    'denomination.quarterRoll': 'Rollo de 25¢',
+    'denomination.dimeRoll': 'Rollo de 10¢',
+    'denomination.nickelRoll': 'Rollo de 5¢',
+    'denomination.pennyRoll': 'Rollo de 1¢',
+    'denomination.toonieRoll': 'Rollo de $2',
+    'denomination.loonieRoll': 'Rollo de $1',
+    'denomination.bill': 'Billetes',
+    'denomination.coin': 'Monedas',
+    'denomination.roll': 'Rollos',
+
+    'audit.action.create': 'Creado',
+    'audit.action.edit': 'Editado',
+    'audit.action.delete': 'Eliminado',
+    'audit.reason.initial_entry': 'Registro inicial',
+    'audit.reason.count_correction': 'Corrección de conteo',
+    'audit.reason.data_entry_error': 'Error de captura',
+    'audit.reason.late_cash_drop': 'Retiro o recogida de efectivo tardío',
+    'audit.reason.wrong_register': 'Tienda, caja o turno equivocado',
+    'audit.reason.duplicate_entry': 'Registro duplicado',
+    'audit.reason.manager_adjustment': 'Ajuste del gerente',
+    'audit.reason.sheet_edit': 'Modificado en Google Sheets',
+    'audit.reason.bulk_import': 'Importado desde un archivo',
+    'audit.reason.other': 'Otro (ver nota)',
+
+    'period.range': '{start} al {end}',
+    'period.closedByRequired': 'Se requiere su nombre o número de empleado para cerrar un periodo.',
+    'period.alreadyClosed': '{period} {range} ya se cerró.',
+    'period.noEntries': 'No hay registros que cerrar para este día.',
+    'period.managerRequired': 'Se requiere el gerente que aprueba.',
+    'period.reasonRequired': 'Se requiere un motivo para desbloquear.'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Translator;
+}